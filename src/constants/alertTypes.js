@@ -0,0 +1,13 @@
+// src/constants/alertTypes.js
+// Early-warning alert type definitions
+
+const ALERT_TYPES = {
+  LOW_ATTENDANCE: 'low_attendance',
+  CONSECUTIVE_ABSENCES: 'consecutive_absences',
+  OVERDUE_ASSIGNMENT: 'overdue_assignment',
+  FAILED_QUIZ: 'failed_quiz',
+};
+
+module.exports = {
+  ALERT_TYPES,
+};
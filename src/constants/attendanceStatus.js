@@ -0,0 +1,14 @@
+// src/constants/attendanceStatus.js
+// How much each attendance status counts towards the attendance percentage
+
+// A late arrival still attended the day; a half-day counts as half a day.
+// Absent and excused days earn nothing (approved leave is removed from the expected days instead).
+const ATTENDANCE_CREDIT = {
+  present: 1,
+  late: 1,
+  'half-day': 0.5,
+};
+
+module.exports = {
+  ATTENDANCE_CREDIT,
+};
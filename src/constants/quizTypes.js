@@ -7,11 +7,16 @@ const QUIZ_TYPES = {
   MIXED: 'mixed',
 };
 
+// Values must match the questionType enum in models/question.model.js
 const QUESTION_TYPES = {
-  SINGLE_CHOICE: 'single_choice',
-  MULTIPLE_CHOICE: 'multiple_choice',
-  DESCRIPTIVE: 'descriptive',
+  MCQ_SINGLE: 'mcq_single',
+  MCQ_MULTIPLE: 'mcq_multiple',
   TRUE_FALSE: 'true_false',
+  DESCRIPTIVE: 'descriptive',
+  NUMERIC: 'numeric',
+  SHORT_ANSWER: 'short_answer',
+  MATCHING: 'matching',
+  ORDERING: 'ordering',
 };
 
 const QUIZ_STATUS = {
@@ -27,6 +32,41 @@ const ATTEMPT_STATUS = {
   EXPIRED: 'expired',
 };
 
+// How mcq_multiple answers are scored (Quiz.scoringPolicy.multiSelect)
+const MULTI_SELECT_SCORING = {
+  ALL_OR_NOTHING: 'all_or_nothing',
+  PROPORTIONAL: 'proportional',
+  ZERO_ON_WRONG: 'zero_on_wrong',
+};
+
+// When negativeMarks are deducted (Quiz.scoringPolicy.negativeMarking)
+const NEGATIVE_MARKING = {
+  ALL_INCORRECT: 'all_incorrect', // wrong and blank answers
+  WRONG_ONLY: 'wrong_only',       // blank answers score 0
+  NONE: 'none',
+};
+
+// Rule recorded on each scored answer (Attempt.answers[].scoringRule)
+const SCORING_RULES = {
+  CORRECT: 'correct',
+  INCORRECT: 'incorrect',
+  NEGATIVE_MARKING: 'negative_marking',
+  PROPORTIONAL: 'proportional',
+  ZERO_ON_WRONG: 'zero_on_wrong',
+  SKIPPED: 'skipped',
+  MANUAL: 'manual',
+};
+
+// Which attempt counts toward grades (Quiz.attemptScoring)
+const ATTEMPT_SCORING = {
+  HIGHEST: 'highest',
+  LATEST: 'latest',
+  AVERAGE: 'average',
+};
+
+// Network slack allowed after an attempt's deadline before answers are rejected
+const ATTEMPT_GRACE_PERIOD_SECONDS = 30;
+
 const isValidQuizType = (type) => {
   return Object.values(QUIZ_TYPES).includes(type);
 };
@@ -37,9 +77,13 @@ const isValidQuestionType = (type) => {
 
 const isAutoEvaluable = (questionType) => {
   return [
-    QUESTION_TYPES.SINGLE_CHOICE,
-    QUESTION_TYPES.MULTIPLE_CHOICE,
+    QUESTION_TYPES.MCQ_SINGLE,
+    QUESTION_TYPES.MCQ_MULTIPLE,
     QUESTION_TYPES.TRUE_FALSE,
+    QUESTION_TYPES.NUMERIC,
+    QUESTION_TYPES.SHORT_ANSWER,
+    QUESTION_TYPES.MATCHING,
+    QUESTION_TYPES.ORDERING,
   ].includes(questionType);
 };
 
@@ -48,6 +92,11 @@ module.exports = {
   QUESTION_TYPES,
   QUIZ_STATUS,
   ATTEMPT_STATUS,
+  ATTEMPT_GRACE_PERIOD_SECONDS,
+  MULTI_SELECT_SCORING,
+  NEGATIVE_MARKING,
+  SCORING_RULES,
+  ATTEMPT_SCORING,
   isValidQuizType,
   isValidQuestionType,
   isAutoEvaluable,
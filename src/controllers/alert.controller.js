@@ -0,0 +1,54 @@
+// src/controllers/alert.controller.js
+const alertService = require('../services/alert.service');
+const ApiResponse = require('../utils/response.util');
+const { asyncHandler } = require('../middlewares/error.middleware');
+
+const alertController = {
+    /**
+     * Get current user's alerts
+     */
+    getMyAlerts: asyncHandler(async (req, res) => {
+        const { userId } = req.user;
+
+        const result = await alertService.getMyAlerts(userId, req.query);
+
+        return ApiResponse.success(
+            res,
+            result,
+            'Alerts retrieved successfully'
+        );
+    }),
+
+    /**
+     * Mark an alert as read
+     */
+    markAsRead: asyncHandler(async (req, res) => {
+        const { id } = req.params;
+        const { userId } = req.user;
+
+        const alert = await alertService.markAsRead(id, userId);
+
+        return ApiResponse.success(
+            res,
+            alert,
+            'Alert marked as read'
+        );
+    }),
+
+    /**
+     * Mark all alerts as read
+     */
+    markAllAsRead: asyncHandler(async (req, res) => {
+        const { userId } = req.user;
+
+        const result = await alertService.markAllAsRead(userId, req.body.internshipId);
+
+        return ApiResponse.success(
+            res,
+            result,
+            `${result.updated} alert(s) marked as read`
+        );
+    }),
+};
+
+module.exports = alertController;
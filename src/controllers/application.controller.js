@@ -0,0 +1,118 @@
+// src/controllers/application.controller.js
+const applicationService = require('../services/application.service');
+const ApiResponse = require('../utils/response.util');
+const { asyncHandler } = require('../middlewares/error.middleware');
+
+const applicationController = {
+    // ==========================================
+    // STUDENT CONTROLLERS
+    // ==========================================
+
+    /**
+     * Browse internships accepting applications
+     */
+    getOpenInternships: asyncHandler(async (req, res) => {
+        const studentId = req.user.userId;
+
+        const result = await applicationService.getOpenInternships(studentId, req.query);
+
+        return ApiResponse.paginated(
+            res,
+            result.internships,
+            result.pagination,
+            'Open internships retrieved successfully'
+        );
+    }),
+
+    /**
+     * Apply to an internship (optional resume file)
+     */
+    apply: asyncHandler(async (req, res) => {
+        const studentId = req.user.userId;
+
+        const application = await applicationService.apply(req.body, req.file, studentId);
+
+        return ApiResponse.created(
+            res,
+            application,
+            'Application submitted successfully'
+        );
+    }),
+
+    /**
+     * Get student's own applications
+     */
+    getMyApplications: asyncHandler(async (req, res) => {
+        const studentId = req.user.userId;
+
+        const applications = await applicationService.getMyApplications(studentId, req.query);
+
+        return ApiResponse.success(
+            res,
+            applications,
+            'Applications retrieved successfully'
+        );
+    }),
+
+    /**
+     * Withdraw application (or drop an active enrollment)
+     */
+    withdraw: asyncHandler(async (req, res) => {
+        const { id } = req.params;
+        const studentId = req.user.userId;
+
+        const enrollment = await applicationService.withdraw(id, studentId);
+
+        return ApiResponse.success(
+            res,
+            enrollment,
+            enrollment.status === 'dropped'
+                ? 'You have left the internship'
+                : 'Application withdrawn successfully'
+        );
+    }),
+
+    // ==========================================
+    // TRAINER CONTROLLERS
+    // ==========================================
+
+    /**
+     * Get applications to an internship
+     */
+    getApplications: asyncHandler(async (req, res) => {
+        const { internshipId } = req.params;
+
+        const result = await applicationService.getApplications(internshipId, req.query, req.user);
+
+        return ApiResponse.paginated(
+            res,
+            result.applications,
+            result.pagination,
+            'Applications retrieved successfully'
+        );
+    }),
+
+    /**
+     * Shortlist, accept or reject an application
+     */
+    decide: asyncHandler(async (req, res) => {
+        const { id } = req.params;
+
+        const application = await applicationService.decide(id, req.body, req.user);
+
+        const messages = {
+            pending: 'Application shortlisted',
+            active: 'Application accepted and student enrolled',
+            waitlisted: 'No seats available; student added to the waitlist',
+            rejected: 'Application rejected',
+        };
+
+        return ApiResponse.success(
+            res,
+            application,
+            messages[application.status]
+        );
+    }),
+};
+
+module.exports = applicationController;
@@ -1,5 +1,7 @@
 // src/controllers/attendance.controller.js
 const attendanceService = require('../services/attendance.service');
+const attendanceAutoAbsentService = require('../services/attendanceAutoAbsent.service');
+const attendanceTransferService = require('../services/attendanceTransfer.service');
 const ApiResponse = require('../utils/response.util');
 const { asyncHandler } = require('../middlewares/error.middleware');
 
@@ -44,6 +46,68 @@ class AttendanceController {
         );
     });
 
+    /**
+     * @route   POST /api/v1/attendance/check-in
+     * @desc    Student self check-in inside the internship geofence
+     * @access  Private (Student)
+     */
+    checkIn = asyncHandler(async (req, res) => {
+        const { userId } = req.user;
+        const data = {
+            ...req.body,
+            ipAddress: req.ip,
+            device: req.headers['user-agent'],
+        };
+
+        const attendance = await attendanceService.checkIn(data, userId);
+
+        return ApiResponse.success(
+            res,
+            attendance,
+            attendance.reviewStatus === 'pending'
+                ? 'Checked in outside the venue. Your attendance is pending trainer review'
+                : 'Checked in successfully',
+            201
+        );
+    });
+
+    /**
+     * @route   POST /api/v1/attendance/check-out
+     * @desc    Student self check-out
+     * @access  Private (Student)
+     */
+    checkOut = asyncHandler(async (req, res) => {
+        const { userId } = req.user;
+        const attendance = await attendanceService.checkOut(req.body, userId);
+
+        return ApiResponse.success(
+            res,
+            attendance,
+            'Checked out successfully'
+        );
+    });
+
+    /**
+     * @route   PATCH /api/v1/attendance/:id/review
+     * @desc    Approve or reject a self check-in pending review
+     * @access  Private (Trainer, Admin)
+     */
+    reviewAttendance = asyncHandler(async (req, res) => {
+        const { userId, role } = req.user;
+        const attendance = await attendanceService.reviewAttendance(
+            req.params.id,
+            req.body,
+            userId,
+            role
+        );
+
+        return ApiResponse.success(
+            res,
+            attendance,
+            `Attendance ${attendance.reviewStatus} successfully`
+        );
+    });
+
     /**
      * @route   GET /api/v1/attendance
      * @desc    Get attendance records with filters
@@ -55,6 +119,7 @@ class AttendanceController {
             internshipId: req.query.internshipId,
             studentId: req.query.studentId,
             status: req.query.status,
+            reviewStatus: req.query.reviewStatus,
             startDate: req.query.startDate,
             endDate: req.query.endDate,
             month: req.query.month,
@@ -166,7 +231,24 @@ class AttendanceController {
      */
     getMonthlyReport = asyncHandler(async (req, res) => {
         const { userId, role } = req.user;
-        const { month, year } = req.query;
+        const { month, year, format = 'json' } = req.query;
+
+        // Register grid as a file download
+        if (format !== 'json') {
+            const file = await attendanceTransferService.exportRegister(
+                req.params.internshipId,
+                month,
+                year,
+                format,
+                userId,
+                role
+            );
+
+            res.setHeader('Content-Type', file.contentType);
+            res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+
+            return res.send(file.content);
+        }
 
         const report = await attendanceService.getInternshipMonthlyReport(
             req.params.internshipId,
@@ -183,6 +265,51 @@ class AttendanceController {
         );
     });
 
+    /**
+     * @route   POST /api/v1/attendance/import/:internshipId
+     * @desc    Import a monthly register grid (XLSX/CSV) to create/update records
+     * @access  Private (Trainer, Admin)
+     */
+    importRegister = asyncHandler(async (req, res) => {
+        const { userId, role } = req.user;
+
+        const result = await attendanceTransferService.importRegister(
+            req.params.internshipId,
+            req.file,
+            req.body,
+            userId,
+            role
+        );
+
+        const message = result.dryRun
+            ? `Dry run: ${result.invalid} of ${result.total} rows have errors`
+            : `${result.created} record(s) created and ${result.updated} updated; ${result.invalid} row(s) skipped`;
+
+        return ApiResponse.success(res, result, message);
+    });
+
+    /**
+     * @route   GET /api/v1/attendance/auto-absent/preview/:internshipId
+     * @desc    Dry run of the auto-absent job for a day
+     * @access  Private (Trainer, Admin)
+     */
+    getAutoAbsentPreview = asyncHandler(async (req, res) => {
+        const { userId, role } = req.user;
+
+        const report = await attendanceAutoAbsentService.getPreview(
+            req.params.internshipId,
+            req.query.date,
+            userId,
+            role
+        );
+
+        return ApiResponse.success(
+            res,
+            report,
+            'Auto-absent preview generated successfully'
+        );
+    });
+
     /**
      * @route   GET /api/v1/attendance/enrolled-students/:internshipId
      * @desc    Get enrolled students for an internship
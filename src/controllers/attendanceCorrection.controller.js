@@ -0,0 +1,123 @@
+// src/controllers/attendanceCorrection.controller.js
+const attendanceCorrectionService = require('../services/attendanceCorrection.service');
+const ApiResponse = require('../utils/response.util');
+const { asyncHandler } = require('../middlewares/error.middleware');
+
+class AttendanceCorrectionController {
+    /**
+     * @route   POST /api/v1/attendance/:id/corrections
+     * @desc    Request a correction to own attendance record (optional evidence file)
+     * @access  Private (Student)
+     */
+    createCorrection = asyncHandler(async (req, res) => {
+        const { userId } = req.user;
+        const correction = await attendanceCorrectionService.createCorrection(
+            req.params.id,
+            req.body,
+            req.file,
+            userId
+        );
+
+        return ApiResponse.created(
+            res,
+            correction,
+            'Correction request submitted successfully'
+        );
+    });
+
+    /**
+     * @route   GET /api/v1/attendance/corrections/my
+     * @desc    Get own correction requests
+     * @access  Private (Student)
+     */
+    getMyCorrections = asyncHandler(async (req, res) => {
+        const { userId } = req.user;
+        const result = await attendanceCorrectionService.getMyCorrections(userId, req.query);
+
+        return ApiResponse.paginated(
+            res,
+            result.corrections,
+            result.pagination,
+            'Correction requests retrieved successfully'
+        );
+    });
+
+    /**
+     * @route   PATCH /api/v1/attendance/corrections/:correctionId/cancel
+     * @desc    Cancel a pending correction request
+     * @access  Private (Student)
+     */
+    cancelCorrection = asyncHandler(async (req, res) => {
+        const { userId } = req.user;
+        const correction = await attendanceCorrectionService.cancelCorrection(
+            req.params.correctionId,
+            userId
+        );
+
+        return ApiResponse.success(
+            res,
+            correction,
+            'Correction request cancelled successfully'
+        );
+    });
+
+    /**
+     * @route   GET /api/v1/attendance/corrections
+     * @desc    Get correction requests on managed internships
+     * @access  Private (Trainer, Admin)
+     */
+    getCorrections = asyncHandler(async (req, res) => {
+        const { userId, role } = req.user;
+        const result = await attendanceCorrectionService.getCorrections(userId, role, req.query);
+
+        return ApiResponse.paginated(
+            res,
+            result.corrections,
+            result.pagination,
+            'Correction requests retrieved successfully'
+        );
+    });
+
+    /**
+     * @route   PATCH /api/v1/attendance/corrections/:correctionId/resolve
+     * @desc    Approve or reject a correction request
+     * @access  Private (Trainer, Admin)
+     */
+    resolveCorrection = asyncHandler(async (req, res) => {
+        const { userId, role } = req.user;
+        const correction = await attendanceCorrectionService.resolveCorrection(
+            req.params.correctionId,
+            req.body,
+            userId,
+            role
+        );
+
+        return ApiResponse.success(
+            res,
+            correction,
+            `Correction request ${correction.status} successfully`
+        );
+    });
+
+    /**
+     * @route   GET /api/v1/attendance/:id/history
+     * @desc    Get the full edit history of an attendance record
+     * @access  Private
+     */
+    getHistory = asyncHandler(async (req, res) => {
+        const { userId, role } = req.user;
+        const history = await attendanceCorrectionService.getHistory(
+            req.params.id,
+            userId,
+            role
+        );
+
+        return ApiResponse.success(
+            res,
+            history,
+            'Attendance history retrieved successfully'
+        );
+    });
+}
+
+module.exports = new AttendanceCorrectionController();
@@ -0,0 +1,108 @@
+// src/controllers/attendanceSession.controller.js
+const attendanceSessionService = require('../services/attendanceSession.service');
+const ApiResponse = require('../utils/response.util');
+const { asyncHandler } = require('../middlewares/error.middleware');
+
+class AttendanceSessionController {
+    /**
+     * @route   POST /api/v1/attendance/sessions
+     * @desc    Open a QR attendance session
+     * @access  Private (Trainer, Admin)
+     */
+    openSession = asyncHandler(async (req, res) => {
+        const { userId, role } = req.user;
+        const result = await attendanceSessionService.openSession(req.body, userId, role);
+
+        return ApiResponse.success(
+            res,
+            result,
+            'Attendance session opened successfully',
+            201
+        );
+    });
+
+    /**
+     * @route   GET /api/v1/attendance/sessions/:sessionId
+     * @desc    Get attendance session with checked-in students
+     * @access  Private (Trainer, Admin)
+     */
+    getSession = asyncHandler(async (req, res) => {
+        const { userId, role } = req.user;
+        const result = await attendanceSessionService.getSession(
+            req.params.sessionId,
+            userId,
+            role
+        );
+
+        return ApiResponse.success(
+            res,
+            result,
+            'Attendance session retrieved successfully'
+        );
+    });
+
+    /**
+     * @route   GET /api/v1/attendance/sessions/:sessionId/token
+     * @desc    Get the current rotating QR token
+     * @access  Private (Trainer, Admin)
+     */
+    getCurrentToken = asyncHandler(async (req, res) => {
+        const { userId, role } = req.user;
+        const result = await attendanceSessionService.getCurrentToken(
+            req.params.sessionId,
+            userId,
+            role
+        );
+
+        return ApiResponse.success(
+            res,
+            result,
+            'Token issued successfully'
+        );
+    });
+
+    /**
+     * @route   POST /api/v1/attendance/sessions/redeem
+     * @desc    Check in by redeeming a scanned QR token
+     * @access  Private (Student)
+     */
+    redeemToken = asyncHandler(async (req, res) => {
+        const { userId } = req.user;
+        const data = {
+            ...req.body,
+            ipAddress: req.ip,
+            device: req.headers['user-agent'],
+        };
+
+        const attendance = await attendanceSessionService.redeemToken(data, userId);
+
+        return ApiResponse.success(
+            res,
+            attendance,
+            'Checked in successfully',
+            201
+        );
+    });
+
+    /**
+     * @route   POST /api/v1/attendance/sessions/:sessionId/close
+     * @desc    Close session and mark remaining students absent
+     * @access  Private (Trainer, Admin)
+     */
+    closeSession = asyncHandler(async (req, res) => {
+        const { userId, role } = req.user;
+        const result = await attendanceSessionService.closeSession(
+            req.params.sessionId,
+            userId,
+            role
+        );
+
+        return ApiResponse.success(
+            res,
+            result,
+            'Attendance session closed successfully'
+        );
+    });
+}
+
+module.exports = new AttendanceSessionController();
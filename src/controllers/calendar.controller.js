@@ -0,0 +1,69 @@
+// src/controllers/calendar.controller.js
+const calendarService = require('../services/calendar.service');
+const ApiResponse = require('../utils/response.util');
+const { asyncHandler } = require('../middlewares/error.middleware');
+
+const calendarController = {
+    /**
+     * Add holiday / working-day entries
+     */
+    createEntries: asyncHandler(async (req, res) => {
+        const { userId, role } = req.user;
+
+        const entries = await calendarService.createEntries(req.body, userId, role);
+
+        return ApiResponse.created(
+            res,
+            entries,
+            'Calendar updated successfully'
+        );
+    }),
+
+    /**
+     * Get calendar entries
+     */
+    getEntries: asyncHandler(async (req, res) => {
+        const { userId, role } = req.user;
+
+        const entries = await calendarService.getEntries(req.query, userId, role);
+
+        return ApiResponse.success(
+            res,
+            entries,
+            'Calendar retrieved successfully'
+        );
+    }),
+
+    /**
+     * Get expected working days of an internship
+     */
+    getWorkingDays: asyncHandler(async (req, res) => {
+        const { internshipId, from, to } = req.query;
+
+        const result = await calendarService.getWorkingDays(internshipId, from, to);
+
+        return ApiResponse.success(
+            res,
+            result,
+            'Working days retrieved successfully'
+        );
+    }),
+
+    /**
+     * Delete calendar entry
+     */
+    deleteEntry: asyncHandler(async (req, res) => {
+        const { id } = req.params;
+        const { userId, role } = req.user;
+
+        await calendarService.deleteEntry(id, userId, role);
+
+        return ApiResponse.success(
+            res,
+            null,
+            'Calendar entry deleted successfully'
+        );
+    }),
+};
+
+module.exports = calendarController;
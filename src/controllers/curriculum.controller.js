@@ -0,0 +1,132 @@
+// src/controllers/curriculum.controller.js
+const curriculumService = require('../services/curriculum.service');
+const ApiResponse = require('../utils/response.util');
+const { asyncHandler } = require('../middlewares/error.middleware');
+
+const curriculumController = {
+    /**
+     * Get internship syllabus (students also get their module progress)
+     */
+    getCurriculum: asyncHandler(async (req, res) => {
+        const { internshipId } = req.params;
+
+        const curriculum = await curriculumService.getCurriculum(internshipId, req.user);
+
+        return ApiResponse.success(
+            res,
+            curriculum,
+            'Curriculum retrieved successfully'
+        );
+    }),
+
+    /**
+     * Add module to internship
+     */
+    createModule: asyncHandler(async (req, res) => {
+        const { internshipId } = req.params;
+
+        const curriculumModule = await curriculumService.createModule(internshipId, req.body, req.user);
+
+        return ApiResponse.created(
+            res,
+            curriculumModule,
+            'Module created successfully'
+        );
+    }),
+
+    /**
+     * Update module details
+     */
+    updateModule: asyncHandler(async (req, res) => {
+        const { id } = req.params;
+
+        const curriculumModule = await curriculumService.updateModule(id, req.body, req.user);
+
+        return ApiResponse.success(
+            res,
+            curriculumModule,
+            'Module updated successfully'
+        );
+    }),
+
+    /**
+     * Delete module (its items become unassigned)
+     */
+    deleteModule: asyncHandler(async (req, res) => {
+        const { id } = req.params;
+
+        await curriculumService.deleteModule(id, req.user);
+
+        return ApiResponse.success(
+            res,
+            null,
+            'Module deleted successfully'
+        );
+    }),
+
+    /**
+     * Reorder internship modules
+     */
+    reorderModules: asyncHandler(async (req, res) => {
+        const { internshipId } = req.params;
+
+        const modules = await curriculumService.reorderModules(
+            internshipId,
+            req.body.moduleIds,
+            req.user
+        );
+
+        return ApiResponse.success(
+            res,
+            modules,
+            'Modules reordered successfully'
+        );
+    }),
+
+    /**
+     * Set assignments and quizzes belonging to a module
+     */
+    setModuleItems: asyncHandler(async (req, res) => {
+        const { id } = req.params;
+
+        const result = await curriculumService.setModuleItems(id, req.body, req.user);
+
+        return ApiResponse.success(
+            res,
+            result,
+            'Module items updated successfully'
+        );
+    }),
+
+    /**
+     * Attach file or link resource to a module
+     */
+    addResource: asyncHandler(async (req, res) => {
+        const { id } = req.params;
+
+        const resource = await curriculumService.addResource(id, req.body, req.file, req.user);
+
+        return ApiResponse.created(
+            res,
+            resource,
+            'Resource added successfully'
+        );
+    }),
+
+    /**
+     * Remove resource from a module
+     */
+    removeResource: asyncHandler(async (req, res) => {
+        const { id, resourceId } = req.params;
+
+        const curriculumModule = await curriculumService.removeResource(id, resourceId, req.user);
+
+        return ApiResponse.success(
+            res,
+            curriculumModule,
+            'Resource removed successfully'
+        );
+    }),
+};
+
+module.exports = curriculumController;
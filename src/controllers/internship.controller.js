@@ -2,6 +2,7 @@
 // Enhanced HTTP layer with bulk operations and available students endpoint
 
 const internshipService = require('../services/internship.service');
+const internshipTemplateService = require('../services/internshipTemplate.service');
 const ApiResponse = require('../utils/response.util');
 const { asyncHandler } = require('../middlewares/error.middleware');
 
@@ -201,6 +202,157 @@ const internshipController = {
         );
     }),
 
+    /**
+     * Set weekly timetable (late and half-day detection)
+     * PUT /api/v1/internships/:id/schedule
+     * Access: Trainer (owner), Admin
+     */
+    setSchedule: asyncHandler(async (req, res) => {
+        const { id } = req.params;
+
+        const internship = await internshipService.setSchedule(id, req.body, req.user);
+
+        return ApiResponse.success(
+            res,
+            internship,
+            'Schedule updated successfully'
+        );
+    }),
+
+    /**
+     * Remove weekly timetable
+     * DELETE /api/v1/internships/:id/schedule
+     * Access: Trainer (owner), Admin
+     */
+    removeSchedule: asyncHandler(async (req, res) => {
+        const { id } = req.params;
+
+        const internship = await internshipService.setSchedule(id, null, req.user);
+
+        return ApiResponse.success(
+            res,
+            internship,
+            'Schedule removed successfully'
+        );
+    }),
+
+    /**
+     * Clone internship (curriculum, assignments, quizzes) for a new cohort
+     * POST /api/v1/internships/:id/clone
+     * Access: Trainer (owner), Admin
+     */
+    cloneInternship: asyncHandler(async (req, res) => {
+        const { id } = req.params;
+
+        const result = await internshipTemplateService.cloneInternship(id, req.body, req.user);
+
+        return ApiResponse.created(
+            res,
+            result,
+            'Internship cloned successfully'
+        );
+    }),
+
+    /**
+     * Save internship structure as a reusable template
+     * POST /api/v1/internships/:id/template
+     * Access: Trainer (owner), Admin
+     */
+    saveAsTemplate: asyncHandler(async (req, res) => {
+        const { id } = req.params;
+
+        const template = await internshipTemplateService.saveAsTemplate(id, req.body, req.user);
+
+        return ApiResponse.created(
+            res,
+            template,
+            'Template saved successfully'
+        );
+    }),
+
+    /**
+     * Report internships whose seat counter disagrees with enrollments
+     * GET /api/v1/internships/seat-drift
+     * Access: Admin
+     */
+    getSeatDrift: asyncHandler(async (req, res) => {
+        const report = await internshipService.getSeatDrift();
+
+        return ApiResponse.success(
+            res,
+            report,
+            'Seat drift report generated successfully'
+        );
+    }),
+
+    /**
+     * Recompute seat counters from enrollments
+     * POST /api/v1/internships/seat-drift/reconcile
+     * Access: Admin
+     */
+    reconcileSeats: asyncHandler(async (req, res) => {
+        const result = await internshipService.reconcileSeats(req.body);
+
+        return ApiResponse.success(
+            res,
+            result,
+            result.dryRun
+                ? 'Seat reconciliation preview generated'
+                : 'Seat counters reconciled successfully'
+        );
+    }),
+
+    /**
+     * Update early-warning alert thresholds
+     * PUT /api/v1/internships/:id/alert-settings
+     * Access: Trainer (owner), Admin
+     */
+    setAlertSettings: asyncHandler(async (req, res) => {
+        const { id } = req.params;
+
+        const internship = await internshipService.setAlertSettings(id, req.body, req.user);
+
+        return ApiResponse.success(
+            res,
+            internship.alertSettings,
+            'Alert settings updated successfully'
+        );
+    }),
+
+    /**
+     * Set venue geofence for self check-in
+     * PUT /api/v1/internships/:id/geofence
+     * Access: Trainer (owner), Admin
+     */
+    setGeofence: asyncHandler(async (req, res) => {
+        const { id } = req.params;
+
+        const internship = await internshipService.setGeofence(id, req.body, req.user);
+
+        return ApiResponse.success(
+            res,
+            internship,
+            'Geofence updated successfully'
+        );
+    }),
+
+    /**
+     * Remove venue geofence (disables self check-in)
+     * DELETE /api/v1/internships/:id/geofence
+     * Access: Trainer (owner), Admin
+     */
+    removeGeofence: asyncHandler(async (req, res) => {
+        const { id } = req.params;
+
+        const internship = await internshipService.setGeofence(id, null, req.user);
+
+        return ApiResponse.success(
+            res,
+            internship,
+            'Geofence removed successfully'
+        );
+    }),
+
     /**
      * Get enrolled students for internship
      * GET /api/v1/internships/:id/students
@@ -0,0 +1,67 @@
+// src/controllers/internshipTemplate.controller.js
+const internshipTemplateService = require('../services/internshipTemplate.service');
+const ApiResponse = require('../utils/response.util');
+const { asyncHandler } = require('../middlewares/error.middleware');
+
+const internshipTemplateController = {
+    /**
+     * List internship templates
+     */
+    getTemplates: asyncHandler(async (req, res) => {
+        const result = await internshipTemplateService.getTemplates(req.query);
+
+        return ApiResponse.paginated(
+            res,
+            result.templates,
+            result.pagination,
+            'Templates retrieved successfully'
+        );
+    }),
+
+    /**
+     * Get template with its full structure
+     */
+    getTemplateById: asyncHandler(async (req, res) => {
+        const { id } = req.params;
+
+        const template = await internshipTemplateService.getTemplateById(id);
+
+        return ApiResponse.success(
+            res,
+            template,
+            'Template retrieved successfully'
+        );
+    }),
+
+    /**
+     * Create a draft internship from a template
+     */
+    instantiateTemplate: asyncHandler(async (req, res) => {
+        const { id } = req.params;
+
+        const result = await internshipTemplateService.instantiateTemplate(id, req.body, req.user);
+
+        return ApiResponse.created(
+            res,
+            result,
+            'Internship created from template successfully'
+        );
+    }),
+
+    /**
+     * Delete template
+     */
+    deleteTemplate: asyncHandler(async (req, res) => {
+        const { id } = req.params;
+
+        await internshipTemplateService.deleteTemplate(id, req.user);
+
+        return ApiResponse.success(
+            res,
+            null,
+            'Template deleted successfully'
+        );
+    }),
+};
+
+module.exports = internshipTemplateController;
@@ -0,0 +1,115 @@
+// src/controllers/leave.controller.js
+const leaveService = require('../services/leave.service');
+const ApiResponse = require('../utils/response.util');
+const { asyncHandler } = require('../middlewares/error.middleware');
+
+const leaveController = {
+    // ==========================================
+    // STUDENT CONTROLLERS
+    // ==========================================
+
+    /**
+     * Submit leave request (optional supporting document)
+     */
+    createLeaveRequest: asyncHandler(async (req, res) => {
+        const studentId = req.user.userId;
+
+        const request = await leaveService.createLeaveRequest(req.body, req.file, studentId);
+
+        return ApiResponse.created(
+            res,
+            request,
+            'Leave request submitted successfully'
+        );
+    }),
+
+    /**
+     * Get student's own leave requests
+     */
+    getMyLeaveRequests: asyncHandler(async (req, res) => {
+        const studentId = req.user.userId;
+
+        const result = await leaveService.getMyLeaveRequests(studentId, req.query);
+
+        return ApiResponse.paginated(
+            res,
+            result.requests,
+            result.pagination,
+            'Leave requests retrieved successfully'
+        );
+    }),
+
+    /**
+     * Cancel pending leave request
+     */
+    cancelLeaveRequest: asyncHandler(async (req, res) => {
+        const { id } = req.params;
+        const studentId = req.user.userId;
+
+        const request = await leaveService.cancelLeaveRequest(id, studentId);
+
+        return ApiResponse.success(
+            res,
+            request,
+            'Leave request cancelled successfully'
+        );
+    }),
+
+    // ==========================================
+    // TRAINER CONTROLLERS
+    // ==========================================
+
+    /**
+     * Get leave requests for trainer's internships
+     */
+    getLeaveRequests: asyncHandler(async (req, res) => {
+        const { userId, role } = req.user;
+
+        const result = await leaveService.getLeaveRequests(userId, role, req.query);
+
+        return ApiResponse.paginated(
+            res,
+            result.requests,
+            result.pagination,
+            'Leave requests retrieved successfully'
+        );
+    }),
+
+    /**
+     * Approve or reject leave request
+     */
+    reviewLeaveRequest: asyncHandler(async (req, res) => {
+        const { id } = req.params;
+        const { userId, role } = req.user;
+
+        const request = await leaveService.reviewLeaveRequest(id, req.body, userId, role);
+
+        return ApiResponse.success(
+            res,
+            request,
+            `Leave request ${request.status} successfully`
+        );
+    }),
+
+    // ==========================================
+    // SHARED CONTROLLERS
+    // ==========================================
+
+    /**
+     * Get leave request by ID
+     */
+    getLeaveRequestById: asyncHandler(async (req, res) => {
+        const { id } = req.params;
+        const { userId, role } = req.user;
+
+        const request = await leaveService.getLeaveRequestById(id, userId, role);
+
+        return ApiResponse.success(
+            res,
+            request,
+            'Leave request retrieved successfully'
+        );
+    }),
+};
+
+module.exports = leaveController;
@@ -0,0 +1,121 @@
+// src/controllers/questionBank.controller.js
+const questionBankService = require('../services/questionBank.service');
+const ApiResponse = require('../utils/response.util');
+const { asyncHandler } = require('../middlewares/error.middleware');
+
+const questionBankController = {
+    /**
+     * Create bank question
+     */
+    createQuestion: asyncHandler(async (req, res) => {
+        const trainerId = req.user.userId;
+
+        const question = await questionBankService.createQuestion(req.body, trainerId);
+
+        return ApiResponse.created(
+            res,
+            question,
+            'Question added to bank successfully'
+        );
+    }),
+
+    /**
+     * List bank questions
+     */
+    getQuestions: asyncHandler(async (req, res) => {
+        const trainerId = req.user.userId;
+        const filters = req.query;
+
+        const result = await questionBankService.getQuestions(trainerId, filters);
+
+        return ApiResponse.paginated(
+            res,
+            result.questions,
+            result.pagination,
+            'Bank questions retrieved successfully'
+        );
+    }),
+
+    /**
+     * Tag, skill and difficulty counts
+     */
+    getFacets: asyncHandler(async (req, res) => {
+        const trainerId = req.user.userId;
+
+        const facets = await questionBankService.getFacets(trainerId);
+
+        return ApiResponse.success(
+            res,
+            facets,
+            'Question bank facets retrieved successfully'
+        );
+    }),
+
+    /**
+     * Get bank question by ID
+     */
+    getQuestionById: asyncHandler(async (req, res) => {
+        const { id } = req.params;
+        const trainerId = req.user.userId;
+
+        const question = await questionBankService.getQuestionById(id, trainerId);
+
+        return ApiResponse.success(
+            res,
+            question,
+            'Bank question retrieved successfully'
+        );
+    }),
+
+    /**
+     * Update bank question
+     */
+    updateQuestion: asyncHandler(async (req, res) => {
+        const { id } = req.params;
+        const trainerId = req.user.userId;
+
+        const question = await questionBankService.updateQuestion(id, req.body, trainerId);
+
+        return ApiResponse.success(
+            res,
+            question,
+            'Bank question updated successfully'
+        );
+    }),
+
+    /**
+     * Delete bank question
+     */
+    deleteQuestion: asyncHandler(async (req, res) => {
+        const { id } = req.params;
+        const trainerId = req.user.userId;
+
+        const result = await questionBankService.deleteQuestion(id, trainerId);
+
+        return ApiResponse.success(
+            res,
+            result,
+            result.deactivated
+                ? 'Bank question is used by quizzes and was deactivated'
+                : 'Bank question deleted successfully'
+        );
+    }),
+
+    /**
+     * Copy quiz questions into the bank
+     */
+    importFromQuiz: asyncHandler(async (req, res) => {
+        const { quizId } = req.params;
+        const trainerId = req.user.userId;
+
+        const result = await questionBankService.importFromQuiz(quizId, trainerId, req.body);
+
+        return ApiResponse.created(
+            res,
+            result,
+            `${result.imported} question(s) imported to bank`
+        );
+    }),
+};
+
+module.exports = questionBankController;
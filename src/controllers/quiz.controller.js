@@ -0,0 +1,570 @@
+// src/controllers/quiz.controller.js
+const quizService = require('../services/quiz.service');
+const quizTransferService = require('../services/quizTransfer.service');
+const ApiResponse = require('../utils/response.util');
+const { asyncHandler } = require('../middlewares/error.middleware');
+
+const quizController = {
+    // ==========================================
+    // TRAINER CONTROLLERS
+    // ==========================================
+
+    /**
+     * Create new quiz
+     */
+    createQuiz: asyncHandler(async (req, res) => {
+        const trainerId = req.user.userId;
+
+        const quiz = await quizService.createQuiz(req.body, trainerId);
+
+        return ApiResponse.created(
+            res,
+            quiz,
+            'Quiz created successfully'
+        );
+    }),
+
+    /**
+     * Get all quizzes created by trainer
+     */
+    getTrainerQuizzes: asyncHandler(async (req, res) => {
+        const trainerId = req.user.userId;
+        const filters = req.query;
+
+        const result = await quizService.getTrainerQuizzes(trainerId, filters);
+
+        return ApiResponse.paginated(
+            res,
+            result.quizzes,
+            result.pagination,
+            'Quizzes retrieved successfully'
+        );
+    }),
+
+    /**
+     * Get quiz by ID with questions
+     */
+    getQuizById: asyncHandler(async (req, res) => {
+        const { id } = req.params;
+        const trainerId = req.user.userId;
+
+        const quiz = await quizService.getQuizById(id, trainerId);
+
+        return ApiResponse.success(
+            res,
+            quiz,
+            'Quiz retrieved successfully'
+        );
+    }),
+
+    /**
+     * Update quiz
+     */
+    updateQuiz: asyncHandler(async (req, res) => {
+        const { id } = req.params;
+        const trainerId = req.user.userId;
+
+        const quiz = await quizService.updateQuiz(id, req.body, trainerId);
+
+        return ApiResponse.success(
+            res,
+            quiz,
+            'Quiz updated successfully'
+        );
+    }),
+
+    /**
+     * Delete quiz
+     */
+    deleteQuiz: asyncHandler(async (req, res) => {
+        const { id } = req.params;
+        const trainerId = req.user.userId;
+
+        await quizService.deleteQuiz(id, trainerId);
+
+        return ApiResponse.success(
+            res,
+            null,
+            'Quiz deleted successfully'
+        );
+    }),
+
+    /**
+     * Publish quiz
+     */
+    publishQuiz: asyncHandler(async (req, res) => {
+        const { id } = req.params;
+        const trainerId = req.user.userId;
+
+        const quiz = await quizService.publishQuiz(id, trainerId);
+
+        return ApiResponse.success(
+            res,
+            quiz,
+            'Quiz published successfully'
+        );
+    }),
+
+    /**
+     * Close quiz
+     */
+    closeQuiz: asyncHandler(async (req, res) => {
+        const { id } = req.params;
+        const trainerId = req.user.userId;
+
+        const quiz = await quizService.closeQuiz(id, trainerId);
+
+        return ApiResponse.success(
+            res,
+            quiz,
+            'Quiz closed successfully'
+        );
+    }),
+
+    /**
+     * Release or withdraw quiz results
+     */
+    releaseResults: asyncHandler(async (req, res) => {
+        const { id } = req.params;
+        const trainerId = req.user.userId;
+
+        const quiz = await quizService.releaseResults(id, trainerId, req.body.released);
+
+        return ApiResponse.success(
+            res,
+            quiz,
+            quiz.resultsReleasedAt ? 'Results released successfully' : 'Results withdrawn successfully'
+        );
+    }),
+
+    /**
+     * Add question to quiz
+     */
+    addQuestion: asyncHandler(async (req, res) => {
+        const { id } = req.params;
+        const trainerId = req.user.userId;
+
+        const question = await quizService.addQuestion(id, req.body, trainerId);
+
+        return ApiResponse.created(
+            res,
+            question,
+            'Question added successfully'
+        );
+    }),
+
+    /**
+     * Update question
+     */
+    updateQuestion: asyncHandler(async (req, res) => {
+        const { quizId, questionId } = req.params;
+        const trainerId = req.user.userId;
+
+        const question = await quizService.updateQuestion(
+            quizId,
+            questionId,
+            req.body,
+            trainerId
+        );
+
+        return ApiResponse.success(
+            res,
+            question,
+            'Question updated successfully'
+        );
+    }),
+
+    /**
+     * Delete question
+     */
+    deleteQuestion: asyncHandler(async (req, res) => {
+        const { quizId, questionId } = req.params;
+        const trainerId = req.user.userId;
+
+        await quizService.deleteQuestion(quizId, questionId, trainerId);
+
+        return ApiResponse.success(
+            res,
+            null,
+            'Question deleted successfully'
+        );
+    }),
+
+    /**
+     * Add questions from the trainer's bank
+     */
+    addQuestionsFromBank: asyncHandler(async (req, res) => {
+        const { id } = req.params;
+        const trainerId = req.user.userId;
+
+        const questions = await quizService.addQuestionsFromBank(
+            id,
+            req.body.bankQuestionIds,
+            trainerId
+        );
+
+        return ApiResponse.created(
+            res,
+            questions,
+            'Questions added from bank successfully'
+        );
+    }),
+
+    /**
+     * Set random-draw question pools
+     */
+    setQuestionPools: asyncHandler(async (req, res) => {
+        const { id } = req.params;
+        const trainerId = req.user.userId;
+
+        const quiz = await quizService.setQuestionPools(id, req.body.pools, trainerId);
+
+        return ApiResponse.success(
+            res,
+            quiz,
+            'Question pools updated successfully'
+        );
+    }),
+
+    /**
+     * Set a student's accommodation (extra time / extended window)
+     */
+    setAccommodation: asyncHandler(async (req, res) => {
+        const { id, studentId } = req.params;
+        const trainerId = req.user.userId;
+
+        const accommodation = await quizService.setAccommodation(id, studentId, req.body, trainerId);
+
+        return ApiResponse.success(
+            res,
+            accommodation,
+            'Accommodation saved successfully'
+        );
+    }),
+
+    /**
+     * Remove a student's accommodation
+     */
+    removeAccommodation: asyncHandler(async (req, res) => {
+        const { id, studentId } = req.params;
+        const trainerId = req.user.userId;
+
+        await quizService.removeAccommodation(id, studentId, trainerId);
+
+        return ApiResponse.success(
+            res,
+            null,
+            'Accommodation removed successfully'
+        );
+    }),
+
+    /**
+     * Import questions from a GIFT, JSON or XLSX file
+     */
+    importQuestions: asyncHandler(async (req, res) => {
+        const { id } = req.params;
+        const trainerId = req.user.userId;
+
+        const result = await quizTransferService.importQuestions(id, trainerId, req.file, req.body);
+
+        if (result.dryRun) {
+            return ApiResponse.success(
+                res,
+                result,
+                result.invalid > 0
+                    ? `Dry run: ${result.invalid} of ${result.total} questions have errors`
+                    : `Dry run: all ${result.total} questions are valid`
+            );
+        }
+
+        return ApiResponse.created(
+            res,
+            result,
+            `${result.imported} question(s) imported successfully`
+        );
+    }),
+
+    /**
+     * Export quiz questions as GIFT or JSON
+     */
+    exportQuiz: asyncHandler(async (req, res) => {
+        const { id } = req.params;
+        const trainerId = req.user.userId;
+
+        const file = await quizTransferService.exportQuiz(id, trainerId, req.query.format);
+
+        res.setHeader('Content-Type', file.contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+
+        return res.send(file.content);
+    }),
+
+    /**
+     * Per-question item analysis
+     */
+    getItemAnalysis: asyncHandler(async (req, res) => {
+        const { id } = req.params;
+        const trainerId = req.user.userId;
+
+        const analysis = await quizService.getItemAnalysis(id, trainerId);
+
+        return ApiResponse.success(
+            res,
+            analysis,
+            'Item analysis retrieved successfully'
+        );
+    }),
+
+    /**
+     * Attempts awaiting manual grading
+     */
+    getGradingQueue: asyncHandler(async (req, res) => {
+        const { id } = req.params;
+        const trainerId = req.user.userId;
+        const filters = req.query;
+
+        const result = await quizService.getGradingQueue(id, trainerId, filters);
+
+        return ApiResponse.paginated(
+            res,
+            result.attempts,
+            result.pagination,
+            'Grading queue retrieved successfully'
+        );
+    }),
+
+    /**
+     * Grade descriptive answers of an attempt
+     */
+    gradeAttemptAnswers: asyncHandler(async (req, res) => {
+        const { attemptId } = req.params;
+        const trainerId = req.user.userId;
+
+        const attempt = await quizService.gradeAttemptAnswers(attemptId, trainerId, req.body);
+
+        return ApiResponse.success(
+            res,
+            attempt,
+            attempt.requiresManualEvaluation
+                ? 'Answers graded successfully'
+                : 'Attempt fully graded'
+        );
+    }),
+
+    /**
+     * Get all attempts for a quiz
+     */
+    getQuizAttempts: asyncHandler(async (req, res) => {
+        const { id } = req.params;
+        const trainerId = req.user.userId;
+        const filters = req.query;
+
+        const result = await quizService.getQuizAttempts(id, trainerId, filters);
+
+        return ApiResponse.paginated(
+            res,
+            result.attempts,
+            result.pagination,
+            'Attempts retrieved successfully'
+        );
+    }),
+
+    /**
+     * Get quiz statistics
+     */
+    getQuizStats: asyncHandler(async (req, res) => {
+        const { id } = req.params;
+        const trainerId = req.user.userId;
+
+        const stats = await quizService.getQuizStats(id, trainerId);
+
+        return ApiResponse.success(
+            res,
+            stats,
+            'Statistics retrieved successfully'
+        );
+    }),
+
+    /**
+     * Manually evaluate an attempt
+     */
+    evaluateAttempt: asyncHandler(async (req, res) => {
+        const { attemptId } = req.params;
+        const trainerId = req.user.userId;
+
+        const attempt = await quizService.evaluateAttempt(
+            attemptId,
+            trainerId,
+            req.body
+        );
+
+        return ApiResponse.success(
+            res,
+            attempt,
+            'Attempt evaluated successfully'
+        );
+    }),
+
+    /**
+     * Get quizzes by internship
+     */
+    getQuizzesByInternship: asyncHandler(async (req, res) => {
+        const { internshipId } = req.params;
+        const userId = req.user.userId;
+        const userRole = req.user.role;
+        const filters = req.query;
+
+        const quizzes = await quizService.getQuizzesByInternship(
+            internshipId,
+            userId,
+            userRole,
+            filters
+        );
+
+        return ApiResponse.success(
+            res,
+            quizzes,
+            'Quizzes retrieved successfully'
+        );
+    }),
+
+    // ==========================================
+    // STUDENT CONTROLLERS
+    // ==========================================
+
+    /**
+     * Get all quizzes for student
+     */
+    getStudentQuizzes: asyncHandler(async (req, res) => {
+        const studentId = req.user.userId;
+        const filters = req.query;
+
+        const result = await quizService.getStudentQuizzes(studentId, filters);
+
+        return ApiResponse.paginated(
+            res,
+            result.quizzes,
+            result.pagination,
+            'Quizzes retrieved successfully'
+        );
+    }),
+
+    /**
+     * Get quiz details for student
+     */
+    getStudentQuizById: asyncHandler(async (req, res) => {
+        const { id } = req.params;
+        const studentId = req.user.userId;
+
+        const quiz = await quizService.getStudentQuizById(id, studentId);
+
+        return ApiResponse.success(
+            res,
+            quiz,
+            'Quiz retrieved successfully'
+        );
+    }),
+
+    /**
+     * Start or resume a quiz attempt
+     */
+    startAttempt: asyncHandler(async (req, res) => {
+        const { id } = req.params;
+        const studentId = req.user.userId;
+
+        const result = await quizService.startAttempt(id, studentId, {
+            accessCode: req.body.accessCode,
+            ipAddress: req.ip,
+            userAgent: req.headers['user-agent'],
+        });
+
+        return ApiResponse.success(
+            res,
+            result,
+            'Quiz attempt started successfully'
+        );
+    }),
+
+    /**
+     * Save answers for an in-progress attempt
+     */
+    saveAnswers: asyncHandler(async (req, res) => {
+        const { attemptId } = req.params;
+        const studentId = req.user.userId;
+
+        const result = await quizService.saveAnswers(
+            attemptId,
+            studentId,
+            req.body.answers
+        );
+
+        return ApiResponse.success(
+            res,
+            result,
+            'Answers saved successfully'
+        );
+    }),
+
+    /**
+     * Submit attempt
+     */
+    submitAttempt: asyncHandler(async (req, res) => {
+        const { attemptId } = req.params;
+        const studentId = req.user.userId;
+
+        const result = await quizService.submitAttempt(
+            attemptId,
+            studentId,
+            req.body.answers
+        );
+
+        return ApiResponse.success(
+            res,
+            result,
+            'Quiz submitted successfully'
+        );
+    }),
+
+    /**
+     * Review submitted attempt
+     */
+    getAttemptReview: asyncHandler(async (req, res) => {
+        const { attemptId } = req.params;
+        const studentId = req.user.userId;
+
+        const review = await quizService.getAttemptReview(attemptId, studentId);
+
+        return ApiResponse.success(
+            res,
+            review,
+            'Attempt review retrieved successfully'
+        );
+    }),
+
+    // ==========================================
+    // SHARED CONTROLLERS
+    // ==========================================
+
+    /**
+     * Get attempt by ID
+     */
+    getAttemptById: asyncHandler(async (req, res) => {
+        const { attemptId } = req.params;
+        const userId = req.user.userId;
+        const userRole = req.user.role;
+
+        const attempt = await quizService.getAttemptById(
+            attemptId,
+            userId,
+            userRole
+        );
+
+        return ApiResponse.success(
+            res,
+            attempt,
+            'Attempt retrieved successfully'
+        );
+    }),
+};
+
+module.exports = quizController;
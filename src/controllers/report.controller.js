@@ -0,0 +1,62 @@
+// src/controllers/report.controller.js
+const reportService = require('../services/report.service');
+const ApiResponse = require('../utils/response.util');
+const { asyncHandler } = require('../middlewares/error.middleware');
+
+const reportController = {
+    /**
+     * Get dashboard summary for all internships in scope
+     */
+    getOverview: asyncHandler(async (req, res) => {
+        const result = await reportService.getOverview(req.user, req.query);
+
+        return ApiResponse.paginated(
+            res,
+            result.internships,
+            result.pagination,
+            'Report overview generated successfully'
+        );
+    }),
+
+    /**
+     * Get full dashboard for one internship
+     */
+    getInternshipReport: asyncHandler(async (req, res) => {
+        const { internshipId } = req.params;
+
+        const report = await reportService.getInternshipReport(
+            internshipId,
+            req.user,
+            req.query
+        );
+
+        return ApiResponse.success(
+            res,
+            report,
+            'Internship report generated successfully'
+        );
+    }),
+
+    /**
+     * Export internship dashboard as CSV/Excel
+     */
+    exportInternshipReport: asyncHandler(async (req, res) => {
+        const { internshipId } = req.params;
+        const { format = 'xlsx' } = req.query;
+
+        const fileBuffer = await reportService.exportInternshipReport(
+            internshipId,
+            req.user,
+            req.query
+        );
+
+        const filename = `internship_report_${internshipId}_${Date.now()}.${format}`;
+
+        res.setHeader('Content-Type', format === 'csv' ? 'text/csv' : 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+        return res.send(fileBuffer);
+    }),
+};
+
+module.exports = reportController;
@@ -0,0 +1,46 @@
+// src/jobs/autoAbsent.job.js
+// Periodically marks students absent on finished session days where nobody marked them
+
+const ms = require('ms');
+const attendanceAutoAbsentService = require('../services/attendanceAutoAbsent.service');
+const logger = require('../utils/logger');
+
+const INTERVAL = ms(process.env.AUTO_ABSENT_SWEEP_INTERVAL || '15m');
+
+let timer = null;
+let running = false;
+
+const sweep = async () => {
+    // Skip a tick rather than overlap a slow sweep
+    if (running) return;
+    running = true;
+
+    try {
+        const marked = await attendanceAutoAbsentService.markUnmarkedAbsent();
+        if (marked > 0) {
+            logger.info(`Auto-absent sweep: marked ${marked} student(s) absent`);
+        }
+    } catch (error) {
+        logger.error({ message: 'Auto-absent sweep failed', error: error.message });
+    } finally {
+        running = false;
+    }
+};
+
+const start = () => {
+    if (timer) return;
+    timer = setInterval(sweep, INTERVAL);
+    timer.unref();
+};
+
+const stop = () => {
+    clearInterval(timer);
+    timer = null;
+};
+
+module.exports = {
+    name: 'autoAbsent',
+    sweep,
+    start,
+    stop,
+};
@@ -0,0 +1,46 @@
+// src/jobs/earlyWarning.job.js
+// Periodically evaluates early-warning rules and raises alerts to students and trainers
+
+const ms = require('ms');
+const alertService = require('../services/alert.service');
+const logger = require('../utils/logger');
+
+const INTERVAL = ms(process.env.EARLY_WARNING_SWEEP_INTERVAL || '6h');
+
+let timer = null;
+let running = false;
+
+const sweep = async () => {
+    // Skip a tick rather than overlap a slow sweep
+    if (running) return;
+    running = true;
+
+    try {
+        const raised = await alertService.evaluateAll();
+        if (raised > 0) {
+            logger.info(`Early-warning sweep: raised ${raised} alert(s)`);
+        }
+    } catch (error) {
+        logger.error({ message: 'Early-warning sweep failed', error: error.message });
+    } finally {
+        running = false;
+    }
+};
+
+const start = () => {
+    if (timer) return;
+    timer = setInterval(sweep, INTERVAL);
+    timer.unref();
+};
+
+const stop = () => {
+    clearInterval(timer);
+    timer = null;
+};
+
+module.exports = {
+    name: 'earlyWarning',
+    sweep,
+    start,
+    stop,
+};
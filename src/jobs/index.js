@@ -0,0 +1,22 @@
+// src/jobs/index.js
+// Background job registry - started once the HTTP server is listening
+
+const quizAttemptExpiryJob = require('./quizAttemptExpiry.job');
+const autoAbsentJob = require('./autoAbsent.job');
+const earlyWarningJob = require('./earlyWarning.job');
+
+const jobs = [quizAttemptExpiryJob, autoAbsentJob, earlyWarningJob];
+
+const startJobs = () => {
+    if (process.env.DISABLE_JOBS === 'true') return;
+    jobs.forEach((job) => job.start());
+};
+
+const stopJobs = () => {
+    jobs.forEach((job) => job.stop());
+};
+
+module.exports = {
+    startJobs,
+    stopJobs,
+};
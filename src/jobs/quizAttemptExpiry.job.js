@@ -0,0 +1,46 @@
+// src/jobs/quizAttemptExpiry.job.js
+// Periodically auto-submits quiz attempts whose time has run out
+
+const ms = require('ms');
+const quizService = require('../services/quiz.service');
+const logger = require('../utils/logger');
+
+const INTERVAL = ms(process.env.QUIZ_EXPIRY_SWEEP_INTERVAL || '1m');
+
+let timer = null;
+let running = false;
+
+const sweep = async () => {
+    // Skip a tick rather than overlap a slow sweep
+    if (running) return;
+    running = true;
+
+    try {
+        const expired = await quizService.expireOverdueAttempts();
+        if (expired > 0) {
+            logger.info(`Quiz expiry sweep: auto-submitted ${expired} attempt(s)`);
+        }
+    } catch (error) {
+        logger.error({ message: 'Quiz expiry sweep failed', error: error.message });
+    } finally {
+        running = false;
+    }
+};
+
+const start = () => {
+    if (timer) return;
+    timer = setInterval(sweep, INTERVAL);
+    timer.unref();
+};
+
+const stop = () => {
+    clearInterval(timer);
+    timer = null;
+};
+
+module.exports = {
+    name: 'quizAttemptExpiry',
+    sweep,
+    start,
+    stop,
+};
@@ -5,12 +5,8 @@ const { AppError } = require('./error.middleware');
 // Configure multer for memory storage
 const storage = multer.memoryStorage();
 
-// File filter function
-const path = require('path');
-
-const fileFilter = (req, file, cb) => {
-    const allowedExtensions = ['pdf', 'doc', 'docx'];
-
+// File filter factory: accept only the given extensions
+const createFileFilter = (allowedExtensions) => (req, file, cb) => {
     const originalName = file.originalname || '';
     const ext = originalName
         .split('.')
@@ -18,13 +14,15 @@ const fileFilter = (req, file, cb) => {
         .toLowerCase()
         .trim();
 
-    // Accept valid document extensions ONLY
     if (allowedExtensions.includes(ext)) {
         return cb(null, true);
     }
 
     return cb(
-        new AppError('Only PDF, DOC, DOCX files are allowed', 400),
+        new AppError(
+            `Only ${allowedExtensions.map((e) => e.toUpperCase()).join(', ')} files are allowed`,
+            400
+        ),
         false
     );
 };
@@ -33,7 +31,28 @@ const fileFilter = (req, file, cb) => {
 // Multer configuration
 const upload = multer({
     storage,
-    fileFilter,
+    fileFilter: createFileFilter(['pdf', 'doc', 'docx']),
+    limits: {
+        fileSize: 10 * 1024 * 1024, // 10 MB limit
+    },
+});
+
+// Data files for bulk imports (quiz questions, registers)
+const importUpload = (allowedExtensions) => multer({
+    storage,
+    fileFilter: createFileFilter(allowedExtensions),
+    limits: {
+        fileSize: 10 * 1024 * 1024, // 10 MB limit
+    },
+});
+
+// Curriculum learning resources (documents, slides, sheets, archives, images)
+const resourceUpload = multer({
+    storage,
+    fileFilter: createFileFilter([
+        'pdf', 'doc', 'docx', 'ppt', 'pptx', 'xls', 'xlsx',
+        'txt', 'zip', 'png', 'jpg', 'jpeg',
+    ]),
     limits: {
         fileSize: 10 * 1024 * 1024, // 10 MB limit
     },
@@ -66,4 +85,8 @@ module.exports = {
         multerErrorHandler(upload.array(fieldName, maxCount)),
     fields: (fields) => multerErrorHandler(upload.fields(fields)),
     none: () => multerErrorHandler(upload.none()),
+    importFile: (fieldName, allowedExtensions) =>
+        multerErrorHandler(importUpload(allowedExtensions).single(fieldName)),
+    resourceFile: (fieldName) =>
+        multerErrorHandler(resourceUpload.single(fieldName)),
 };
\ No newline at end of file
@@ -0,0 +1,82 @@
+// src/models/alert.model.js
+const mongoose = require('mongoose');
+const { ALERT_TYPES } = require('../constants/alertTypes');
+
+// In-app early-warning alert; one per recipient (student or trainer)
+const alertSchema = new mongoose.Schema(
+    {
+        recipientId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'Recipient is required'],
+        },
+
+        recipientRole: {
+            type: String,
+            enum: ['student', 'trainer'],
+            required: true,
+        },
+
+        // The student the alert is about
+        studentId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'Student is required'],
+        },
+
+        internshipId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Internship',
+            required: [true, 'Internship is required'],
+            index: true,
+        },
+
+        type: {
+            type: String,
+            enum: Object.values(ALERT_TYPES),
+            required: true,
+        },
+
+        title: {
+            type: String,
+            required: true,
+            maxlength: 200,
+        },
+
+        message: {
+            type: String,
+            required: true,
+            maxlength: 1000,
+        },
+
+        // Rule details, e.g. { percentage, threshold } or { assignmentId, dueDate }
+        data: {
+            type: mongoose.Schema.Types.Mixed,
+            default: {},
+        },
+
+        // Identifies the condition; an alert is raised once per recipient and key
+        dedupeKey: {
+            type: String,
+            required: true,
+        },
+
+        readAt: {
+            type: Date,
+            default: null,
+        },
+
+        emailedAt: {
+            type: Date,
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+alertSchema.index({ recipientId: 1, dedupeKey: 1 }, { unique: true });
+alertSchema.index({ recipientId: 1, readAt: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Alert', alertSchema);
@@ -9,6 +9,13 @@ const assignmentSchema = new mongoose.Schema(
             required: [true, 'Internship is required'],
         },
 
+        // Curriculum module this item belongs to
+        moduleId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'CurriculumModule',
+            default: null,
+        },
+
         title: {
             type: String,
             required: [true, 'Title is required'],
@@ -114,6 +121,7 @@ const assignmentSchema = new mongoose.Schema(
 
 // Indexes
 assignmentSchema.index({ internshipId: 1, status: 1 });
+assignmentSchema.index({ moduleId: 1 });
 assignmentSchema.index({ createdBy: 1 });
 assignmentSchema.index({ dueDate: 1 });
 assignmentSchema.index({ type: 1, status: 1 });
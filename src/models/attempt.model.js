@@ -1,5 +1,9 @@
 // src/models/attempt.model.js
 const mongoose = require('mongoose');
+const { SCORING_RULES, ATTEMPT_SCORING } = require('../constants/quizTypes');
+
+// Share of the marks on offer; capped because a section floor can lift a score past them
+const percentageOf = (score, maxScore) => (maxScore > 0 ? Math.min(100, (score / maxScore) * 100) : 0);
 
 const attemptSchema = new mongoose.Schema(
   {
@@ -21,6 +25,31 @@ const attemptSchema = new mongoose.Schema(
       min: 1,
     },
 
+    // Exact questions served for this attempt (fixed questions + pool draws), in served order
+    servedQuestions: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'QuizQuestion',
+    }],
+
+    // Seed behind the question/option order, kept so the order can be replayed
+    shuffleSeed: {
+      type: Number,
+      default: null,
+    },
+
+    // Per-question option order; empty when options are served in stored order
+    optionOrder: [{
+      _id: false,
+      questionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'QuizQuestion',
+        required: true,
+      },
+      optionIds: [{
+        type: mongoose.Schema.Types.ObjectId,
+      }],
+    }],
+
     answers: [{
       questionId: {
         type: mongoose.Schema.Types.ObjectId,
@@ -39,10 +68,31 @@ const attemptSchema = new mongoose.Schema(
         type: Number,
         default: 0,
       },
+      // Scoring rule that produced marksAwarded
+      scoringRule: {
+        type: String,
+        enum: [...Object.values(SCORING_RULES), null],
+        default: null,
+      },
       timeTaken: {
         type: Number, // in seconds
         default: 0,
       },
+      // Manual grading of descriptive answers
+      comment: {
+        type: String,
+        default: null,
+        maxlength: 1000,
+      },
+      gradedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+      },
+      gradedAt: {
+        type: Date,
+        default: null,
+      },
     }],
 
     score: {
@@ -51,6 +101,23 @@ const attemptSchema = new mongoose.Schema(
       min: 0,
     },
 
+    // Per-section totals, showing where Quiz.scoringPolicy.sectionFloor lifted a section
+    sectionScores: [{
+      _id: false,
+      section: { type: String, default: null },
+      rawScore: { type: Number, default: 0 },
+      score: { type: Number, default: 0 },
+      floorApplied: { type: Boolean, default: false },
+    }],
+
+    // Marks on offer in the served questions (pool draws can differ from quiz.totalMarks);
+    // percentage is taken over this
+    maxScore: {
+      type: Number,
+      default: null,
+      min: 0,
+    },
+
     percentage: {
       type: Number,
       default: 0,
@@ -88,6 +155,22 @@ const attemptSchema = new mongoose.Schema(
       default: Date.now,
     },
 
+    // Server-computed deadline: startedAt + quiz duration, capped at quiz endDate
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+
+    lastSavedAt: {
+      type: Date,
+      default: null,
+    },
+
+    autoSubmitted: {
+      type: Boolean,
+      default: false,
+    },
+
     submittedAt: {
       type: Date,
       default: null,
@@ -153,6 +236,7 @@ attemptSchema.index({ quizId: 1, studentId: 1, attemptNumber: 1 }, { unique: tru
 attemptSchema.index({ studentId: 1, status: 1 });
 attemptSchema.index({ quizId: 1, status: 1 });
 attemptSchema.index({ submittedAt: -1 });
+attemptSchema.index({ status: 1, expiresAt: 1 });
 
 // Virtuals
 attemptSchema.virtual('grade').get(function () {
@@ -167,7 +251,12 @@ attemptSchema.virtual('grade').get(function () {
 });
 
 attemptSchema.virtual('isCompleted').get(function () {
-  return this.status === 'submitted' || this.status === 'evaluated';
+  return ['submitted', 'evaluated', 'expired'].includes(this.status);
+});
+
+attemptSchema.virtual('remainingSeconds').get(function () {
+  if (!this.expiresAt || this.status !== 'in_progress') return null;
+  return Math.max(0, Math.floor((this.expiresAt - Date.now()) / 1000));
 });
 
 // Methods
@@ -181,79 +270,217 @@ attemptSchema.methods.submit = async function () {
   return this.save();
 };
 
+// Deadline passed: submit whatever was saved, stamped at the deadline
+attemptSchema.methods.expire = async function () {
+  this.submittedAt = this.expiresAt && this.expiresAt < new Date() ? this.expiresAt : new Date();
+  this.timeTaken = Math.floor((this.submittedAt - this.startedAt) / 1000);
+  this.status = 'expired';
+  this.autoSubmitted = true;
+
+  await this.evaluateAttempt();
+
+  return this.save();
+};
+
+attemptSchema.methods.isPastDeadline = function (graceSeconds = 0) {
+  if (!this.expiresAt) return false;
+  return Date.now() > this.expiresAt.getTime() + graceSeconds * 1000;
+};
+
 attemptSchema.methods.evaluateAttempt = async function () {
   const QuizQuestion = mongoose.model('QuizQuestion');
   const Quiz = mongoose.model('Quiz');
 
-  let totalScore = 0;
+  const quiz = await Quiz.findById(this.quizId);
+  const policy = quiz?.scoringPolicy || {};
+
   let correctCount = 0;
   let incorrectCount = 0;
   let requiresManual = false;
+  const sections = new Map();
 
   // Evaluate each answer
   for (let answer of this.answers) {
     const question = await QuizQuestion.findById(answer.questionId);
     if (!question) continue;
 
-    const evaluation = question.checkAnswer(answer.answer);
+    const evaluation = question.checkAnswer(answer.answer, policy);
+    answer.scoringRule = evaluation.rule;
 
     if (evaluation.requiresManualEvaluation) {
-      requiresManual = true;
-      answer.isCorrect = null;
-      answer.marksAwarded = 0;
-    } else {
-      answer.isCorrect = evaluation.isCorrect;
-      answer.marksAwarded = evaluation.marksAwarded;
-      totalScore += evaluation.marksAwarded;
-
-      if (evaluation.isCorrect) {
-        correctCount++;
-      } else {
-        incorrectCount++;
+      if (!answer.gradedAt) {
+        requiresManual = true;
+        answer.isCorrect = null;
+        answer.marksAwarded = 0;
+        continue;
       }
+
+      // Keep the trainer's grade
+      evaluation.isCorrect = answer.isCorrect;
+      evaluation.marksAwarded = answer.marksAwarded;
+    }
+
+    answer.isCorrect = evaluation.isCorrect;
+    answer.marksAwarded = evaluation.marksAwarded;
+
+    const section = question.section || null;
+    sections.set(section, (sections.get(section) || 0) + evaluation.marksAwarded);
+
+    if (evaluation.rule === SCORING_RULES.SKIPPED) continue;
+
+    if (evaluation.isCorrect) {
+      correctCount++;
+    } else {
+      incorrectCount++;
     }
   }
 
+  const floor = policy.sectionFloor;
+  this.sectionScores = [...sections].map(([section, rawScore]) => {
+    const floorApplied = floor !== null && floor !== undefined && rawScore < floor;
+    return {
+      section,
+      rawScore,
+      score: floorApplied ? floor : rawScore,
+      floorApplied,
+    };
+  });
+
+  const totalScore = this.sectionScores.reduce((sum, s) => sum + s.score, 0);
+
   this.score = Math.max(0, totalScore); // Prevent negative scores
   this.correctAnswers = correctCount;
   this.incorrectAnswers = incorrectCount;
   this.unanswered = this.totalQuestions - (correctCount + incorrectCount);
 
-  const quiz = await Quiz.findById(this.quizId);
+  if (this.servedQuestions.length > 0) {
+    const served = await QuizQuestion.find({ _id: { $in: this.servedQuestions } }).select('marks').lean();
+    this.maxScore = served.reduce((sum, q) => sum + q.marks, 0);
+  }
+
   if (quiz) {
-    this.percentage = (this.score / quiz.totalMarks) * 100;
+    this.percentage = percentageOf(this.score, this.maxScore ?? quiz.totalMarks);
     this.isPassed = this.score >= quiz.passingMarks;
   }
 
-  if (requiresManual) {
-    this.requiresManualEvaluation = true;
-  } else {
-    this.status = 'evaluated';
+  // Completion is recorded by evaluatedAt; timed-out attempts keep their 'expired'
+  // status so they stay distinguishable from normal submissions
+  this.requiresManualEvaluation = requiresManual;
+  if (!requiresManual) {
+    if (this.status !== 'expired') this.status = 'evaluated';
     this.evaluatedAt = new Date();
   }
 };
 
+// Answers still waiting for a trainer's grade
+attemptSchema.methods.getPendingManualAnswers = function () {
+  return this.answers.filter(
+    (a) => a.scoringRule === SCORING_RULES.MANUAL && !a.gradedAt
+  );
+};
+
+// Grade descriptive answers one by one; totals are recalculated by evaluateAttempt
+attemptSchema.methods.gradeAnswers = async function (grades, gradedById) {
+  const gradedAt = new Date();
+
+  for (const { questionId, marks, comment, maxMarks } of grades) {
+    const answer = this.answers.find(
+      (a) => a.questionId.toString() === questionId.toString()
+    );
+
+    answer.marksAwarded = marks;
+    answer.isCorrect = marks >= maxMarks;
+    answer.comment = comment ?? answer.comment;
+    answer.gradedBy = gradedById;
+    answer.gradedAt = gradedAt;
+  }
+
+  await this.evaluateAttempt();
+
+  if (!this.requiresManualEvaluation) {
+    this.evaluatedBy = gradedById;
+  }
+
+  return this.save();
+};
+
 attemptSchema.methods.manualEvaluate = function (evaluatedById, feedback, additionalMarks = 0) {
   this.score += additionalMarks;
   this.feedback = feedback;
   this.evaluatedBy = evaluatedById;
   this.evaluatedAt = new Date();
-  this.status = 'evaluated';
+  if (this.status !== 'expired') this.status = 'evaluated';
   this.requiresManualEvaluation = false;
 
   // Recalculate percentage and pass status
   const Quiz = mongoose.model('Quiz');
   return Quiz.findById(this.quizId).then(quiz => {
     if (quiz) {
-      this.percentage = (this.score / quiz.totalMarks) * 100;
+      this.percentage = percentageOf(this.score, this.maxScore ?? quiz.totalMarks);
       this.isPassed = this.score >= quiz.passingMarks;
     }
     return this.save();
   });
 };
 
-// Pre-save middleware to calculate attempt number
-attemptSchema.pre('save', async function (next) {
+// Result that counts per student under quiz.attemptScoring (highest, latest or average)
+attemptSchema.statics.getCountedResults = async function (quiz, studentIds = null) {
+  const query = {
+    quizId: quiz._id,
+    status: { $in: ['submitted', 'evaluated', 'expired'] },
+  };
+  if (studentIds) query.studentId = { $in: studentIds };
+
+  const attempts = await this.find(query)
+    .select('studentId attemptNumber score percentage isPassed submittedAt')
+    .sort({ attemptNumber: 1 })
+    .lean();
+
+  const byStudent = new Map();
+  attempts.forEach((attempt) => {
+    const key = attempt.studentId.toString();
+    if (!byStudent.has(key)) byStudent.set(key, []);
+    byStudent.get(key).push(attempt);
+  });
+
+  const results = new Map();
+  byStudent.forEach((list, studentId) => {
+    let counted;
+
+    if (quiz.attemptScoring === ATTEMPT_SCORING.AVERAGE) {
+      const average = (key) => Number((list.reduce((sum, a) => sum + a[key], 0) / list.length).toFixed(2));
+      const score = average('score');
+      counted = {
+        attemptId: null,
+        score,
+        // Attempts may have drawn questions worth different totals
+        percentage: average('percentage'),
+        isPassed: score >= quiz.passingMarks,
+      };
+    } else {
+      const attempt = quiz.attemptScoring === ATTEMPT_SCORING.LATEST
+        ? list[list.length - 1]
+        : list.reduce((best, a) => (a.score > best.score ? a : best));
+      counted = {
+        attemptId: attempt._id,
+        score: attempt.score,
+        percentage: attempt.percentage,
+        isPassed: attempt.isPassed,
+      };
+    }
+
+    results.set(studentId, {
+      ...counted,
+      rule: quiz.attemptScoring || ATTEMPT_SCORING.HIGHEST,
+      attemptsCounted: list.length,
+    });
+  });
+
+  return results;
+};
+
+// Pre-validate middleware to calculate attempt number (runs before the required check)
+attemptSchema.pre('validate', async function () {
   if (this.isNew) {
     const lastAttempt = await this.constructor
       .findOne({ quizId: this.quizId, studentId: this.studentId })
@@ -261,7 +488,6 @@ attemptSchema.pre('save', async function (next) {
 
     this.attemptNumber = lastAttempt ? lastAttempt.attemptNumber + 1 : 1;
   }
-  next();
 });
 
 module.exports = mongoose.model('QuizAttempt', attemptSchema);
\ No newline at end of file
@@ -1,5 +1,20 @@
 // src/models/attendance.model.js
 const mongoose = require('mongoose');
+const AttendanceRevision = require('./attendanceRevision.model');
+const calendarService = require('../services/calendar.service');
+
+// Fields whose changes are recorded in AttendanceRevision
+const TRACKED_FIELDS = [
+    'status',
+    'checkInTime',
+    'checkOutTime',
+    'duration',
+    'isLate',
+    'lateBy',
+    'remarks',
+    'reviewStatus',
+    'leaveRequestId',
+];
 
 const attendanceSchema = new mongoose.Schema(
     {
@@ -74,6 +89,47 @@ const attendanceSchema = new mongoose.Schema(
                 default: [0, 0],
             },
         },
+        // Self check-in: metres from the internship geofence center
+        distanceFromVenue: {
+            type: Number,
+            default: null,
+        },
+        checkOutLocation: {
+            type: {
+                type: String,
+                enum: ['Point'],
+                default: 'Point',
+            },
+            coordinates: {
+                type: [Number],
+                default: [0, 0],
+            },
+        },
+        checkOutDistance: {
+            type: Number,
+            default: null,
+        },
+        // Self check-ins outside the geofence wait for a trainer's decision
+        reviewStatus: {
+            type: String,
+            enum: ['not_required', 'pending', 'approved', 'rejected'],
+            default: 'not_required',
+            index: true,
+        },
+        reviewedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+        reviewedAt: {
+            type: Date,
+            default: null,
+        },
+        reviewNote: {
+            type: String,
+            maxlength: 500,
+            default: null,
+        },
         ipAddress: {
             type: String,
             default: null,
@@ -82,14 +138,31 @@ const attendanceSchema = new mongoose.Schema(
             type: String,
             default: null,
         },
+        // Set when the record came from a QR attendance session
+        sessionId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'AttendanceSession',
+            default: null,
+            index: true,
+        },
+        // Set on excused records created or converted by an approved leave request
+        leaveRequestId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'LeaveRequest',
+            default: null,
+        },
+        // Null for records created by the system (e.g. the auto-absent job)
         markedBy: {
             type: mongoose.Schema.Types.ObjectId,
             ref: 'User',
-            required: true,
+            required: function () {
+                return this.markedByRole !== 'system';
+            },
+            default: null,
         },
         markedByRole: {
             type: String,
-            enum: ['student', 'trainer', 'admin'],
+            enum: ['student', 'trainer', 'admin', 'system'],
             required: true,
         },
         isEdited: {
@@ -138,12 +211,181 @@ attendanceSchema.pre('save', async function () {
     }
 });
 
-// Static method: Get monthly statistics for a student
+// ==========================================
+// REVISION HISTORY
+// ==========================================
+
+const snapshotOf = (doc) => Object.fromEntries(
+    TRACKED_FIELDS.map((field) => [field, doc[field] ?? null])
+);
+
+const comparable = (value) => {
+    if (value instanceof Date) return value.toISOString();
+    if (value && typeof value === 'object' && value.toString) return value.toString();
+    return value;
+};
+
+const diffSnapshots = (before, after) => TRACKED_FIELDS
+    .filter((field) => comparable(before[field]) !== comparable(after[field]))
+    .map((field) => ({ field, before: before[field], after: after[field] }));
+
+const defaultCreateSource = (doc) => {
+    if (doc.sessionId) return 'session';
+    if (doc.leaveRequestId) return 'leave';
+    if (doc.markedByRole === 'system') return 'auto_absent';
+    return doc.markedByRole === 'student' ? 'self_check_in' : 'manual';
+};
+
+const revisionFor = (doc, action, changes) => {
+    const context = doc.$locals.revision || {};
+
+    return {
+        attendanceId: doc._id,
+        internshipId: doc.internshipId,
+        studentId: doc.studentId,
+        action,
+        changes,
+        // A new record is attributed to whoever marked it unless told otherwise
+        changedBy: context.changedBy ?? (action === 'create' ? doc.markedBy : null),
+        changedByRole: context.changedByRole ?? (action === 'create' ? doc.markedByRole : 'system'),
+        source: context.source || (action === 'create' ? defaultCreateSource(doc) : 'edit'),
+        reason: context.reason || null,
+    };
+};
+
+/**
+ * Who is changing the record and why, for the next save/delete's revision
+ */
+attendanceSchema.methods.setRevisionContext = function ({ changedBy, changedByRole, source, reason } = {}) {
+    this.$locals.revision = { changedBy, changedByRole, source, reason };
+    return this;
+};
+
+attendanceSchema.post('init', function () {
+    this.$locals.snapshot = snapshotOf(this);
+});
+
+attendanceSchema.pre('save', function () {
+    const after = snapshotOf(this);
+
+    this.$locals.pendingRevision = this.isNew
+        ? revisionFor(this, 'create', diffSnapshots(snapshotOf({}), after))
+        : revisionFor(this, 'update', diffSnapshots(this.$locals.snapshot || {}, after));
+});
+
+attendanceSchema.post('save', async function () {
+    const revision = this.$locals.pendingRevision;
+
+    this.$locals.snapshot = snapshotOf(this);
+    this.$locals.pendingRevision = null;
+    this.$locals.revision = null;
+
+    if (revision && (revision.action === 'create' || revision.changes.length > 0)) {
+        await AttendanceRevision.create(revision);
+    }
+});
+
+/**
+ * Write 'create' revisions for bulk-inserted records. The insertMany post hook only runs
+ * when the whole batch succeeds, so callers that keep error.insertedDocs after a partial
+ * (ordered: false) failure must call this for those documents themselves.
+ */
+attendanceSchema.statics.recordCreateRevisions = async function (docs) {
+    if (!docs?.length) return;
+
+    await AttendanceRevision.insertMany(
+        docs.map((doc) => revisionFor(doc, 'create', diffSnapshots(snapshotOf({}), snapshotOf(doc))))
+    );
+};
+
+attendanceSchema.post('insertMany', async function (docs) {
+    await this.recordCreateRevisions(docs);
+});
+
+attendanceSchema.post('deleteOne', { document: true, query: false }, async function () {
+    await AttendanceRevision.create(
+        revisionFor(this, 'delete', diffSnapshots(snapshotOf(this), snapshotOf({})))
+    );
+});
+
+// Derive isLate, lateBy, duration and late/half-day status from the internship timetable
+attendanceSchema.methods.applySchedule = function (internship) {
+    if (this.checkInTime && this.checkOutTime) {
+        this.duration = Math.floor((this.checkOutTime - this.checkInTime) / (1000 * 60));
+    }
+
+    // Absent and excused records carry no timing
+    if (!['present', 'late', 'half-day'].includes(this.status)) {
+        this.isLate = false;
+        this.lateBy = 0;
+        return this;
+    }
+
+    const session = internship?.getScheduledSession(this.date);
+    if (!session || !this.checkInTime) {
+        return this;
+    }
+
+    const { graceMinutes = 10, halfDayThresholdPercent = 50 } = internship.schedule;
+
+    this.lateBy = Math.max(0, Math.floor((this.checkInTime - session.start) / (1000 * 60)));
+    this.isLate = this.lateBy > graceMinutes;
+
+    const isHalfDay = this.checkOutTime &&
+        session.minutes > 0 &&
+        this.duration < (session.minutes * halfDayThresholdPercent) / 100;
+
+    if (isHalfDay) {
+        this.status = 'half-day';
+    } else if (this.isLate && this.status === 'present') {
+        this.status = 'late';
+    }
+
+    return this;
+};
+
+/**
+ * Expected working days of a month (within the internship's start and end dates, up to
+ * today) and the month's records matching filter, for comparing attendance with the calendar.
+ * Whatever the caller already loaded ({ internship, records, expectedDays }) is reused.
+ */
+const loadCalendarMonth = async (model, filter, month, year, preloaded) => {
+    let { internship, records, expectedDays } = preloaded;
+
+    if (!records) {
+        records = await model.find({
+            ...filter,
+            month: parseInt(month),
+            year: parseInt(year),
+        })
+            .select('studentId date status leaveRequestId')
+            .lean();
+    }
+
+    if (!expectedDays) {
+        internship = internship || await mongoose.model('Internship').findById(filter.internshipId);
+        expectedDays = internship
+            ? await calendarService.getExpectedDays(
+                internship,
+                new Date(parseInt(year), parseInt(month) - 1, 1),
+                new Date(parseInt(year), parseInt(month), 0)
+            )
+            : [];
+    }
+
+    return { expectedDays, records };
+};
+
+// Static method: Get monthly statistics for a student.
+// The percentage is taken over the working days the internship calendar expects (see
+// calendarService.compareAttendance); callers that already loaded the internship, the
+// month's records or its expected days can pass them in.
 attendanceSchema.statics.getMonthlyStats = async function (
     internshipId,
     studentId,
     month,
-    year
+    year,
+    preloaded = {}
 ) {
     const stats = await this.aggregate([
         {
@@ -168,8 +410,24 @@ attendanceSchema.statics.getMonthlyStats = async function (
                 late: {
                     $sum: { $cond: [{ $eq: ['$status', 'late'] }, 1, 0] },
                 },
+                // Approved leave is counted apart from other excused days
                 excused: {
-                    $sum: { $cond: [{ $eq: ['$status', 'excused'] }, 1, 0] },
+                    $sum: {
+                        $cond: [
+                            { $and: [{ $eq: ['$status', 'excused'] }, { $not: [{ $gt: ['$leaveRequestId', null] }] }] },
+                            1,
+                            0,
+                        ],
+                    },
+                },
+                onLeave: {
+                    $sum: {
+                        $cond: [
+                            { $and: [{ $eq: ['$status', 'excused'] }, { $gt: ['$leaveRequestId', null] }] },
+                            1,
+                            0,
+                        ],
+                    },
                 },
                 halfDay: {
                     $sum: { $cond: [{ $eq: ['$status', 'half-day'] }, 1, 0] },
@@ -185,41 +443,43 @@ attendanceSchema.statics.getMonthlyStats = async function (
                 absent: 1,
                 late: 1,
                 excused: 1,
+                onLeave: 1,
                 halfDay: 1,
                 totalDuration: 1,
-                percentage: {
-                    $cond: [
-                        { $eq: ['$total', 0] },
-                        0,
-                        {
-                            $multiply: [
-                                { $divide: ['$present', '$total'] },
-                                100,
-                            ],
-                        },
-                    ],
-                },
             },
         },
     ]);
 
-    return stats[0] || {
-        total: 0,
-        present: 0,
-        absent: 0,
-        late: 0,
-        excused: 0,
-        halfDay: 0,
-        totalDuration: 0,
-        percentage: 0,
+    const { expectedDays, records } = await loadCalendarMonth(
+        this,
+        { internshipId, studentId },
+        month,
+        year,
+        preloaded
+    );
+
+    return {
+        ...(stats[0] || {
+            total: 0,
+            present: 0,
+            absent: 0,
+            late: 0,
+            excused: 0,
+            onLeave: 0,
+            halfDay: 0,
+            totalDuration: 0,
+        }),
+        ...calendarService.compareAttendance(records, expectedDays),
     };
 };
 
-// Static method: Get internship monthly report (all students)
+// Static method: Get internship monthly report (all students).
+// Actively enrolled students without records are included with every working day missing.
 attendanceSchema.statics.getInternshipMonthlyReport = async function (
     internshipId,
     month,
-    year
+    year,
+    preloaded = {}
 ) {
     const report = await this.aggregate([
         {
@@ -243,8 +503,24 @@ attendanceSchema.statics.getInternshipMonthlyReport = async function (
                 late: {
                     $sum: { $cond: [{ $eq: ['$status', 'late'] }, 1, 0] },
                 },
+                // Approved leave is counted apart from other excused days
                 excused: {
-                    $sum: { $cond: [{ $eq: ['$status', 'excused'] }, 1, 0] },
+                    $sum: {
+                        $cond: [
+                            { $and: [{ $eq: ['$status', 'excused'] }, { $not: [{ $gt: ['$leaveRequestId', null] }] }] },
+                            1,
+                            0,
+                        ],
+                    },
+                },
+                onLeave: {
+                    $sum: {
+                        $cond: [
+                            { $and: [{ $eq: ['$status', 'excused'] }, { $gt: ['$leaveRequestId', null] }] },
+                            1,
+                            0,
+                        ],
+                    },
                 },
                 halfDay: {
                     $sum: { $cond: [{ $eq: ['$status', 'half-day'] }, 1, 0] },
@@ -265,7 +541,7 @@ attendanceSchema.statics.getInternshipMonthlyReport = async function (
         {
             $project: {
                 studentId: '$_id',
-                studentName: '$student.fullName',
+                studentName: '$student.name',
                 studentEmail: '$student.email',
                 studentRollNumber: '$student.rollNumber',
                 total: 1,
@@ -273,27 +549,44 @@ attendanceSchema.statics.getInternshipMonthlyReport = async function (
                 absent: 1,
                 late: 1,
                 excused: 1,
+                onLeave: 1,
                 halfDay: 1,
-                percentage: {
-                    $cond: [
-                        { $eq: ['$total', 0] },
-                        0,
-                        {
-                            $multiply: [
-                                { $divide: ['$present', '$total'] },
-                                100,
-                            ],
-                        },
-                    ],
-                },
             },
         },
-        {
-            $sort: { studentName: 1 },
-        },
     ]);
 
-    return report;
+    const [{ expectedDays, records }, enrollments] = await Promise.all([
+        loadCalendarMonth(this, { internshipId }, month, year, preloaded),
+        mongoose.model('InternshipEnrollment')
+            .find({ internshipId, status: 'active' })
+            .populate('studentId', 'name email rollNumber')
+            .lean(),
+    ]);
+
+    const reported = new Set(report.map((row) => row.studentId.toString()));
+    enrollments
+        .filter((e) => e.studentId && !reported.has(e.studentId._id.toString()))
+        .forEach((e) => report.push({
+            studentId: e.studentId._id,
+            studentName: e.studentId.name,
+            studentEmail: e.studentId.email,
+            studentRollNumber: e.studentId.rollNumber,
+            total: 0,
+            present: 0,
+            absent: 0,
+            late: 0,
+            excused: 0,
+            onLeave: 0,
+            halfDay: 0,
+        }));
+
+    report.forEach((row) => {
+        const studentRecords = records.filter((r) => r.studentId.toString() === row.studentId.toString());
+        const { missingDates, ...calendarStats } = calendarService.compareAttendance(studentRecords, expectedDays);
+        Object.assign(row, calendarStats);
+    });
+
+    return report.sort((a, b) => (a.studentName || '').localeCompare(b.studentName || ''));
 };
 
 const Attendance = mongoose.model('Attendance', attendanceSchema);
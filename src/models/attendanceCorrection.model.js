@@ -0,0 +1,90 @@
+// src/models/attendanceCorrection.model.js
+const mongoose = require('mongoose');
+
+// Student dispute of an attendance record, resolved by the trainer
+const attendanceCorrectionSchema = new mongoose.Schema(
+    {
+        attendanceId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Attendance',
+            required: [true, 'Attendance record is required'],
+            index: true,
+        },
+
+        internshipId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Internship',
+            required: [true, 'Internship is required'],
+        },
+
+        studentId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'Student is required'],
+            index: true,
+        },
+
+        requestedStatus: {
+            type: String,
+            enum: ['present', 'absent', 'late', 'excused', 'half-day'],
+            required: [true, 'Requested status is required'],
+        },
+
+        requestedCheckInTime: {
+            type: Date,
+            default: null,
+        },
+
+        requestedCheckOutTime: {
+            type: Date,
+            default: null,
+        },
+
+        reason: {
+            type: String,
+            required: [true, 'Reason is required'],
+            trim: true,
+            maxlength: 1000,
+        },
+
+        evidenceUrl: {
+            type: String,
+            default: null,
+        },
+
+        evidenceName: {
+            type: String,
+            default: null,
+        },
+
+        status: {
+            type: String,
+            enum: ['pending', 'approved', 'rejected', 'cancelled'],
+            default: 'pending',
+        },
+
+        resolvedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+
+        resolvedAt: {
+            type: Date,
+            default: null,
+        },
+
+        resolutionNote: {
+            type: String,
+            maxlength: 500,
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+attendanceCorrectionSchema.index({ internshipId: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AttendanceCorrection', attendanceCorrectionSchema);
@@ -0,0 +1,80 @@
+// src/models/attendanceRevision.model.js
+// Immutable change log for Attendance documents (written by attendance.model hooks)
+const mongoose = require('mongoose');
+
+const attendanceRevisionSchema = new mongoose.Schema(
+    {
+        attendanceId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Attendance',
+            required: true,
+            index: true,
+        },
+        // Kept so history stays viewable (and authorizable) after a record is deleted
+        internshipId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Internship',
+            required: true,
+        },
+        studentId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+        action: {
+            type: String,
+            enum: ['create', 'update', 'delete'],
+            required: true,
+        },
+        changes: [
+            {
+                _id: false,
+                field: { type: String, required: true },
+                before: { type: mongoose.Schema.Types.Mixed, default: null },
+                after: { type: mongoose.Schema.Types.Mixed, default: null },
+            },
+        ],
+        changedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+        changedByRole: {
+            type: String,
+            enum: ['student', 'trainer', 'admin', 'system'],
+            default: 'system',
+        },
+        // What made the change, e.g. manual, edit, review, leave, correction, session
+        source: {
+            type: String,
+            default: 'manual',
+        },
+        reason: {
+            type: String,
+            maxlength: 500,
+            default: null,
+        },
+    },
+    {
+        timestamps: { createdAt: true, updatedAt: false },
+    }
+);
+
+attendanceRevisionSchema.index({ attendanceId: 1, createdAt: 1 });
+
+// Revisions are append-only
+const rejectChange = function () {
+    throw new Error('Attendance revisions are immutable');
+};
+
+attendanceRevisionSchema.pre(
+    ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+        'deleteOne', 'deleteMany', 'findOneAndDelete'],
+    rejectChange
+);
+
+attendanceRevisionSchema.pre('save', function () {
+    if (!this.isNew) rejectChange();
+});
+
+module.exports = mongoose.model('AttendanceRevision', attendanceRevisionSchema);
@@ -0,0 +1,86 @@
+// src/models/attendanceSession.model.js
+// Classroom attendance session: students check in by scanning a rotating QR token
+const mongoose = require('mongoose');
+
+const attendanceSessionSchema = new mongoose.Schema(
+    {
+        internshipId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Internship',
+            required: true,
+            index: true,
+        },
+        openedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+        date: {
+            type: Date,
+            required: true,
+        },
+        openedAt: {
+            type: Date,
+            default: Date.now,
+        },
+        status: {
+            type: String,
+            enum: ['open', 'closed'],
+            default: 'open',
+            index: true,
+        },
+        // Each token is valid for one rotation window (plus one window of grace)
+        rotationSeconds: {
+            type: Number,
+            min: 10,
+            max: 300,
+            default: 30,
+        },
+        // Check-ins are refused after this, even while the session is still open
+        expiresAt: {
+            type: Date,
+            required: true,
+        },
+        // HMAC key for this session's tokens
+        secret: {
+            type: String,
+            required: true,
+            select: false,
+        },
+        closedAt: {
+            type: Date,
+            default: null,
+        },
+        closedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+        presentCount: {
+            type: Number,
+            default: 0,
+        },
+        absentCount: {
+            type: Number,
+            default: 0,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+attendanceSessionSchema.index({ internshipId: 1, status: 1 });
+
+// Rotation window the given time falls in (0 for the first window after opening)
+attendanceSessionSchema.methods.getWindow = function (at = new Date()) {
+    return Math.floor((at - this.openedAt) / (this.rotationSeconds * 1000));
+};
+
+attendanceSessionSchema.methods.isAcceptingCheckIns = function () {
+    return this.status === 'open' && this.expiresAt > new Date();
+};
+
+const AttendanceSession = mongoose.model('AttendanceSession', attendanceSessionSchema);
+
+module.exports = AttendanceSession;
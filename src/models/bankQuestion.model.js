@@ -0,0 +1,47 @@
+// src/models/bankQuestion.model.js
+// Trainer-owned reusable question, copied into quizzes as QuizQuestion snapshots
+const mongoose = require('mongoose');
+const { questionContentFields, validateQuestionContent } = require('./questionContent.schema');
+
+const bankQuestionSchema = new mongoose.Schema(
+    {
+        ownerId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'Owner is required'],
+        },
+
+        ...questionContentFields,
+
+        // Matched against Internship.skills of the owner's internships
+        skills: [{
+            type: String,
+            trim: true,
+        }],
+
+        usageCount: {
+            type: Number,
+            default: 0,
+            min: 0,
+        },
+
+        isActive: {
+            type: Boolean,
+            default: true,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// Indexes
+bankQuestionSchema.index({ ownerId: 1, isActive: 1, difficulty: 1 });
+bankQuestionSchema.index({ ownerId: 1, tags: 1 });
+bankQuestionSchema.index({ ownerId: 1, skills: 1 });
+bankQuestionSchema.index({ questionText: 'text' });
+
+// Validation
+bankQuestionSchema.pre('validate', validateQuestionContent);
+
+module.exports = mongoose.model('BankQuestion', bankQuestionSchema);
@@ -0,0 +1,47 @@
+// src/models/calendarDay.model.js
+// Holiday / working-day overrides; internshipId null applies organization-wide
+const mongoose = require('mongoose');
+
+const calendarDaySchema = new mongoose.Schema(
+    {
+        // Local midnight of the day
+        date: {
+            type: Date,
+            required: [true, 'Date is required'],
+        },
+
+        type: {
+            type: String,
+            enum: ['holiday', 'working_day'],
+            required: [true, 'Type is required'],
+        },
+
+        name: {
+            type: String,
+            trim: true,
+            maxlength: 200,
+            default: '',
+        },
+
+        // Internship entries take precedence over organization entries for the same day
+        internshipId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Internship',
+            default: null,
+        },
+
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+calendarDaySchema.index({ internshipId: 1, date: 1 }, { unique: true });
+calendarDaySchema.index({ date: 1 });
+
+module.exports = mongoose.model('CalendarDay', calendarDaySchema);
@@ -0,0 +1,120 @@
+// src/models/curriculumModule.model.js
+// Ordered syllabus unit (module / week) of an internship
+const mongoose = require('mongoose');
+
+// Learning resource: an uploaded file or an external link
+const resourceSchema = new mongoose.Schema(
+    {
+        kind: {
+            type: String,
+            enum: ['file', 'link'],
+            required: [true, 'Resource kind is required'],
+        },
+
+        title: {
+            type: String,
+            required: [true, 'Resource title is required'],
+            trim: true,
+            maxlength: 200,
+        },
+
+        url: {
+            type: String,
+            required: [true, 'Resource URL is required'],
+        },
+
+        fileName: {
+            type: String,
+            default: null,
+        },
+
+        fileSize: {
+            type: Number,
+            default: null,
+        },
+
+        addedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+
+        addedAt: {
+            type: Date,
+            default: Date.now,
+        },
+    }
+);
+
+const curriculumModuleSchema = new mongoose.Schema(
+    {
+        internshipId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Internship',
+            required: [true, 'Internship is required'],
+        },
+
+        // Position in the syllabus (1-based)
+        order: {
+            type: Number,
+            required: [true, 'Order is required'],
+            min: 1,
+        },
+
+        // Optional week label for weekly plans
+        week: {
+            type: Number,
+            min: 1,
+            default: null,
+        },
+
+        title: {
+            type: String,
+            required: [true, 'Title is required'],
+            trim: true,
+            minlength: 3,
+            maxlength: 200,
+        },
+
+        description: {
+            type: String,
+            trim: true,
+            maxlength: 5000,
+            default: null,
+        },
+
+        objectives: [{
+            type: String,
+            trim: true,
+            maxlength: 500,
+        }],
+
+        resources: [resourceSchema],
+
+        startDate: {
+            type: Date,
+            default: null,
+        },
+
+        endDate: {
+            type: Date,
+            default: null,
+        },
+
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'Creator is required'],
+        },
+    },
+    {
+        timestamps: true,
+        toJSON: { virtuals: true },
+        toObject: { virtuals: true },
+    }
+);
+
+// Indexes
+curriculumModuleSchema.index({ internshipId: 1, order: 1 });
+
+module.exports = mongoose.model('CurriculumModule', curriculumModuleSchema);
@@ -1,6 +1,85 @@
 // src/models/enrollment.model.js
 const mongoose = require('mongoose');
 
+// Student application that created the enrollment (null for trainer enrollments)
+const applicationSchema = new mongoose.Schema(
+    {
+        coverNote: {
+            type: String,
+            trim: true,
+            maxlength: 2000,
+            default: '',
+        },
+
+        resumeUrl: {
+            type: String,
+            default: null,
+        },
+
+        resumeName: {
+            type: String,
+            default: null,
+        },
+
+        appliedAt: {
+            type: Date,
+            default: Date.now,
+        },
+
+        shortlisted: {
+            type: Boolean,
+            default: false,
+        },
+
+        reviewedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+
+        reviewedAt: {
+            type: Date,
+            default: null,
+        },
+
+        reviewNote: {
+            type: String,
+            maxlength: 500,
+            default: null,
+        },
+    },
+    { _id: false }
+);
+
+// Completion of one curriculum module (graded assignments + finished quizzes)
+const moduleProgressSchema = new mongoose.Schema(
+    {
+        moduleId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'CurriculumModule',
+            required: true,
+        },
+
+        completedItems: {
+            type: Number,
+            default: 0,
+        },
+
+        totalItems: {
+            type: Number,
+            default: 0,
+        },
+
+        progress: {
+            type: Number,
+            default: 0,
+            min: 0,
+            max: 100,
+        },
+    },
+    { _id: false }
+);
+
 const enrollmentSchema = new mongoose.Schema(
     {
         internshipId: {
@@ -17,10 +96,22 @@ const enrollmentSchema = new mongoose.Schema(
 
         status: {
             type: String,
-            enum: ['pending', 'active', 'completed', 'dropped', 'cancelled'],
+            // pending = applied, waitlisted = accepted while seats were full
+            enum: ['pending', 'waitlisted', 'rejected', 'active', 'completed', 'dropped', 'cancelled'],
             default: 'active',
         },
 
+        application: {
+            type: applicationSchema,
+            default: null,
+        },
+
+        // Waitlist order (first in, first promoted)
+        waitlistedAt: {
+            type: Date,
+            default: null,
+        },
+
         enrolledAt: {
             type: Date,
             default: Date.now,
@@ -38,6 +129,8 @@ const enrollmentSchema = new mongoose.Schema(
             max: 100,
         },
 
+        moduleProgress: [moduleProgressSchema],
+
         remarks: {
             type: String,
             default: null,
@@ -65,6 +158,7 @@ const enrollmentSchema = new mongoose.Schema(
 enrollmentSchema.index({ internshipId: 1, studentId: 1 }, { unique: true });
 enrollmentSchema.index({ studentId: 1, status: 1 });
 enrollmentSchema.index({ internshipId: 1, status: 1 });
+enrollmentSchema.index({ internshipId: 1, status: 1, waitlistedAt: 1 });
 
 // Virtual populate for attendance records
 enrollmentSchema.virtual('attendanceRecords', {
@@ -81,27 +175,54 @@ enrollmentSchema.methods.markCompleted = function () {
     return this.save();
 };
 
+// Progress = graded assignments + finished quizzes over published items,
+// overall and per curriculum module
 enrollmentSchema.methods.updateProgress = async function () {
-    // Calculate progress based on assignments, quizzes, attendance
-    // This is a placeholder - implement based on your logic
     const Submission = mongoose.model('AssignmentSubmission');
     const Assignment = mongoose.model('Assignment');
-
-    const totalAssignments = await Assignment.countDocuments({
-        internshipId: this.internshipId
-    });
-
-    if (totalAssignments === 0) {
-        this.progress = 0;
-        return this.save();
-    }
-
-    const completedAssignments = await Submission.countDocuments({
-        studentId: this.studentId,
-        marks: { $ne: null },
+    const QuizAttempt = mongoose.model('QuizAttempt');
+    const Quiz = mongoose.model('Quiz');
+    const CurriculumModule = mongoose.model('CurriculumModule');
+
+    const published = { internshipId: this.internshipId, status: { $in: ['published', 'closed'] } };
+
+    const [assignments, quizzes, modules] = await Promise.all([
+        Assignment.find(published).select('moduleId').lean(),
+        Quiz.find(published).select('moduleId').lean(),
+        CurriculumModule.find({ internshipId: this.internshipId }).select('_id').sort({ order: 1 }).lean(),
+    ]);
+
+    const [gradedAssignmentIds, finishedQuizIds] = await Promise.all([
+        Submission.distinct('assignmentId', {
+            studentId: this.studentId,
+            assignmentId: { $in: assignments.map((a) => a._id) },
+            marks: { $ne: null },
+        }),
+        QuizAttempt.distinct('quizId', {
+            studentId: this.studentId,
+            quizId: { $in: quizzes.map((q) => q._id) },
+            status: { $in: ['submitted', 'evaluated', 'expired'] },
+        }),
+    ]);
+
+    const done = new Set([...gradedAssignmentIds, ...finishedQuizIds].map((id) => id.toString()));
+    const items = [...assignments, ...quizzes];
+
+    const percent = (completed, total) => (total ? Math.round((completed / total) * 100) : 0);
+
+    this.moduleProgress = modules.map((module) => {
+        const moduleItems = items.filter((item) => item.moduleId?.toString() === module._id.toString());
+        const completedItems = moduleItems.filter((item) => done.has(item._id.toString())).length;
+
+        return {
+            moduleId: module._id,
+            completedItems,
+            totalItems: moduleItems.length,
+            progress: percent(completedItems, moduleItems.length),
+        };
     });
 
-    this.progress = Math.round((completedAssignments / totalAssignments) * 100);
+    this.progress = percent(done.size, items.length);
     return this.save();
 };
 
@@ -1,6 +1,143 @@
 // src/models/internship.model.js
 const mongoose = require('mongoose');
 
+// Venue geofence for student self check-in
+const geofenceSchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            trim: true,
+            maxlength: 200,
+            default: '',
+        },
+
+        center: {
+            type: {
+                type: String,
+                enum: ['Point'],
+                default: 'Point',
+            },
+            coordinates: {
+                type: [Number], // [longitude, latitude]
+                required: true,
+            },
+        },
+
+        radiusMeters: {
+            type: Number,
+            required: true,
+            min: 10,
+            max: 50000,
+        },
+    },
+    { _id: false }
+);
+
+const TIME_PATTERN = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+// Weekly timetable: one session per day of week, times in server local time
+const scheduleSlotSchema = new mongoose.Schema(
+    {
+        dayOfWeek: {
+            type: Number, // 0 = Sunday ... 6 = Saturday
+            required: true,
+            min: 0,
+            max: 6,
+        },
+
+        startTime: {
+            type: String, // HH:MM
+            required: true,
+            match: TIME_PATTERN,
+        },
+
+        endTime: {
+            type: String, // HH:MM
+            required: true,
+            match: TIME_PATTERN,
+        },
+    },
+    { _id: false }
+);
+
+const scheduleSchema = new mongoose.Schema(
+    {
+        slots: {
+            type: [scheduleSlotSchema],
+            default: [],
+        },
+
+        // Check-ins up to this many minutes after the start are not late
+        graceMinutes: {
+            type: Number,
+            min: 0,
+            max: 240,
+            default: 10,
+        },
+
+        // Attending less than this share of the session counts as a half day
+        halfDayThresholdPercent: {
+            type: Number,
+            min: 0,
+            max: 100,
+            default: 50,
+        },
+    },
+    { _id: false }
+);
+
+// Early-warning alert rules evaluated for each active enrollment
+const alertSettingsSchema = new mongoose.Schema(
+    {
+        enabled: {
+            type: Boolean,
+            default: true,
+        },
+
+        // Alert when attendance over the rolling window drops below this percentage
+        attendanceThresholdPercent: {
+            type: Number,
+            min: 0,
+            max: 100,
+            default: 75,
+        },
+
+        attendanceWindowDays: {
+            type: Number,
+            min: 7,
+            max: 90,
+            default: 14,
+        },
+
+        // Alert after this many absences in a row (working days)
+        consecutiveAbsences: {
+            type: Number,
+            min: 2,
+            max: 30,
+            default: 3,
+        },
+
+        overdueAssignments: {
+            type: Boolean,
+            default: true,
+        },
+
+        failedQuizzes: {
+            type: Boolean,
+            default: true,
+        },
+
+        // A low-attendance alert still applying is raised again after this many days
+        repeatAfterDays: {
+            type: Number,
+            min: 1,
+            max: 60,
+            default: 7,
+        },
+    },
+    { _id: false }
+);
+
 const internshipSchema = new mongoose.Schema(
     {
         title: {
@@ -59,6 +196,22 @@ const internshipSchema = new mongoose.Schema(
             min: 0,
         },
 
+        // Seat changes in flight: a seat counted (or about to be released) whose enrollment
+        // has not changed status yet. Held across the enrollment write so reconciliation
+        // can tell a request in progress from real drift.
+        seatHolds: {
+            type: [{ at: { type: Date, default: Date.now } }],
+            default: [],
+            select: false,
+        },
+
+        // Bumped with every enrolledCount or seatHolds change
+        seatVersion: {
+            type: Number,
+            default: 0,
+            select: false,
+        },
+
         skills: [{
             type: String,
             trim: true,
@@ -68,6 +221,21 @@ const internshipSchema = new mongoose.Schema(
             type: String,
             trim: true,
         }],
+
+        geofence: {
+            type: geofenceSchema,
+            default: null,
+        },
+
+        schedule: {
+            type: scheduleSchema,
+            default: null,
+        },
+
+        alertSettings: {
+            type: alertSettingsSchema,
+            default: () => ({}),
+        },
     },
     {
         timestamps: true,
@@ -80,6 +248,7 @@ const internshipSchema = new mongoose.Schema(
 internshipSchema.index({ trainerId: 1, status: 1 });
 internshipSchema.index({ startDate: 1, endDate: 1 });
 internshipSchema.index({ status: 1 });
+internshipSchema.index({ 'geofence.center': '2dsphere' });
 
 // Virtual for duration
 internshipSchema.virtual('duration').get(function () {
@@ -112,10 +281,104 @@ internshipSchema.methods.isActive = function () {
         this.endDate >= now;
 };
 
+// Scheduled session on the given date as { start, end, minutes }, or null
+internshipSchema.methods.getScheduledSession = function (date) {
+    const day = new Date(date);
+    const slot = this.schedule?.slots?.find((s) => s.dayOfWeek === day.getDay());
+    if (!slot) return null;
+
+    const at = (time) => {
+        const [hours, minutes] = time.split(':').map(Number);
+        const result = new Date(day);
+        result.setHours(hours, minutes, 0, 0);
+        return result;
+    };
+
+    const start = at(slot.startTime);
+    const end = at(slot.endTime);
+
+    return {
+        start,
+        end,
+        minutes: Math.round((end - start) / (1000 * 60)),
+    };
+};
+
 internshipSchema.methods.hasAvailableSeats = function () {
     if (!this.totalSeats) return true;
     return this.enrolledCount < this.totalSeats;
 };
 
+/**
+ * Atomically take one seat under holdId. The seat check, the increment and the hold
+ * happen in a single conditional update, so concurrent enrollments cannot overbook
+ * totalSeats. Once the enrollment is active call clearSeatHold, or releaseSeat if it
+ * could not be activated. Returns the updated internship, or null when the internship
+ * is full or missing.
+ */
+internshipSchema.statics.reserveSeat = function (internshipId, holdId) {
+    return this.findOneAndUpdate(
+        {
+            _id: internshipId,
+            $or: [
+                { totalSeats: null },
+                { $expr: { $lt: ['$enrolledCount', '$totalSeats'] } },
+            ],
+        },
+        {
+            $inc: { enrolledCount: 1, seatVersion: 1 },
+            $push: { seatHolds: { _id: holdId } },
+        },
+        { new: true }
+    );
+};
+
+/**
+ * Hold a seat that is about to be given back; take it before the enrollment stops
+ * being active and finish with releaseSeat (or clearSeatHold if it stayed active)
+ */
+internshipSchema.statics.holdSeat = function (internshipId, holdId) {
+    return this.updateOne(
+        { _id: internshipId },
+        {
+            $inc: { seatVersion: 1 },
+            $push: { seatHolds: { _id: holdId } },
+        }
+    );
+};
+
+/**
+ * Atomically give back one seat (never below zero) and drop its hold
+ */
+internshipSchema.statics.releaseSeat = async function (internshipId, holdId) {
+    const released = await this.findOneAndUpdate(
+        { _id: internshipId, enrolledCount: { $gt: 0 } },
+        {
+            $inc: { enrolledCount: -1, seatVersion: 1 },
+            $pull: { seatHolds: { _id: holdId } },
+        },
+        { new: true }
+    );
+
+    if (!released) {
+        await this.clearSeatHold(internshipId, holdId);
+    }
+
+    return released;
+};
+
+/**
+ * Drop a hold once the enrollment it covered has been written
+ */
+internshipSchema.statics.clearSeatHold = function (internshipId, holdId) {
+    return this.updateOne(
+        { _id: internshipId },
+        {
+            $inc: { seatVersion: 1 },
+            $pull: { seatHolds: { _id: holdId } },
+        }
+    );
+};
+
 module.exports = mongoose.model('Internship', internshipSchema);
 
@@ -0,0 +1,76 @@
+// src/models/internshipTemplate.model.js
+// Reusable internship structure (curriculum, assignments, quizzes and questions).
+// Dates are stored as millisecond offsets from the internship start date so the
+// template can be instantiated for any cohort.
+const mongoose = require('mongoose');
+
+const internshipTemplateSchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: [true, 'Template name is required'],
+            trim: true,
+            minlength: 3,
+            maxlength: 200,
+        },
+
+        description: {
+            type: String,
+            trim: true,
+            maxlength: 2000,
+            default: null,
+        },
+
+        sourceInternshipId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Internship',
+            default: null,
+        },
+
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'Creator is required'],
+        },
+
+        // Internship fields plus durationMs (end - start)
+        internship: {
+            type: mongoose.Schema.Types.Mixed,
+            required: true,
+        },
+
+        // Curriculum modules in syllabus order
+        modules: {
+            type: [mongoose.Schema.Types.Mixed],
+            default: [],
+        },
+
+        // Assignment settings with dueOffset and moduleIndex
+        assignments: {
+            type: [mongoose.Schema.Types.Mixed],
+            default: [],
+        },
+
+        // Quiz settings with start/end offsets, moduleIndex and their fixed questions
+        quizzes: {
+            type: [mongoose.Schema.Types.Mixed],
+            default: [],
+        },
+
+        counts: {
+            modules: { type: Number, default: 0 },
+            assignments: { type: Number, default: 0 },
+            quizzes: { type: Number, default: 0 },
+            questions: { type: Number, default: 0 },
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// Indexes
+internshipTemplateSchema.index({ createdBy: 1, createdAt: -1 });
+internshipTemplateSchema.index({ name: 1 });
+
+module.exports = mongoose.model('InternshipTemplate', internshipTemplateSchema);
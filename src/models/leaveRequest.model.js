@@ -0,0 +1,91 @@
+// src/models/leaveRequest.model.js
+const mongoose = require('mongoose');
+
+const leaveRequestSchema = new mongoose.Schema(
+    {
+        internshipId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Internship',
+            required: [true, 'Internship is required'],
+            index: true,
+        },
+
+        studentId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: [true, 'Student is required'],
+            index: true,
+        },
+
+        // Whole days, both inclusive (stored at local midnight)
+        startDate: {
+            type: Date,
+            required: [true, 'Start date is required'],
+        },
+
+        endDate: {
+            type: Date,
+            required: [true, 'End date is required'],
+            validate: {
+                validator: function (value) {
+                    return value >= this.startDate;
+                },
+                message: 'End date cannot be before start date',
+            },
+        },
+
+        reason: {
+            type: String,
+            required: [true, 'Reason is required'],
+            trim: true,
+            maxlength: 1000,
+        },
+
+        documentUrl: {
+            type: String,
+            default: null,
+        },
+
+        documentName: {
+            type: String,
+            default: null,
+        },
+
+        status: {
+            type: String,
+            enum: ['pending', 'approved', 'rejected', 'cancelled'],
+            default: 'pending',
+        },
+
+        reviewedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+
+        reviewedAt: {
+            type: Date,
+            default: null,
+        },
+
+        reviewNote: {
+            type: String,
+            maxlength: 500,
+            default: null,
+        },
+
+        // Attendance records set to excused on approval
+        excusedDays: {
+            type: Number,
+            default: 0,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+leaveRequestSchema.index({ internshipId: 1, status: 1, startDate: 1 });
+leaveRequestSchema.index({ studentId: 1, startDate: -1 });
+
+module.exports = mongoose.model('LeaveRequest', leaveRequestSchema);
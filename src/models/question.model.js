@@ -1,5 +1,11 @@
 // src/models/question.model.js
 const mongoose = require('mongoose');
+const { questionContentFields, validateQuestionContent } = require('./questionContent.schema');
+const {
+    MULTI_SELECT_SCORING,
+    NEGATIVE_MARKING,
+    SCORING_RULES,
+} = require('../constants/quizTypes');
 
 const questionSchema = new mongoose.Schema(
     {
@@ -9,65 +15,18 @@ const questionSchema = new mongoose.Schema(
             required: [true, 'Quiz is required'],
         },
 
-        questionText: {
-            type: String,
-            required: [true, 'Question text is required'],
-            trim: true,
-            minlength: 5,
-            maxlength: 1000,
-        },
-
-        questionType: {
-            type: String,
-            enum: ['mcq_single', 'mcq_multiple', 'true_false', 'descriptive'],
-            default: 'mcq_single',
-            required: true,
-        },
-
-        options: [{
-            optionText: {
-                type: String,
-                required: true,
-                trim: true,
-            },
-            isCorrect: {
-                type: Boolean,
-                default: false,
-            },
-        }],
-
-        correctAnswer: {
-            type: mongoose.Schema.Types.Mixed, // Can be string, array, or boolean
-            default: null,
-        },
+        ...questionContentFields,
 
-        marks: {
-            type: Number,
-            required: [true, 'Marks is required'],
-            min: 1,
-            default: 1,
-        },
-
-        negativeMarks: {
-            type: Number,
-            default: 0,
-            min: 0,
-        },
-
-        explanation: {
-            type: String,
+        // Set when the question was copied from the trainer's question bank
+        bankQuestionId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'BankQuestion',
             default: null,
-            maxlength: 1000,
         },
 
-        difficulty: {
-            type: String,
-            enum: ['easy', 'medium', 'hard'],
-            default: 'medium',
-        },
-
-        imageUrl: {
-            type: String,
+        // Set when the question was drawn at random for one of the quiz's questionPools
+        poolId: {
+            type: mongoose.Schema.Types.ObjectId,
             default: null,
         },
 
@@ -76,11 +35,6 @@ const questionSchema = new mongoose.Schema(
             default: 0,
         },
 
-        tags: [{
-            type: String,
-            trim: true,
-        }],
-
         isActive: {
             type: Boolean,
             default: true,
@@ -95,91 +49,230 @@ const questionSchema = new mongoose.Schema(
 questionSchema.index({ quizId: 1, order: 1 });
 questionSchema.index({ quizId: 1, isActive: 1 });
 questionSchema.index({ questionType: 1 });
+questionSchema.index({ quizId: 1, poolId: 1, bankQuestionId: 1 });
 
 // Validation
-questionSchema.pre('save', function (next) {
-    // Validate options for MCQ questions
-    if (this.questionType === 'mcq_single' || this.questionType === 'mcq_multiple') {
-        if (!this.options || this.options.length < 2) {
-            return next(new Error('MCQ questions must have at least 2 options'));
-        }
+questionSchema.pre('validate', validateQuestionContent);
 
-        const correctOptions = this.options.filter(opt => opt.isCorrect);
-
-        if (this.questionType === 'mcq_single' && correctOptions.length !== 1) {
-            return next(new Error('Single choice MCQ must have exactly 1 correct answer'));
-        }
+// Methods
 
-        if (this.questionType === 'mcq_multiple' && correctOptions.length < 1) {
-            return next(new Error('Multiple choice MCQ must have at least 1 correct answer'));
-        }
-    }
+// Score an answer under the quiz's scoringPolicy; `rule` records which rule produced the marks
+questionSchema.methods.checkAnswer = function (studentAnswer, policy = {}) {
+    const {
+        multiSelect = MULTI_SELECT_SCORING.ALL_OR_NOTHING,
+        negativeMarking = NEGATIVE_MARKING.ALL_INCORRECT,
+    } = policy;
 
-    // Validate true/false questions
-    if (this.questionType === 'true_false') {
-        if (typeof this.correctAnswer !== 'boolean') {
-            return next(new Error('True/False questions must have a boolean correct answer'));
-        }
+    if (this.questionType === 'descriptive') {
+        // Descriptive questions need manual evaluation
+        return { isCorrect: null, requiresManualEvaluation: true, rule: SCORING_RULES.MANUAL };
     }
 
-    next();
-});
+    const isBlank = studentAnswer === null ||
+        studentAnswer === undefined ||
+        Number.isNaN(studentAnswer) ||
+        (typeof studentAnswer === 'string' && studentAnswer.trim() === '') ||
+        (Array.isArray(studentAnswer) && studentAnswer.length === 0) ||
+        (typeof studentAnswer === 'object' && Object.keys(studentAnswer).length === 0);
 
-// Methods
-questionSchema.methods.checkAnswer = function (studentAnswer) {
-    if (this.questionType === 'descriptive') {
-        // Descriptive questions need manual evaluation
-        return { isCorrect: null, requiresManualEvaluation: true };
+    if (isBlank && negativeMarking !== NEGATIVE_MARKING.ALL_INCORRECT) {
+        return { isCorrect: null, marksAwarded: 0, rule: SCORING_RULES.SKIPPED };
     }
 
-    if (this.questionType === 'true_false') {
+    const correct = () => ({ isCorrect: true, marksAwarded: this.marks, rule: SCORING_RULES.CORRECT });
+    const incorrect = () => {
+        const penalty = negativeMarking === NEGATIVE_MARKING.NONE ? 0 : this.negativeMarks;
         return {
-            isCorrect: studentAnswer === this.correctAnswer,
-            marksAwarded: studentAnswer === this.correctAnswer ? this.marks : -this.negativeMarks,
+            isCorrect: false,
+            marksAwarded: penalty ? -penalty : 0,
+            rule: penalty ? SCORING_RULES.NEGATIVE_MARKING : SCORING_RULES.INCORRECT,
         };
+    };
+
+    if (this.questionType === 'true_false') {
+        return studentAnswer === this.correctAnswer ? correct() : incorrect();
     }
 
+    // MCQ answers are option ids, so scoring does not depend on display order
     if (this.questionType === 'mcq_single') {
-        const correctOption = this.options.find(opt => opt.isCorrect);
-        const isCorrect = studentAnswer === correctOption?.optionText;
-        return {
-            isCorrect,
-            marksAwarded: isCorrect ? this.marks : -this.negativeMarks,
-        };
+        const selected = this.findOption(studentAnswer);
+        return selected?.isCorrect ? correct() : incorrect();
     }
 
     if (this.questionType === 'mcq_multiple') {
-        const correctOptions = this.options
-            .filter(opt => opt.isCorrect)
-            .map(opt => opt.optionText)
-            .sort();
-
-        const studentAnswersSorted = Array.isArray(studentAnswer)
-            ? studentAnswer.sort()
+        const selected = Array.isArray(studentAnswer)
+            ? [...new Set(studentAnswer.map(value => this.findOption(value)))]
             : [];
 
-        const isCorrect = JSON.stringify(correctOptions) === JSON.stringify(studentAnswersSorted);
-        return {
-            isCorrect,
-            marksAwarded: isCorrect ? this.marks : -this.negativeMarks,
+        const correctTotal = this.options.filter(opt => opt.isCorrect).length;
+        const wrongTotal = this.options.length - correctTotal;
+        const hits = selected.filter(opt => opt?.isCorrect).length;
+        const wrongs = selected.length - hits;
+
+        if (hits === correctTotal && wrongs === 0) {
+            return correct();
+        }
+
+        if (multiSelect === MULTI_SELECT_SCORING.ZERO_ON_WRONG && wrongs > 0) {
+            return { isCorrect: false, marksAwarded: 0, rule: SCORING_RULES.ZERO_ON_WRONG };
+        }
+
+        if (multiSelect !== MULTI_SELECT_SCORING.ALL_OR_NOTHING) {
+            // Each wrong selection cancels out a share of the credit for correct ones
+            const fraction = hits / correctTotal - (wrongTotal ? wrongs / wrongTotal : 0);
+
+            if (fraction > 0) {
+                return {
+                    isCorrect: false,
+                    marksAwarded: Number((this.marks * fraction).toFixed(2)),
+                    rule: SCORING_RULES.PROPORTIONAL,
+                };
+            }
+        }
+
+        return incorrect();
+    }
+
+    if (this.questionType === 'numeric') {
+        // Number('') and Number(null) are 0, so a blank answer must never reach the comparison
+        const value = isBlank ? NaN : Number(studentAnswer);
+        const isCorrect = Number.isFinite(value) &&
+            Math.abs(value - this.correctAnswer) <= this.tolerance + 1e-9;
+        return isCorrect ? correct() : incorrect();
+    }
+
+    if (this.questionType === 'short_answer') {
+        const normalize = value => {
+            const text = String(value).trim().replace(/\s+/g, ' ');
+            return this.caseSensitive ? text : text.toLowerCase();
         };
+
+        const answer = normalize(studentAnswer);
+        return this.acceptedAnswers.some(accepted => normalize(accepted) === answer)
+            ? correct()
+            : incorrect();
     }
 
-    return { isCorrect: false, marksAwarded: 0 };
+    // Matching and ordering: every pair/position must be right, unless the
+    // quiz uses proportional scoring, which credits each right one
+    const scoreParts = (hits, total) => {
+        if (hits === total) return correct();
+
+        if (multiSelect === MULTI_SELECT_SCORING.PROPORTIONAL && hits > 0) {
+            return {
+                isCorrect: false,
+                marksAwarded: Number(((this.marks * hits) / total).toFixed(2)),
+                rule: SCORING_RULES.PROPORTIONAL,
+            };
+        }
+
+        return incorrect();
+    };
+
+    if (this.questionType === 'matching') {
+        // Answer maps pair id -> chosen right-hand text
+        const answer = studentAnswer && typeof studentAnswer === 'object' && !Array.isArray(studentAnswer)
+            ? studentAnswer
+            : {};
+
+        const hits = this.pairs.filter(pair => {
+            const chosen = answer[pair._id.toString()];
+            return typeof chosen === 'string' &&
+                chosen.trim().toLowerCase() === pair.right.toLowerCase();
+        }).length;
+
+        return scoreParts(hits, this.pairs.length);
+    }
+
+    if (this.questionType === 'ordering') {
+        // Answer lists item ids in the student's order; stored order is correct
+        const answer = Array.isArray(studentAnswer) ? studentAnswer : [];
+
+        const hits = this.options.filter(
+            (opt, index) => this.findOption(answer[index])?._id.equals(opt._id)
+        ).length;
+
+        return scoreParts(hits, this.options.length);
+    }
+
+    return { isCorrect: false, marksAwarded: 0, rule: SCORING_RULES.INCORRECT };
+};
+
+// Match an answer to an option by id; optionText is accepted for answers saved before ids were used
+questionSchema.methods.findOption = function (value) {
+    if (value === undefined || value === null) return null;
+
+    const key = value.toString();
+    return this.options.find(opt => opt._id.toString() === key) ||
+        this.options.find(opt => opt.optionText === key) ||
+        null;
+};
+
+// Correct answer fields for post-release review
+questionSchema.methods.getAnswerKey = function () {
+    switch (this.questionType) {
+        case 'mcq_single':
+        case 'mcq_multiple':
+            return {
+                correctOptionIds: this.options.filter(opt => opt.isCorrect).map(opt => opt._id),
+            };
+        case 'ordering':
+            return { correctOrder: this.options.map(opt => opt._id) };
+        case 'true_false':
+            return { correctAnswer: this.correctAnswer };
+        case 'numeric':
+            return { correctAnswer: this.correctAnswer, tolerance: this.tolerance };
+        case 'short_answer':
+            return { acceptedAnswers: this.acceptedAnswers };
+        case 'matching':
+            return {
+                correctPairs: this.pairs.map(pair => ({ promptId: pair._id, match: pair.right })),
+            };
+        default:
+            return {};
+    }
 };
 
-questionSchema.methods.getSafeQuestion = function () {
+// Option (or matching pair) ids in the attempt's shuffled order; stored order
+// gives the answer away for ordering/matching, so those fall back to alphabetical
+questionSchema.methods.getSafeQuestion = function (optionIds = null) {
     const question = this.toObject();
 
+    const arrange = (items, textOf) => {
+        if (optionIds?.length) {
+            const position = new Map(optionIds.map((id, index) => [id.toString(), index]));
+            const rank = item => position.get(item._id.toString()) ?? optionIds.length;
+            return items.sort((a, b) => rank(a) - rank(b));
+        }
+
+        if (['ordering', 'matching'].includes(this.questionType)) {
+            return items.sort((a, b) => textOf(a).localeCompare(textOf(b)));
+        }
+
+        return items;
+    };
+
     // Remove correct answers for students
     if (question.options) {
-        question.options = question.options.map(opt => ({
-            optionText: opt.optionText,
-            _id: opt._id,
-        }));
+        question.options = arrange(
+            question.options.map(opt => ({
+                optionText: opt.optionText,
+                _id: opt._id,
+            })),
+            opt => opt.optionText
+        );
+    }
+
+    if (this.questionType === 'matching') {
+        // Prompts keep their ids; right-hand texts are served detached from them
+        question.prompts = question.pairs.map(pair => ({ _id: pair._id, text: pair.left }));
+        question.matches = arrange([...question.pairs], pair => pair.right).map(pair => pair.right);
     }
 
+    delete question.pairs;
     delete question.correctAnswer;
+    delete question.tolerance;
+    delete question.acceptedAnswers;
     delete question.explanation; // Show after submission
 
     return question;
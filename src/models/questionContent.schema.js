@@ -0,0 +1,204 @@
+// src/models/questionContent.schema.js
+// Question content shared by QuizQuestion and the trainer question bank
+const mongoose = require('mongoose');
+
+const questionContentFields = {
+    questionText: {
+        type: String,
+        required: [true, 'Question text is required'],
+        trim: true,
+        minlength: 5,
+        maxlength: 1000,
+    },
+
+    questionType: {
+        type: String,
+        enum: [
+            'mcq_single',
+            'mcq_multiple',
+            'true_false',
+            'descriptive',
+            'numeric',
+            'short_answer',
+            'matching',
+            'ordering',
+        ],
+        default: 'mcq_single',
+        required: true,
+    },
+
+    // MCQ choices; for ordering questions, the items in their correct order
+    options: [{
+        optionText: {
+            type: String,
+            required: true,
+            trim: true,
+        },
+        isCorrect: {
+            type: Boolean,
+            default: false,
+        },
+    }],
+
+    correctAnswer: {
+        type: mongoose.Schema.Types.Mixed, // Can be string, array, boolean or number
+        default: null,
+    },
+
+    // Numeric: answers within correctAnswer ± tolerance are accepted
+    tolerance: {
+        type: Number,
+        default: 0,
+        min: 0,
+    },
+
+    // Short answer: any of these is accepted after whitespace (and case) normalization
+    acceptedAnswers: [{
+        type: String,
+        trim: true,
+    }],
+
+    caseSensitive: {
+        type: Boolean,
+        default: false,
+    },
+
+    // Matching: each left prompt must be paired with its right-hand text
+    pairs: [{
+        left: {
+            type: String,
+            required: true,
+            trim: true,
+        },
+        right: {
+            type: String,
+            required: true,
+            trim: true,
+        },
+    }],
+
+    marks: {
+        type: Number,
+        required: [true, 'Marks is required'],
+        min: 1,
+        default: 1,
+    },
+
+    negativeMarks: {
+        type: Number,
+        default: 0,
+        min: 0,
+    },
+
+    explanation: {
+        type: String,
+        default: null,
+        maxlength: 1000,
+    },
+
+    difficulty: {
+        type: String,
+        enum: ['easy', 'medium', 'hard'],
+        default: 'medium',
+    },
+
+    // Groups questions for per-section scoring floors
+    section: {
+        type: String,
+        trim: true,
+        maxlength: 100,
+        default: null,
+    },
+
+    imageUrl: {
+        type: String,
+        default: null,
+    },
+
+    tags: [{
+        type: String,
+        trim: true,
+    }],
+};
+
+// Pre-validate hook: type-specific checks on options and correctAnswer
+function validateQuestionContent() {
+    // Validate options for MCQ questions
+    if (this.questionType === 'mcq_single' || this.questionType === 'mcq_multiple') {
+        if (!this.options || this.options.length < 2) {
+            this.invalidate('options', 'MCQ questions must have at least 2 options');
+            return;
+        }
+
+        const correctOptions = this.options.filter(opt => opt.isCorrect);
+
+        if (this.questionType === 'mcq_single' && correctOptions.length !== 1) {
+            this.invalidate('options', 'Single choice MCQ must have exactly 1 correct answer');
+        }
+
+        if (this.questionType === 'mcq_multiple' && correctOptions.length < 1) {
+            this.invalidate('options', 'Multiple choice MCQ must have at least 1 correct answer');
+        }
+    }
+
+    // Validate true/false questions
+    if (this.questionType === 'true_false') {
+        if (typeof this.correctAnswer !== 'boolean') {
+            this.invalidate('correctAnswer', 'True/False questions must have a boolean correct answer');
+        }
+    }
+
+    if (this.questionType === 'numeric') {
+        if (typeof this.correctAnswer !== 'number' || !Number.isFinite(this.correctAnswer)) {
+            this.invalidate('correctAnswer', 'Numeric questions must have a numeric correct answer');
+        }
+    }
+
+    if (this.questionType === 'short_answer') {
+        if (!this.acceptedAnswers || this.acceptedAnswers.length < 1) {
+            this.invalidate('acceptedAnswers', 'Short answer questions must have at least 1 accepted answer');
+        }
+    }
+
+    if (this.questionType === 'matching') {
+        if (!this.pairs || this.pairs.length < 2) {
+            this.invalidate('pairs', 'Matching questions must have at least 2 pairs');
+            return;
+        }
+
+        const rights = this.pairs.map(pair => pair.right.toLowerCase());
+        if (new Set(rights).size !== rights.length) {
+            this.invalidate('pairs', 'Matching answers (right side) must be unique');
+        }
+    }
+
+    if (this.questionType === 'ordering') {
+        if (!this.options || this.options.length < 2) {
+            this.invalidate('options', 'Ordering questions must have at least 2 items');
+        }
+    }
+}
+
+// Copy only the content fields of a question (document or plain object)
+const pickQuestionContent = (question) => {
+    const source = typeof question.toObject === 'function' ? question.toObject() : question;
+
+    return Object.keys(questionContentFields).reduce((content, key) => {
+        if (source[key] !== undefined) {
+            if (key === 'options') {
+                content[key] = source.options.map(({ optionText, isCorrect }) => ({ optionText, isCorrect }));
+            } else if (key === 'pairs') {
+                content[key] = source.pairs.map(({ left, right }) => ({ left, right }));
+            } else {
+                content[key] = source[key];
+            }
+        }
+        return content;
+    }, {});
+};
+
+module.exports = {
+    questionContentFields,
+    validateQuestionContent,
+    pickQuestionContent,
+};
@@ -1,5 +1,10 @@
 // src/models/quiz.model.js
 const mongoose = require('mongoose');
+const {
+    MULTI_SELECT_SCORING,
+    NEGATIVE_MARKING,
+    ATTEMPT_SCORING,
+} = require('../constants/quizTypes');
 
 const quizSchema = new mongoose.Schema(
     {
@@ -9,6 +14,13 @@ const quizSchema = new mongoose.Schema(
             required: [true, 'Internship is required'],
         },
 
+        // Curriculum module this item belongs to
+        moduleId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'CurriculumModule',
+            default: null,
+        },
+
         title: {
             type: String,
             required: [true, 'Title is required'],
@@ -81,11 +93,66 @@ const quizSchema = new mongoose.Schema(
             min: 1,
         },
 
+        // Minimum wait after submitting before the next attempt may start
+        attemptCooldownMinutes: {
+            type: Number,
+            default: 0,
+            min: 0,
+        },
+
+        // Which attempt counts toward grades when several are allowed
+        attemptScoring: {
+            type: String,
+            enum: Object.values(ATTEMPT_SCORING),
+            default: ATTEMPT_SCORING.HIGHEST,
+        },
+
+        // Optional code students must enter to start; never sent to students
+        accessCode: {
+            type: String,
+            trim: true,
+            default: null,
+            select: false,
+        },
+
+        requiresAccessCode: {
+            type: Boolean,
+            default: false,
+        },
+
+        // Per-student extra time and extended windows
+        accommodations: [{
+            studentId: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User',
+                required: true,
+            },
+            extraTimeMinutes: {
+                type: Number,
+                default: 0,
+                min: 0,
+            },
+            extendedEndDate: {
+                type: Date,
+                default: null,
+            },
+            note: {
+                type: String,
+                default: null,
+                maxlength: 500,
+            },
+        }],
+
         shuffleQuestions: {
             type: Boolean,
             default: false,
         },
 
+        shuffleOptions: {
+            type: Boolean,
+            default: false,
+        },
+
         showCorrectAnswers: {
             type: Boolean,
             default: true,
@@ -96,6 +163,55 @@ const quizSchema = new mongoose.Schema(
             default: true,
         },
 
+        scoringPolicy: {
+            multiSelect: {
+                type: String,
+                enum: Object.values(MULTI_SELECT_SCORING),
+                default: MULTI_SELECT_SCORING.ALL_OR_NOTHING,
+            },
+            negativeMarking: {
+                type: String,
+                enum: Object.values(NEGATIVE_MARKING),
+                default: NEGATIVE_MARKING.ALL_INCORRECT,
+            },
+            // Minimum marks a section can contribute (e.g. 0 stops negatives spilling over)
+            sectionFloor: {
+                type: Number,
+                default: null,
+            },
+        },
+
+        // Random draws from the creator's question bank, made per attempt
+        questionPools: [{
+            tags: [{
+                type: String,
+                trim: true,
+            }],
+            skills: [{
+                type: String,
+                trim: true,
+            }],
+            difficulty: {
+                type: String,
+                enum: ['easy', 'medium', 'hard', null],
+                default: null,
+            },
+            questionType: {
+                type: String,
+                default: null,
+            },
+            count: {
+                type: Number,
+                required: true,
+                min: 1,
+            },
+            marks: {
+                type: Number, // overrides the bank question's marks when set
+                default: null,
+                min: 1,
+            },
+        }],
+
         questionCount: {
             type: Number,
             default: 0,
@@ -111,6 +227,12 @@ const quizSchema = new mongoose.Schema(
             type: Date,
             default: null,
         },
+
+        // Set by the trainer's "release results" action when results are not shown immediately
+        resultsReleasedAt: {
+            type: Date,
+            default: null,
+        },
     },
     {
         timestamps: true,
@@ -121,6 +243,7 @@ const quizSchema = new mongoose.Schema(
 
 // Indexes
 quizSchema.index({ internshipId: 1, status: 1 });
+quizSchema.index({ moduleId: 1 });
 quizSchema.index({ createdBy: 1 });
 quizSchema.index({ startDate: 1, endDate: 1 });
 
@@ -146,11 +269,40 @@ quizSchema.virtual('isActive').get(function () {
         (!this.endDate || this.endDate >= now);
 });
 
+quizSchema.virtual('resultsReleased').get(function () {
+    return Boolean(this.showResultsImmediately || this.resultsReleasedAt);
+});
+
 quizSchema.virtual('durationInSeconds').get(function () {
     return this.duration * 60;
 });
 
+// Keep requiresAccessCode in step with the (unselected by default) accessCode
+quizSchema.pre('validate', function () {
+    if (this.isModified('accessCode')) {
+        this.requiresAccessCode = Boolean(this.accessCode);
+    }
+});
+
 // Methods
+quizSchema.methods.getAccommodation = function (studentId) {
+    return this.accommodations.find(
+        (a) => a.studentId.toString() === studentId.toString()
+    ) || null;
+};
+
+// Opening window for a student, taking an extended end date into account
+quizSchema.methods.getWindowFor = function (studentId) {
+    const accommodation = this.getAccommodation(studentId);
+    let endDate = this.endDate;
+
+    if (accommodation?.extendedEndDate && (!endDate || accommodation.extendedEndDate > endDate)) {
+        endDate = accommodation.extendedEndDate;
+    }
+
+    return { startDate: this.startDate, endDate };
+};
+
 quizSchema.methods.publish = function () {
     this.status = 'published';
     this.publishedAt = new Date();
@@ -0,0 +1,46 @@
+// src/routes/alert.routes.js
+const express = require('express');
+const alertController = require('../controllers/alert.controller');
+const authMiddleware = require('../middlewares/auth.middleware');
+const { validate } = require('../middlewares/validate.middleware');
+const alertValidation = require('../validations/alert.validation');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authMiddleware);
+
+/**
+ * @route   GET /api/v1/alerts
+ * @desc    Get own early-warning alerts (unread=true for unread only)
+ * @access  Private
+ */
+router.get(
+    '/',
+    validate(alertValidation.list),
+    alertController.getMyAlerts
+);
+
+/**
+ * @route   PATCH /api/v1/alerts/read-all
+ * @desc    Mark all own alerts as read
+ * @access  Private
+ */
+router.patch(
+    '/read-all',
+    validate(alertValidation.markAllAsRead),
+    alertController.markAllAsRead
+);
+
+/**
+ * @route   PATCH /api/v1/alerts/:id/read
+ * @desc    Mark an alert as read
+ * @access  Private
+ */
+router.patch(
+    '/:id/read',
+    validate(alertValidation.markAsRead),
+    alertController.markAsRead
+);
+
+module.exports = router;
@@ -0,0 +1,96 @@
+// src/routes/application.routes.js
+const express = require('express');
+const applicationController = require('../controllers/application.controller');
+const authMiddleware = require('../middlewares/auth.middleware');
+const { isStudent, isTrainerOrAdmin } = require('../middlewares/role.middleware');
+const { validate } = require('../middlewares/validate.middleware');
+const uploadMiddleware = require('../middlewares/upload.middleware');
+const applicationValidation = require('../validations/application.validation');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authMiddleware);
+
+// ==========================================
+// STUDENT ROUTES
+// ==========================================
+
+/**
+ * @route   GET /api/v1/applications/open-internships
+ * @desc    Browse internships accepting applications
+ * @access  Student
+ */
+router.get(
+    '/open-internships',
+    isStudent,
+    validate(applicationValidation.openInternships),
+    applicationController.getOpenInternships
+);
+
+/**
+ * @route   POST /api/v1/applications
+ * @desc    Apply to an internship (multipart; optional "resume" file)
+ * @access  Student
+ */
+router.post(
+    '/',
+    isStudent,
+    uploadMiddleware.single('resume'),
+    validate(applicationValidation.apply),
+    applicationController.apply
+);
+
+/**
+ * @route   GET /api/v1/applications/my
+ * @desc    Get own applications with waitlist position
+ * @access  Student
+ */
+router.get(
+    '/my',
+    isStudent,
+    validate(applicationValidation.myList),
+    applicationController.getMyApplications
+);
+
+/**
+ * @route   PATCH /api/v1/applications/:id/withdraw
+ * @desc    Withdraw an application or leave an internship
+ * @access  Student
+ */
+router.patch(
+    '/:id/withdraw',
+    isStudent,
+    validate(applicationValidation.withdraw),
+    applicationController.withdraw
+);
+
+// ==========================================
+// TRAINER ROUTES
+// ==========================================
+
+/**
+ * @route   GET /api/v1/applications/internship/:internshipId
+ * @desc    Get applications (status=waitlisted lists the waitlist in order)
+ * @access  Trainer, Admin
+ */
+router.get(
+    '/internship/:internshipId',
+    isTrainerOrAdmin,
+    validate(applicationValidation.list),
+    applicationController.getApplications
+);
+
+/**
+ * @route   PATCH /api/v1/applications/:id/decision
+ * @desc    Shortlist, accept or reject an application
+ * @access  Trainer, Admin
+ */
+router.patch(
+    '/:id/decision',
+    isTrainerOrAdmin,
+    validate(applicationValidation.decide),
+    applicationController.decide
+);
+
+module.exports = router;
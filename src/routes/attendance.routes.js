@@ -1,9 +1,18 @@
 // src/routes/attendance.routes.js
 const express = require('express');
 const attendanceController = require('../controllers/attendance.controller');
+const attendanceSessionController = require('../controllers/attendanceSession.controller');
+const attendanceCorrectionController = require('../controllers/attendanceCorrection.controller');
 const authMiddleware = require('../middlewares/auth.middleware');
-const { isTrainerOrAdmin, isAdmin } = require('../middlewares/role.middleware');
+const {
+    isTrainerOrAdmin,
+    isAdmin,
+    isStudent,
+    permissionMiddleware,
+} = require('../middlewares/role.middleware');
+const { PERMISSIONS } = require('../constants/permissions');
 const { validate } = require('../middlewares/validate.middleware');
+const uploadMiddleware = require('../middlewares/upload.middleware');
 const attendanceValidation = require('../validations/attendance.validation');
 
 const router = express.Router();
@@ -35,10 +44,158 @@ router.get(
     attendanceController.getMyMonthlyStats
 );
 
+/**
+ * @route   POST /api/v1/attendance/check-in
+ * @desc    Self check-in (outside the venue geofence goes to trainer review)
+ * @access  Private (Student)
+ */
+router.post(
+    '/check-in',
+    isStudent,
+    permissionMiddleware(PERMISSIONS.MARK_ATTENDANCE),
+    validate(attendanceValidation.selfCheck),
+    attendanceController.checkIn
+);
+
+/**
+ * @route   POST /api/v1/attendance/check-out
+ * @desc    Self check-out
+ * @access  Private (Student)
+ */
+router.post(
+    '/check-out',
+    isStudent,
+    permissionMiddleware(PERMISSIONS.MARK_ATTENDANCE),
+    validate(attendanceValidation.selfCheck),
+    attendanceController.checkOut
+);
+
+/**
+ * @route   POST /api/v1/attendance/sessions/redeem
+ * @desc    Check in by redeeming a scanned QR token
+ * @access  Private (Student)
+ */
+router.post(
+    '/sessions/redeem',
+    isStudent,
+    permissionMiddleware(PERMISSIONS.MARK_ATTENDANCE),
+    validate(attendanceValidation.redeemToken),
+    attendanceSessionController.redeemToken
+);
+
+/**
+ * @route   GET /api/v1/attendance/corrections/my
+ * @desc    Get own correction requests
+ * @access  Private (Student)
+ */
+router.get(
+    '/corrections/my',
+    isStudent,
+    validate(attendanceValidation.getCorrections),
+    attendanceCorrectionController.getMyCorrections
+);
+
+/**
+ * @route   PATCH /api/v1/attendance/corrections/:correctionId/cancel
+ * @desc    Cancel a pending correction request
+ * @access  Private (Student)
+ */
+router.patch(
+    '/corrections/:correctionId/cancel',
+    isStudent,
+    validate(attendanceValidation.correctionById),
+    attendanceCorrectionController.cancelCorrection
+);
+
+/**
+ * @route   POST /api/v1/attendance/:id/corrections
+ * @desc    Request a correction to own attendance record (optional evidence file)
+ * @access  Private (Student)
+ */
+router.post(
+    '/:id/corrections',
+    isStudent,
+    uploadMiddleware.single('evidence'),
+    validate(attendanceValidation.createCorrection),
+    attendanceCorrectionController.createCorrection
+);
+
 /**
  * TRAINER/ADMIN ROUTES
  */
 
+/**
+ * @route   GET /api/v1/attendance/corrections
+ * @desc    Get correction requests on managed internships
+ * @access  Private (Trainer, Admin)
+ */
+router.get(
+    '/corrections',
+    isTrainerOrAdmin,
+    validate(attendanceValidation.getCorrections),
+    attendanceCorrectionController.getCorrections
+);
+
+/**
+ * @route   PATCH /api/v1/attendance/corrections/:correctionId/resolve
+ * @desc    Approve or reject a correction request
+ * @access  Private (Trainer, Admin)
+ */
+router.patch(
+    '/corrections/:correctionId/resolve',
+    permissionMiddleware(PERMISSIONS.APPROVE_ATTENDANCE),
+    validate(attendanceValidation.resolveCorrection),
+    attendanceCorrectionController.resolveCorrection
+);
+
+/**
+ * @route   POST /api/v1/attendance/sessions
+ * @desc    Open a QR attendance session
+ * @access  Private (Trainer, Admin)
+ */
+router.post(
+    '/sessions',
+    isTrainerOrAdmin,
+    validate(attendanceValidation.openSession),
+    attendanceSessionController.openSession
+);
+
+/**
+ * @route   GET /api/v1/attendance/sessions/:sessionId
+ * @desc    Get attendance session with checked-in students
+ * @access  Private (Trainer, Admin)
+ */
+router.get(
+    '/sessions/:sessionId',
+    isTrainerOrAdmin,
+    validate(attendanceValidation.sessionById),
+    attendanceSessionController.getSession
+);
+
+/**
+ * @route   GET /api/v1/attendance/sessions/:sessionId/token
+ * @desc    Get the current rotating QR token
+ * @access  Private (Trainer, Admin)
+ */
+router.get(
+    '/sessions/:sessionId/token',
+    isTrainerOrAdmin,
+    validate(attendanceValidation.sessionById),
+    attendanceSessionController.getCurrentToken
+);
+
+/**
+ * @route   POST /api/v1/attendance/sessions/:sessionId/close
+ * @desc    Close session and mark students who did not check in absent
+ * @access  Private (Trainer, Admin)
+ */
+router.post(
+    '/sessions/:sessionId/close',
+    isTrainerOrAdmin,
+    validate(attendanceValidation.sessionById),
+    attendanceSessionController.closeSession
+);
+
 /**
  * @route   POST /api/v1/attendance
  * @desc    Mark attendance for a student
@@ -88,7 +245,7 @@ router.get(
 
 /**
  * @route   GET /api/v1/attendance/monthly-report/:internshipId
- * @desc    Get internship monthly attendance report
+ * @desc    Get internship monthly attendance report (format=xlsx|csv downloads the register)
  * @access  Private (Trainer, Admin)
  */
 router.get(
@@ -98,6 +255,42 @@ router.get(
     attendanceController.getMonthlyReport
 );
 
+/**
+ * @route   POST /api/v1/attendance/import/:internshipId
+ * @desc    Import a monthly register grid (XLSX/CSV); dryRun=true only validates
+ * @access  Private (Trainer, Admin)
+ */
+router.post(
+    '/import/:internshipId',
+    isTrainerOrAdmin,
+    uploadMiddleware.importFile('file', ['xlsx', 'csv']),
+    validate(attendanceValidation.importRegister),
+    attendanceController.importRegister
+);
+
+/**
+ * @route   GET /api/v1/attendance/auto-absent/preview/:internshipId
+ * @desc    Dry run: students the end-of-day job would mark absent
+ * @access  Private (Trainer, Admin)
+ */
+router.get(
+    '/auto-absent/preview/:internshipId',
+    isTrainerOrAdmin,
+    validate(attendanceValidation.autoAbsentPreview),
+    attendanceController.getAutoAbsentPreview
+);
+
+/**
+ * @route   GET /api/v1/attendance/:id/history
+ * @desc    Get the full edit history of an attendance record
+ * @access  Private
+ */
+router.get(
+    '/:id/history',
+    validate(attendanceValidation.getById),
+    attendanceCorrectionController.getHistory
+);
+
 /**
  * @route   GET /api/v1/attendance/:id
  * @desc    Get single attendance record
@@ -132,6 +325,18 @@ router.put(
     attendanceController.updateAttendance
 );
 
+/**
+ * @route   PATCH /api/v1/attendance/:id/review
+ * @desc    Approve or reject a self check-in pending review
+ * @access  Private (Trainer, Admin)
+ */
+router.patch(
+    '/:id/review',
+    permissionMiddleware(PERMISSIONS.APPROVE_ATTENDANCE),
+    validate(attendanceValidation.reviewAttendance),
+    attendanceController.reviewAttendance
+);
+
 /**
  * @route   DELETE /api/v1/attendance/:id
  * @desc    Delete attendance record
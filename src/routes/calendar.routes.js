@@ -0,0 +1,60 @@
+// src/routes/calendar.routes.js
+const express = require('express');
+const calendarController = require('../controllers/calendar.controller');
+const authMiddleware = require('../middlewares/auth.middleware');
+const { isTrainerOrAdmin } = require('../middlewares/role.middleware');
+const { validate } = require('../middlewares/validate.middleware');
+const calendarValidation = require('../validations/calendar.validation');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authMiddleware);
+
+/**
+ * @route   GET /api/v1/calendar
+ * @desc    Organization calendar, plus internship entries when internshipId is given
+ * @access  Private
+ */
+router.get(
+    '/',
+    validate(calendarValidation.list),
+    calendarController.getEntries
+);
+
+/**
+ * @route   GET /api/v1/calendar/working-days
+ * @desc    Days an internship expects attendance in a range
+ * @access  Private
+ */
+router.get(
+    '/working-days',
+    validate(calendarValidation.workingDays),
+    calendarController.getWorkingDays
+);
+
+/**
+ * @route   POST /api/v1/calendar
+ * @desc    Add holidays or working days (organization-wide: Admin; internship: owning Trainer/Admin)
+ * @access  Trainer/Admin
+ */
+router.post(
+    '/',
+    isTrainerOrAdmin,
+    validate(calendarValidation.create),
+    calendarController.createEntries
+);
+
+/**
+ * @route   DELETE /api/v1/calendar/:id
+ * @desc    Delete calendar entry
+ * @access  Trainer/Admin
+ */
+router.delete(
+    '/:id',
+    isTrainerOrAdmin,
+    validate(calendarValidation.delete),
+    calendarController.deleteEntry
+);
+
+module.exports = router;
@@ -0,0 +1,111 @@
+// src/routes/curriculum.routes.js
+const express = require('express');
+const curriculumController = require('../controllers/curriculum.controller');
+const authMiddleware = require('../middlewares/auth.middleware');
+const { isTrainerOrAdmin } = require('../middlewares/role.middleware');
+const { validate } = require('../middlewares/validate.middleware');
+const uploadMiddleware = require('../middlewares/upload.middleware');
+const curriculumValidation = require('../validations/curriculum.validation');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authMiddleware);
+
+/**
+ * @route   GET /api/v1/curriculum/internship/:internshipId
+ * @desc    Get internship syllabus (modules, resources, items, own progress)
+ * @access  Enrolled Student, Trainer (owner), Admin
+ */
+router.get(
+    '/internship/:internshipId',
+    validate(curriculumValidation.getCurriculum),
+    curriculumController.getCurriculum
+);
+
+/**
+ * @route   POST /api/v1/curriculum/internship/:internshipId/modules
+ * @desc    Add a module (appended unless order is given)
+ * @access  Trainer, Admin
+ */
+router.post(
+    '/internship/:internshipId/modules',
+    isTrainerOrAdmin,
+    validate(curriculumValidation.createModule),
+    curriculumController.createModule
+);
+
+/**
+ * @route   PUT /api/v1/curriculum/internship/:internshipId/modules/order
+ * @desc    Reorder all modules of an internship
+ * @access  Trainer, Admin
+ */
+router.put(
+    '/internship/:internshipId/modules/order',
+    isTrainerOrAdmin,
+    validate(curriculumValidation.reorderModules),
+    curriculumController.reorderModules
+);
+
+/**
+ * @route   PUT /api/v1/curriculum/modules/:id
+ * @desc    Update module details
+ * @access  Trainer, Admin
+ */
+router.put(
+    '/modules/:id',
+    isTrainerOrAdmin,
+    validate(curriculumValidation.updateModule),
+    curriculumController.updateModule
+);
+
+/**
+ * @route   DELETE /api/v1/curriculum/modules/:id
+ * @desc    Delete module
+ * @access  Trainer, Admin
+ */
+router.delete(
+    '/modules/:id',
+    isTrainerOrAdmin,
+    validate(curriculumValidation.moduleById),
+    curriculumController.deleteModule
+);
+
+/**
+ * @route   PUT /api/v1/curriculum/modules/:id/items
+ * @desc    Set the assignments and quizzes belonging to a module
+ * @access  Trainer, Admin
+ */
+router.put(
+    '/modules/:id/items',
+    isTrainerOrAdmin,
+    validate(curriculumValidation.setModuleItems),
+    curriculumController.setModuleItems
+);
+
+/**
+ * @route   POST /api/v1/curriculum/modules/:id/resources
+ * @desc    Add a resource (multipart "file", or a "url" link)
+ * @access  Trainer, Admin
+ */
+router.post(
+    '/modules/:id/resources',
+    isTrainerOrAdmin,
+    uploadMiddleware.resourceFile('file'),
+    validate(curriculumValidation.addResource),
+    curriculumController.addResource
+);
+
+/**
+ * @route   DELETE /api/v1/curriculum/modules/:id/resources/:resourceId
+ * @desc    Remove a resource
+ * @access  Trainer, Admin
+ */
+router.delete(
+    '/modules/:id/resources/:resourceId',
+    isTrainerOrAdmin,
+    validate(curriculumValidation.removeResource),
+    curriculumController.removeResource
+);
+
+module.exports = router;
@@ -8,8 +8,15 @@ const internshipRoutes = require('./internship.routes');
 const attendanceRoutes = require('./attendance.routes');
 const assignmentRoutes = require('./assignment.routes');
 const submissionRoutes = require('./submission.routes');
-// const quizRoutes = require('./quiz.routes');
-// const reportRoutes = require('./report.routes');
+const quizRoutes = require('./quiz.routes');
+const reportRoutes = require('./report.routes');
+const questionBankRoutes = require('./questionBank.routes');
+const leaveRoutes = require('./leave.routes');
+const calendarRoutes = require('./calendar.routes');
+const alertRoutes = require('./alert.routes');
+const applicationRoutes = require('./application.routes');
+const curriculumRoutes = require('./curriculum.routes');
+const internshipTemplateRoutes = require('./internshipTemplate.routes');
 
 const router = express.Router();
 
@@ -33,8 +40,15 @@ router.use(`/${API_VERSION}/internships`, internshipRoutes);
 router.use(`/${API_VERSION}/attendance`, attendanceRoutes);
 router.use(`/${API_VERSION}/assignments`, assignmentRoutes);
 router.use(`/${API_VERSION}/submissions`, submissionRoutes); 
-// router.use(`${API_VERSION}/quizzes`, quizRoutes);
-// router.use(`${API_VERSION}/reports`, reportRoutes);
+router.use(`/${API_VERSION}/quizzes`, quizRoutes);
+router.use(`/${API_VERSION}/reports`, reportRoutes);
+router.use(`/${API_VERSION}/question-bank`, questionBankRoutes);
+router.use(`/${API_VERSION}/leave-requests`, leaveRoutes);
+router.use(`/${API_VERSION}/calendar`, calendarRoutes);
+router.use(`/${API_VERSION}/alerts`, alertRoutes);
+router.use(`/${API_VERSION}/applications`, applicationRoutes);
+router.use(`/${API_VERSION}/curriculum`, curriculumRoutes);
+router.use(`/${API_VERSION}/internship-templates`, internshipTemplateRoutes);
 
 // 404 for API routes
 router.use('*', (req, res) => {
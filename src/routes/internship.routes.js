@@ -48,6 +48,77 @@ router.get(
     internshipController.getTrainerInternships
 );
 
+// Clone internship with curriculum, assignments and quizzes (Trainer/Admin)
+router.post(
+    '/:id/clone',
+    isTrainerOrAdmin,
+    validate(internshipValidation.clone),
+    internshipController.cloneInternship
+);
+
+// Save internship structure as a reusable template (Trainer/Admin)
+router.post(
+    '/:id/template',
+    isTrainerOrAdmin,
+    validate(internshipValidation.saveAsTemplate),
+    internshipController.saveAsTemplate
+);
+
+// Report seat counters that disagree with enrollments (Admin only)
+router.get(
+    '/seat-drift',
+    isAdmin,
+    internshipController.getSeatDrift
+);
+
+// Recompute seat counters from enrollments (Admin only)
+router.post(
+    '/seat-drift/reconcile',
+    isAdmin,
+    validate(internshipValidation.reconcileSeats),
+    internshipController.reconcileSeats
+);
+
+// Set weekly timetable for late/half-day detection (Trainer/Admin)
+router.put(
+    '/:id/schedule',
+    isTrainerOrAdmin,
+    validate(internshipValidation.setSchedule),
+    internshipController.setSchedule
+);
+
+// Remove weekly timetable (Trainer/Admin)
+router.delete(
+    '/:id/schedule',
+    isTrainerOrAdmin,
+    validate(internshipValidation.removeSchedule),
+    internshipController.removeSchedule
+);
+
+// Update early-warning alert thresholds (Trainer/Admin)
+router.put(
+    '/:id/alert-settings',
+    isTrainerOrAdmin,
+    validate(internshipValidation.setAlertSettings),
+    internshipController.setAlertSettings
+);
+
+// Set venue geofence for student self check-in (Trainer/Admin)
+router.put(
+    '/:id/geofence',
+    isTrainerOrAdmin,
+    validate(internshipValidation.setGeofence),
+    internshipController.setGeofence
+);
+
+// Remove venue geofence (Trainer/Admin)
+router.delete(
+    '/:id/geofence',
+    isTrainerOrAdmin,
+    validate(internshipValidation.removeGeofence),
+    internshipController.removeGeofence
+);
+
 // Get enrolled students for internship (Trainer/Admin)
 router.get(
     '/:id/students',
@@ -0,0 +1,62 @@
+// src/routes/internshipTemplate.routes.js
+const express = require('express');
+const internshipTemplateController = require('../controllers/internshipTemplate.controller');
+const authMiddleware = require('../middlewares/auth.middleware');
+const { isTrainerOrAdmin } = require('../middlewares/role.middleware');
+const { validate } = require('../middlewares/validate.middleware');
+const internshipTemplateValidation = require('../validations/internshipTemplate.validation');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authMiddleware);
+
+/**
+ * @route   GET /api/v1/internship-templates
+ * @desc    List templates
+ * @access  Trainer, Admin
+ */
+router.get(
+    '/',
+    isTrainerOrAdmin,
+    validate(internshipTemplateValidation.list),
+    internshipTemplateController.getTemplates
+);
+
+/**
+ * @route   GET /api/v1/internship-templates/:id
+ * @desc    Get template with modules, assignments, quizzes and questions
+ * @access  Trainer, Admin
+ */
+router.get(
+    '/:id',
+    isTrainerOrAdmin,
+    validate(internshipTemplateValidation.getById),
+    internshipTemplateController.getTemplateById
+);
+
+/**
+ * @route   POST /api/v1/internship-templates/:id/instantiate
+ * @desc    Create a draft internship from a template (admins may pick any trainer)
+ * @access  Trainer, Admin
+ */
+router.post(
+    '/:id/instantiate',
+    isTrainerOrAdmin,
+    validate(internshipTemplateValidation.instantiate),
+    internshipTemplateController.instantiateTemplate
+);
+
+/**
+ * @route   DELETE /api/v1/internship-templates/:id
+ * @desc    Delete template
+ * @access  Template creator, Admin
+ */
+router.delete(
+    '/:id',
+    isTrainerOrAdmin,
+    validate(internshipTemplateValidation.getById),
+    internshipTemplateController.deleteTemplate
+);
+
+module.exports = router;
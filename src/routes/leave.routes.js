@@ -0,0 +1,104 @@
+// src/routes/leave.routes.js
+const express = require('express');
+const leaveController = require('../controllers/leave.controller');
+const authMiddleware = require('../middlewares/auth.middleware');
+const {
+    isStudent,
+    isTrainerOrAdmin,
+    permissionMiddleware,
+} = require('../middlewares/role.middleware');
+const { PERMISSIONS } = require('../constants/permissions');
+const { validate } = require('../middlewares/validate.middleware');
+const uploadMiddleware = require('../middlewares/upload.middleware');
+const leaveValidation = require('../validations/leave.validation');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authMiddleware);
+
+// ==========================================
+// STUDENT ROUTES
+// ==========================================
+
+/**
+ * @route   POST /api/v1/leave-requests
+ * @desc    Submit leave request (multipart; optional "document" file)
+ * @access  Student
+ */
+router.post(
+    '/',
+    isStudent,
+    uploadMiddleware.single('document'),
+    validate(leaveValidation.create),
+    leaveController.createLeaveRequest
+);
+
+/**
+ * @route   GET /api/v1/leave-requests/my
+ * @desc    Get own leave requests
+ * @access  Student
+ */
+router.get(
+    '/my',
+    isStudent,
+    validate(leaveValidation.myList),
+    leaveController.getMyLeaveRequests
+);
+
+/**
+ * @route   PATCH /api/v1/leave-requests/:id/cancel
+ * @desc    Cancel pending leave request
+ * @access  Student
+ */
+router.patch(
+    '/:id/cancel',
+    isStudent,
+    validate(leaveValidation.cancel),
+    leaveController.cancelLeaveRequest
+);
+
+// ==========================================
+// TRAINER ROUTES
+// ==========================================
+
+/**
+ * @route   GET /api/v1/leave-requests
+ * @desc    Get leave requests for own internships
+ * @access  Trainer/Admin
+ */
+router.get(
+    '/',
+    isTrainerOrAdmin,
+    validate(leaveValidation.list),
+    leaveController.getLeaveRequests
+);
+
+/**
+ * @route   PATCH /api/v1/leave-requests/:id/review
+ * @desc    Approve (creates excused attendance) or reject leave request
+ * @access  Trainer/Admin
+ */
+router.patch(
+    '/:id/review',
+    permissionMiddleware(PERMISSIONS.APPROVE_ATTENDANCE),
+    validate(leaveValidation.review),
+    leaveController.reviewLeaveRequest
+);
+
+// ==========================================
+// SHARED ROUTES
+// ==========================================
+
+/**
+ * @route   GET /api/v1/leave-requests/:id
+ * @desc    Get leave request details
+ * @access  Student (own) / Trainer (own internships) / Admin
+ */
+router.get(
+    '/:id',
+    validate(leaveValidation.getById),
+    leaveController.getLeaveRequestById
+);
+
+module.exports = router;
@@ -0,0 +1,90 @@
+// src/routes/questionBank.routes.js
+const express = require('express');
+const questionBankController = require('../controllers/questionBank.controller');
+const authMiddleware = require('../middlewares/auth.middleware');
+const { isTrainer } = require('../middlewares/role.middleware');
+const { validate } = require('../middlewares/validate.middleware');
+const questionBankValidation = require('../validations/questionBank.validation');
+
+const router = express.Router();
+
+// All routes require an authenticated trainer
+router.use(authMiddleware, isTrainer);
+
+/**
+ * @route   POST /api/v1/question-bank
+ * @desc    Add question to bank
+ * @access  Trainer
+ */
+router.post(
+    '/',
+    validate(questionBankValidation.create),
+    questionBankController.createQuestion
+);
+
+/**
+ * @route   GET /api/v1/question-bank
+ * @desc    List bank questions
+ * @access  Trainer
+ */
+router.get(
+    '/',
+    validate(questionBankValidation.list),
+    questionBankController.getQuestions
+);
+
+/**
+ * @route   GET /api/v1/question-bank/facets
+ * @desc    Tag, skill and difficulty counts
+ * @access  Trainer
+ */
+router.get(
+    '/facets',
+    questionBankController.getFacets
+);
+
+/**
+ * @route   POST /api/v1/question-bank/import/quiz/:quizId
+ * @desc    Copy quiz questions into the bank
+ * @access  Trainer
+ */
+router.post(
+    '/import/quiz/:quizId',
+    validate(questionBankValidation.importFromQuiz),
+    questionBankController.importFromQuiz
+);
+
+/**
+ * @route   GET /api/v1/question-bank/:id
+ * @desc    Get bank question by ID
+ * @access  Trainer
+ */
+router.get(
+    '/:id',
+    validate(questionBankValidation.getById),
+    questionBankController.getQuestionById
+);
+
+/**
+ * @route   PUT /api/v1/question-bank/:id
+ * @desc    Update bank question
+ * @access  Trainer
+ */
+router.put(
+    '/:id',
+    validate(questionBankValidation.update),
+    questionBankController.updateQuestion
+);
+
+/**
+ * @route   DELETE /api/v1/question-bank/:id
+ * @desc    Delete (or deactivate) bank question
+ * @access  Trainer
+ */
+router.delete(
+    '/:id',
+    validate(questionBankValidation.delete),
+    questionBankController.deleteQuestion
+);
+
+module.exports = router;
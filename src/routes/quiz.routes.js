@@ -0,0 +1,399 @@
+// src/routes/quiz.routes.js
+const express = require('express');
+const quizController = require('../controllers/quiz.controller');
+const authMiddleware = require('../middlewares/auth.middleware');
+const { isTrainer, isStudent, isTrainerOrAdmin } = require('../middlewares/role.middleware');
+const { validate } = require('../middlewares/validate.middleware');
+const uploadMiddleware = require('../middlewares/upload.middleware');
+const quizValidation = require('../validations/quiz.validation');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authMiddleware);
+
+// ==========================================
+// STUDENT ROUTES
+// ==========================================
+
+/**
+ * @route   GET /api/v1/quizzes/student/my-quizzes
+ * @desc    Get all quizzes for student
+ * @access  Student
+ */
+router.get(
+    '/student/my-quizzes',
+    isStudent,
+    validate(quizValidation.studentList),
+    quizController.getStudentQuizzes
+);
+
+/**
+ * @route   GET /api/v1/quizzes/student/:id
+ * @desc    Get quiz details for student
+ * @access  Student
+ */
+router.get(
+    '/student/:id',
+    isStudent,
+    validate(quizValidation.getById),
+    quizController.getStudentQuizById
+);
+
+/**
+ * @route   POST /api/v1/quizzes/:id/start
+ * @desc    Start or resume a quiz attempt
+ * @access  Student
+ */
+router.post(
+    '/:id/start',
+    isStudent,
+    validate(quizValidation.startAttempt),
+    quizController.startAttempt
+);
+
+/**
+ * @route   PUT /api/v1/quizzes/attempts/:attemptId/answers
+ * @desc    Save answers for an in-progress attempt
+ * @access  Student
+ */
+router.put(
+    '/attempts/:attemptId/answers',
+    isStudent,
+    validate(quizValidation.saveAnswers),
+    quizController.saveAnswers
+);
+
+/**
+ * @route   POST /api/v1/quizzes/attempts/:attemptId/submit
+ * @desc    Submit quiz attempt
+ * @access  Student
+ */
+router.post(
+    '/attempts/:attemptId/submit',
+    isStudent,
+    validate(quizValidation.submitAttempt),
+    quizController.submitAttempt
+);
+
+/**
+ * @route   GET /api/v1/quizzes/attempts/:attemptId/review
+ * @desc    Review answers, marks and (if enabled) correct answers once results are released
+ * @access  Student
+ */
+router.get(
+    '/attempts/:attemptId/review',
+    isStudent,
+    validate(quizValidation.reviewAttempt),
+    quizController.getAttemptReview
+);
+
+// ==========================================
+// TRAINER ROUTES
+// ==========================================
+
+/**
+ * @route   POST /api/v1/quizzes
+ * @desc    Create new quiz
+ * @access  Trainer
+ */
+router.post(
+    '/',
+    isTrainer,
+    validate(quizValidation.create),
+    quizController.createQuiz
+);
+
+/**
+ * @route   GET /api/v1/quizzes/trainer
+ * @desc    Get all quizzes created by trainer
+ * @access  Trainer
+ */
+router.get(
+    '/trainer',
+    isTrainer,
+    validate(quizValidation.list),
+    quizController.getTrainerQuizzes
+);
+
+/**
+ * @route   PUT /api/v1/quizzes/attempts/:attemptId/evaluate
+ * @desc    Add feedback / bonus marks to an auto-graded attempt (descriptive answers use /grade)
+ * @access  Trainer
+ */
+router.put(
+    '/attempts/:attemptId/evaluate',
+    isTrainer,
+    validate(quizValidation.evaluateAttempt),
+    quizController.evaluateAttempt
+);
+
+/**
+ * @route   PUT /api/v1/quizzes/attempts/:attemptId/grade
+ * @desc    Grade descriptive answers individually
+ * @access  Trainer
+ */
+router.put(
+    '/attempts/:attemptId/grade',
+    isTrainer,
+    validate(quizValidation.gradeAnswers),
+    quizController.gradeAttemptAnswers
+);
+
+/**
+ * @route   GET /api/v1/quizzes/:id
+ * @desc    Get quiz with questions
+ * @access  Trainer
+ */
+router.get(
+    '/:id',
+    isTrainer,
+    validate(quizValidation.getById),
+    quizController.getQuizById
+);
+
+/**
+ * @route   PUT /api/v1/quizzes/:id
+ * @desc    Update quiz
+ * @access  Trainer
+ */
+router.put(
+    '/:id',
+    isTrainer,
+    validate(quizValidation.update),
+    quizController.updateQuiz
+);
+
+/**
+ * @route   DELETE /api/v1/quizzes/:id
+ * @desc    Delete quiz
+ * @access  Trainer
+ */
+router.delete(
+    '/:id',
+    isTrainer,
+    validate(quizValidation.delete),
+    quizController.deleteQuiz
+);
+
+/**
+ * @route   PATCH /api/v1/quizzes/:id/publish
+ * @desc    Publish quiz
+ * @access  Trainer
+ */
+router.patch(
+    '/:id/publish',
+    isTrainer,
+    validate(quizValidation.publish),
+    quizController.publishQuiz
+);
+
+/**
+ * @route   PATCH /api/v1/quizzes/:id/close
+ * @desc    Close quiz
+ * @access  Trainer
+ */
+router.patch(
+    '/:id/close',
+    isTrainer,
+    validate(quizValidation.close),
+    quizController.closeQuiz
+);
+
+/**
+ * @route   PATCH /api/v1/quizzes/:id/release-results
+ * @desc    Release (or withdraw) results when they are not shown immediately
+ * @access  Trainer
+ */
+router.patch(
+    '/:id/release-results',
+    isTrainer,
+    validate(quizValidation.releaseResults),
+    quizController.releaseResults
+);
+
+/**
+ * @route   POST /api/v1/quizzes/:id/questions
+ * @desc    Add question to quiz
+ * @access  Trainer
+ */
+router.post(
+    '/:id/questions',
+    isTrainer,
+    validate(quizValidation.addQuestion),
+    quizController.addQuestion
+);
+
+/**
+ * @route   POST /api/v1/quizzes/:id/questions/from-bank
+ * @desc    Add questions from the question bank
+ * @access  Trainer
+ */
+router.post(
+    '/:id/questions/from-bank',
+    isTrainer,
+    validate(quizValidation.addFromBank),
+    quizController.addQuestionsFromBank
+);
+
+/**
+ * @route   PUT /api/v1/quizzes/:id/accommodations/:studentId
+ * @desc    Give a student extra time or an extended window
+ * @access  Trainer
+ */
+router.put(
+    '/:id/accommodations/:studentId',
+    isTrainer,
+    validate(quizValidation.setAccommodation),
+    quizController.setAccommodation
+);
+
+/**
+ * @route   DELETE /api/v1/quizzes/:id/accommodations/:studentId
+ * @desc    Remove a student's accommodation
+ * @access  Trainer
+ */
+router.delete(
+    '/:id/accommodations/:studentId',
+    isTrainer,
+    validate(quizValidation.removeAccommodation),
+    quizController.removeAccommodation
+);
+
+/**
+ * @route   POST /api/v1/quizzes/:id/import
+ * @desc    Import questions from GIFT, JSON or XLSX (dryRun=true to only validate)
+ * @access  Trainer
+ */
+router.post(
+    '/:id/import',
+    isTrainer,
+    uploadMiddleware.importFile('file', ['gift', 'txt', 'json', 'xlsx']),
+    validate(quizValidation.importQuestions),
+    quizController.importQuestions
+);
+
+/**
+ * @route   GET /api/v1/quizzes/:id/export
+ * @desc    Export quiz questions as GIFT or JSON
+ * @access  Trainer
+ */
+router.get(
+    '/:id/export',
+    isTrainer,
+    validate(quizValidation.exportQuiz),
+    quizController.exportQuiz
+);
+
+/**
+ * @route   PUT /api/v1/quizzes/:id/pools
+ * @desc    Set random-draw question pools
+ * @access  Trainer
+ */
+router.put(
+    '/:id/pools',
+    isTrainer,
+    validate(quizValidation.setQuestionPools),
+    quizController.setQuestionPools
+);
+
+/**
+ * @route   PUT /api/v1/quizzes/:quizId/questions/:questionId
+ * @desc    Update question
+ * @access  Trainer
+ */
+router.put(
+    '/:quizId/questions/:questionId',
+    isTrainer,
+    validate(quizValidation.updateQuestion),
+    quizController.updateQuestion
+);
+
+/**
+ * @route   DELETE /api/v1/quizzes/:quizId/questions/:questionId
+ * @desc    Delete question
+ * @access  Trainer
+ */
+router.delete(
+    '/:quizId/questions/:questionId',
+    isTrainer,
+    validate(quizValidation.deleteQuestion),
+    quizController.deleteQuestion
+);
+
+/**
+ * @route   GET /api/v1/quizzes/:id/attempts
+ * @desc    Get all attempts for a quiz
+ * @access  Trainer
+ */
+router.get(
+    '/:id/attempts',
+    isTrainer,
+    validate(quizValidation.getAttempts),
+    quizController.getQuizAttempts
+);
+
+/**
+ * @route   GET /api/v1/quizzes/:id/item-analysis
+ * @desc    Per-question difficulty, discrimination and distractor analysis
+ * @access  Trainer
+ */
+router.get(
+    '/:id/item-analysis',
+    isTrainer,
+    validate(quizValidation.itemAnalysis),
+    quizController.getItemAnalysis
+);
+
+/**
+ * @route   GET /api/v1/quizzes/:id/grading-queue
+ * @desc    Attempts awaiting manual grading
+ * @access  Trainer
+ */
+router.get(
+    '/:id/grading-queue',
+    isTrainer,
+    validate(quizValidation.gradingQueue),
+    quizController.getGradingQueue
+);
+
+/**
+ * @route   GET /api/v1/quizzes/:id/stats
+ * @desc    Get quiz statistics
+ * @access  Trainer
+ */
+router.get(
+    '/:id/stats',
+    isTrainer,
+    validate(quizValidation.getStats),
+    quizController.getQuizStats
+);
+
+// ==========================================
+// SHARED ROUTES
+// ==========================================
+
+/**
+ * @route   GET /api/v1/quizzes/attempts/:attemptId
+ * @desc    Get attempt details
+ * @access  Student (own) / Trainer (own quizzes) / Admin
+ */
+router.get(
+    '/attempts/:attemptId',
+    validate(quizValidation.getAttempt),
+    quizController.getAttemptById
+);
+
+/**
+ * @route   GET /api/v1/quizzes/internship/:internshipId
+ * @desc    Get all quizzes for an internship
+ * @access  Trainer/Admin
+ */
+router.get(
+    '/internship/:internshipId',
+    isTrainerOrAdmin,
+    validate(quizValidation.getByInternship),
+    quizController.getQuizzesByInternship
+);
+
+module.exports = router;
@@ -0,0 +1,51 @@
+// src/routes/report.routes.js
+const express = require('express');
+const reportController = require('../controllers/report.controller');
+const authMiddleware = require('../middlewares/auth.middleware');
+const { permissionMiddleware } = require('../middlewares/role.middleware');
+const { validate } = require('../middlewares/validate.middleware');
+const reportValidation = require('../validations/report.validation');
+const { PERMISSIONS } = require('../constants/permissions');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authMiddleware);
+
+/**
+ * @route   GET /api/v1/reports/overview
+ * @desc    Dashboard summary across internships (trainers see their own)
+ * @access  Trainer/Admin (VIEW_REPORTS)
+ */
+router.get(
+    '/overview',
+    permissionMiddleware(PERMISSIONS.VIEW_REPORTS),
+    validate(reportValidation.overview),
+    reportController.getOverview
+);
+
+/**
+ * @route   GET /api/v1/reports/internships/:internshipId
+ * @desc    Enrollment, attendance, assignment and quiz dashboard for an internship
+ * @access  Trainer/Admin (VIEW_REPORTS)
+ */
+router.get(
+    '/internships/:internshipId',
+    permissionMiddleware(PERMISSIONS.VIEW_REPORTS),
+    validate(reportValidation.internship),
+    reportController.getInternshipReport
+);
+
+/**
+ * @route   GET /api/v1/reports/internships/:internshipId/export
+ * @desc    Export internship dashboard as CSV/Excel
+ * @access  Admin (EXPORT_REPORTS)
+ */
+router.get(
+    '/internships/:internshipId/export',
+    permissionMiddleware(PERMISSIONS.EXPORT_REPORTS),
+    validate(reportValidation.exportInternship),
+    reportController.exportInternshipReport
+);
+
+module.exports = router;
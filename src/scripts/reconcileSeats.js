@@ -0,0 +1,44 @@
+// src/scripts/reconcileSeats.js
+// Recompute Internship.enrolledCount from active enrollments
+//
+// Usage:
+//   pnpm seats:reconcile             # fix drifted counters
+//   pnpm seats:reconcile --dry-run   # report only
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const internshipService = require('../services/internship.service');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const run = async () => {
+    await mongoose.connect(process.env.MONGO_URI);
+
+    const result = await internshipService.reconcileSeats({ dryRun });
+
+    console.log(`Checked ${result.checked} internships, ${result.driftedCount} drifted`);
+
+    result.drifted.forEach((row) => {
+        console.log(
+            `  ${row.internshipId} "${row.title}": counter ${row.enrolledCount}, ` +
+            `active ${row.actualCount}` +
+            (row.totalSeats ? `, seats ${row.totalSeats}` : '') +
+            (row.overbooked ? ' (OVERBOOKED)' : '') +
+            (row.pendingHolds ? `, ${row.pendingHolds} enrollment change(s) in progress` : '')
+        );
+    });
+
+    if (dryRun) {
+        console.log('Dry run - no counters changed');
+    } else {
+        console.log(`Fixed ${result.fixed.length}, skipped ${result.skipped.length} (in progress or changed during run)`);
+    }
+};
+
+run()
+    .then(() => mongoose.disconnect())
+    .catch(async (error) => {
+        console.error('❌ Seat reconciliation failed:', error);
+        await mongoose.disconnect();
+        process.exitCode = 1;
+    });
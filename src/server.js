@@ -3,6 +3,7 @@
 
 const app = require('./app');
 const config = require('./config');
+const { startJobs, stopJobs } = require('./jobs');
 
 const PORT = process.env.PORT || 5000;
 const API_VERSION = process.env.API_VERSION || '/v1';
@@ -13,11 +14,13 @@ const server = app.listen(PORT, () => {
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`API: http://localhost:${PORT}/api/${API_VERSION}/`);
   console.log(`Api versio are ${Versio}`)
+  startJobs();
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('⚠️  SIGTERM received. Shutting down gracefully...');
+  stopJobs();
   server.close(() => {
     console.log('✅ Process terminated');
     process.exit(0);
@@ -0,0 +1,405 @@
+// src/services/alert.service.js
+// Early-warning rules for active enrollments; alerts go to the student and the trainer
+// (in-app and by email), raised once per condition
+const Alert = require('../models/alert.model');
+const Attendance = require('../models/attendance.model');
+const Internship = require('../models/internship.model');
+const InternshipEnrollment = require('../models/enrollment.model');
+const Assignment = require('../models/assignment.model');
+const Submission = require('../models/submission.model');
+const Quiz = require('../models/quiz.model');
+const QuizAttempt = require('../models/attempt.model');
+const User = require('../models/user.model');
+const calendarService = require('./calendar.service');
+const emailService = require('./email.service');
+const { AppError } = require('../middlewares/error.middleware');
+const { ALERT_TYPES } = require('../constants/alertTypes');
+const DateUtil = require('../utils/date.util');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Too few working days make a percentage meaningless
+const MIN_EXPECTED_DAYS = 3;
+
+// Overdue assignments and failed quizzes older than this are not alerted
+// (keeps the first run after enabling alerts from flooding inboxes)
+const RECENT_DAYS = 30;
+
+const alertService = {
+    // ==========================================
+    // USER SERVICES
+    // ==========================================
+
+    /**
+     * Current user's alerts, newest first
+     */
+    async getMyAlerts(userId, filters = {}) {
+        const { page = 1, limit = 20, unread, type, internshipId } = filters;
+
+        const query = { recipientId: userId };
+        if (unread) query.readAt = null;
+        if (type) query.type = type;
+        if (internshipId) query.internshipId = internshipId;
+
+        const skip = (page - 1) * limit;
+
+        const [alerts, total, unreadCount] = await Promise.all([
+            Alert.find(query)
+                .populate('studentId', 'name email')
+                .populate('internshipId', 'title')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(Number(limit))
+                .lean(),
+            Alert.countDocuments(query),
+            Alert.countDocuments({ recipientId: userId, readAt: null }),
+        ]);
+
+        return {
+            alerts,
+            unreadCount,
+            pagination: {
+                page: Number(page),
+                limit: Number(limit),
+                total,
+            },
+        };
+    },
+
+    /**
+     * Mark one alert as read
+     */
+    async markAsRead(alertId, userId) {
+        const alert = await Alert.findById(alertId);
+
+        if (!alert) {
+            throw new AppError('Alert not found', 404);
+        }
+
+        if (alert.recipientId.toString() !== userId.toString()) {
+            throw new AppError('Access denied', 403);
+        }
+
+        if (!alert.readAt) {
+            alert.readAt = new Date();
+            await alert.save();
+        }
+
+        return alert;
+    },
+
+    /**
+     * Mark all of the user's alerts as read
+     */
+    async markAllAsRead(userId, internshipId = null) {
+        const query = { recipientId: userId, readAt: null };
+        if (internshipId) query.internshipId = internshipId;
+
+        const result = await Alert.updateMany(query, { $set: { readAt: new Date() } });
+
+        return { updated: result.modifiedCount };
+    },
+
+    // ==========================================
+    // EVALUATION
+    // ==========================================
+
+    /**
+     * Run every rule for every running internship (called by the early-warning job)
+     */
+    async evaluateAll(now = new Date()) {
+        const internships = await Internship.find({
+            status: { $in: ['active', 'ongoing'] },
+            startDate: { $lte: now },
+            endDate: { $gte: DateUtil.addDays(now, -1) },
+            'alertSettings.enabled': { $ne: false },
+        });
+
+        let raised = 0;
+        for (const internship of internships) {
+            raised += await this.evaluateInternship(internship, now);
+        }
+
+        return raised;
+    },
+
+    /**
+     * Run the rules for one internship; returns the number of alerts created
+     */
+    async evaluateInternship(internship, now = new Date()) {
+        const settings = internship.alertSettings || {};
+
+        const enrollments = await InternshipEnrollment.find({
+            internshipId: internship._id,
+            status: 'active',
+        })
+            .populate('studentId', 'name email')
+            .lean();
+
+        const active = enrollments.filter((e) => e.studentId);
+        if (active.length === 0) return 0;
+
+        const candidates = [
+            ...(await this._checkAttendance(internship, active, settings, now)),
+            ...(settings.overdueAssignments !== false
+                ? await this._checkAssignments(internship, active, now)
+                : []),
+            ...(settings.failedQuizzes !== false
+                ? await this._checkQuizzes(internship, active, now)
+                : []),
+        ];
+
+        if (candidates.length === 0) return 0;
+
+        const trainer = internship.trainerId
+            ? await User.findById(internship.trainerId).select('name email').lean()
+            : null;
+
+        let raised = 0;
+        for (const candidate of candidates) {
+            raised += await this._raise(candidate, internship, trainer);
+        }
+
+        return raised;
+    },
+
+    // ==========================================
+    // HELPER METHODS
+    // ==========================================
+
+    /**
+     * Low attendance over the rolling window and runs of consecutive absences
+     */
+    async _checkAttendance(internship, enrollments, settings, now) {
+        const threshold = settings.attendanceThresholdPercent ?? 75;
+        const windowDays = settings.attendanceWindowDays ?? 14;
+        const streakLength = settings.consecutiveAbsences ?? 3;
+        const repeatAfterDays = settings.repeatAfterDays ?? 7;
+
+        // Today is still being marked, so windows end yesterday
+        const today = DateUtil.getStartOfDay(now);
+        const yesterday = DateUtil.addDays(today, -1);
+        const windowStart = DateUtil.addDays(today, -windowDays);
+        const lookbackStart = DateUtil.addDays(today, -Math.max(windowDays, streakLength * 2));
+
+        const expectedDays = await calendarService.getExpectedDays(internship, lookbackStart, yesterday);
+        if (expectedDays.length === 0) return [];
+
+        const records = await Attendance.find({
+            internshipId: internship._id,
+            date: { $gte: lookbackStart, $lt: today },
+        })
+            .select('studentId date status leaveRequestId')
+            .lean();
+
+        const byStudent = new Map();
+        records.forEach((record) => {
+            const key = record.studentId.toString();
+            if (!byStudent.has(key)) byStudent.set(key, []);
+            byStudent.get(key).push(record);
+        });
+
+        // Low-attendance alerts repeat once per period while the condition holds
+        const period = Math.floor(today.getTime() / (repeatAfterDays * DAY_MS));
+        const candidates = [];
+
+        enrollments.forEach((enrollment) => {
+            const student = enrollment.studentId;
+            const studentRecords = byStudent.get(student._id.toString()) || [];
+            const enrolledFrom = DateUtil.getStartOfDay(enrollment.enrolledAt || enrollment.createdAt);
+            const studentDays = expectedDays.filter((day) => day >= enrolledFrom);
+
+            const windowDaysExpected = studentDays.filter((day) => day >= windowStart);
+            if (windowDaysExpected.length >= MIN_EXPECTED_DAYS) {
+                const { percentage } = calendarService.compareAttendance(
+                    studentRecords.filter((r) => r.date >= windowStart),
+                    windowDaysExpected
+                );
+
+                if (percentage < threshold) {
+                    candidates.push({
+                        student,
+                        type: ALERT_TYPES.LOW_ATTENDANCE,
+                        title: 'Low attendance',
+                        studentMessage: `Your attendance over the last ${windowDays} days is ${percentage}%, below the required ${threshold}%.`,
+                        trainerMessage: `${student.name}'s attendance over the last ${windowDays} days is ${percentage}%, below the required ${threshold}%.`,
+                        data: { percentage, threshold, windowDays },
+                        dedupeKey: `${ALERT_TYPES.LOW_ATTENDANCE}:${internship._id}:${student._id}:${period}`,
+                    });
+                }
+            }
+
+            const streak = this._getAbsenceStreak(studentRecords, studentDays);
+            if (streak.length >= streakLength) {
+                candidates.push({
+                    student,
+                    type: ALERT_TYPES.CONSECUTIVE_ABSENCES,
+                    title: 'Consecutive absences',
+                    studentMessage: `You have been absent ${streak.length} working days in a row since ${DateUtil.formatDate(streak.since)}.`,
+                    trainerMessage: `${student.name} has been absent ${streak.length} working days in a row since ${DateUtil.formatDate(streak.since)}.`,
+                    data: { days: streak.length, since: DateUtil.formatDate(streak.since) },
+                    // One alert per absence run, however long it gets
+                    dedupeKey: `${ALERT_TYPES.CONSECUTIVE_ABSENCES}:${internship._id}:${student._id}:${DateUtil.formatDate(streak.since)}`,
+                });
+            }
+        });
+
+        return candidates;
+    },
+
+    /**
+     * Run of absences ending on the latest working day; excused days neither
+     * count nor break the run
+     */
+    _getAbsenceStreak(records, expectedDays) {
+        const statusByDay = new Map(records.map((r) => [DateUtil.formatDate(r.date), r.status]));
+
+        let length = 0;
+        let since = null;
+
+        for (let i = expectedDays.length - 1; i >= 0; i -= 1) {
+            const status = statusByDay.get(DateUtil.formatDate(expectedDays[i]));
+
+            if (status === 'excused') continue;
+            if (status !== 'absent') break;
+
+            length += 1;
+            since = expectedDays[i];
+        }
+
+        return { length, since };
+    },
+
+    /**
+     * Published assignments past their due date without a submission
+     */
+    async _checkAssignments(internship, enrollments, now) {
+        const assignments = await Assignment.find({
+            internshipId: internship._id,
+            status: 'published',
+            dueDate: { $lt: now, $gte: DateUtil.addDays(now, -RECENT_DAYS) },
+        })
+            .select('title dueDate')
+            .lean();
+
+        if (assignments.length === 0) return [];
+
+        const submissions = await Submission.find({
+            assignmentId: { $in: assignments.map((a) => a._id) },
+            studentId: { $in: enrollments.map((e) => e.studentId._id) },
+        })
+            .select('assignmentId studentId')
+            .lean();
+
+        const submitted = new Set(submissions.map((s) => `${s.assignmentId}:${s.studentId}`));
+        const candidates = [];
+
+        assignments.forEach((assignment) => {
+            enrollments.forEach((enrollment) => {
+                const student = enrollment.studentId;
+
+                if (submitted.has(`${assignment._id}:${student._id}`)) return;
+                if ((enrollment.enrolledAt || enrollment.createdAt) > assignment.dueDate) return;
+
+                candidates.push({
+                    student,
+                    type: ALERT_TYPES.OVERDUE_ASSIGNMENT,
+                    title: 'Overdue assignment',
+                    studentMessage: `"${assignment.title}" was due on ${DateUtil.formatDate(assignment.dueDate)} and has not been submitted.`,
+                    trainerMessage: `${student.name} has not submitted "${assignment.title}", due on ${DateUtil.formatDate(assignment.dueDate)}.`,
+                    data: { assignmentId: assignment._id, dueDate: assignment.dueDate },
+                    dedupeKey: `${ALERT_TYPES.OVERDUE_ASSIGNMENT}:${internship._id}:${student._id}:${assignment._id}`,
+                });
+            });
+        });
+
+        return candidates;
+    },
+
+    /**
+     * Quizzes whose counted result is a fail (only once results are released)
+     */
+    async _checkQuizzes(internship, enrollments, now) {
+        const quizzes = await Quiz.find({
+            internshipId: internship._id,
+            status: { $in: ['published', 'closed'] },
+            $or: [
+                { endDate: null },
+                { endDate: { $gte: DateUtil.addDays(now, -RECENT_DAYS) } },
+            ],
+        });
+
+        const studentsById = new Map(enrollments.map((e) => [e.studentId._id.toString(), e.studentId]));
+        const candidates = [];
+
+        for (const quiz of quizzes.filter((q) => q.resultsReleased)) {
+            const results = await QuizAttempt.getCountedResults(quiz, [...studentsById.keys()]);
+
+            results.forEach((result, studentId) => {
+                // Attempts still awaiting manual evaluation have no pass/fail yet
+                if (result.isPassed !== false) return;
+
+                const student = studentsById.get(studentId);
+                if (!student) return;
+
+                candidates.push({
+                    student,
+                    type: ALERT_TYPES.FAILED_QUIZ,
+                    title: 'Failed quiz',
+                    studentMessage: `You did not pass "${quiz.title}" (score ${result.score} of ${quiz.totalMarks}, pass mark ${quiz.passingMarks}).`,
+                    trainerMessage: `${student.name} did not pass "${quiz.title}" (score ${result.score} of ${quiz.totalMarks}, pass mark ${quiz.passingMarks}).`,
+                    data: { quizId: quiz._id, score: result.score, passingMarks: quiz.passingMarks },
+                    dedupeKey: `${ALERT_TYPES.FAILED_QUIZ}:${internship._id}:${student._id}:${quiz._id}`,
+                });
+            });
+        }
+
+        return candidates;
+    },
+
+    /**
+     * Create the alert for the student and the trainer and email each new one;
+     * a recipient who already has the alert (same dedupe key) is skipped
+     */
+    async _raise(candidate, internship, trainer) {
+        const recipients = [
+            { user: candidate.student, role: 'student', message: candidate.studentMessage },
+        ];
+        if (trainer) {
+            recipients.push({ user: trainer, role: 'trainer', message: candidate.trainerMessage });
+        }
+
+        let raised = 0;
+
+        for (const recipient of recipients) {
+            let alert;
+            try {
+                alert = await Alert.create({
+                    recipientId: recipient.user._id,
+                    recipientRole: recipient.role,
+                    studentId: candidate.student._id,
+                    internshipId: internship._id,
+                    type: candidate.type,
+                    title: candidate.title,
+                    message: recipient.message,
+                    data: candidate.data,
+                    dedupeKey: candidate.dedupeKey,
+                });
+            } catch (error) {
+                if (error.code === 11000) continue;
+                throw error;
+            }
+
+            raised += 1;
+
+            const result = await emailService.sendAlertEmail(recipient.user, alert, internship);
+            if (result.success) {
+                await Alert.updateOne({ _id: alert._id }, { $set: { emailedAt: new Date() } });
+            }
+        }
+
+        return raised;
+    },
+};
+
+module.exports = alertService;
@@ -0,0 +1,411 @@
+// src/services/application.service.js
+// Student applications to internships, trainer review and the seat waitlist
+//
+// An application is an InternshipEnrollment with an `application` sub-document:
+// pending (applied, optionally shortlisted) -> active when accepted with a free seat,
+// waitlisted when accepted while full, or rejected. Waitlisted students are promoted
+// in waitlistedAt order whenever a seat frees up.
+const mongoose = require('mongoose');
+const Internship = require('../models/internship.model');
+const InternshipEnrollment = require('../models/enrollment.model');
+const User = require('../models/user.model');
+const emailService = require('./email.service');
+const { AppError } = require('../middlewares/error.middleware');
+const { getManagedInternship } = require('../utils/internshipAccess.util');
+const { uploadToCloudinary } = require('../utils/cloudinary.util');
+
+const applicationService = {
+    // ==========================================
+    // STUDENT SERVICES
+    // ==========================================
+
+    /**
+     * Internships accepting applications, with seats left and the student's application status
+     */
+    async getOpenInternships(studentId, filters = {}) {
+        const { page = 1, limit = 10, search } = filters;
+        const skip = (page - 1) * limit;
+
+        const query = {
+            status: 'active',
+            endDate: { $gte: new Date() },
+        };
+
+        if (search) {
+            query.$or = [
+                { title: { $regex: search, $options: 'i' } },
+                { description: { $regex: search, $options: 'i' } },
+            ];
+        }
+
+        const [internships, total] = await Promise.all([
+            Internship.find(query)
+                .populate('trainerId', 'name')
+                .sort({ startDate: 1 })
+                .skip(skip)
+                .limit(Number(limit))
+                .lean(),
+            Internship.countDocuments(query),
+        ]);
+
+        const internshipIds = internships.map((i) => i._id);
+
+        const [ownEnrollments, waitlists] = await Promise.all([
+            InternshipEnrollment.find({ internshipId: { $in: internshipIds }, studentId })
+                .select('internshipId status')
+                .lean(),
+            InternshipEnrollment.aggregate([
+                { $match: { internshipId: { $in: internshipIds }, status: 'waitlisted' } },
+                { $group: { _id: '$internshipId', count: { $sum: 1 } } },
+            ]),
+        ]);
+
+        const statusMap = new Map(ownEnrollments.map((e) => [e.internshipId.toString(), e.status]));
+        const waitlistMap = new Map(waitlists.map((w) => [w._id.toString(), w.count]));
+
+        return {
+            internships: internships.map((internship) => ({
+                ...internship,
+                seatsAvailable: internship.totalSeats
+                    ? Math.max(internship.totalSeats - internship.enrolledCount, 0)
+                    : null,
+                waitlistLength: waitlistMap.get(internship._id.toString()) || 0,
+                applicationStatus: statusMap.get(internship._id.toString()) || null,
+            })),
+            pagination: {
+                page: Number(page),
+                limit: Number(limit),
+                total,
+            },
+        };
+    },
+
+    /**
+     * Apply to an internship with a cover note and optional resume
+     */
+    async apply(data, file, studentId) {
+        const { internshipId, coverNote } = data;
+
+        const internship = await Internship.findById(internshipId);
+        if (!internship) {
+            throw new AppError('Internship not found', 404);
+        }
+
+        if (internship.status !== 'active' || internship.endDate < new Date()) {
+            throw new AppError('This internship is not accepting applications', 400);
+        }
+
+        const existing = await InternshipEnrollment.findOne({ internshipId, studentId });
+
+        // A withdrawn application may be submitted again; anything else blocks re-applying
+        if (existing && existing.status !== 'cancelled') {
+            if (existing.status === 'rejected') {
+                throw new AppError('Your application to this internship was rejected', 400);
+            }
+            throw new AppError('You have already applied to or enrolled in this internship', 409);
+        }
+
+        let resume = {};
+        if (file) {
+            const uploaded = await uploadToCloudinary(file.buffer, {
+                folder: 'internships/resumes',
+            });
+
+            resume = {
+                resumeUrl: uploaded.secure_url,
+                resumeName: file.originalname,
+            };
+        }
+
+        const application = {
+            coverNote: coverNote || '',
+            appliedAt: new Date(),
+            ...resume,
+        };
+
+        if (existing) {
+            existing.status = 'pending';
+            existing.application = application;
+            existing.waitlistedAt = null;
+            await existing.save();
+            return existing;
+        }
+
+        return InternshipEnrollment.create({
+            internshipId,
+            studentId,
+            status: 'pending',
+            application,
+        });
+    },
+
+    /**
+     * Student's own applications (with waitlist position)
+     */
+    async getMyApplications(studentId, filters = {}) {
+        const { status } = filters;
+
+        const query = { studentId, application: { $ne: null } };
+        if (status) query.status = status;
+
+        const applications = await InternshipEnrollment.find(query)
+            .populate('internshipId', 'title startDate endDate status totalSeats enrolledCount')
+            .sort({ 'application.appliedAt': -1 })
+            .lean();
+
+        return Promise.all(applications.map((application) => this._withWaitlistPosition(application)));
+    },
+
+    /**
+     * Withdraw an application, or drop out of an internship already joined
+     */
+    async withdraw(applicationId, studentId) {
+        const enrollment = await InternshipEnrollment.findById(applicationId);
+
+        if (!enrollment) {
+            throw new AppError('Application not found', 404);
+        }
+
+        if (enrollment.studentId.toString() !== studentId.toString()) {
+            throw new AppError('Access denied', 403);
+        }
+
+        if (['pending', 'waitlisted'].includes(enrollment.status)) {
+            const cancelled = await this._transition(enrollment._id, ['pending', 'waitlisted'], {
+                status: 'cancelled',
+                waitlistedAt: null,
+            });
+
+            if (cancelled) return cancelled;
+        } else if (enrollment.status !== 'active') {
+            throw new AppError('Only pending, waitlisted or active enrollments can be withdrawn', 400);
+        }
+
+        // Either active from the start, or accepted while we were cancelling
+        const holdId = new mongoose.Types.ObjectId();
+        await Internship.holdSeat(enrollment.internshipId, holdId);
+
+        const dropped = await this._transition(enrollment._id, ['active'], { status: 'dropped' });
+        if (!dropped) {
+            await Internship.clearSeatHold(enrollment.internshipId, holdId);
+            throw new AppError('Application was updated in the meantime; please try again', 409);
+        }
+
+        await Internship.releaseSeat(enrollment.internshipId, holdId);
+        await this.promoteFromWaitlist(enrollment.internshipId);
+
+        return dropped;
+    },
+
+    // ==========================================
+    // TRAINER SERVICES
+    // ==========================================
+
+    /**
+     * Applications to an internship; the waitlist is listed in promotion order
+     */
+    async getApplications(internshipId, filters, currentUser) {
+        await getManagedInternship(internshipId, currentUser.userId, currentUser.role);
+
+        const { page = 1, limit = 20, status, shortlisted } = filters;
+        const skip = (page - 1) * limit;
+
+        const query = { internshipId, application: { $ne: null } };
+        if (status) query.status = status;
+        if (shortlisted !== undefined) query['application.shortlisted'] = shortlisted;
+
+        const sort = status === 'waitlisted'
+            ? { waitlistedAt: 1, _id: 1 }
+            : { 'application.shortlisted': -1, 'application.appliedAt': 1 };
+
+        const [applications, total] = await Promise.all([
+            InternshipEnrollment.find(query)
+                .populate('studentId', 'name email phone')
+                .populate('application.reviewedBy', 'name')
+                .sort(sort)
+                .skip(skip)
+                .limit(Number(limit))
+                .lean(),
+            InternshipEnrollment.countDocuments(query),
+        ]);
+
+        return {
+            applications: await Promise.all(
+                applications.map((application) => this._withWaitlistPosition(application))
+            ),
+            pagination: {
+                page: Number(page),
+                limit: Number(limit),
+                total,
+            },
+        };
+    },
+
+    /**
+     * Shortlist, accept or reject an application; accepting while full waitlists the student
+     */
+    async decide(applicationId, data, currentUser) {
+        const { decision, note } = data;
+
+        const enrollment = await InternshipEnrollment.findById(applicationId);
+        if (!enrollment || !enrollment.application) {
+            throw new AppError('Application not found', 404);
+        }
+
+        const internship = await getManagedInternship(enrollment.internshipId, currentUser.userId, currentUser.role);
+
+        const allowedFrom = {
+            shortlist: ['pending'],
+            accept: ['pending'],
+            reject: ['pending', 'waitlisted'],
+        };
+
+        if (!allowedFrom[decision].includes(enrollment.status)) {
+            throw new AppError(`Cannot ${decision} an application that is ${enrollment.status}`, 400);
+        }
+
+        const review = {
+            'application.reviewedBy': currentUser.userId,
+            'application.reviewedAt': new Date(),
+        };
+        if (note !== undefined) review['application.reviewNote'] = note || null;
+
+        // Every transition is conditional on the status we validated, so a concurrent
+        // withdrawal or second reviewer cannot be overwritten
+        let updated;
+        if (decision === 'shortlist') {
+            updated = await this._transition(enrollment._id, allowedFrom.shortlist, {
+                ...review,
+                'application.shortlisted': true,
+            });
+        } else if (decision === 'reject') {
+            updated = await this._transition(enrollment._id, allowedFrom.reject, {
+                ...review,
+                status: 'rejected',
+                waitlistedAt: null,
+            });
+        } else {
+            const holdId = new mongoose.Types.ObjectId();
+            const reserved = await Internship.reserveSeat(internship._id, holdId);
+
+            updated = reserved
+                ? await this._activate(enrollment._id, allowedFrom.accept, reserved, holdId, review)
+                : await this._transition(enrollment._id, allowedFrom.accept, {
+                    ...review,
+                    status: 'waitlisted',
+                    waitlistedAt: new Date(),
+                });
+        }
+
+        if (!updated) {
+            throw new AppError('Application was updated in the meantime; please reload and try again', 409);
+        }
+
+        return this._withWaitlistPosition(updated.toObject());
+    },
+
+    // ==========================================
+    // SHARED SERVICES
+    // ==========================================
+
+    /**
+     * Fill free seats from the head of the waitlist; returns the promoted enrollments
+     */
+    async promoteFromWaitlist(internshipId) {
+        const internship = await Internship.findById(internshipId);
+        if (!internship || ['completed', 'cancelled'].includes(internship.status)) {
+            return [];
+        }
+
+        const promoted = [];
+
+        // Reserve first, then claim the head of the waitlist; a seat that finds
+        // nobody to take it is handed back
+        for (;;) {
+            const holdId = new mongoose.Types.ObjectId();
+            const reserved = await Internship.reserveSeat(internshipId, holdId);
+            if (!reserved) break;
+
+            const next = await InternshipEnrollment.findOne({ internshipId, status: 'waitlisted' })
+                .sort({ waitlistedAt: 1, _id: 1 })
+                .select('_id');
+
+            if (!next) {
+                await Internship.releaseSeat(internshipId, holdId);
+                break;
+            }
+
+            // Null when the student withdrew meanwhile; _activate already released the seat
+            const activated = await this._activate(next._id, ['waitlisted'], reserved, holdId);
+            if (activated) promoted.push(activated);
+        }
+
+        return promoted;
+    },
+
+    // ==========================================
+    // HELPER METHODS
+    // ==========================================
+
+    /**
+     * Move an enrollment to a new status only if it is still in one of fromStatuses
+     */
+    _transition(enrollmentId, fromStatuses, update) {
+        return InternshipEnrollment.findOneAndUpdate(
+            { _id: enrollmentId, status: { $in: fromStatuses } },
+            { $set: update },
+            { new: true }
+        );
+    },
+
+    /**
+     * Turn an application into an active enrollment using a seat already reserved
+     * with Internship.reserveSeat under holdId; the seat is released if the status moved on
+     */
+    async _activate(enrollmentId, fromStatuses, internship, holdId, extra = {}) {
+        const enrollment = await this._transition(enrollmentId, fromStatuses, {
+            ...extra,
+            status: 'active',
+            enrolledAt: new Date(),
+            waitlistedAt: null,
+        });
+
+        if (!enrollment) {
+            await Internship.releaseSeat(internship._id, holdId);
+            return null;
+        }
+
+        await Internship.clearSeatHold(internship._id, holdId);
+
+        const [student, trainer] = await Promise.all([
+            User.findById(enrollment.studentId),
+            User.findById(internship.trainerId).select('name email'),
+        ]);
+
+        if (student) {
+            emailService
+                .sendEnrollmentNotification(student, internship.toObject(), trainer)
+                .catch(err =>
+                    console.error('Enrollment email failed:', err)
+                );
+        }
+
+        return enrollment;
+    },
+
+    async _withWaitlistPosition(application) {
+        if (application.status !== 'waitlisted') {
+            return { ...application, waitlistPosition: null };
+        }
+
+        const ahead = await InternshipEnrollment.countDocuments({
+            internshipId: application.internshipId._id || application.internshipId,
+            status: 'waitlisted',
+            waitlistedAt: { $lt: application.waitlistedAt },
+        });
+
+        return { ...application, waitlistPosition: ahead + 1 };
+    },
+};
+
+module.exports = applicationService;
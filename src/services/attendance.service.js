@@ -3,6 +3,7 @@ const Attendance = require('../models/attendance.model');
 const Internship = require('../models/internship.model');
 const Enrollment = require('../models/enrollment.model');
 const User = require('../models/user.model');
+const calendarService = require('./calendar.service');
 const { AppError } = require('../middlewares/error.middleware');
 const mongoose = require('mongoose');
 
@@ -106,7 +107,7 @@ class AttendanceService {
         }
 
         // Create attendance record
-        const attendance = await Attendance.create({
+        const attendance = new Attendance({
             internshipId,
             studentId,
             date: attendanceDate,
@@ -123,6 +124,9 @@ class AttendanceService {
             markedByRole: userRole,
         });
 
+        attendance.applySchedule(internship);
+        await attendance.save();
+
         return attendance.populate([
             { path: 'studentId', select: 'name email rollNumber' },
             { path: 'internshipId', select: 'title code' },
@@ -202,7 +206,7 @@ class AttendanceService {
                 }
 
                 // Create attendance
-                const attendance = await Attendance.create({
+                const attendance = new Attendance({
                     internshipId,
                     studentId: record.studentId,
                     date: attendanceDate,
@@ -216,6 +220,9 @@ class AttendanceService {
                     markedByRole: userRole,
                 });
 
+                attendance.applySchedule(internship);
+                await attendance.save();
+
                 results.success.push(attendance);
             } catch (error) {
                 results.failed.push({
@@ -228,6 +235,167 @@ class AttendanceService {
         return results;
     }
 
+    /**
+     * Student self check-in, verified against the internship geofence
+     */
+    async checkIn(data, studentId) {
+        const { internshipId, location, ipAddress, device } = data;
+
+        const internship = await this._getCheckInInternship(internshipId, studentId);
+
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+
+        const existingAttendance = await Attendance.findOne({
+            internshipId,
+            studentId,
+            date: {
+                $gte: today,
+                $lt: new Date(today.getTime() + 24 * 60 * 60 * 1000),
+            },
+        });
+
+        if (existingAttendance) {
+            throw new AppError('Attendance already marked for today', 409);
+        }
+
+        const distance = await this._distanceFromVenue(internshipId, location.coordinates);
+        const insideFence = distance <= internship.geofence.radiusMeters;
+
+        const attendance = new Attendance({
+            internshipId,
+            studentId,
+            date: today,
+            month: today.getMonth() + 1,
+            year: today.getFullYear(),
+            status: 'present',
+            checkInTime: new Date(),
+            location: {
+                type: 'Point',
+                coordinates: location.coordinates,
+            },
+            distanceFromVenue: distance,
+            reviewStatus: insideFence ? 'not_required' : 'pending',
+            ipAddress: ipAddress || null,
+            device: device || null,
+            markedBy: studentId,
+            markedByRole: 'student',
+        });
+
+        attendance.applySchedule(internship);
+        await attendance.save();
+
+        return attendance.populate([
+            { path: 'internshipId', select: 'title code' },
+        ]);
+    }
+
+    /**
+     * Student self check-out for today's check-in
+     */
+    async checkOut(data, studentId) {
+        const { internshipId, location } = data;
+
+        const internship = await this._getCheckInInternship(internshipId, studentId);
+
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+
+        const attendance = await Attendance.findOne({
+            internshipId,
+            studentId,
+            date: {
+                $gte: today,
+                $lt: new Date(today.getTime() + 24 * 60 * 60 * 1000),
+            },
+        });
+
+        if (!attendance || !attendance.checkInTime) {
+            throw new AppError('You have not checked in today', 400);
+        }
+
+        if (attendance.checkOutTime) {
+            throw new AppError('You have already checked out today', 409);
+        }
+
+        const distance = await this._distanceFromVenue(internshipId, location.coordinates);
+
+        attendance.setRevisionContext({
+            changedBy: studentId,
+            changedByRole: 'student',
+            source: 'self_check_out',
+        });
+        attendance.checkOutTime = new Date();
+        attendance.checkOutLocation = {
+            type: 'Point',
+            coordinates: location.coordinates,
+        };
+        attendance.checkOutDistance = distance;
+
+        // Leaving from outside the fence needs review unless a trainer already decided
+        if (distance > internship.geofence.radiusMeters && attendance.reviewStatus === 'not_required') {
+            attendance.reviewStatus = 'pending';
+        }
+
+        attendance.applySchedule(internship);
+        await attendance.save();
+
+        return attendance.populate([
+            { path: 'internshipId', select: 'title code' },
+        ]);
+    }
+
+    /**
+     * Approve or reject a self check-in flagged for review (Trainer/Admin)
+     */
+    async reviewAttendance(attendanceId, data, userId, userRole) {
+        const { decision, status, note } = data;
+
+        const attendance = await Attendance.findById(attendanceId);
+        if (!attendance) {
+            throw new AppError('Attendance record not found', 404);
+        }
+
+        if (userRole === 'trainer') {
+            const internship = await Internship.findById(attendance.internshipId);
+            if (!internship || !internship.trainerId) {
+                throw new AppError('Access denied to this internship', 403);
+            }
+            if (internship.trainerId.toString() !== userId.toString()) {
+                throw new AppError('Access denied to this internship', 403);
+            }
+        }
+
+        if (attendance.reviewStatus !== 'pending') {
+            throw new AppError('Attendance record is not pending review', 400);
+        }
+
+        attendance.setRevisionContext({
+            changedBy: userId,
+            changedByRole: userRole,
+            source: 'review',
+            reason: note,
+        });
+        attendance.reviewStatus = decision;
+        attendance.reviewedBy = userId;
+        attendance.reviewedAt = new Date();
+        attendance.reviewNote = note || null;
+
+        if (decision === 'rejected') {
+            attendance.status = status || 'absent';
+        } else if (status) {
+            attendance.status = status;
+        }
+
+        await attendance.save();
+
+        return attendance.populate([
+            { path: 'studentId', select: 'name email rollNumber' },
+            { path: 'internshipId', select: 'title code' },
+            { path: 'reviewedBy', select: 'name role' },
+        ]);
+    }
+
     /**
      * Get attendance records with filters
      */
@@ -236,6 +404,7 @@ class AttendanceService {
             internshipId,
             studentId,
             status,
+            reviewStatus,
             startDate,
             endDate,
             month,
@@ -283,6 +452,10 @@ class AttendanceService {
             query.status = status;
         }
 
+        if (reviewStatus) {
+            query.reviewStatus = reviewStatus;
+        }
+
         if (month) {
             query.month = parseInt(month);
         }
@@ -369,9 +542,10 @@ class AttendanceService {
             throw new AppError('Only trainers and admins can update attendance', 403);
         }
 
+        const internship = await Internship.findById(attendance.internshipId);
+
         // Trainer authorization - FIXED
         if (userRole === 'trainer') {
-            const internship = await Internship.findById(attendance.internshipId);
             if (!internship || !internship.trainerId) {
                 throw new AppError('Access denied to this internship', 403);
             }
@@ -403,6 +577,19 @@ class AttendanceService {
         }
 
         Object.assign(attendance, updateData);
+        attendance.setRevisionContext({
+            changedBy: userId,
+            changedByRole: userRole,
+            source: 'edit',
+            reason: updateData.editReason,
+        });
+
+        // Recompute timing; a status set explicitly by the editor is kept
+        attendance.applySchedule(internship);
+        if (updateData.status !== undefined) {
+            attendance.status = updateData.status;
+        }
+
         await attendance.save();
 
         return attendance.populate([
@@ -426,6 +613,11 @@ class AttendanceService {
             throw new AppError('Only admins can delete attendance records', 403);
         }
 
+        attendance.setRevisionContext({
+            changedBy: userId,
+            changedByRole: userRole,
+            source: 'delete',
+        });
         await attendance.deleteOne();
         return { message: 'Attendance deleted successfully' };
     }
@@ -439,9 +631,13 @@ class AttendanceService {
             throw new AppError('Cannot view other students statistics', 403);
         }
 
+        const internship = await Internship.findById(internshipId);
+        if (!internship) {
+            throw new AppError('Internship not found', 404);
+        }
+
         if (userRole === 'trainer') {
-            const internship = await Internship.findById(internshipId);
-            if (!internship || !internship.trainerId) {
+            if (!internship.trainerId) {
                 throw new AppError('Access denied to this internship', 403);
             }
             if (internship.trainerId.toString() !== userId.toString()) {
@@ -449,8 +645,6 @@ class AttendanceService {
             }
         }
 
-        const stats = await Attendance.getMonthlyStats(internshipId, studentId, month, year);
-
         // Get attendance records for the month
         const records = await Attendance.find({
             internshipId,
@@ -459,12 +653,21 @@ class AttendanceService {
             year: parseInt(year),
         })
             .sort({ date: 1 })
-            .select('date status checkInTime checkOutTime duration remarks')
+            .select('date status checkInTime checkOutTime duration remarks leaveRequestId')
             .lean();
 
+        const { missingDates, ...stats } = await Attendance.getMonthlyStats(
+            internshipId,
+            studentId,
+            month,
+            year,
+            { internship, records }
+        );
+
         return {
             stats,
             records,
+            missingDates,
         };
     }
 
@@ -472,6 +675,15 @@ class AttendanceService {
      * Get internship monthly report - FIXED
      */
     async getInternshipMonthlyReport(internshipId, month, year, userId, userRole) {
+        const { report } = await this.getInternshipMonthlyData(internshipId, month, year, userId, userRole);
+        return report;
+    }
+
+    /**
+     * Monthly report together with the internship and the month's records it was built
+     * from, for callers (register export) that need more than the summary
+     */
+    async getInternshipMonthlyData(internshipId, month, year, userId, userRole) {
         // Validate internship
         const internship = await Internship.findById(internshipId);
         if (!internship) {
@@ -489,8 +701,23 @@ class AttendanceService {
             }
         }
 
-        // Student-wise report
-        const report = await Attendance.getInternshipMonthlyReport(internshipId, month, year);
+        const [expectedDays, monthRecords] = await Promise.all([
+            this._getExpectedDaysInMonth(internship, month, year),
+            Attendance.find({
+                internshipId,
+                month: parseInt(month),
+                year: parseInt(year),
+            })
+                .select('studentId date status leaveRequestId')
+                .lean(),
+        ]);
+
+        // Student-wise report, percentages against the calendar
+        const report = await Attendance.getInternshipMonthlyReport(internshipId, month, year, {
+            internship,
+            records: monthRecords,
+            expectedDays,
+        });
 
         // Overall statistics
         const overallStats = await Attendance.aggregate([
@@ -511,15 +738,20 @@ class AttendanceService {
         ]);
 
         return {
-            internship: {
-                id: internship._id,
-                title: internship.title,
-                code: internship.code,
+            internship,
+            records: monthRecords,
+            report: {
+                internship: {
+                    id: internship._id,
+                    title: internship.title,
+                    code: internship.code,
+                },
+                month: parseInt(month),
+                year: parseInt(year),
+                expectedDays: expectedDays.length,
+                overallStats,
+                studentReports: report,
             },
-            month: parseInt(month),
-            year: parseInt(year),
-            overallStats,
-            studentReports: report,
         };
     }
 
@@ -553,6 +785,75 @@ class AttendanceService {
 
         return enrollments.map((e) => e.studentId);
     }
+
+    /**
+     * Working days of the internship within a calendar month (up to today)
+     */
+    async _getExpectedDaysInMonth(internship, month, year) {
+        const from = new Date(parseInt(year), parseInt(month) - 1, 1);
+        const to = new Date(parseInt(year), parseInt(month), 0);
+
+        return calendarService.getExpectedDays(internship, from, to);
+    }
+
+    /**
+     * Internship a student may self check in to: enrolled, running and geofenced
+     */
+    async _getCheckInInternship(internshipId, studentId) {
+        const internship = await Internship.findById(internshipId);
+        if (!internship) {
+            throw new AppError('Internship not found', 404);
+        }
+
+        const enrollment = await Enrollment.findOne({
+            internshipId,
+            studentId,
+            status: 'active',
+        });
+
+        if (!enrollment) {
+            throw new AppError('You are not enrolled in this internship', 403);
+        }
+
+        const now = new Date();
+        if (
+            ['draft', 'completed', 'cancelled'].includes(internship.status) ||
+            internship.startDate > now ||
+            internship.endDate < now
+        ) {
+            throw new AppError('Internship is not running today', 400);
+        }
+
+        if (!internship.geofence) {
+            throw new AppError('Self check-in is not enabled for this internship', 400);
+        }
+
+        return internship;
+    }
+
+    /**
+     * Distance in metres from the internship geofence center ($geoNear on the 2dsphere index)
+     */
+    async _distanceFromVenue(internshipId, coordinates) {
+        const [result] = await Internship.aggregate([
+            {
+                $geoNear: {
+                    near: { type: 'Point', coordinates },
+                    key: 'geofence.center',
+                    distanceField: 'distance',
+                    spherical: true,
+                    query: { _id: new mongoose.Types.ObjectId(internshipId) },
+                },
+            },
+            { $project: { distance: 1 } },
+        ]);
+
+        if (!result) {
+            throw new AppError('Self check-in is not enabled for this internship', 400);
+        }
+
+        return Math.round(result.distance);
+    }
 }
 
 module.exports = new AttendanceService();
\ No newline at end of file
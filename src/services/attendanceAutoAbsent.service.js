@@ -0,0 +1,156 @@
+// src/services/attendanceAutoAbsent.service.js
+// Marks actively enrolled students absent on session days where nobody recorded their attendance
+const Attendance = require('../models/attendance.model');
+const Internship = require('../models/internship.model');
+const Enrollment = require('../models/enrollment.model');
+const calendarService = require('./calendar.service');
+const { getManagedInternship } = require('../utils/internshipAccess.util');
+const DateUtil = require('../utils/date.util');
+
+// Time of day (HH:MM, server local) after which a session day is closed for marking;
+// a timetabled session ending later than this pushes the cutoff to its end time
+const CUTOFF_TIME = process.env.AUTO_ABSENT_CUTOFF || '20:00';
+
+// Days looked back on each run, so days missed while the server was down are still closed
+const LOOKBACK_DAYS = Number(process.env.AUTO_ABSENT_LOOKBACK_DAYS) || 3;
+
+const REMARKS = 'Automatically marked absent: no attendance recorded by the end of the day';
+
+class AttendanceAutoAbsentService {
+    /**
+     * Close every due session day of active internships within the lookback window
+     * (called by the auto-absent job)
+     */
+    async markUnmarkedAbsent(now = new Date()) {
+        const from = DateUtil.addDays(DateUtil.getStartOfDay(now), -LOOKBACK_DAYS);
+
+        const internships = await Internship.find({
+            status: { $in: ['active', 'ongoing'] },
+            startDate: { $lte: now },
+            endDate: { $gte: from },
+        });
+
+        let marked = 0;
+
+        for (const internship of internships) {
+            const days = await calendarService.getExpectedDays(internship, from, now);
+
+            for (const day of days) {
+                if (this._getCutoff(internship, day) > now) continue;
+
+                const studentIds = await this._getUnmarkedStudentIds(internship, day);
+                marked += await this._createAbsentRecords(internship, day, studentIds);
+            }
+        }
+
+        return marked;
+    }
+
+    /**
+     * Dry run for one day: which students the job would mark absent (Trainer/Admin)
+     */
+    async getPreview(internshipId, date, userId, userRole) {
+        const internship = await getManagedInternship(internshipId, userId, userRole);
+
+        const day = DateUtil.getStartOfDay(date || new Date());
+        const [expected] = await calendarService.getExpectedDays(internship, day, day, {
+            untilToday: false,
+        });
+
+        const cutoffAt = this._getCutoff(internship, day);
+        const isSessionDay = Boolean(expected) && ['active', 'ongoing'].includes(internship.status);
+
+        const studentIds = isSessionDay
+            ? await this._getUnmarkedStudentIds(internship, day)
+            : [];
+
+        const students = await Enrollment.find({
+            internshipId,
+            studentId: { $in: studentIds },
+            status: 'active',
+        })
+            .populate('studentId', 'name email rollNumber')
+            .lean();
+
+        return {
+            internshipId,
+            date: DateUtil.formatDate(day),
+            isSessionDay,
+            cutoffAt,
+            cutoffPassed: cutoffAt <= new Date(),
+            wouldMarkAbsent: students.length,
+            students: students
+                .map((e) => e.studentId)
+                .filter(Boolean)
+                .sort((a, b) => (a.name || '').localeCompare(b.name || '')),
+        };
+    }
+
+    /**
+     * Cutoff for a day: CUTOFF_TIME, or the scheduled session end if that is later
+     */
+    _getCutoff(internship, day) {
+        const [hours, minutes] = CUTOFF_TIME.split(':').map(Number);
+        const cutoff = new Date(day);
+        cutoff.setHours(hours, minutes, 0, 0);
+
+        const session = internship.getScheduledSession(day);
+        if (session && session.end > cutoff) {
+            return session.end;
+        }
+
+        return cutoff;
+    }
+
+    /**
+     * Students actively enrolled on the day (enrolled by its end) without a record for it
+     */
+    async _getUnmarkedStudentIds(internship, day) {
+        const [enrollments, markedStudentIds] = await Promise.all([
+            Enrollment.find({
+                internshipId: internship._id,
+                status: 'active',
+                enrolledAt: { $lte: DateUtil.getEndOfDay(day) },
+            }).select('studentId'),
+            Attendance.distinct('studentId', {
+                internshipId: internship._id,
+                date: { $gte: day, $lte: DateUtil.getEndOfDay(day) },
+            }),
+        ]);
+
+        const marked = new Set(markedStudentIds.map((id) => id.toString()));
+
+        return enrollments
+            .map((e) => e.studentId)
+            .filter((id) => !marked.has(id.toString()));
+    }
+
+    async _createAbsentRecords(internship, day, studentIds) {
+        if (studentIds.length === 0) return 0;
+
+        try {
+            const created = await Attendance.insertMany(
+                studentIds.map((studentId) => ({
+                    internshipId: internship._id,
+                    studentId,
+                    date: day,
+                    month: day.getMonth() + 1,
+                    year: day.getFullYear(),
+                    status: 'absent',
+                    remarks: REMARKS,
+                    markedBy: null,
+                    markedByRole: 'system',
+                })),
+                { ordered: false }
+            );
+            return created.length;
+        } catch (error) {
+            // A student marked by a trainer meanwhile keeps that record
+            if (error.code !== 11000) throw error;
+            await Attendance.recordCreateRevisions(error.insertedDocs);
+            return error.insertedDocs?.length || 0;
+        }
+    }
+}
+
+module.exports = new AttendanceAutoAbsentService();
@@ -0,0 +1,242 @@
+// src/services/attendanceCorrection.service.js
+// Student correction requests on attendance records and the record edit history
+const AttendanceCorrection = require('../models/attendanceCorrection.model');
+const AttendanceRevision = require('../models/attendanceRevision.model');
+const Attendance = require('../models/attendance.model');
+const Internship = require('../models/internship.model');
+const { AppError } = require('../middlewares/error.middleware');
+const { getManagedInternship } = require('../utils/internshipAccess.util');
+const { uploadToCloudinary } = require('../utils/cloudinary.util');
+
+class AttendanceCorrectionService {
+    /**
+     * Dispute one of the student's own attendance records
+     */
+    async createCorrection(attendanceId, data, file, studentId) {
+        const { requestedStatus, requestedCheckInTime, requestedCheckOutTime, reason } = data;
+
+        const attendance = await Attendance.findById(attendanceId);
+        if (!attendance) {
+            throw new AppError('Attendance record not found', 404);
+        }
+
+        if (attendance.studentId.toString() !== studentId.toString()) {
+            throw new AppError('You can only request corrections to your own attendance', 403);
+        }
+
+        const pending = await AttendanceCorrection.findOne({ attendanceId, status: 'pending' });
+        if (pending) {
+            throw new AppError('A correction request for this record is already pending', 409);
+        }
+
+        let evidence = {};
+        if (file) {
+            const uploaded = await uploadToCloudinary(file.buffer, {
+                folder: 'internships/attendance-corrections',
+            });
+
+            evidence = {
+                evidenceUrl: uploaded.secure_url,
+                evidenceName: file.originalname,
+            };
+        }
+
+        return AttendanceCorrection.create({
+            attendanceId,
+            internshipId: attendance.internshipId,
+            studentId,
+            requestedStatus,
+            requestedCheckInTime: requestedCheckInTime || null,
+            requestedCheckOutTime: requestedCheckOutTime || null,
+            reason,
+            ...evidence,
+        });
+    }
+
+    /**
+     * Student's own correction requests
+     */
+    async getMyCorrections(studentId, filters = {}) {
+        const { page = 1, limit = 10, status, internshipId } = filters;
+
+        const query = { studentId };
+        if (status) query.status = status;
+        if (internshipId) query.internshipId = internshipId;
+
+        return this._paginate(query, page, limit);
+    }
+
+    /**
+     * Withdraw a pending correction request
+     */
+    async cancelCorrection(correctionId, studentId) {
+        const correction = await AttendanceCorrection.findById(correctionId);
+        if (!correction) {
+            throw new AppError('Correction request not found', 404);
+        }
+
+        if (correction.studentId.toString() !== studentId.toString()) {
+            throw new AppError('Access denied', 403);
+        }
+
+        if (correction.status !== 'pending') {
+            throw new AppError('Only pending correction requests can be cancelled', 400);
+        }
+
+        correction.status = 'cancelled';
+        await correction.save();
+
+        return correction;
+    }
+
+    /**
+     * Correction requests on the trainer's internships (all internships for admins)
+     */
+    async getCorrections(userId, userRole, filters = {}) {
+        const { page = 1, limit = 10, status, internshipId, studentId } = filters;
+
+        const query = {};
+        if (status) query.status = status;
+        if (studentId) query.studentId = studentId;
+
+        if (userRole === 'trainer') {
+            const internshipIds = (await Internship.find({ trainerId: userId }).select('_id'))
+                .map((i) => i._id.toString());
+
+            if (internshipId && !internshipIds.includes(internshipId.toString())) {
+                throw new AppError('Access denied to this internship', 403);
+            }
+
+            query.internshipId = internshipId || { $in: internshipIds };
+        } else if (internshipId) {
+            query.internshipId = internshipId;
+        }
+
+        return this._paginate(query, page, limit);
+    }
+
+    /**
+     * Approve (apply the requested values) or reject a pending correction (Trainer/Admin)
+     */
+    async resolveCorrection(correctionId, data, userId, userRole) {
+        const { decision, note } = data;
+
+        const correction = await AttendanceCorrection.findById(correctionId);
+        if (!correction) {
+            throw new AppError('Correction request not found', 404);
+        }
+
+        const internship = await getManagedInternship(correction.internshipId, userId, userRole);
+
+        if (correction.status !== 'pending') {
+            throw new AppError('Correction request has already been resolved', 400);
+        }
+
+        if (decision === 'approved') {
+            const attendance = await Attendance.findById(correction.attendanceId);
+            if (!attendance) {
+                throw new AppError('Attendance record no longer exists', 404);
+            }
+
+            const reason = `Correction request: ${correction.reason}`.slice(0, 500);
+
+            attendance.setRevisionContext({
+                changedBy: userId,
+                changedByRole: userRole,
+                source: 'correction',
+                reason,
+            });
+
+            if (correction.requestedCheckInTime) {
+                attendance.checkInTime = correction.requestedCheckInTime;
+            }
+            if (correction.requestedCheckOutTime) {
+                attendance.checkOutTime = correction.requestedCheckOutTime;
+            }
+
+            attendance.isEdited = true;
+            attendance.editedBy = userId;
+            attendance.editedAt = new Date();
+            attendance.editReason = reason;
+
+            // Recompute timing but keep the status the student asked for
+            attendance.applySchedule(internship);
+            attendance.status = correction.requestedStatus;
+
+            await attendance.save();
+        }
+
+        correction.status = decision;
+        correction.resolvedBy = userId;
+        correction.resolvedAt = new Date();
+        correction.resolutionNote = note || null;
+        await correction.save();
+
+        return correction.populate([
+            { path: 'studentId', select: 'name email' },
+            { path: 'internshipId', select: 'title' },
+            { path: 'resolvedBy', select: 'name' },
+        ]);
+    }
+
+    /**
+     * Every recorded change to an attendance record, oldest first; still available
+     * after the record itself has been deleted
+     */
+    async getHistory(attendanceId, userId, userRole) {
+        const [attendance, revisions] = await Promise.all([
+            Attendance.findById(attendanceId).select('internshipId studentId').lean(),
+            AttendanceRevision.find({ attendanceId })
+                .populate('changedBy', 'name role')
+                .sort({ createdAt: 1, _id: 1 })
+                .lean(),
+        ]);
+
+        const owner = attendance || revisions[0];
+        if (!owner) {
+            throw new AppError('Attendance record not found', 404);
+        }
+
+        if (userRole === 'student' && owner.studentId.toString() !== userId.toString()) {
+            throw new AppError('Cannot view other students attendance', 403);
+        }
+
+        if (userRole === 'trainer') {
+            await getManagedInternship(owner.internshipId, userId, userRole);
+        }
+
+        return {
+            attendanceId,
+            deleted: !attendance,
+            revisions,
+        };
+    }
+
+    async _paginate(query, page, limit) {
+        const skip = (page - 1) * limit;
+
+        const [corrections, total] = await Promise.all([
+            AttendanceCorrection.find(query)
+                .populate('studentId', 'name email')
+                .populate('internshipId', 'title')
+                .populate('attendanceId', 'date status checkInTime checkOutTime')
+                .populate('resolvedBy', 'name')
+                .sort({ status: 1, createdAt: -1 })
+                .skip(skip)
+                .limit(Number(limit))
+                .lean(),
+            AttendanceCorrection.countDocuments(query),
+        ]);
+
+        return {
+            corrections,
+            pagination: {
+                page: Number(page),
+                limit: Number(limit),
+                total,
+            },
+        };
+    }
+}
+
+module.exports = new AttendanceCorrectionService();
@@ -0,0 +1,288 @@
+// src/services/attendanceSession.service.js
+// QR attendance sessions: trainer opens a session, students redeem rotating tokens
+const AttendanceSession = require('../models/attendanceSession.model');
+const Attendance = require('../models/attendance.model');
+const Internship = require('../models/internship.model');
+const Enrollment = require('../models/enrollment.model');
+const QrTokenUtil = require('../utils/qrToken.util');
+const { AppError } = require('../middlewares/error.middleware');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class AttendanceSessionService {
+    /**
+     * Open a QR attendance session for today (Trainer/Admin)
+     */
+    async openSession(data, userId, userRole) {
+        const { internshipId, rotationSeconds, durationMinutes } = data;
+
+        const internship = await Internship.findById(internshipId);
+        if (!internship) {
+            throw new AppError('Internship not found', 404);
+        }
+
+        this._assertCanManage(internship, userId, userRole);
+
+        const openSession = await AttendanceSession.findOne({ internshipId, status: 'open' });
+        if (openSession) {
+            throw new AppError('An attendance session is already open for this internship. Close it first', 409);
+        }
+
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+
+        const openedAt = new Date();
+
+        const session = await AttendanceSession.create({
+            internshipId,
+            openedBy: userId,
+            date: today,
+            openedAt,
+            rotationSeconds,
+            expiresAt: new Date(openedAt.getTime() + durationMinutes * 60 * 1000),
+            secret: QrTokenUtil.generateSecret(),
+        });
+
+        return {
+            session: this._toPublic(session),
+            ...this._issueToken(session),
+        };
+    }
+
+    /**
+     * Session details with check-in counts (Trainer/Admin)
+     */
+    async getSession(sessionId, userId, userRole) {
+        const session = await this._getManagedSession(sessionId, userId, userRole);
+
+        const checkedIn = await Attendance.find({
+            sessionId: session._id,
+            status: { $ne: 'absent' },
+        })
+            .populate('studentId', 'name email rollNumber')
+            .select('studentId status checkInTime ipAddress')
+            .sort({ checkInTime: 1 })
+            .lean();
+
+        return {
+            session: this._toPublic(session),
+            acceptingCheckIns: session.isAcceptingCheckIns(),
+            checkedIn,
+        };
+    }
+
+    /**
+     * Current rotating token for the QR display (Trainer/Admin)
+     */
+    async getCurrentToken(sessionId, userId, userRole) {
+        const session = await this._getManagedSession(sessionId, userId, userRole, '+secret');
+
+        if (!session.isAcceptingCheckIns()) {
+            throw new AppError('Attendance session is no longer accepting check-ins', 400);
+        }
+
+        return this._issueToken(session);
+    }
+
+    /**
+     * Student redeems a scanned token; creates today's attendance record
+     */
+    async redeemToken(data, studentId) {
+        const { token, ipAddress, device } = data;
+
+        const parsed = QrTokenUtil.parse(token);
+        if (!parsed) {
+            throw new AppError('Invalid QR code', 400);
+        }
+
+        const session = await AttendanceSession.findById(parsed.sessionId).select('+secret');
+        if (!session || !QrTokenUtil.verify(parsed, session.secret)) {
+            throw new AppError('Invalid QR code', 400);
+        }
+
+        if (!session.isAcceptingCheckIns()) {
+            throw new AppError('Attendance session has ended', 400);
+        }
+
+        // Current window, or the previous one to allow for scan and network delay
+        const currentWindow = session.getWindow();
+        if (parsed.window > currentWindow || parsed.window < currentWindow - 1) {
+            throw new AppError('QR code has expired. Scan the code currently displayed', 400);
+        }
+
+        const enrollment = await Enrollment.findOne({
+            internshipId: session.internshipId,
+            studentId,
+            status: 'active',
+        });
+
+        if (!enrollment) {
+            throw new AppError('You are not enrolled in this internship', 403);
+        }
+
+        const existingAttendance = await Attendance.findOne({
+            internshipId: session.internshipId,
+            studentId,
+            date: {
+                $gte: session.date,
+                $lt: new Date(session.date.getTime() + DAY_MS),
+            },
+        });
+
+        if (existingAttendance) {
+            if (existingAttendance.sessionId?.toString() === session._id.toString()) {
+                throw new AppError('You have already checked in to this session', 409);
+            }
+            throw new AppError('Attendance already marked for today', 409);
+        }
+
+        const attendance = new Attendance({
+            internshipId: session.internshipId,
+            studentId,
+            date: session.date,
+            month: session.date.getMonth() + 1,
+            year: session.date.getFullYear(),
+            status: 'present',
+            checkInTime: new Date(),
+            sessionId: session._id,
+            ipAddress: ipAddress || null,
+            device: device || null,
+            markedBy: studentId,
+            markedByRole: 'student',
+        });
+
+        const internship = await Internship.findById(session.internshipId);
+        attendance.applySchedule(internship);
+        await attendance.save();
+
+        await AttendanceSession.updateOne({ _id: session._id }, { $inc: { presentCount: 1 } });
+
+        return attendance.populate([
+            { path: 'internshipId', select: 'title code' },
+        ]);
+    }
+
+    /**
+     * Close a session and mark every enrolled student without a record as absent (Trainer/Admin)
+     */
+    async closeSession(sessionId, userId, userRole) {
+        const session = await this._getManagedSession(sessionId, userId, userRole);
+
+        if (session.status === 'closed') {
+            throw new AppError('Attendance session is already closed', 400);
+        }
+
+        const [enrollments, markedStudentIds] = await Promise.all([
+            Enrollment.find({ internshipId: session.internshipId, status: 'active' }).select('studentId'),
+            Attendance.distinct('studentId', {
+                internshipId: session.internshipId,
+                date: {
+                    $gte: session.date,
+                    $lt: new Date(session.date.getTime() + DAY_MS),
+                },
+            }),
+        ]);
+
+        const marked = new Set(markedStudentIds.map((id) => id.toString()));
+        const absentees = enrollments
+            .map((e) => e.studentId)
+            .filter((id) => !marked.has(id.toString()));
+
+        let absentCount = 0;
+
+        if (absentees.length > 0) {
+            try {
+                const created = await Attendance.insertMany(
+                    absentees.map((studentId) => ({
+                        internshipId: session.internshipId,
+                        studentId,
+                        date: session.date,
+                        month: session.date.getMonth() + 1,
+                        year: session.date.getFullYear(),
+                        status: 'absent',
+                        remarks: 'Did not check in to the attendance session',
+                        sessionId: session._id,
+                        markedBy: userId,
+                        markedByRole: userRole,
+                    })),
+                    { ordered: false }
+                );
+                absentCount = created.length;
+            } catch (error) {
+                // A student marked by other means while closing keeps that record
+                if (error.code !== 11000) throw error;
+                absentCount = error.insertedDocs?.length || 0;
+                await Attendance.recordCreateRevisions(error.insertedDocs);
+            }
+        }
+
+        session.status = 'closed';
+        session.closedAt = new Date();
+        session.closedBy = userId;
+        session.absentCount = absentCount;
+        await session.save();
+
+        return {
+            session: this._toPublic(session),
+            presentCount: session.presentCount,
+            absentCount,
+        };
+    }
+
+    /**
+     * Load a session and verify the caller manages its internship
+     */
+    async _getManagedSession(sessionId, userId, userRole, select = null) {
+        const query = AttendanceSession.findById(sessionId);
+        if (select) query.select(select);
+
+        const session = await query;
+        if (!session) {
+            throw new AppError('Attendance session not found', 404);
+        }
+
+        const internship = await Internship.findById(session.internshipId);
+        if (!internship) {
+            throw new AppError('Internship not found', 404);
+        }
+
+        this._assertCanManage(internship, userId, userRole);
+
+        return session;
+    }
+
+    _assertCanManage(internship, userId, userRole) {
+        if (userRole === 'trainer') {
+            if (!internship.trainerId) {
+                throw new AppError('Internship trainer is not defined. Contact admin.', 403);
+            }
+
+            if (internship.trainerId.toString() !== userId.toString()) {
+                throw new AppError('You can only manage attendance for your internships', 403);
+            }
+        }
+    }
+
+    /**
+     * Token for the current rotation window; the QR code encodes the token as-is
+     */
+    _issueToken(session) {
+        const window = session.getWindow();
+        const rotationMs = session.rotationSeconds * 1000;
+        const token = QrTokenUtil.sign(session._id.toString(), window, session.secret);
+
+        return {
+            token,
+            qrPayload: token,
+            rotatesAt: new Date(session.openedAt.getTime() + (window + 1) * rotationMs),
+            rotationSeconds: session.rotationSeconds,
+        };
+    }
+
+    _toPublic(session) {
+        const { secret, ...rest } = session.toObject();
+        return rest;
+    }
+}
+
+module.exports = new AttendanceSessionService();
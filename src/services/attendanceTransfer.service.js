@@ -0,0 +1,473 @@
+// src/services/attendanceTransfer.service.js
+// Monthly attendance register export (XLSX, CSV) and import of the same grid
+//
+// Register layout (row 1 holds headers, one row per student):
+// Student Name, Email, Roll Number, 1 .. <days in month>, Present, Absent, Late,
+// Half Day, Excused, On Leave, Expected Days, Missing, Attendance %
+// Day cells hold a status code: P present, A absent, L late, HD half-day, E excused,
+// LV approved leave; "-" marks a day the internship does not expect attendance.
+//
+// Import reads the first sheet of an XLSX or CSV file. Students are matched by Email;
+// columns headed with a day number are applied and every other column is ignored.
+// Blank and "-" cells leave the day untouched. A row with any error is skipped whole.
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const { Parser } = require('json2csv');
+const Attendance = require('../models/attendance.model');
+const Enrollment = require('../models/enrollment.model');
+const attendanceService = require('./attendance.service');
+const calendarService = require('./calendar.service');
+const { AppError } = require('../middlewares/error.middleware');
+const { getManagedInternship } = require('../utils/internshipAccess.util');
+const DateUtil = require('../utils/date.util');
+
+const STATUS_CODES = {
+    present: 'P',
+    absent: 'A',
+    late: 'L',
+    'half-day': 'HD',
+    excused: 'E',
+};
+
+const LEAVE_CODE = 'LV';
+const NON_WORKING_CODE = '-';
+
+const CODE_STATUSES = Object.fromEntries(
+    Object.entries(STATUS_CODES).map(([status, code]) => [code, status])
+);
+
+const TOTAL_COLUMNS = [
+    { header: 'Present', key: 'present' },
+    { header: 'Absent', key: 'absent' },
+    { header: 'Late', key: 'late' },
+    { header: 'Half Day', key: 'halfDay' },
+    { header: 'Excused', key: 'excused' },
+    { header: 'On Leave', key: 'onLeave' },
+    { header: 'Expected Days', key: 'expectedDays' },
+    { header: 'Missing', key: 'missing' },
+    { header: 'Attendance %', key: 'percentage' },
+];
+
+const MAX_IMPORT_ROWS = 500;
+
+class AttendanceTransferService {
+    /**
+     * Monthly register as an XLSX or CSV file (Trainer/Admin)
+     */
+    async exportRegister(internshipId, month, year, format, userId, userRole) {
+        // Also performs the access check
+        const { internship, records, report } = await attendanceService.getInternshipMonthlyData(
+            internshipId,
+            month,
+            year,
+            userId,
+            userRole
+        );
+
+        const { days, workingDays } = await this._getMonthDays(internship, month, year);
+
+        const codes = new Map(records.map((r) => [
+            `${r.studentId}:${r.date.getDate()}`,
+            r.leaveRequestId ? LEAVE_CODE : STATUS_CODES[r.status],
+        ]));
+
+        const rows = report.studentReports.map((student) => {
+            const row = {
+                name: student.studentName || '',
+                email: student.studentEmail || '',
+                rollNumber: student.studentRollNumber || '',
+            };
+
+            days.forEach((day) => {
+                const key = String(day.getDate());
+                row[key] = codes.get(`${student.studentId}:${key}`)
+                    || (workingDays.has(key) ? '' : NON_WORKING_CODE);
+            });
+
+            TOTAL_COLUMNS.forEach(({ key }) => {
+                row[key] = student[key] ?? 0;
+            });
+
+            return row;
+        });
+
+        const columns = [
+            { header: 'Student Name', key: 'name', width: 25 },
+            { header: 'Email', key: 'email', width: 30 },
+            { header: 'Roll Number', key: 'rollNumber', width: 14 },
+            ...days.map((day) => ({ header: String(day.getDate()), key: String(day.getDate()), width: 4 })),
+            ...TOTAL_COLUMNS.map((column) => ({ ...column, width: 13 })),
+        ];
+
+        const baseName = `attendance_${(internship.code || internship.title || internshipId)
+            .toString()
+            .replace(/[^a-z0-9]+/gi, '-')
+            .toLowerCase()}_${year}-${String(month).padStart(2, '0')}`;
+
+        if (format === 'csv') {
+            const parser = new Parser({
+                fields: columns.map((column) => ({ label: column.header, value: column.key })),
+            });
+
+            return {
+                filename: `${baseName}.csv`,
+                contentType: 'text/csv',
+                content: Buffer.from(parser.parse(rows)),
+            };
+        }
+
+        const workbook = new ExcelJS.Workbook();
+        const worksheet = workbook.addWorksheet(`Attendance ${year}-${String(month).padStart(2, '0')}`, {
+            views: [{ state: 'frozen', xSplit: 3, ySplit: 1 }],
+        });
+
+        worksheet.columns = columns;
+        worksheet.addRows(rows);
+
+        // Style header
+        worksheet.getRow(1).font = { bold: true };
+        worksheet.getRow(1).fill = {
+            type: 'pattern',
+            pattern: 'solid',
+            fgColor: { argb: 'FF4472C4' },
+        };
+
+        // Grey out days without expected attendance
+        days.forEach((day, index) => {
+            if (workingDays.has(String(day.getDate()))) return;
+
+            const column = worksheet.getColumn(4 + index);
+            column.eachCell({ includeEmpty: true }, (cell, rowNumber) => {
+                if (rowNumber === 1) return;
+                cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFD9D9D9' } };
+            });
+        });
+
+        const legend = workbook.addWorksheet('Legend');
+        legend.columns = [
+            { header: 'Code', key: 'code', width: 8 },
+            { header: 'Meaning', key: 'meaning', width: 40 },
+        ];
+        legend.addRows([
+            ...Object.entries(STATUS_CODES).map(([status, code]) => ({ code, meaning: status })),
+            { code: LEAVE_CODE, meaning: 'approved leave' },
+            { code: NON_WORKING_CODE, meaning: 'no attendance expected (holiday or non-working day)' },
+        ]);
+        legend.getRow(1).font = { bold: true };
+
+        return {
+            filename: `${baseName}.xlsx`,
+            contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+            content: await workbook.xlsx.writeBuffer(),
+        };
+    }
+
+    /**
+     * Bulk create/update a month of attendance from a register grid; rows with errors
+     * are skipped and reported (with dryRun nothing is written)
+     */
+    async importRegister(internshipId, file, options, userId, userRole) {
+        const { month, year, dryRun = false } = options;
+
+        const internship = await getManagedInternship(internshipId, userId, userRole);
+
+        if (!file) {
+            throw new AppError('Import file is required', 400);
+        }
+
+        const format = file.originalname.split('.').pop().toLowerCase() === 'csv' ? 'csv' : 'xlsx';
+        const rows = await this._parseRegister(file.buffer, format, month, year);
+
+        if (rows.length === 0) {
+            throw new AppError('No student rows found in the file', 400);
+        }
+
+        if (rows.length > MAX_IMPORT_ROWS) {
+            throw new AppError(`A single import is limited to ${MAX_IMPORT_ROWS} students`, 400);
+        }
+
+        const enrollments = await Enrollment.find({ internshipId, status: 'active' })
+            .populate('studentId', 'name email')
+            .lean();
+
+        const studentsByEmail = new Map(
+            enrollments
+                .filter((e) => e.studentId?.email)
+                .map((e) => [e.studentId.email.toLowerCase(), e.studentId])
+        );
+
+        const existing = await Attendance.find({
+            internshipId,
+            month: parseInt(month),
+            year: parseInt(year),
+        });
+
+        const existingByKey = new Map(
+            existing.map((r) => [`${r.studentId}:${r.date.getDate()}`, r])
+        );
+
+        const seenStudents = new Set();
+        const checked = rows.map((row) => {
+            const result = this._checkRow(row, {
+                month,
+                year,
+                internship,
+                studentsByEmail,
+                existingByKey,
+                seenStudents,
+            });
+            if (result.student) seenStudents.add(result.student._id.toString());
+            return result;
+        });
+
+        const errors = checked.flatMap((row) => row.errors);
+        const valid = checked.filter((row) => row.errors.length === 0);
+
+        const report = {
+            format,
+            dryRun: Boolean(dryRun),
+            total: checked.length,
+            valid: valid.length,
+            invalid: checked.length - valid.length,
+            errors,
+        };
+
+        const changes = valid.flatMap((row) => row.changes);
+
+        if (dryRun) {
+            return {
+                ...report,
+                toCreate: changes.filter((change) => !change.record).length,
+                toUpdate: changes.filter((change) => change.record).length,
+            };
+        }
+
+        let created = 0;
+        let updated = 0;
+
+        for (const change of changes) {
+            if (change.record) {
+                const record = change.record;
+
+                record.setRevisionContext({
+                    changedBy: userId,
+                    changedByRole: userRole,
+                    source: 'import',
+                    reason: 'Register import',
+                });
+                record.isEdited = true;
+                record.editedBy = userId;
+                record.editedAt = new Date();
+                record.editReason = 'Register import';
+
+                // Recompute timing but keep the status from the register
+                record.applySchedule(internship);
+                record.status = change.status;
+                await record.save();
+                updated += 1;
+            } else {
+                const attendance = new Attendance({
+                    internshipId,
+                    studentId: change.studentId,
+                    date: change.date,
+                    month: change.date.getMonth() + 1,
+                    year: change.date.getFullYear(),
+                    status: change.status,
+                    markedBy: userId,
+                    markedByRole: userRole,
+                });
+                attendance.setRevisionContext({
+                    changedBy: userId,
+                    changedByRole: userRole,
+                    source: 'import',
+                    reason: 'Register import',
+                });
+                await attendance.save();
+                created += 1;
+            }
+        }
+
+        return {
+            ...report,
+            created,
+            updated,
+        };
+    }
+
+    // ==========================================
+    // HELPER METHODS
+    // ==========================================
+
+    /**
+     * All days of the month and the day numbers on which attendance is expected
+     */
+    async _getMonthDays(internship, month, year) {
+        const from = new Date(parseInt(year), parseInt(month) - 1, 1);
+        const to = new Date(parseInt(year), parseInt(month), 0);
+
+        const days = [];
+        for (let day = from; day <= to; day = DateUtil.addDays(day, 1)) {
+            days.push(day);
+        }
+
+        const expected = await calendarService.getExpectedDays(internship, from, to, {
+            untilToday: false,
+        });
+
+        return {
+            days,
+            workingDays: new Set(expected.map((day) => String(day.getDate()))),
+        };
+    }
+
+    /**
+     * Read the first sheet into [{ row, email, cells: { day: text } }]
+     */
+    async _parseRegister(buffer, format, month, year) {
+        const workbook = new ExcelJS.Workbook();
+        let sheet;
+
+        try {
+            if (format === 'csv') {
+                sheet = await workbook.csv.read(Readable.from([buffer]));
+            } else {
+                await workbook.xlsx.load(buffer);
+                sheet = workbook.worksheets[0];
+            }
+        } catch (error) {
+            throw new AppError(`Could not read the ${format.toUpperCase()} file`, 400);
+        }
+
+        if (!sheet) {
+            throw new AppError('The file has no worksheets', 400);
+        }
+
+        const daysInMonth = new Date(parseInt(year), parseInt(month), 0).getDate();
+        const dayColumns = {};
+        let emailColumn = null;
+
+        sheet.getRow(1).eachCell((cell, col) => {
+            const header = this._cellText(cell.value);
+
+            if (header.toLowerCase() === 'email') {
+                emailColumn = col;
+            } else if (/^\d{1,2}$/.test(header) && Number(header) >= 1 && Number(header) <= daysInMonth) {
+                dayColumns[col] = Number(header);
+            }
+        });
+
+        if (!emailColumn) {
+            throw new AppError('The first row must contain an "Email" header', 400);
+        }
+
+        if (Object.keys(dayColumns).length === 0) {
+            throw new AppError('The first row must contain day-of-month headers (1, 2, 3, ...)', 400);
+        }
+
+        const rows = [];
+        sheet.eachRow((row, rowNumber) => {
+            if (rowNumber === 1) return;
+
+            const email = this._cellText(row.getCell(emailColumn).value);
+            const cells = {};
+
+            Object.entries(dayColumns).forEach(([col, day]) => {
+                const text = this._cellText(row.getCell(Number(col)).value);
+                if (text !== '') cells[day] = text;
+            });
+
+            if (!email && Object.keys(cells).length === 0) return;
+
+            rows.push({ row: rowNumber, email, cells });
+        });
+
+        return rows;
+    }
+
+    /**
+     * Validate one student row and work out the records it creates or updates
+     */
+    _checkRow(row, { month, year, internship, studentsByEmail, existingByKey, seenStudents }) {
+        const errors = [];
+        const error = (message, column = null) => errors.push({ row: row.row, column, message });
+
+        const student = row.email ? studentsByEmail.get(row.email.toLowerCase()) : null;
+
+        if (!row.email) {
+            error('Email is required', 'Email');
+        } else if (!student) {
+            error(`${row.email} is not actively enrolled in this internship`, 'Email');
+        } else if (seenStudents.has(student._id.toString())) {
+            error(`${row.email} appears in more than one row`, 'Email');
+        }
+
+        if (errors.length > 0) {
+            return { row: row.row, errors, changes: [] };
+        }
+
+        const periodStart = DateUtil.getStartOfDay(internship.startDate);
+        const periodEnd = DateUtil.getStartOfDay(internship.endDate);
+        const today = DateUtil.getCurrentDate();
+        const changes = [];
+
+        Object.entries(row.cells).forEach(([column, text]) => {
+            const code = text.toUpperCase();
+            if (code === NON_WORKING_CODE) return;
+
+            // Full status names are accepted as well as codes
+            const status = CODE_STATUSES[code] || (STATUS_CODES[text.toLowerCase()] ? text.toLowerCase() : null);
+            const record = existingByKey.get(`${student._id}:${column}`);
+
+            if (code === LEAVE_CODE) {
+                if (!record?.leaveRequestId) {
+                    error('Leave (LV) can only be recorded through a leave request', column);
+                }
+                return;
+            }
+
+            if (!status) {
+                error(`Unknown status code "${text}"`, column);
+                return;
+            }
+
+            const date = new Date(parseInt(year), parseInt(month) - 1, Number(column));
+            if (date < periodStart || date > periodEnd) {
+                error('Date is outside the internship period', column);
+                return;
+            }
+
+            if (date > today) {
+                error('Attendance cannot be recorded for a future date', column);
+                return;
+            }
+
+            if (record?.leaveRequestId) {
+                error('Day is covered by approved leave and cannot be changed here', column);
+                return;
+            }
+
+            if (record && record.status === status) return;
+
+            changes.push({ studentId: student._id, date, status, record: record || null });
+        });
+
+        return {
+            row: row.row,
+            student,
+            errors,
+            changes,
+        };
+    }
+
+    _cellText(value) {
+        if (value === null || value === undefined) return '';
+        if (typeof value === 'object') {
+            if (Array.isArray(value.richText)) return value.richText.map((r) => r.text).join('').trim();
+            if (value.result !== undefined) return String(value.result).trim();
+            if (value.text !== undefined) return String(value.text).trim();
+        }
+        return String(value).trim();
+    }
+}
+
+module.exports = new AttendanceTransferService();
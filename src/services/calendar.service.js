@@ -0,0 +1,211 @@
+// src/services/calendar.service.js
+// Holiday and working-day calendar; decides which days an internship expects attendance
+const CalendarDay = require('../models/calendarDay.model');
+const Internship = require('../models/internship.model');
+const { AppError } = require('../middlewares/error.middleware');
+const { getManagedInternship } = require('../utils/internshipAccess.util');
+const DateUtil = require('../utils/date.util');
+const { ATTENDANCE_CREDIT } = require('../constants/attendanceStatus');
+
+// Weekdays expected when an internship has no timetable (Monday to Friday)
+const DEFAULT_WORKING_DAYS = [1, 2, 3, 4, 5];
+const MAX_RANGE_DAYS = 60;
+
+const calendarService = {
+    /**
+     * Add holiday or working-day entries for a date range
+     * (organization-wide entries are admin only)
+     */
+    async createEntries(data, userId, userRole) {
+        const { type, name, internshipId = null } = data;
+
+        if (internshipId) {
+            await getManagedInternship(internshipId, userId, userRole);
+        } else if (userRole !== 'admin') {
+            throw new AppError('Only admins can edit the organization calendar', 403);
+        }
+
+        const startDate = DateUtil.getStartOfDay(data.date);
+        const endDate = DateUtil.getStartOfDay(data.endDate || data.date);
+
+        if (DateUtil.getDaysDifference(startDate, endDate) + 1 > MAX_RANGE_DAYS) {
+            throw new AppError(`A single calendar entry cannot span more than ${MAX_RANGE_DAYS} days`, 400);
+        }
+
+        const days = [];
+        for (let day = startDate; day <= endDate; day = DateUtil.addDays(day, 1)) {
+            days.push(day);
+        }
+
+        // Re-adding a day replaces its type and name
+        await CalendarDay.bulkWrite(
+            days.map((date) => ({
+                updateOne: {
+                    filter: { internshipId, date },
+                    update: {
+                        $set: { type, name: name || '' },
+                        $setOnInsert: { createdBy: userId },
+                    },
+                    upsert: true,
+                },
+            }))
+        );
+
+        return CalendarDay.find({ internshipId, date: { $gte: startDate, $lte: endDate } })
+            .sort({ date: 1 });
+    },
+
+    /**
+     * Calendar entries in a range; with internshipId, organization entries are included
+     */
+    async getEntries(filters, userId, userRole) {
+        const { internshipId, from, to } = filters;
+
+        const query = {
+            internshipId: internshipId ? { $in: [null, internshipId] } : null,
+        };
+
+        if (internshipId && userRole === 'trainer') {
+            await getManagedInternship(internshipId, userId, userRole);
+        }
+
+        if (from || to) {
+            query.date = {};
+            if (from) query.date.$gte = DateUtil.getStartOfDay(from);
+            if (to) query.date.$lte = DateUtil.getEndOfDay(to);
+        }
+
+        return CalendarDay.find(query)
+            .sort({ date: 1, internshipId: 1 })
+            .lean();
+    },
+
+    /**
+     * Delete a calendar entry
+     */
+    async deleteEntry(entryId, userId, userRole) {
+        const entry = await CalendarDay.findById(entryId);
+        if (!entry) {
+            throw new AppError('Calendar entry not found', 404);
+        }
+
+        if (entry.internshipId) {
+            await getManagedInternship(entry.internshipId, userId, userRole);
+        } else if (userRole !== 'admin') {
+            throw new AppError('Only admins can edit the organization calendar', 403);
+        }
+
+        await entry.deleteOne();
+    },
+
+    /**
+     * Working days of an internship in a range
+     */
+    async getWorkingDays(internshipId, from, to) {
+        const internship = await Internship.findById(internshipId);
+        if (!internship) {
+            throw new AppError('Internship not found', 404);
+        }
+
+        const days = await this.getExpectedDays(internship, from, to, { untilToday: false });
+
+        return {
+            internshipId,
+            from: DateUtil.formatDate(from),
+            to: DateUtil.formatDate(to),
+            total: days.length,
+            days: days.map((day) => DateUtil.formatDate(day)),
+        };
+    },
+
+    // ==========================================
+    // ATTENDANCE INTEGRATION
+    // ==========================================
+
+    /**
+     * Days in [from, to] on which the internship expects attendance, clipped to the
+     * internship period (and to today unless untilToday is false)
+     *
+     * A calendar entry for the internship wins over an organization entry; without
+     * either, timetabled days (or Monday to Friday without a timetable) are expected.
+     */
+    async getExpectedDays(internship, from, to, { untilToday = true } = {}) {
+        const limits = [DateUtil.getStartOfDay(to), DateUtil.getStartOfDay(internship.endDate)];
+        if (untilToday) limits.push(DateUtil.getCurrentDate());
+
+        const start = new Date(Math.max(
+            DateUtil.getStartOfDay(from),
+            DateUtil.getStartOfDay(internship.startDate)
+        ));
+        const end = new Date(Math.min(...limits));
+
+        if (start > end) {
+            return [];
+        }
+
+        const entries = await CalendarDay.find({
+            internshipId: { $in: [null, internship._id] },
+            date: { $gte: start, $lte: DateUtil.getEndOfDay(end) },
+        }).lean();
+
+        const overrides = new Map();
+        entries
+            .sort((a, b) => (a.internshipId ? 1 : 0) - (b.internshipId ? 1 : 0))
+            .forEach((entry) => overrides.set(DateUtil.formatDate(entry.date), entry.type));
+
+        const hasTimetable = internship.schedule?.slots?.length > 0;
+        const days = [];
+
+        for (let day = start; day <= end; day = DateUtil.addDays(day, 1)) {
+            const override = overrides.get(DateUtil.formatDate(day));
+
+            const isWorking = override
+                ? override === 'working_day'
+                : hasTimetable
+                    ? Boolean(internship.getScheduledSession(day))
+                    : DEFAULT_WORKING_DAYS.includes(day.getDay());
+
+            if (isWorking) days.push(day);
+        }
+
+        return days;
+    },
+
+    /**
+     * Attendance percentage over expected working days; approved leave days are not expected
+     * and working days without a record are reported as missing. Days are credited per
+     * ATTENDANCE_CREDIT, so late counts as attended and a half-day as half.
+     */
+    compareAttendance(records, expectedDays) {
+        const byDay = new Map(records.map((r) => [DateUtil.formatDate(r.date), r]));
+
+        let attended = 0;
+        let onLeave = 0;
+        const missingDates = [];
+
+        expectedDays.forEach((day) => {
+            const key = DateUtil.formatDate(day);
+            const record = byDay.get(key);
+
+            if (!record) {
+                missingDates.push(key);
+            } else if (record.status === 'excused' && record.leaveRequestId) {
+                onLeave += 1;
+            } else {
+                attended += ATTENDANCE_CREDIT[record.status] || 0;
+            }
+        });
+
+        const expected = expectedDays.length - onLeave;
+
+        return {
+            expectedDays: expectedDays.length,
+            missing: missingDates.length,
+            missingDates,
+            attended,
+            percentage: expected > 0 ? Number(((attended / expected) * 100).toFixed(2)) : 0,
+        };
+    },
+};
+
+module.exports = calendarService;
@@ -0,0 +1,348 @@
+// src/services/curriculum.service.js
+// Internship syllabus: ordered modules/weeks with objectives, resources and the
+// assignments and quizzes that belong to each module
+const CurriculumModule = require('../models/curriculumModule.model');
+const Internship = require('../models/internship.model');
+const InternshipEnrollment = require('../models/enrollment.model');
+const Assignment = require('../models/assignment.model');
+const Quiz = require('../models/quiz.model');
+const { AppError } = require('../middlewares/error.middleware');
+const { getManagedInternship } = require('../utils/internshipAccess.util');
+const { ROLES } = require('../constants/roles');
+const { uploadToCloudinary } = require('../utils/cloudinary.util');
+
+// Item statuses students get to see in the syllabus
+const VISIBLE_STATUSES = ['published', 'closed'];
+
+const curriculumService = {
+    // ==========================================
+    // SYLLABUS
+    // ==========================================
+
+    /**
+     * Full syllabus of an internship; students also get their per-module progress
+     */
+    async getCurriculum(internshipId, currentUser) {
+        const internship = await Internship.findById(internshipId)
+            .select('title startDate endDate trainerId')
+            .lean();
+
+        if (!internship) {
+            throw new AppError('Internship not found', 404);
+        }
+
+        let enrollment = null;
+
+        if (currentUser.role === ROLES.STUDENT) {
+            enrollment = await InternshipEnrollment.findOne({
+                internshipId,
+                studentId: currentUser.userId,
+                status: { $in: ['active', 'completed'] },
+            })
+                .select('progress moduleProgress')
+                .lean();
+
+            if (!enrollment) {
+                throw new AppError('You are not enrolled in this internship', 403);
+            }
+        } else if (
+            currentUser.role === ROLES.TRAINER &&
+            internship.trainerId?.toString() !== currentUser.userId.toString()
+        ) {
+            throw new AppError('Not authorized', 403);
+        }
+
+        const itemQuery = { internshipId };
+        if (currentUser.role === ROLES.STUDENT) {
+            itemQuery.status = { $in: VISIBLE_STATUSES };
+        }
+
+        const [modules, assignments, quizzes] = await Promise.all([
+            CurriculumModule.find({ internshipId }).sort({ order: 1 }).lean(),
+            Assignment.find(itemQuery)
+                .select('title type dueDate totalMarks status moduleId')
+                .sort({ dueDate: 1 })
+                .lean(),
+            Quiz.find(itemQuery)
+                .select('title duration startDate endDate totalMarks status moduleId')
+                .sort({ startDate: 1 })
+                .lean(),
+        ]);
+
+        const belongsTo = (moduleId) => (item) =>
+            (item.moduleId?.toString() || null) === (moduleId?.toString() || null);
+
+        const progressMap = new Map(
+            (enrollment?.moduleProgress || []).map((p) => [p.moduleId.toString(), p])
+        );
+
+        return {
+            internship: {
+                _id: internship._id,
+                title: internship.title,
+                startDate: internship.startDate,
+                endDate: internship.endDate,
+            },
+            modules: modules.map((curriculumModule) => ({
+                ...curriculumModule,
+                assignments: assignments.filter(belongsTo(curriculumModule._id)),
+                quizzes: quizzes.filter(belongsTo(curriculumModule._id)),
+                ...(enrollment && {
+                    progress: progressMap.get(curriculumModule._id.toString()) || null,
+                }),
+            })),
+            unassigned: {
+                assignments: assignments.filter(belongsTo(null)),
+                quizzes: quizzes.filter(belongsTo(null)),
+            },
+            ...(enrollment && { progress: enrollment.progress }),
+        };
+    },
+
+    // ==========================================
+    // MODULE MANAGEMENT (Trainer / Admin)
+    // ==========================================
+
+    /**
+     * Add a module; appended to the end of the syllabus unless an order is given
+     */
+    async createModule(internshipId, data, currentUser) {
+        await getManagedInternship(internshipId, currentUser.userId, currentUser.role);
+
+        this._assertDateRange(data.startDate, data.endDate);
+
+        let { order } = data;
+        if (!order) {
+            const last = await CurriculumModule.findOne({ internshipId })
+                .sort({ order: -1 })
+                .select('order')
+                .lean();
+            order = (last?.order || 0) + 1;
+        } else {
+            // Make room at the requested position
+            await CurriculumModule.updateMany(
+                { internshipId, order: { $gte: order } },
+                { $inc: { order: 1 } }
+            );
+        }
+
+        const curriculumModule = await CurriculumModule.create({
+            ...data,
+            internshipId,
+            order,
+            createdBy: currentUser.userId,
+        });
+
+        await this._refreshProgress(internshipId);
+
+        return curriculumModule;
+    },
+
+    /**
+     * Update module details (use reorderModules to change positions)
+     */
+    async updateModule(moduleId, data, currentUser) {
+        const curriculumModule = await this._getManagedModule(moduleId, currentUser);
+
+        this._assertDateRange(
+            data.startDate !== undefined ? data.startDate : curriculumModule.startDate,
+            data.endDate !== undefined ? data.endDate : curriculumModule.endDate
+        );
+
+        Object.assign(curriculumModule, data);
+        await curriculumModule.save();
+
+        return curriculumModule;
+    },
+
+    /**
+     * Delete a module; its assignments and quizzes become unassigned
+     */
+    async deleteModule(moduleId, currentUser) {
+        const curriculumModule = await this._getManagedModule(moduleId, currentUser);
+
+        await Promise.all([
+            Assignment.updateMany({ moduleId }, { $set: { moduleId: null } }),
+            Quiz.updateMany({ moduleId }, { $set: { moduleId: null } }),
+        ]);
+
+        await curriculumModule.deleteOne();
+
+        // Close the gap in the ordering
+        await CurriculumModule.updateMany(
+            { internshipId: curriculumModule.internshipId, order: { $gt: curriculumModule.order } },
+            { $inc: { order: -1 } }
+        );
+
+        await this._refreshProgress(curriculumModule.internshipId);
+    },
+
+    /**
+     * Reorder all modules of an internship; moduleIds lists every module in the new order
+     */
+    async reorderModules(internshipId, moduleIds, currentUser) {
+        await getManagedInternship(internshipId, currentUser.userId, currentUser.role);
+
+        const existing = await CurriculumModule.find({ internshipId }).select('_id').lean();
+        const existingIds = new Set(existing.map((m) => m._id.toString()));
+        const requested = new Set(moduleIds.map((id) => id.toString()));
+
+        if (
+            requested.size !== moduleIds.length ||
+            requested.size !== existingIds.size ||
+            [...requested].some((id) => !existingIds.has(id))
+        ) {
+            throw new AppError('moduleIds must list every module of the internship exactly once', 400);
+        }
+
+        await CurriculumModule.bulkWrite(
+            moduleIds.map((id, index) => ({
+                updateOne: {
+                    filter: { _id: id, internshipId },
+                    update: { $set: { order: index + 1 } },
+                },
+            }))
+        );
+
+        return CurriculumModule.find({ internshipId }).sort({ order: 1 });
+    },
+
+    /**
+     * Set which assignments and quizzes belong to a module (replaces the current set)
+     */
+    async setModuleItems(moduleId, data, currentUser) {
+        const curriculumModule = await this._getManagedModule(moduleId, currentUser);
+        const { internshipId } = curriculumModule;
+
+        const assignmentIds = [...new Set((data.assignmentIds || []).map(String))];
+        const quizIds = [...new Set((data.quizIds || []).map(String))];
+
+        const [assignmentCount, quizCount] = await Promise.all([
+            Assignment.countDocuments({ _id: { $in: assignmentIds }, internshipId }),
+            Quiz.countDocuments({ _id: { $in: quizIds }, internshipId }),
+        ]);
+
+        if (assignmentCount !== assignmentIds.length || quizCount !== quizIds.length) {
+            throw new AppError('All assignments and quizzes must belong to this internship', 400);
+        }
+
+        // Items may move here from another module; items dropped from the list become unassigned
+        await Promise.all([
+            Assignment.updateMany(
+                { moduleId, _id: { $nin: assignmentIds } },
+                { $set: { moduleId: null } }
+            ),
+            Quiz.updateMany(
+                { moduleId, _id: { $nin: quizIds } },
+                { $set: { moduleId: null } }
+            ),
+            Assignment.updateMany({ _id: { $in: assignmentIds } }, { $set: { moduleId } }),
+            Quiz.updateMany({ _id: { $in: quizIds } }, { $set: { moduleId } }),
+        ]);
+
+        await this._refreshProgress(internshipId);
+
+        const [assignments, quizzes] = await Promise.all([
+            Assignment.find({ moduleId }).select('title dueDate status').lean(),
+            Quiz.find({ moduleId }).select('title startDate endDate status').lean(),
+        ]);
+
+        return {
+            curriculumModule,
+            assignments,
+            quizzes,
+        };
+    },
+
+    // ==========================================
+    // RESOURCES
+    // ==========================================
+
+    /**
+     * Attach a resource to a module: an uploaded file or an external URL
+     */
+    async addResource(moduleId, data, file, currentUser) {
+        const curriculumModule = await this._getManagedModule(moduleId, currentUser);
+
+        const resource = {
+            title: data.title,
+            addedBy: currentUser.userId,
+        };
+
+        if (file) {
+            const uploaded = await uploadToCloudinary(file.buffer, {
+                folder: 'internships/resources',
+            });
+
+            Object.assign(resource, {
+                kind: 'file',
+                url: uploaded.secure_url,
+                fileName: file.originalname,
+                fileSize: file.size,
+            });
+        } else if (data.url) {
+            Object.assign(resource, {
+                kind: 'link',
+                url: data.url,
+            });
+        } else {
+            throw new AppError('Provide either a file or a URL', 400);
+        }
+
+        curriculumModule.resources.push(resource);
+        await curriculumModule.save();
+
+        return curriculumModule.resources[curriculumModule.resources.length - 1];
+    },
+
+    /**
+     * Remove a resource from a module
+     */
+    async removeResource(moduleId, resourceId, currentUser) {
+        const curriculumModule = await this._getManagedModule(moduleId, currentUser);
+
+        const resource = curriculumModule.resources.id(resourceId);
+        if (!resource) {
+            throw new AppError('Resource not found', 404);
+        }
+
+        resource.deleteOne();
+        await curriculumModule.save();
+
+        return curriculumModule;
+    },
+
+    // ==========================================
+    // HELPER METHODS
+    // ==========================================
+
+    async _getManagedModule(moduleId, currentUser) {
+        const curriculumModule = await CurriculumModule.findById(moduleId);
+        if (!curriculumModule) {
+            throw new AppError('Module not found', 404);
+        }
+
+        await getManagedInternship(curriculumModule.internshipId, currentUser.userId, currentUser.role);
+
+        return curriculumModule;
+    },
+
+    _assertDateRange(startDate, endDate) {
+        if (startDate && endDate && new Date(startDate) > new Date(endDate)) {
+            throw new AppError('Module end date must be on or after its start date', 400);
+        }
+    },
+
+    /**
+     * Recompute module progress for every enrolled student after the syllabus changes
+     */
+    async _refreshProgress(internshipId) {
+        const enrollments = await InternshipEnrollment.find({ internshipId, status: 'active' });
+
+        for (const enrollment of enrollments) {
+            await enrollment.updateProgress();
+        }
+    },
+};
+
+module.exports = curriculumService;
@@ -686,6 +686,109 @@ The Internship Management Team
         }
     },
 
+    /**
+     * Send early-warning alert (low attendance, absences, overdue work, failed quiz)
+     */
+    async sendAlertEmail(recipient, alert, internship) {
+        try {
+            const transporter = createTransporter();
+
+            const mailOptions = {
+                from: `"${process.env.APP_NAME || 'Internship Management System'}" <${process.env.SMTP_FROM || process.env.SMTP_USER}>`,
+                to: recipient.email,
+                subject: `${alert.title} - ${internship.title}`,
+                html: `
+                    <!DOCTYPE html>
+                    <html>
+                    <head>
+                        <style>
+                            body {
+                                font-family: Arial, sans-serif;
+                                line-height: 1.6;
+                                color: #333;
+                            }
+                            .container {
+                                max-width: 600px;
+                                margin: 0 auto;
+                                padding: 20px;
+                            }
+                            .header {
+                                background: #f59e0b;
+                                color: white;
+                                padding: 30px;
+                                text-align: center;
+                                border-radius: 10px 10px 0 0;
+                            }
+                            .content {
+                                background: #f9fafb;
+                                padding: 30px;
+                                border: 1px solid #e5e7eb;
+                            }
+                            .notice-box {
+                                background: #fef3c7;
+                                border-left: 4px solid #f59e0b;
+                                padding: 20px;
+                                margin: 20px 0;
+                                border-radius: 4px;
+                            }
+                            .footer {
+                                text-align: center;
+                                padding: 20px;
+                                color: #6b7280;
+                                font-size: 14px;
+                            }
+                        </style>
+                    </head>
+                    <body>
+                        <div class="container">
+                            <div class="header">
+                                <h1>${alert.title}</h1>
+                            </div>
+                            <div class="content">
+                                <h2>Hello ${recipient.name},</h2>
+
+                                <div class="notice-box">
+                                    <p style="margin: 0;">${alert.message}</p>
+                                </div>
+
+                                <p><strong>Internship:</strong> ${internship.title}</p>
+
+                                <p>You can see all alerts in the Internship Management System.</p>
+
+                                <p>Best regards,<br>The Internship Management Team</p>
+                            </div>
+                            <div class="footer">
+                                <p>This is an automated message. Please do not reply to this email.</p>
+                                <p>&copy; ${new Date().getFullYear()} Internship Management System. All rights reserved.</p>
+                            </div>
+                        </div>
+                    </body>
+                    </html>
+                `,
+                text: `
+${alert.title}
+
+Hello ${recipient.name},
+
+${alert.message}
+
+Internship: ${internship.title}
+
+You can see all alerts in the Internship Management System.
+
+Best regards,
+The Internship Management Team
+                `,
+            };
+
+            const info = await transporter.sendMail(mailOptions);
+            return { success: true, messageId: info.messageId };
+        } catch (error) {
+            console.error('Error sending alert email:', error);
+            return { success: false, error: error.message };
+        }
+    },
+
     /**
      * Send password reset email
      */
@@ -1,12 +1,17 @@
 // src/services/internship.service.js
 // Enhanced business logic with email notifications
 
+const mongoose = require('mongoose');
 const Internship = require('../models/internship.model');
 const InternshipEnrollment = require('../models/enrollment.model');
 const User = require('../models/user.model');
 const { AppError } = require('../middlewares/error.middleware');
 const { ROLES } = require('../constants/roles');
 const emailService = require('./email.service');
+const applicationService = require('./application.service');
+
+// Enrollment statuses of students actually admitted (applications and waitlist excluded)
+const ADMITTED_STATUSES = ['active', 'completed'];
 
 const internshipService = {
     /**
@@ -60,6 +65,11 @@ const internshipService = {
         Object.assign(internship, updateData);
         await internship.save();
 
+        // More seats (or unlimited) let waitlisted students in
+        if (updateData.totalSeats !== undefined) {
+            await applicationService.promoteFromWaitlist(id);
+        }
+
         return internship;
     },
 
@@ -90,6 +100,75 @@ const internshipService = {
         return internship;
     },
 
+    /**
+     * Set (or clear with null) the weekly timetable used for late and half-day detection
+     */
+    async setSchedule(id, schedule, currentUser) {
+        const internship = await Internship.findById(id);
+        if (!internship) {
+            throw new AppError('Internship not found', 404);
+        }
+
+        if (
+            currentUser.role === ROLES.TRAINER &&
+            internship.trainerId.toString() !== currentUser.userId.toString()
+        ) {
+            throw new AppError('Not authorized to update this internship', 403);
+        }
+
+        internship.schedule = schedule;
+        await internship.save();
+
+        return internship;
+    },
+
+    /**
+     * Update early-warning alert thresholds; omitted settings keep their current value
+     */
+    async setAlertSettings(id, settings, currentUser) {
+        const internship = await Internship.findById(id);
+        if (!internship) {
+            throw new AppError('Internship not found', 404);
+        }
+
+        if (
+            currentUser.role === ROLES.TRAINER &&
+            internship.trainerId.toString() !== currentUser.userId.toString()
+        ) {
+            throw new AppError('Not authorized to update this internship', 403);
+        }
+
+        internship.alertSettings = {
+            ...(internship.alertSettings?.toObject() || {}),
+            ...settings,
+        };
+        await internship.save();
+
+        return internship;
+    },
+
+    /**
+     * Set (or clear with null) the venue geofence used for student self check-in
+     */
+    async setGeofence(id, geofence, currentUser) {
+        const internship = await Internship.findById(id);
+        if (!internship) {
+            throw new AppError('Internship not found', 404);
+        }
+
+        if (
+            currentUser.role === ROLES.TRAINER &&
+            internship.trainerId.toString() !== currentUser.userId.toString()
+        ) {
+            throw new AppError('Not authorized to update this internship', 403);
+        }
+
+        internship.geofence = geofence;
+        await internship.save();
+
+        return internship;
+    },
+
     /**
      * Get single internship by ID
      */
@@ -108,7 +187,8 @@ const internshipService = {
                 studentId: currentUser.userId,
             });
 
-            internship.isEnrolled = !!enrollment;
+            // Applications (pending, waitlisted, rejected) are not enrollments
+            internship.isEnrolled = ['active', 'completed'].includes(enrollment?.status);
             internship.enrollmentStatus = enrollment?.status || null;
         }
 
@@ -179,7 +259,7 @@ const internshipService = {
 
             internships.forEach((internship) => {
                 const enrollment = enrollmentMap[internship._id.toString()];
-                internship.isEnrolled = !!enrollment;
+                internship.isEnrolled = ['active', 'completed'].includes(enrollment?.status);
                 internship.enrollmentStatus = enrollment?.status || null;
             });
         }
@@ -240,7 +320,10 @@ const internshipService = {
      * Get student's enrolled internships
      */
     async getStudentInternships(studentId) {
-        const enrollments = await InternshipEnrollment.find({ studentId })
+        const enrollments = await InternshipEnrollment.find({
+            studentId,
+            status: { $in: ADMITTED_STATUSES },
+        })
             .populate({
                 path: 'internshipId',
                 populate: {
@@ -254,7 +337,7 @@ const internshipService = {
         const internships = enrollments.map((enrollment) => ({
             ...enrollment.internshipId,
             enrollmentStatus: enrollment.status,
-            enrolledAt: enrollment.createdAt,
+            enrolledAt: enrollment.enrolledAt,
         }));
 
         return internships;
@@ -364,12 +447,7 @@ const internshipService = {
             );
         }
 
-        // 5️⃣ Seat availability check
-        if (!internship.hasAvailableSeats()) {
-            throw new AppError('No seats available', 400);
-        }
-
-        // 6️⃣ Prevent duplicate enrollment
+        // 5️⃣ Prevent duplicate enrollment
         const existingEnrollment = await InternshipEnrollment.findOne({
             internshipId,
             studentId,
@@ -382,18 +460,36 @@ const internshipService = {
             );
         }
 
-        // 7️⃣ Create enrollment
-        const enrollment = await InternshipEnrollment.create({
-            internshipId,
-            studentId,
-            status: 'active',
-        });
+        // 6️⃣ Reserve a seat atomically (check + increment in one update)
+        const holdId = new mongoose.Types.ObjectId();
+        const reserved = await Internship.reserveSeat(internshipId, holdId);
+        if (!reserved) {
+            throw new AppError('No seats available', 400);
+        }
 
-        // 8️⃣ Update count
-        internship.enrolledCount += 1;
-        await internship.save();
+        // 7️⃣ Create enrollment; give the seat back if a concurrent request won
+        let enrollment;
+        try {
+            enrollment = await InternshipEnrollment.create({
+                internshipId,
+                studentId,
+                status: 'active',
+            });
+        } catch (error) {
+            await Internship.releaseSeat(internshipId, holdId);
+
+            if (error.code === 11000) {
+                throw new AppError(
+                    'Student already enrolled in this internship',
+                    409
+                );
+            }
+            throw error;
+        }
 
-        // 9️⃣ Fire-and-forget email
+        await Internship.clearSeatHold(internshipId, holdId);
+
+        // 8️⃣ Fire-and-forget email
         emailService
             .sendEnrollmentNotification(
                 student,
@@ -436,13 +532,24 @@ const internshipService = {
         // Get student info for email
         const student = await User.findById(studentId);
 
-        // Delete enrollment
-        await enrollment.deleteOne();
+        // Only active enrollments hold a seat; hold it while the enrollment goes away
+        const holdId = enrollment.status === 'active' ? new mongoose.Types.ObjectId() : null;
+        if (holdId) {
+            await Internship.holdSeat(internshipId, holdId);
+        }
+
+        // Delete enrollment; a concurrent unenroll that already removed it must not release twice
+        const { deletedCount } = await InternshipEnrollment.deleteOne({ _id: enrollment._id });
+
+        if (holdId && !deletedCount) {
+            await Internship.clearSeatHold(internshipId, holdId);
+        }
+
+        if (holdId && deletedCount) {
+            await Internship.releaseSeat(internshipId, holdId);
 
-        // Update enrolled count
-        if (internship.enrolledCount > 0) {
-            internship.enrolledCount -= 1;
-            await internship.save();
+            // Freed seat goes to the head of the waitlist
+            await applicationService.promoteFromWaitlist(internshipId);
         }
 
         // Send unenrollment notification email (async)
@@ -479,10 +586,10 @@ const internshipService = {
         const { page, limit, status } = filters;
         const skip = (page - 1) * limit;
 
-        const query = { internshipId };
-        if (status) {
-            query.status = status;
-        }
+        const query = {
+            internshipId,
+            status: status || { $in: ADMITTED_STATUSES },
+        };
 
         const [enrollments, total] = await Promise.all([
             InternshipEnrollment.find(query)
@@ -497,7 +604,7 @@ const internshipService = {
         const students = enrollments.map((enrollment) => ({
             ...enrollment.studentId,
             enrollmentStatus: enrollment.status,
-            enrolledAt: enrollment.createdAt,
+            enrolledAt: enrollment.enrolledAt,
         }));
 
         return {
@@ -608,12 +715,6 @@ const internshipService = {
                     continue;
                 }
 
-                // Check seats
-                if (!internship.hasAvailableSeats()) {
-                    results.failed.push({ studentId, reason: 'No seats available' });
-                    break;
-                }
-
                 // Get student
                 const student = await User.findById(studentId);
                 if (!student || student.role !== ROLES.STUDENT) {
@@ -621,15 +722,32 @@ const internshipService = {
                     continue;
                 }
 
-                // Create enrollment
-                await InternshipEnrollment.create({
-                    internshipId,
-                    studentId,
-                    status: 'active',
-                });
+                // Reserve seat atomically
+                const holdId = new mongoose.Types.ObjectId();
+                const reserved = await Internship.reserveSeat(internshipId, holdId);
+                if (!reserved) {
+                    results.failed.push({ studentId, reason: 'No seats available' });
+                    break;
+                }
+
+                // Create enrollment; give the seat back if it fails
+                try {
+                    await InternshipEnrollment.create({
+                        internshipId,
+                        studentId,
+                        status: 'active',
+                    });
+                } catch (error) {
+                    await Internship.releaseSeat(internshipId, holdId);
+
+                    if (error.code === 11000) {
+                        results.alreadyEnrolled.push(studentId);
+                        continue;
+                    }
+                    throw error;
+                }
 
-                internship.enrolledCount += 1;
-                await internship.save();
+                await Internship.clearSeatHold(internshipId, holdId);
 
                 results.success.push(studentId);
 
@@ -649,6 +767,114 @@ const internshipService = {
 
         return results;
     },
+
+    // ==========================================
+    // SEAT ACCOUNTING
+    // ==========================================
+
+    /**
+     * Internships whose enrolledCount disagrees with their active enrollments.
+     * Internships are read before enrollments are counted, so a row without pending
+     * holds reflects every enrollment change that finished before it was read.
+     */
+    async getSeatDrift() {
+        const internships = await Internship.find()
+            .select('title status totalSeats enrolledCount +seatHolds +seatVersion')
+            .lean();
+
+        const counts = await InternshipEnrollment.aggregate([
+            { $match: { status: 'active' } },
+            { $group: { _id: '$internshipId', count: { $sum: 1 } } },
+        ]);
+
+        const activeMap = new Map(counts.map((c) => [c._id.toString(), c.count]));
+
+        const drifted = internships
+            .map((internship) => {
+                const actualCount = activeMap.get(internship._id.toString()) || 0;
+
+                return {
+                    internshipId: internship._id,
+                    title: internship.title,
+                    status: internship.status,
+                    totalSeats: internship.totalSeats,
+                    enrolledCount: internship.enrolledCount,
+                    actualCount,
+                    difference: internship.enrolledCount - actualCount,
+                    overbooked: Boolean(internship.totalSeats) && actualCount > internship.totalSeats,
+                    // Enrollment changes in progress; the difference may be theirs
+                    pendingHolds: internship.seatHolds?.length || 0,
+                    // null matches internships created before seat versions existed
+                    seatVersion: internship.seatVersion ?? null,
+                };
+            })
+            .filter((row) => row.difference !== 0 || row.overbooked);
+
+        return {
+            checked: internships.length,
+            driftedCount: drifted.length,
+            drifted,
+        };
+    },
+
+    /**
+     * Recompute enrolledCount from active enrollments.
+     *
+     * Every seat change holds the internship (see Internship.reserveSeat and holdSeat)
+     * until its enrollment has been written, and bumps seatVersion. Internships with a
+     * hold are skipped, and each fix is conditional on both enrolledCount and seatVersion
+     * being unchanged since the drift report, so an enrollment that started or finished
+     * in between makes the fix miss rather than overwrite its seat. Skipped internships
+     * are left for the next run.
+     */
+    async reconcileSeats({ dryRun = false } = {}) {
+        const report = await this.getSeatDrift();
+
+        const fixed = [];
+        const skipped = [];
+
+        if (!dryRun) {
+            for (const row of report.drifted) {
+                if (row.difference === 0) continue;
+
+                if (row.pendingHolds > 0) {
+                    skipped.push(row.internshipId);
+                    continue;
+                }
+
+                const { modifiedCount } = await Internship.updateOne(
+                    {
+                        _id: row.internshipId,
+                        enrolledCount: row.enrolledCount,
+                        seatVersion: row.seatVersion,
+                    },
+                    {
+                        $set: { enrolledCount: row.actualCount },
+                        $inc: { seatVersion: 1 },
+                    }
+                );
+
+                if (!modifiedCount) {
+                    skipped.push(row.internshipId);
+                    continue;
+                }
+
+                fixed.push(row.internshipId);
+
+                // A counter that was too high was hiding free seats
+                if (row.difference > 0) {
+                    await applicationService.promoteFromWaitlist(row.internshipId);
+                }
+            }
+        }
+
+        return {
+            ...report,
+            dryRun,
+            fixed,
+            skipped,
+        };
+    },
 };
 
 module.exports = internshipService;
\ No newline at end of file
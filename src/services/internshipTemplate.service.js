@@ -0,0 +1,386 @@
+// src/services/internshipTemplate.service.js
+// Clone internships for a new cohort and keep their structure as reusable templates
+//
+// Both go through a "blueprint": the internship settings, curriculum modules,
+// assignments, quizzes and fixed questions, with every date stored as an offset
+// from the internship start. Instantiating a blueprint shifts those dates onto the
+// new start date and creates everything as drafts owned by the new trainer.
+const Internship = require('../models/internship.model');
+const InternshipTemplate = require('../models/internshipTemplate.model');
+const CurriculumModule = require('../models/curriculumModule.model');
+const Assignment = require('../models/assignment.model');
+const Quiz = require('../models/quiz.model');
+const QuizQuestion = require('../models/question.model');
+const User = require('../models/user.model');
+const { AppError } = require('../middlewares/error.middleware');
+const { getManagedInternship } = require('../utils/internshipAccess.util');
+const { ROLES } = require('../constants/roles');
+const { pickQuestionContent } = require('../models/questionContent.schema');
+
+const internshipTemplateService = {
+    // ==========================================
+    // CLONING
+    // ==========================================
+
+    /**
+     * Copy an internship with its curriculum, assignments, quizzes and questions;
+     * optionally also save the structure as a template
+     */
+    async cloneInternship(internshipId, data, currentUser) {
+        const source = await getManagedInternship(internshipId, currentUser.userId, currentUser.role);
+        const trainerId = await this._resolveTrainer(data.trainerId || source.trainerId, currentUser);
+
+        const blueprint = await this._buildBlueprint(source);
+
+        const result = await this._instantiate(blueprint, { ...data, trainerId });
+
+        if (data.saveAsTemplate) {
+            result.template = await this._saveTemplate(blueprint, {
+                name: data.templateName || source.title,
+                description: data.templateDescription,
+                sourceInternshipId: source._id,
+            }, currentUser);
+        }
+
+        return result;
+    },
+
+    // ==========================================
+    // TEMPLATES
+    // ==========================================
+
+    /**
+     * Save an internship's structure as a template
+     */
+    async saveAsTemplate(internshipId, data, currentUser) {
+        const source = await getManagedInternship(internshipId, currentUser.userId, currentUser.role);
+
+        const blueprint = await this._buildBlueprint(source);
+
+        return this._saveTemplate(blueprint, {
+            name: data.name || source.title,
+            description: data.description,
+            sourceInternshipId: source._id,
+        }, currentUser);
+    },
+
+    /**
+     * List templates (without their content)
+     */
+    async getTemplates(filters = {}) {
+        const { page = 1, limit = 10, search } = filters;
+        const skip = (page - 1) * limit;
+
+        const query = {};
+        if (search) {
+            query.name = { $regex: search, $options: 'i' };
+        }
+
+        const [templates, total] = await Promise.all([
+            InternshipTemplate.find(query)
+                .select('name description sourceInternshipId createdBy counts internship.title createdAt')
+                .populate('createdBy', 'name email')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(Number(limit))
+                .lean(),
+            InternshipTemplate.countDocuments(query),
+        ]);
+
+        return {
+            templates,
+            pagination: {
+                page: Number(page),
+                limit: Number(limit),
+                total,
+            },
+        };
+    },
+
+    /**
+     * Get a template with its full structure
+     */
+    async getTemplateById(templateId) {
+        const template = await InternshipTemplate.findById(templateId)
+            .populate('createdBy', 'name email')
+            .lean();
+
+        if (!template) {
+            throw new AppError('Template not found', 404);
+        }
+
+        return template;
+    },
+
+    /**
+     * Create a new draft internship from a template.
+     * Admins may assign any trainer; trainers instantiate for themselves.
+     */
+    async instantiateTemplate(templateId, data, currentUser) {
+        const template = await InternshipTemplate.findById(templateId).lean();
+        if (!template) {
+            throw new AppError('Template not found', 404);
+        }
+
+        const trainerId = await this._resolveTrainer(
+            data.trainerId || currentUser.userId,
+            currentUser
+        );
+
+        return this._instantiate(template, { ...data, trainerId });
+    },
+
+    /**
+     * Delete a template (admin or the trainer who saved it)
+     */
+    async deleteTemplate(templateId, currentUser) {
+        const template = await InternshipTemplate.findById(templateId);
+        if (!template) {
+            throw new AppError('Template not found', 404);
+        }
+
+        if (
+            currentUser.role !== ROLES.ADMIN &&
+            template.createdBy.toString() !== currentUser.userId.toString()
+        ) {
+            throw new AppError('Not authorized', 403);
+        }
+
+        await template.deleteOne();
+    },
+
+    // ==========================================
+    // HELPER METHODS
+    // ==========================================
+
+    /**
+     * Trainers can only create internships for themselves
+     */
+    async _resolveTrainer(trainerId, currentUser) {
+        if (
+            currentUser.role === ROLES.TRAINER &&
+            trainerId.toString() !== currentUser.userId.toString()
+        ) {
+            throw new AppError('Trainers can only create internships for themselves', 403);
+        }
+
+        const trainer = await User.findById(trainerId).select('role');
+        if (!trainer || trainer.role !== ROLES.TRAINER) {
+            throw new AppError('Invalid trainer', 400);
+        }
+
+        return trainer._id;
+    },
+
+    /**
+     * Snapshot an internship's structure with dates relative to its start
+     */
+    async _buildBlueprint(source) {
+        const internship = source.toObject({ virtuals: false });
+        const start = new Date(internship.startDate).getTime();
+        const offset = (date) => (date ? new Date(date).getTime() - start : null);
+
+        const [modules, assignments, quizzes] = await Promise.all([
+            CurriculumModule.find({ internshipId: internship._id }).sort({ order: 1 }).lean(),
+            Assignment.find({ internshipId: internship._id }).sort({ dueDate: 1 }).lean(),
+            Quiz.find({ internshipId: internship._id }).sort({ createdAt: 1 }).lean(),
+        ]);
+
+        // Pool draws are per attempt and inactive questions were removed, so only fixed ones are copied
+        const questions = await QuizQuestion.find({
+            quizId: { $in: quizzes.map((q) => q._id) },
+            poolId: null,
+            isActive: true,
+        })
+            .sort({ order: 1 })
+            .lean();
+
+        const moduleIndex = new Map(modules.map((m, index) => [m._id.toString(), index]));
+        const indexOf = (moduleId) => (moduleId ? moduleIndex.get(moduleId.toString()) ?? null : null);
+
+        return {
+            internship: {
+                title: internship.title,
+                description: internship.description,
+                totalSeats: internship.totalSeats,
+                skills: internship.skills,
+                requirements: internship.requirements,
+                geofence: internship.geofence,
+                schedule: internship.schedule,
+                alertSettings: internship.alertSettings,
+                durationMs: offset(internship.endDate),
+            },
+
+            modules: modules.map((m) => ({
+                week: m.week,
+                title: m.title,
+                description: m.description,
+                objectives: m.objectives,
+                resources: m.resources.map(({ kind, title, url, fileName, fileSize }) => ({
+                    kind, title, url, fileName, fileSize,
+                })),
+                startOffset: offset(m.startDate),
+                endOffset: offset(m.endDate),
+            })),
+
+            assignments: assignments.map((a) => ({
+                moduleIndex: indexOf(a.moduleId),
+                title: a.title,
+                description: a.description,
+                type: a.type,
+                totalMarks: a.totalMarks,
+                passingMarks: a.passingMarks,
+                instructions: a.instructions,
+                attachments: a.attachments.map(({ fileName, fileUrl, fileSize }) => ({
+                    fileName, fileUrl, fileSize,
+                })),
+                allowLateSubmission: a.allowLateSubmission,
+                maxResubmissions: a.maxResubmissions,
+                lateSubmissionPenalty: a.lateSubmissionPenalty,
+                dueOffset: offset(a.dueDate),
+            })),
+
+            quizzes: quizzes.map((q) => {
+                // Cohort-specific state (access code, accommodations, publication) is not carried over
+                const {
+                    _id, internshipId, moduleId, createdBy, status, accessCode, requiresAccessCode,
+                    accommodations, publishedAt, closedAt, resultsReleasedAt, startDate, endDate,
+                    questionPools, createdAt, updatedAt, __v, ...settings
+                } = q;
+
+                return {
+                    ...settings,
+                    moduleIndex: indexOf(moduleId),
+                    // Pools draw from the question bank of whoever owns the new quiz
+                    questionPools: questionPools.map(({ _id: poolId, ...pool }) => pool),
+                    startOffset: offset(startDate),
+                    endOffset: offset(endDate),
+                    questions: questions
+                        .filter((question) => question.quizId.toString() === _id.toString())
+                        .map((question) => ({
+                            ...pickQuestionContent(question),
+                            bankQuestionId: question.bankQuestionId,
+                            order: question.order,
+                        })),
+                };
+            }),
+        };
+    },
+
+    /**
+     * Create a draft internship (and its content) from a blueprint
+     */
+    async _instantiate(blueprint, options) {
+        const { title, description, startDate, endDate, trainerId } = options;
+
+        const start = new Date(startDate);
+        const at = (offsetMs) => (offsetMs === null || offsetMs === undefined
+            ? null
+            : new Date(start.getTime() + offsetMs));
+
+        const { durationMs, ...internshipFields } = blueprint.internship;
+        const end = endDate ? new Date(endDate) : at(durationMs);
+
+        if (start >= end) {
+            throw new AppError('End date must be after start date', 400);
+        }
+
+        const internship = await Internship.create({
+            ...internshipFields,
+            title: title || internshipFields.title,
+            description: description || internshipFields.description,
+            startDate: start,
+            endDate: end,
+            trainerId,
+            status: 'draft',
+        });
+
+        try {
+            const modules = await CurriculumModule.insertMany(
+                blueprint.modules.map(({ startOffset, endOffset, ...m }, index) => ({
+                    ...m,
+                    internshipId: internship._id,
+                    order: index + 1,
+                    startDate: at(startOffset),
+                    endDate: at(endOffset),
+                    createdBy: trainerId,
+                }))
+            );
+
+            const moduleAt = (index) => (index === null || index === undefined
+                ? null
+                : modules[index]?._id || null);
+
+            const assignments = await Assignment.insertMany(
+                blueprint.assignments.map(({ moduleIndex, dueOffset, ...a }) => ({
+                    ...a,
+                    internshipId: internship._id,
+                    moduleId: moduleAt(moduleIndex),
+                    dueDate: at(dueOffset),
+                    createdBy: trainerId,
+                    status: 'draft',
+                }))
+            );
+
+            const quizzes = await Quiz.insertMany(
+                blueprint.quizzes.map(({ moduleIndex, startOffset, endOffset, questions, ...q }) => ({
+                    ...q,
+                    internshipId: internship._id,
+                    moduleId: moduleAt(moduleIndex),
+                    startDate: at(startOffset),
+                    endDate: at(endOffset),
+                    createdBy: trainerId,
+                    status: 'draft',
+                }))
+            );
+
+            const questions = await QuizQuestion.insertMany(
+                blueprint.quizzes.flatMap((q, index) =>
+                    q.questions.map((question) => ({
+                        ...question,
+                        quizId: quizzes[index]._id,
+                    }))
+                )
+            );
+
+            return {
+                internship,
+                counts: {
+                    modules: modules.length,
+                    assignments: assignments.length,
+                    quizzes: quizzes.length,
+                    questions: questions.length,
+                },
+            };
+        } catch (error) {
+            // Leave nothing half-copied behind
+            const quizIds = await Quiz.find({ internshipId: internship._id }).distinct('_id');
+
+            await Promise.all([
+                QuizQuestion.deleteMany({ quizId: { $in: quizIds } }),
+                Quiz.deleteMany({ internshipId: internship._id }),
+                Assignment.deleteMany({ internshipId: internship._id }),
+                CurriculumModule.deleteMany({ internshipId: internship._id }),
+                Internship.deleteOne({ _id: internship._id }),
+            ]);
+
+            throw error;
+        }
+    },
+
+    async _saveTemplate(blueprint, meta, currentUser) {
+        return InternshipTemplate.create({
+            ...blueprint,
+            ...meta,
+            createdBy: currentUser.userId,
+            counts: {
+                modules: blueprint.modules.length,
+                assignments: blueprint.assignments.length,
+                quizzes: blueprint.quizzes.length,
+                questions: blueprint.quizzes.reduce((sum, q) => sum + q.questions.length, 0),
+            },
+        });
+    },
+};
+
+module.exports = internshipTemplateService;
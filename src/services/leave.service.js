@@ -0,0 +1,327 @@
+// src/services/leave.service.js
+// Student leave requests; approved leave becomes excused attendance
+const LeaveRequest = require('../models/leaveRequest.model');
+const Attendance = require('../models/attendance.model');
+const Internship = require('../models/internship.model');
+const InternshipEnrollment = require('../models/enrollment.model');
+const calendarService = require('./calendar.service');
+const { AppError } = require('../middlewares/error.middleware');
+const { getManagedInternship } = require('../utils/internshipAccess.util');
+const { uploadToCloudinary } = require('../utils/cloudinary.util');
+const DateUtil = require('../utils/date.util');
+
+const MAX_LEAVE_DAYS = 60;
+
+const leaveService = {
+    // ==========================================
+    // STUDENT SERVICES
+    // ==========================================
+
+    /**
+     * Submit a leave request for a date range
+     */
+    async createLeaveRequest(data, file, studentId) {
+        const { internshipId, reason } = data;
+
+        const internship = await Internship.findById(internshipId);
+        if (!internship) {
+            throw new AppError('Internship not found', 404);
+        }
+
+        const enrollment = await InternshipEnrollment.findOne({
+            internshipId,
+            studentId,
+            status: 'active',
+        });
+
+        if (!enrollment) {
+            throw new AppError('You are not enrolled in this internship', 403);
+        }
+
+        const startDate = DateUtil.getStartOfDay(data.startDate);
+        const endDate = DateUtil.getStartOfDay(data.endDate);
+
+        if (DateUtil.getDaysDifference(startDate, endDate) + 1 > MAX_LEAVE_DAYS) {
+            throw new AppError(`A single leave request cannot exceed ${MAX_LEAVE_DAYS} days`, 400);
+        }
+
+        if (
+            startDate < DateUtil.getStartOfDay(internship.startDate) ||
+            endDate > DateUtil.getEndOfDay(internship.endDate)
+        ) {
+            throw new AppError('Leave dates must fall within the internship period', 400);
+        }
+
+        const overlapping = await LeaveRequest.findOne({
+            internshipId,
+            studentId,
+            status: { $in: ['pending', 'approved'] },
+            startDate: { $lte: endDate },
+            endDate: { $gte: startDate },
+        });
+
+        if (overlapping) {
+            throw new AppError('You already have a leave request covering some of these dates', 409);
+        }
+
+        let document = {};
+        if (file) {
+            const uploaded = await uploadToCloudinary(file.buffer, {
+                folder: 'internships/leave-requests',
+            });
+
+            document = {
+                documentUrl: uploaded.secure_url,
+                documentName: file.originalname,
+            };
+        }
+
+        return LeaveRequest.create({
+            internshipId,
+            studentId,
+            startDate,
+            endDate,
+            reason,
+            ...document,
+        });
+    },
+
+    /**
+     * Get student's own leave requests
+     */
+    async getMyLeaveRequests(studentId, filters = {}) {
+        const { page = 1, limit = 10, status, internshipId } = filters;
+
+        const query = { studentId };
+        if (status) query.status = status;
+        if (internshipId) query.internshipId = internshipId;
+
+        const skip = (page - 1) * limit;
+
+        const [requests, total] = await Promise.all([
+            LeaveRequest.find(query)
+                .populate('internshipId', 'title')
+                .populate('reviewedBy', 'name')
+                .sort({ startDate: -1 })
+                .skip(skip)
+                .limit(Number(limit))
+                .lean(),
+            LeaveRequest.countDocuments(query),
+        ]);
+
+        return {
+            requests,
+            pagination: {
+                page: Number(page),
+                limit: Number(limit),
+                total,
+            },
+        };
+    },
+
+    /**
+     * Withdraw a pending leave request
+     */
+    async cancelLeaveRequest(requestId, studentId) {
+        const request = await LeaveRequest.findById(requestId);
+
+        if (!request) {
+            throw new AppError('Leave request not found', 404);
+        }
+
+        if (request.studentId.toString() !== studentId.toString()) {
+            throw new AppError('Access denied', 403);
+        }
+
+        if (request.status !== 'pending') {
+            throw new AppError('Only pending leave requests can be cancelled', 400);
+        }
+
+        request.status = 'cancelled';
+        await request.save();
+
+        return request;
+    },
+
+    // ==========================================
+    // TRAINER SERVICES
+    // ==========================================
+
+    /**
+     * Leave requests on the trainer's internships (all internships for admins)
+     */
+    async getLeaveRequests(userId, userRole, filters = {}) {
+        const { page = 1, limit = 10, status, internshipId, studentId } = filters;
+
+        const query = {};
+        if (status) query.status = status;
+        if (studentId) query.studentId = studentId;
+
+        if (userRole === 'trainer') {
+            const internshipIds = (await Internship.find({ trainerId: userId }).select('_id'))
+                .map((i) => i._id.toString());
+
+            if (internshipId && !internshipIds.includes(internshipId.toString())) {
+                throw new AppError('Access denied to this internship', 403);
+            }
+
+            query.internshipId = internshipId || { $in: internshipIds };
+        } else if (internshipId) {
+            query.internshipId = internshipId;
+        }
+
+        const skip = (page - 1) * limit;
+
+        const [requests, total] = await Promise.all([
+            LeaveRequest.find(query)
+                .populate('studentId', 'name email')
+                .populate('internshipId', 'title')
+                .populate('reviewedBy', 'name')
+                .sort({ status: 1, startDate: 1 })
+                .skip(skip)
+                .limit(Number(limit))
+                .lean(),
+            LeaveRequest.countDocuments(query),
+        ]);
+
+        return {
+            requests,
+            pagination: {
+                page: Number(page),
+                limit: Number(limit),
+                total,
+            },
+        };
+    },
+
+    /**
+     * Approve or reject a pending leave request
+     */
+    async reviewLeaveRequest(requestId, data, userId, userRole) {
+        const { decision, note } = data;
+
+        const request = await LeaveRequest.findById(requestId);
+        if (!request) {
+            throw new AppError('Leave request not found', 404);
+        }
+
+        const internship = await getManagedInternship(request.internshipId, userId, userRole);
+
+        if (request.status !== 'pending') {
+            throw new AppError('Leave request has already been decided', 400);
+        }
+
+        request.status = decision;
+        request.reviewedBy = userId;
+        request.reviewedAt = new Date();
+        request.reviewNote = note || null;
+
+        if (decision === 'approved') {
+            request.excusedDays = await this._excuseLeaveDays(request, internship, userId, userRole);
+        }
+
+        await request.save();
+
+        return request.populate([
+            { path: 'studentId', select: 'name email' },
+            { path: 'internshipId', select: 'title' },
+            { path: 'reviewedBy', select: 'name' },
+        ]);
+    },
+
+    // ==========================================
+    // SHARED SERVICES
+    // ==========================================
+
+    /**
+     * Get a leave request (student sees own, trainer sees own internships)
+     */
+    async getLeaveRequestById(requestId, userId, userRole) {
+        const request = await LeaveRequest.findById(requestId)
+            .populate('studentId', 'name email')
+            .populate('internshipId', 'title')
+            .populate('reviewedBy', 'name');
+
+        if (!request) {
+            throw new AppError('Leave request not found', 404);
+        }
+
+        if (userRole === 'student' && request.studentId._id.toString() !== userId.toString()) {
+            throw new AppError('Access denied', 403);
+        }
+
+        if (userRole === 'trainer') {
+            await getManagedInternship(request.internshipId._id, userId, userRole);
+        }
+
+        return request;
+    },
+
+    // ==========================================
+    // HELPER METHODS
+    // ==========================================
+
+    /**
+     * Create excused attendance for each leave day; absences already marked become excused,
+     * other existing records are left alone
+     */
+    async _excuseLeaveDays(request, internship, userId, userRole) {
+        const remarks = `Approved leave: ${request.reason}`.slice(0, 500);
+        let excused = 0;
+
+        // Only working days need attendance; holidays and weekends are skipped
+        const days = await calendarService.getExpectedDays(
+            internship,
+            request.startDate,
+            request.endDate,
+            { untilToday: false }
+        );
+
+        for (const day of days) {
+            const existing = await Attendance.findOne({
+                internshipId: request.internshipId,
+                studentId: request.studentId,
+                date: { $gte: day, $lte: DateUtil.getEndOfDay(day) },
+            });
+
+            if (existing) {
+                if (existing.status !== 'absent') continue;
+
+                existing.setRevisionContext({
+                    changedBy: userId,
+                    changedByRole: userRole,
+                    source: 'leave',
+                    reason: 'Approved leave',
+                });
+                existing.status = 'excused';
+                existing.leaveRequestId = request._id;
+                existing.isEdited = true;
+                existing.editedBy = userId;
+                existing.editedAt = new Date();
+                existing.editReason = 'Approved leave';
+                existing.applySchedule(internship);
+                await existing.save();
+            } else {
+                await Attendance.create({
+                    internshipId: request.internshipId,
+                    studentId: request.studentId,
+                    date: day,
+                    month: day.getMonth() + 1,
+                    year: day.getFullYear(),
+                    status: 'excused',
+                    checkInTime: null,
+                    remarks,
+                    leaveRequestId: request._id,
+                    markedBy: userId,
+                    markedByRole: userRole,
+                });
+            }
+
+            excused += 1;
+        }
+
+        return excused;
+    },
+};
+
+module.exports = leaveService;
@@ -0,0 +1,286 @@
+// src/services/questionBank.service.js
+// Trainer-owned reusable questions that quizzes copy or draw from
+const mongoose = require('mongoose');
+const BankQuestion = require('../models/bankQuestion.model');
+const QuizQuestion = require('../models/question.model');
+const Quiz = require('../models/quiz.model');
+const Internship = require('../models/internship.model');
+const { AppError } = require('../middlewares/error.middleware');
+const { pickQuestionContent } = require('../models/questionContent.schema');
+
+const questionBankService = {
+    /**
+     * Create bank question
+     */
+    async createQuestion(data, trainerId) {
+        if (data.skills) {
+            data.skills = await this._resolveSkills(data.skills, trainerId);
+        }
+
+        return BankQuestion.create({
+            ...data,
+            ownerId: trainerId,
+        });
+    },
+
+    /**
+     * List trainer's bank questions
+     */
+    async getQuestions(trainerId, filters = {}) {
+        const {
+            page = 1,
+            limit = 10,
+            tags,
+            skill,
+            difficulty,
+            questionType,
+            search,
+            isActive = true,
+        } = filters;
+
+        const query = this._buildCriteriaQuery(trainerId, {
+            tags: typeof tags === 'string' ? tags.split(',') : tags,
+            skills: skill ? [skill] : [],
+            difficulty,
+            questionType,
+        });
+
+        query.isActive = isActive;
+        if (search) {
+            query.questionText = { $regex: search, $options: 'i' };
+        }
+
+        const skip = (page - 1) * limit;
+
+        const [questions, total] = await Promise.all([
+            BankQuestion.find(query)
+                .sort({ updatedAt: -1 })
+                .skip(skip)
+                .limit(Number(limit))
+                .lean(),
+            BankQuestion.countDocuments(query),
+        ]);
+
+        return {
+            questions,
+            pagination: {
+                page: Number(page),
+                limit: Number(limit),
+                total,
+            },
+        };
+    },
+
+    /**
+     * Tag, skill and difficulty counts for filter menus
+     */
+    async getFacets(trainerId) {
+        const match = {
+            ownerId: new mongoose.Types.ObjectId(trainerId),
+            isActive: true,
+        };
+
+        const countBy = (field) => BankQuestion.aggregate([
+            { $match: match },
+            { $unwind: `$${field}` },
+            { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } },
+            { $project: { _id: 0, value: '$_id', count: 1 } },
+        ]);
+
+        const [tags, skills, difficulty, availableSkills] = await Promise.all([
+            countBy('tags'),
+            countBy('skills'),
+            countBy('difficulty'),
+            Internship.distinct('skills', { trainerId }),
+        ]);
+
+        return { tags, skills, difficulty, availableSkills };
+    },
+
+    /**
+     * Get bank question by ID
+     */
+    async getQuestionById(questionId, trainerId) {
+        return this._getOwnedQuestion(questionId, trainerId);
+    },
+
+    /**
+     * Update bank question (quizzes keep their own snapshot)
+     */
+    async updateQuestion(questionId, data, trainerId) {
+        const question = await this._getOwnedQuestion(questionId, trainerId);
+
+        if (data.skills) {
+            data.skills = await this._resolveSkills(data.skills, trainerId);
+        }
+
+        Object.keys(data).forEach((key) => {
+            if (data[key] !== undefined) {
+                question[key] = data[key];
+            }
+        });
+
+        await question.save();
+
+        return question;
+    },
+
+    /**
+     * Delete bank question; questions already used by quizzes are deactivated instead
+     */
+    async deleteQuestion(questionId, trainerId) {
+        const question = await this._getOwnedQuestion(questionId, trainerId);
+
+        if (question.usageCount > 0) {
+            question.isActive = false;
+            await question.save();
+            return { deactivated: true };
+        }
+
+        await question.deleteOne();
+        return { deactivated: false };
+    },
+
+    /**
+     * Copy existing quiz questions into the bank
+     */
+    async importFromQuiz(quizId, trainerId, data = {}) {
+        const quiz = await Quiz.findById(quizId);
+
+        if (!quiz) {
+            throw new AppError('Quiz not found', 404);
+        }
+
+        if (quiz.createdBy.toString() !== trainerId.toString()) {
+            throw new AppError('Access denied', 403);
+        }
+
+        const query = { quizId, poolId: null, bankQuestionId: null };
+        if (data.questionIds?.length) {
+            query._id = { $in: data.questionIds };
+        }
+
+        const quizQuestions = await QuizQuestion.find(query).sort({ order: 1 });
+
+        if (quizQuestions.length === 0) {
+            throw new AppError('No questions to import', 400);
+        }
+
+        const skills = data.skills
+            ? await this._resolveSkills(data.skills, trainerId)
+            : [];
+
+        const created = await BankQuestion.insertMany(
+            quizQuestions.map((question) => {
+                const content = pickQuestionContent(question);
+                return {
+                    ...content,
+                    tags: [...new Set([...(content.tags || []), ...(data.tags || [])])],
+                    skills,
+                    ownerId: trainerId,
+                };
+            })
+        );
+
+        // Link the originals so they are not imported twice
+        await Promise.all(
+            quizQuestions.map((question, index) => {
+                question.bankQuestionId = created[index]._id;
+                return question.save();
+            })
+        );
+
+        await BankQuestion.updateMany(
+            { _id: { $in: created.map((q) => q._id) } },
+            { $inc: { usageCount: 1 } }
+        );
+
+        return { imported: created.length, questions: created };
+    },
+
+    // ==========================================
+    // QUIZ INTEGRATION
+    // ==========================================
+
+    /**
+     * Count active bank questions matching a pool's criteria
+     */
+    async countMatching(ownerId, criteria, excludeIds = []) {
+        const query = this._buildCriteriaQuery(ownerId, criteria);
+        if (excludeIds.length) query._id = { $nin: excludeIds };
+
+        return BankQuestion.countDocuments(query);
+    },
+
+    /**
+     * Randomly draw bank questions matching a pool's criteria
+     */
+    async sampleQuestions(ownerId, criteria, count, excludeIds = []) {
+        // Aggregation pipelines are not cast, so ids must already be ObjectIds
+        const query = this._buildCriteriaQuery(new mongoose.Types.ObjectId(ownerId), criteria);
+        if (excludeIds.length) {
+            query._id = { $nin: excludeIds.map((id) => new mongoose.Types.ObjectId(id)) };
+        }
+
+        return BankQuestion.aggregate([
+            { $match: query },
+            { $sample: { size: count } },
+        ]);
+    },
+
+    // ==========================================
+    // HELPER METHODS
+    // ==========================================
+
+    /**
+     * Load a bank question and verify the trainer owns it
+     */
+    async _getOwnedQuestion(questionId, trainerId) {
+        const question = await BankQuestion.findById(questionId);
+
+        if (!question) {
+            throw new AppError('Question not found', 404);
+        }
+
+        if (question.ownerId.toString() !== trainerId.toString()) {
+            throw new AppError('Access denied', 403);
+        }
+
+        return question;
+    },
+
+    /**
+     * Mongo query for active questions matching tag/skill/difficulty/type criteria
+     */
+    _buildCriteriaQuery(ownerId, criteria = {}) {
+        const query = { ownerId, isActive: true };
+
+        if (criteria.tags?.length) query.tags = { $all: [...criteria.tags] };
+        if (criteria.skills?.length) query.skills = { $all: [...criteria.skills] };
+        if (criteria.difficulty) query.difficulty = criteria.difficulty;
+        if (criteria.questionType) query.questionType = criteria.questionType;
+
+        return query;
+    },
+
+    /**
+     * Map skills onto the spelling used in the trainer's Internship.skills
+     */
+    async _resolveSkills(skills, trainerId) {
+        const known = await Internship.distinct('skills', { trainerId });
+        const byLower = new Map(known.map((skill) => [skill.toLowerCase(), skill]));
+
+        const unknown = skills.filter((skill) => !byLower.has(skill.toLowerCase()));
+        if (unknown.length) {
+            throw new AppError(
+                `Unknown skills: ${unknown.join(', ')}. Skills must match one of your internships`,
+                400
+            );
+        }
+
+        return [...new Set(skills.map((skill) => byLower.get(skill.toLowerCase())))];
+    },
+};
+
+module.exports = questionBankService;
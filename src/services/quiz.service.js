@@ -0,0 +1,1668 @@
+// src/services/quiz.service.js
+const crypto = require('crypto');
+const Quiz = require('../models/quiz.model');
+const QuizQuestion = require('../models/question.model');
+const QuizAttempt = require('../models/attempt.model');
+const Internship = require('../models/internship.model');
+const InternshipEnrollment = require('../models/enrollment.model');
+const BankQuestion = require('../models/bankQuestion.model');
+const questionBankService = require('./questionBank.service');
+const { AppError } = require('../middlewares/error.middleware');
+const { ATTEMPT_GRACE_PERIOD_SECONDS, SCORING_RULES } = require('../constants/quizTypes');
+const { pickQuestionContent } = require('../models/questionContent.schema');
+const logger = require('../utils/logger');
+const ShuffleUtil = require('../utils/shuffle.util');
+
+// Item analysis: share of attempts in the top/bottom scoring groups, and the
+// discrimination index below which a question is flagged
+const ITEM_ANALYSIS_GROUP_RATIO = 0.27;
+const LOW_DISCRIMINATION = 0.2;
+
+const quizService = {
+    // ==========================================
+    // TRAINER SERVICES
+    // ==========================================
+
+    /**
+     * Create new quiz
+     */
+    async createQuiz(data, trainerId) {
+        const { internshipId, ...quizData } = data;
+
+        const internship = await Internship.findById(internshipId);
+        if (!internship) {
+            throw new AppError('Internship not found', 404);
+        }
+
+        if (internship.trainerId.toString() !== trainerId.toString()) {
+            throw new AppError('You can only create quizzes for your internships', 403);
+        }
+
+        if (['completed', 'cancelled'].includes(internship.status)) {
+            throw new AppError('Cannot create quiz for a completed or cancelled internship', 400);
+        }
+
+        const quiz = await Quiz.create({
+            ...quizData,
+            internshipId,
+            createdBy: trainerId,
+        });
+
+        return quiz.populate([
+            { path: 'internshipId', select: 'title' },
+            { path: 'createdBy', select: 'name email' },
+        ]);
+    },
+
+    /**
+     * Get all quizzes created by trainer
+     */
+    async getTrainerQuizzes(trainerId, filters = {}) {
+        const {
+            page = 1,
+            limit = 10,
+            status,
+            internshipId,
+            search,
+        } = filters;
+
+        const query = { createdBy: trainerId };
+
+        if (status) query.status = status;
+        if (internshipId) query.internshipId = internshipId;
+        if (search) {
+            query.title = { $regex: search, $options: 'i' };
+        }
+
+        const skip = (page - 1) * limit;
+
+        const [quizzes, total] = await Promise.all([
+            Quiz.find(query)
+                .populate('internshipId', 'title status')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(Number(limit))
+                .lean(),
+            Quiz.countDocuments(query),
+        ]);
+
+        const quizzesWithStats = await Promise.all(
+            quizzes.map(async (quiz) => {
+                const attemptCount = await QuizAttempt.countDocuments({
+                    quizId: quiz._id,
+                });
+                return { ...quiz, attemptCount };
+            })
+        );
+
+        return {
+            quizzes: quizzesWithStats,
+            pagination: {
+                page: Number(page),
+                limit: Number(limit),
+                total,
+            },
+        };
+    },
+
+    /**
+     * Get quiz by ID with all questions (answers included)
+     */
+    async getQuizById(quizId, trainerId) {
+        const quiz = await this._getOwnedQuiz(quizId, trainerId, '+accessCode');
+
+        await quiz.populate([
+            { path: 'internshipId', select: 'title status startDate endDate' },
+            { path: 'createdBy', select: 'name email' },
+            {
+                path: 'questions',
+                match: { poolId: null },
+                options: { sort: { order: 1, createdAt: 1 } },
+            },
+        ]);
+
+        return quiz;
+    },
+
+    /**
+     * Update quiz
+     */
+    async updateQuiz(quizId, data, trainerId) {
+        const quiz = await this._getOwnedQuiz(quizId, trainerId);
+
+        if (quiz.status === 'closed') {
+            throw new AppError('Cannot update closed quiz', 400);
+        }
+
+        // Scoring rules cannot change once students may have attempted
+        if (quiz.status === 'published') {
+            const locked = ['totalMarks', 'passingMarks', 'duration', 'scoringPolicy'];
+            const attempted = await QuizAttempt.exists({ quizId });
+
+            if (attempted && locked.some((key) => data[key] !== undefined)) {
+                throw new AppError(
+                    'Cannot change marks, duration or scoring after students have attempted the quiz',
+                    400
+                );
+            }
+        }
+
+        // Partial policy updates keep the other scoring settings
+        if (data.scoringPolicy) {
+            data.scoringPolicy = {
+                ...quiz.toObject().scoringPolicy,
+                ...data.scoringPolicy,
+            };
+        }
+
+        Object.keys(data).forEach((key) => {
+            if (data[key] !== undefined) {
+                quiz[key] = data[key];
+            }
+        });
+
+        if (quiz.passingMarks > quiz.totalMarks) {
+            throw new AppError('Passing marks cannot exceed total marks', 400);
+        }
+
+        if (quiz.startDate && quiz.endDate && quiz.endDate <= quiz.startDate) {
+            throw new AppError('End date must be after start date', 400);
+        }
+
+        await quiz.save();
+
+        return quiz.populate([
+            { path: 'internshipId', select: 'title' },
+            { path: 'createdBy', select: 'name email' },
+        ]);
+    },
+
+    /**
+     * Delete quiz and its questions
+     */
+    async deleteQuiz(quizId, trainerId) {
+        const quiz = await this._getOwnedQuiz(quizId, trainerId);
+
+        const attemptCount = await QuizAttempt.countDocuments({ quizId });
+        if (attemptCount > 0) {
+            throw new AppError('Cannot delete quiz with existing attempts', 400);
+        }
+
+        await QuizQuestion.deleteMany({ quizId });
+        await quiz.deleteOne();
+    },
+
+    /**
+     * Publish quiz
+     */
+    async publishQuiz(quizId, trainerId) {
+        const quiz = await this._getOwnedQuiz(quizId, trainerId);
+
+        if (quiz.status === 'published') {
+            throw new AppError('Quiz is already published', 400);
+        }
+
+        if (quiz.status === 'closed') {
+            throw new AppError('Cannot publish closed quiz', 400);
+        }
+
+        const questionCount = await this._countServedQuestions(quiz);
+
+        if (questionCount === 0) {
+            throw new AppError('Cannot publish quiz without questions', 400);
+        }
+
+        if (quiz.endDate && quiz.endDate < new Date()) {
+            throw new AppError('Cannot publish quiz with past end date', 400);
+        }
+
+        await this._assertPoolsSatisfiable(quiz);
+
+        quiz.questionCount = questionCount;
+        await quiz.publish();
+
+        return quiz;
+    },
+
+    /**
+     * Close quiz
+     */
+    async closeQuiz(quizId, trainerId) {
+        const quiz = await this._getOwnedQuiz(quizId, trainerId);
+
+        if (quiz.status === 'closed') {
+            throw new AppError('Quiz is already closed', 400);
+        }
+
+        if (quiz.status === 'draft') {
+            throw new AppError('Cannot close unpublished quiz', 400);
+        }
+
+        await quiz.close();
+
+        // Attempts still open when the quiz closes are submitted as-is
+        const openAttempts = await QuizAttempt.find({
+            quizId,
+            status: 'in_progress',
+        });
+
+        for (const attempt of openAttempts) {
+            await attempt.submit();
+        }
+
+        return quiz;
+    },
+
+    /**
+     * Release (or withdraw) results for a quiz that does not show them immediately
+     */
+    async releaseResults(quizId, trainerId, released = true) {
+        const quiz = await this._getOwnedQuiz(quizId, trainerId);
+
+        if (quiz.status === 'draft') {
+            throw new AppError('Cannot release results of unpublished quiz', 400);
+        }
+
+        if (quiz.showResultsImmediately) {
+            throw new AppError('Results of this quiz are shown immediately after submission', 400);
+        }
+
+        quiz.resultsReleasedAt = released ? (quiz.resultsReleasedAt || new Date()) : null;
+        await quiz.save();
+
+        return quiz;
+    },
+
+    /**
+     * Get quizzes by internship
+     */
+    async getQuizzesByInternship(internshipId, userId, userRole, filters = {}) {
+        const internship = await Internship.findById(internshipId);
+
+        if (!internship) {
+            throw new AppError('Internship not found', 404);
+        }
+
+        if (userRole === 'trainer') {
+            if (internship.trainerId.toString() !== userId.toString()) {
+                throw new AppError('Access denied', 403);
+            }
+        }
+
+        const query = { internshipId };
+        if (filters.status) query.status = filters.status;
+
+        return Quiz.find(query)
+            .select(userRole === 'student' ? '-accommodations' : '')
+            .populate('createdBy', 'name email')
+            .sort({ createdAt: -1 })
+            .lean();
+    },
+
+    /**
+     * Give a student extra time and/or an extended window (replaces any existing one)
+     */
+    async setAccommodation(quizId, studentId, data, trainerId) {
+        const quiz = await this._getOwnedQuiz(quizId, trainerId);
+
+        const enrollment = await InternshipEnrollment.findOne({
+            internshipId: quiz.internshipId,
+            studentId,
+            status: 'active',
+        });
+
+        if (!enrollment) {
+            throw new AppError('Student is not enrolled in this internship', 400);
+        }
+
+        if (data.extendedEndDate && quiz.startDate && data.extendedEndDate <= quiz.startDate) {
+            throw new AppError('Extended end date must be after the quiz start date', 400);
+        }
+
+        quiz.accommodations = quiz.accommodations.filter(
+            (a) => a.studentId.toString() !== studentId.toString()
+        );
+        quiz.accommodations.push({ ...data, studentId });
+
+        await quiz.save();
+
+        return quiz.getAccommodation(studentId);
+    },
+
+    /**
+     * Remove a student's accommodation
+     */
+    async removeAccommodation(quizId, studentId, trainerId) {
+        const quiz = await this._getOwnedQuiz(quizId, trainerId);
+
+        if (!quiz.getAccommodation(studentId)) {
+            throw new AppError('Accommodation not found', 404);
+        }
+
+        quiz.accommodations = quiz.accommodations.filter(
+            (a) => a.studentId.toString() !== studentId.toString()
+        );
+
+        await quiz.save();
+    },
+
+    // ==========================================
+    // QUESTION SERVICES
+    // ==========================================
+
+    /**
+     * Add question to quiz
+     */
+    async addQuestion(quizId, data, trainerId) {
+        const quiz = await this._getOwnedQuiz(quizId, trainerId);
+
+        if (quiz.status !== 'draft') {
+            throw new AppError('Questions can only be added to draft quizzes', 400);
+        }
+
+        if (data.order === undefined) {
+            data.order = await QuizQuestion.countDocuments({ quizId, poolId: null });
+        }
+
+        const question = await QuizQuestion.create({
+            ...data,
+            quizId,
+        });
+
+        await this._syncQuestionCount(quiz);
+
+        return question;
+    },
+
+    /**
+     * Update question
+     */
+    async updateQuestion(quizId, questionId, data, trainerId) {
+        const quiz = await this._getOwnedQuiz(quizId, trainerId);
+
+        if (quiz.status !== 'draft') {
+            throw new AppError('Questions can only be edited on draft quizzes', 400);
+        }
+
+        const question = await QuizQuestion.findOne({ _id: questionId, quizId, poolId: null });
+        if (!question) {
+            throw new AppError('Question not found', 404);
+        }
+
+        Object.keys(data).forEach((key) => {
+            if (data[key] !== undefined) {
+                question[key] = data[key];
+            }
+        });
+
+        await question.save();
+        await this._syncQuestionCount(quiz);
+
+        return question;
+    },
+
+    /**
+     * Delete question
+     */
+    async deleteQuestion(quizId, questionId, trainerId) {
+        const quiz = await this._getOwnedQuiz(quizId, trainerId);
+
+        if (quiz.status !== 'draft') {
+            throw new AppError('Questions can only be deleted from draft quizzes', 400);
+        }
+
+        const question = await QuizQuestion.findOne({ _id: questionId, quizId, poolId: null });
+        if (!question) {
+            throw new AppError('Question not found', 404);
+        }
+
+        await question.deleteOne();
+        await this._syncQuestionCount(quiz);
+    },
+
+    /**
+     * Copy bank questions into the quiz as fixed questions
+     */
+    async addQuestionsFromBank(quizId, bankQuestionIds, trainerId) {
+        const quiz = await this._getOwnedQuiz(quizId, trainerId);
+
+        if (quiz.status !== 'draft') {
+            throw new AppError('Questions can only be added to draft quizzes', 400);
+        }
+
+        const bankQuestions = await BankQuestion.find({
+            _id: { $in: bankQuestionIds },
+            ownerId: trainerId,
+            isActive: true,
+        });
+
+        if (bankQuestions.length !== new Set(bankQuestionIds.map(String)).size) {
+            throw new AppError('One or more bank questions were not found', 404);
+        }
+
+        const alreadyAdded = await QuizQuestion.distinct('bankQuestionId', {
+            quizId,
+            poolId: null,
+            bankQuestionId: { $in: bankQuestionIds },
+        });
+
+        if (alreadyAdded.length > 0) {
+            throw new AppError('One or more bank questions are already in this quiz', 409);
+        }
+
+        // Keep the caller's order
+        const byId = new Map(bankQuestions.map((q) => [q._id.toString(), q]));
+        let order = await QuizQuestion.countDocuments({ quizId, poolId: null });
+
+        const questions = await QuizQuestion.insertMany(
+            bankQuestionIds.map((id) => ({
+                ...pickQuestionContent(byId.get(id.toString())),
+                quizId,
+                bankQuestionId: id,
+                order: order++,
+            }))
+        );
+
+        await BankQuestion.updateMany(
+            { _id: { $in: bankQuestionIds } },
+            { $inc: { usageCount: 1 } }
+        );
+
+        await this._syncQuestionCount(quiz);
+
+        return questions;
+    },
+
+    /**
+     * Replace the quiz's random-draw pools
+     */
+    async setQuestionPools(quizId, pools, trainerId) {
+        const quiz = await this._getOwnedQuiz(quizId, trainerId);
+
+        if (quiz.status !== 'draft') {
+            throw new AppError('Question pools can only be changed on draft quizzes', 400);
+        }
+
+        quiz.questionPools = await Promise.all(
+            pools.map(async (pool) => ({
+                ...pool,
+                skills: pool.skills?.length
+                    ? await questionBankService._resolveSkills(pool.skills, trainerId)
+                    : [],
+            }))
+        );
+
+        await this._assertPoolsSatisfiable(quiz);
+        await this._syncQuestionCount(quiz);
+
+        return quiz;
+    },
+
+    // ==========================================
+    // ATTEMPT SERVICES (TRAINER)
+    // ==========================================
+
+    /**
+     * Get all attempts for a quiz
+     */
+    async getQuizAttempts(quizId, trainerId, filters = {}) {
+        await this._getOwnedQuiz(quizId, trainerId);
+
+        const {
+            page = 1,
+            limit = 10,
+            studentId,
+            status,
+        } = filters;
+
+        const query = { quizId };
+        if (studentId) query.studentId = studentId;
+        if (status) query.status = status;
+
+        const skip = (page - 1) * limit;
+
+        const [attempts, total] = await Promise.all([
+            QuizAttempt.find(query)
+                .populate('studentId', 'name email')
+                .populate('evaluatedBy', 'name')
+                .select('-answers')
+                .sort({ submittedAt: -1, startedAt: -1 })
+                .skip(skip)
+                .limit(Number(limit))
+                .lean(),
+            QuizAttempt.countDocuments(query),
+        ]);
+
+        return {
+            attempts,
+            pagination: {
+                page: Number(page),
+                limit: Number(limit),
+                total,
+            },
+        };
+    },
+
+    /**
+     * Get quiz statistics
+     */
+    async getQuizStats(quizId, trainerId) {
+        const quiz = await this._getOwnedQuiz(quizId, trainerId);
+
+        const stats = await quiz.getAttemptStats();
+
+        const [passed, pendingEvaluation, counted] = await Promise.all([
+            QuizAttempt.countDocuments({ quizId, isPassed: true }),
+            QuizAttempt.countDocuments({ quizId, requiresManualEvaluation: true }),
+            QuizAttempt.getCountedResults(quiz),
+        ]);
+
+        const countedResults = [...counted.values()];
+
+        return {
+            ...stats,
+            passed,
+            pendingEvaluation,
+            attemptScoring: quiz.attemptScoring,
+            studentsPassed: countedResults.filter((r) => r.isPassed).length,
+            averageCountedScore: countedResults.length
+                ? Number((countedResults.reduce((sum, r) => sum + r.score, 0) / countedResults.length).toFixed(2))
+                : 0,
+            questionCount: quiz.questionCount,
+        };
+    },
+
+    /**
+     * Manually evaluate an attempt (descriptive answers)
+     */
+    async evaluateAttempt(attemptId, trainerId, data) {
+        const attempt = await QuizAttempt.findById(attemptId);
+        if (!attempt) {
+            throw new AppError('Attempt not found', 404);
+        }
+
+        const quiz = await this._getOwnedQuiz(attempt.quizId, trainerId);
+
+        if (attempt.status === 'in_progress') {
+            throw new AppError('Cannot evaluate an attempt that is still in progress', 400);
+        }
+
+        // Descriptive answers are graded one by one; a lump sum on top would be
+        // double-counted and then lost when evaluateAttempt recalculates the total
+        if (attempt.answers.some((a) => a.scoringRule === SCORING_RULES.MANUAL)) {
+            throw new AppError(
+                'This attempt has descriptive answers; grade them per answer from the grading queue',
+                400
+            );
+        }
+
+        const maxScore = attempt.maxScore ?? quiz.totalMarks;
+        if (attempt.score + data.additionalMarks > maxScore) {
+            throw new AppError(`Score cannot exceed ${maxScore}`, 400);
+        }
+
+        await attempt.manualEvaluate(trainerId, data.feedback, data.additionalMarks);
+
+        return attempt.populate([
+            { path: 'studentId', select: 'name email' },
+            { path: 'evaluatedBy', select: 'name' },
+        ]);
+    },
+
+    /**
+     * Per-question analytics: difficulty, discrimination, distractors, time and flags
+     */
+    async getItemAnalysis(quizId, trainerId) {
+        const quiz = await this._getOwnedQuiz(quizId, trainerId);
+
+        const attempts = await QuizAttempt.find({
+            quizId,
+            status: { $in: ['submitted', 'evaluated', 'expired'] },
+        })
+            .select('score servedQuestions answers')
+            .sort({ score: -1 })
+            .lean();
+
+        const questions = await QuizQuestion.find({ quizId }).sort({ poolId: 1, order: 1, createdAt: 1 });
+        const fixedIds = questions
+            .filter((q) => !q.poolId && q.isActive)
+            .map((q) => q._id.toString());
+
+        // Top and bottom scorers by rank (attempts are sorted by score)
+        const groupSize = attempts.length >= 2
+            ? Math.max(1, Math.round(attempts.length * ITEM_ANALYSIS_GROUP_RATIO))
+            : 0;
+        const topIds = new Set(attempts.slice(0, groupSize).map((a) => a._id.toString()));
+        const bottomIds = new Set(
+            attempts.slice(attempts.length - groupSize).map((a) => a._id.toString())
+        );
+
+        const stats = new Map();
+        const statsFor = (questionId) => {
+            if (!stats.has(questionId)) {
+                stats.set(questionId, {
+                    served: 0,
+                    answered: 0,
+                    correct: 0,
+                    partial: 0,
+                    marks: 0,
+                    times: [],
+                    top: { served: 0, correct: 0 },
+                    bottom: { served: 0, correct: 0 },
+                    selections: new Map(),
+                });
+            }
+            return stats.get(questionId);
+        };
+
+        for (const attempt of attempts) {
+            const attemptId = attempt._id.toString();
+            const served = attempt.servedQuestions?.length
+                ? attempt.servedQuestions.map(String)
+                : fixedIds;
+            const answers = new Map(attempt.answers.map((a) => [a.questionId.toString(), a]));
+
+            for (const questionId of served) {
+                const entry = statsFor(questionId);
+                const answer = answers.get(questionId);
+                const isCorrect = answer?.isCorrect === true;
+
+                entry.served++;
+                if (topIds.has(attemptId)) {
+                    entry.top.served++;
+                    if (isCorrect) entry.top.correct++;
+                }
+                if (bottomIds.has(attemptId)) {
+                    entry.bottom.served++;
+                    if (isCorrect) entry.bottom.correct++;
+                }
+
+                if (!answer) continue;
+
+                entry.answered++;
+                entry.marks += answer.marksAwarded || 0;
+                if (isCorrect) entry.correct++;
+                else if (answer.marksAwarded > 0) entry.partial++;
+                if (answer.timeTaken > 0) entry.times.push(answer.timeTaken);
+
+                const picked = Array.isArray(answer.answer) ? answer.answer : [answer.answer];
+                picked.forEach((value) => {
+                    const key = String(value);
+                    entry.selections.set(key, (entry.selections.get(key) || 0) + 1);
+                });
+            }
+        }
+
+        const ratio = (part, whole) => (whole ? part / whole : null);
+        const round = (value, digits = 2) => (value === null ? null : Number(value.toFixed(digits)));
+
+        const items = questions
+            .filter((question) => stats.has(question._id.toString()))
+            .map((question) => {
+                const entry = stats.get(question._id.toString());
+                const difficultyIndex = ratio(entry.correct, entry.served);
+                const topRate = ratio(entry.top.correct, entry.top.served);
+                const bottomRate = ratio(entry.bottom.correct, entry.bottom.served);
+                const discrimination = topRate !== null && bottomRate !== null
+                    ? topRate - bottomRate
+                    : null;
+
+                const distractors = ['mcq_single', 'mcq_multiple'].includes(question.questionType)
+                    ? question.options.map((option) => {
+                        let count = 0;
+                        entry.selections.forEach((selected, value) => {
+                            if (question.findOption(value)?._id.equals(option._id)) count += selected;
+                        });
+                        return {
+                            optionId: option._id,
+                            optionText: option.optionText,
+                            isCorrect: option.isCorrect,
+                            count,
+                            frequency: round(ratio(count, entry.answered) * 100 || 0),
+                        };
+                    })
+                    : undefined;
+
+                const flags = [];
+                if (entry.served > 0 && entry.correct === 0) flags.push('nobody_correct');
+                if (entry.served > 0 && entry.correct === entry.served) flags.push('everybody_correct');
+                if (discrimination !== null && discrimination < 0) {
+                    flags.push('negative_discrimination');
+                } else if (discrimination !== null && discrimination < LOW_DISCRIMINATION) {
+                    flags.push('low_discrimination');
+                }
+                if (distractors?.some((d) => !d.isCorrect && d.count === 0) && entry.answered > 0) {
+                    flags.push('unused_distractor');
+                }
+
+                return {
+                    questionId: question._id,
+                    questionText: question.questionText,
+                    questionType: question.questionType,
+                    fromPool: Boolean(question.poolId),
+                    marks: question.marks,
+                    served: entry.served,
+                    answered: entry.answered,
+                    correct: entry.correct,
+                    partial: entry.partial,
+                    percentageCorrect: round(ratio(entry.correct, entry.served) * 100 || 0),
+                    difficultyIndex: round(difficultyIndex),
+                    discrimination: round(discrimination),
+                    averageMarks: round(ratio(entry.marks, entry.answered)),
+                    averageTimeTaken: entry.times.length
+                        ? round(entry.times.reduce((sum, t) => sum + t, 0) / entry.times.length, 1)
+                        : null,
+                    distractors,
+                    flags,
+                };
+            });
+
+        return {
+            quiz: {
+                _id: quiz._id,
+                title: quiz.title,
+            },
+            attemptsAnalysed: attempts.length,
+            groupSize,
+            questions: items,
+        };
+    },
+
+    /**
+     * Attempts on a quiz with descriptive answers awaiting grading, oldest first
+     */
+    async getGradingQueue(quizId, trainerId, filters = {}) {
+        await this._getOwnedQuiz(quizId, trainerId);
+
+        const { page = 1, limit = 10 } = filters;
+
+        const query = {
+            quizId,
+            requiresManualEvaluation: true,
+            status: { $in: ['submitted', 'expired'] },
+        };
+
+        const skip = (page - 1) * limit;
+
+        const [attempts, total] = await Promise.all([
+            QuizAttempt.find(query)
+                .populate('studentId', 'name email')
+                .sort({ submittedAt: 1 })
+                .skip(skip)
+                .limit(Number(limit)),
+            QuizAttempt.countDocuments(query),
+        ]);
+
+        return {
+            attempts: attempts.map((attempt) => {
+                const pending = attempt.getPendingManualAnswers();
+                return {
+                    _id: attempt._id,
+                    student: attempt.studentId,
+                    attemptNumber: attempt.attemptNumber,
+                    status: attempt.status,
+                    submittedAt: attempt.submittedAt,
+                    autoScore: attempt.score,
+                    pendingCount: pending.length,
+                    pendingQuestionIds: pending.map((a) => a.questionId),
+                };
+            }),
+            pagination: {
+                page: Number(page),
+                limit: Number(limit),
+                total,
+            },
+        };
+    },
+
+    /**
+     * Grade descriptive answers individually (each capped at the question's marks)
+     */
+    async gradeAttemptAnswers(attemptId, trainerId, data) {
+        const attempt = await QuizAttempt.findById(attemptId);
+        if (!attempt) {
+            throw new AppError('Attempt not found', 404);
+        }
+
+        await this._getOwnedQuiz(attempt.quizId, trainerId);
+
+        if (attempt.status === 'in_progress') {
+            throw new AppError('Cannot grade an attempt that is still in progress', 400);
+        }
+
+        const questions = await QuizQuestion.find({
+            _id: { $in: data.grades.map((g) => g.questionId) },
+        });
+        const byId = new Map(questions.map((q) => [q._id.toString(), q]));
+
+        const grades = data.grades.map((grade) => {
+            const question = byId.get(grade.questionId.toString());
+            const answered = attempt.answers.some(
+                (a) => a.questionId.toString() === grade.questionId.toString()
+            );
+
+            if (!question || !answered) {
+                throw new AppError('One or more questions were not answered in this attempt', 400);
+            }
+
+            if (question.questionType !== 'descriptive') {
+                throw new AppError('Only descriptive answers can be graded manually', 400);
+            }
+
+            if (grade.marks > question.marks) {
+                throw new AppError(
+                    `Marks for "${question.questionText}" cannot exceed ${question.marks}`,
+                    400
+                );
+            }
+
+            return { ...grade, maxMarks: question.marks };
+        });
+
+        if (data.feedback !== undefined) {
+            attempt.feedback = data.feedback;
+        }
+
+        await attempt.gradeAnswers(grades, trainerId);
+
+        return attempt.populate([
+            { path: 'studentId', select: 'name email' },
+            { path: 'evaluatedBy', select: 'name' },
+        ]);
+    },
+
+    // ==========================================
+    // STUDENT SERVICES
+    // ==========================================
+
+    /**
+     * Get all quizzes available to a student
+     */
+    async getStudentQuizzes(studentId, filters = {}) {
+        const {
+            page = 1,
+            limit = 10,
+            status,
+            internshipId,
+        } = filters;
+
+        const enrollments = await InternshipEnrollment.find({
+            studentId,
+            status: 'active',
+        }).select('internshipId');
+
+        const internshipIds = enrollments.map((e) => e.internshipId.toString());
+
+        const query = {
+            internshipId: { $in: internshipIds },
+            status: status || { $in: ['published', 'closed'] },
+        };
+
+        if (internshipId) {
+            if (!internshipIds.includes(internshipId.toString())) {
+                throw new AppError('You are not enrolled in this internship', 403);
+            }
+            query.internshipId = internshipId;
+        }
+
+        const skip = (page - 1) * limit;
+
+        const [quizzes, total] = await Promise.all([
+            Quiz.find(query)
+                .populate('internshipId', 'title')
+                .sort({ startDate: 1, createdAt: -1 })
+                .skip(skip)
+                .limit(Number(limit)),
+            Quiz.countDocuments(query),
+        ]);
+
+        const quizzesWithStatus = await Promise.all(
+            quizzes.map(async (quiz) => {
+                const attempts = await QuizAttempt.find({
+                    quizId: quiz._id,
+                    studentId,
+                })
+                    .select('attemptNumber status score percentage isPassed submittedAt')
+                    .sort({ attemptNumber: -1 })
+                    .lean();
+
+                return {
+                    ...this._toStudentQuiz(quiz, studentId),
+                    attempts: this._hideUnreleasedScores(quiz, attempts),
+                    attemptsUsed: attempts.length,
+                    hasInProgressAttempt: attempts.some((a) => a.status === 'in_progress'),
+                };
+            })
+        );
+
+        return {
+            quizzes: quizzesWithStatus,
+            pagination: {
+                page: Number(page),
+                limit: Number(limit),
+                total,
+            },
+        };
+    },
+
+    /**
+     * Get quiz details for student (no questions)
+     */
+    async getStudentQuizById(quizId, studentId) {
+        const quiz = await Quiz.findById(quizId)
+            .populate('internshipId', 'title status')
+            .populate('createdBy', 'name');
+
+        if (!quiz) {
+            throw new AppError('Quiz not found', 404);
+        }
+
+        await this._assertEnrolled(quiz.internshipId._id, studentId);
+
+        if (quiz.status === 'draft') {
+            throw new AppError('Quiz is not available', 400);
+        }
+
+        const attempts = await QuizAttempt.find({ quizId, studentId })
+            .select('attemptNumber status score percentage isPassed startedAt submittedAt')
+            .sort({ attemptNumber: -1 })
+            .lean();
+
+        const blockedReason = this._getAttemptBlocker(quiz, attempts, studentId);
+        const counted = await QuizAttempt.getCountedResults(quiz, [studentId]);
+
+        return {
+            ...this._toStudentQuiz(quiz, studentId),
+            attempts: this._hideUnreleasedScores(quiz, attempts),
+            canAttempt: !blockedReason,
+            blockedReason,
+            countedResult: quiz.resultsReleased ? counted.get(studentId.toString()) || null : null,
+        };
+    },
+
+    /**
+     * Start (or resume) a quiz attempt
+     */
+    async startAttempt(quizId, studentId, meta = {}) {
+        const quiz = await Quiz.findById(quizId).select('+accessCode');
+        if (!quiz) {
+            throw new AppError('Quiz not found', 404);
+        }
+
+        await this._assertEnrolled(quiz.internshipId, studentId);
+
+        // An attempt already under way resumes; its deadline governs from here
+        const inProgress = await QuizAttempt.findOne({
+            quizId,
+            studentId,
+            status: 'in_progress',
+        });
+
+        if (inProgress && !(await this._expireIfOverdue(inProgress))) {
+            return this._buildAttemptPayload(quiz, inProgress);
+        }
+
+        const attempts = await QuizAttempt.find({ quizId, studentId }).lean();
+        const blockedReason = this._getAttemptBlocker(quiz, attempts, studentId);
+        if (blockedReason) {
+            throw new AppError(blockedReason, 400);
+        }
+
+        if (quiz.requiresAccessCode && !this._accessCodeMatches(quiz.accessCode, meta.accessCode)) {
+            throw new AppError('Invalid access code', 403);
+        }
+
+        const drawn = await this._drawQuestions(quiz);
+        const { shuffleSeed, servedQuestions, optionOrder } = await this._buildServedOrder(quiz, drawn);
+
+        const startedAt = new Date();
+
+        let attempt;
+        try {
+            attempt = await QuizAttempt.create({
+                quizId,
+                studentId,
+                servedQuestions,
+                shuffleSeed,
+                optionOrder,
+                totalQuestions: servedQuestions.length,
+                startedAt,
+                expiresAt: this._computeDeadline(quiz, startedAt, studentId),
+                ipAddress: meta.ipAddress || null,
+                userAgent: meta.userAgent || null,
+            });
+        } catch (error) {
+            if (error.code !== 11000) throw error;
+
+            // A concurrent start took this attempt number; resume the attempt it created
+            attempt = await QuizAttempt.findOne({ quizId, studentId, status: 'in_progress' });
+            if (!attempt) {
+                throw new AppError('Another attempt was started at the same time; please try again', 409);
+            }
+        }
+
+        return this._buildAttemptPayload(quiz, attempt);
+    },
+
+    /**
+     * Autosave answers for an in-progress attempt (merged per question)
+     */
+    async saveAnswers(attemptId, studentId, answers) {
+        const attempt = await this._getOwnAttempt(attemptId, studentId);
+
+        if (attempt.status !== 'in_progress') {
+            throw new AppError('Attempt has already been submitted', 400);
+        }
+
+        if (await this._expireIfOverdue(attempt)) {
+            throw new AppError('Time is up. Your attempt was submitted automatically', 400);
+        }
+
+        await this._applyAnswers(attempt, answers);
+        attempt.lastSavedAt = new Date();
+        await attempt.save();
+
+        return {
+            attemptId: attempt._id,
+            answeredCount: attempt.answers.length,
+            totalQuestions: attempt.totalQuestions,
+            lastSavedAt: attempt.lastSavedAt,
+            expiresAt: attempt.expiresAt,
+            remainingSeconds: attempt.remainingSeconds,
+        };
+    },
+
+    /**
+     * Submit attempt for evaluation
+     */
+    async submitAttempt(attemptId, studentId, answers = []) {
+        const attempt = await this._getOwnAttempt(attemptId, studentId);
+
+        if (attempt.status !== 'in_progress') {
+            throw new AppError('Attempt has already been submitted', 400);
+        }
+
+        // Answers sent after the deadline are discarded; saved answers still count
+        if (!(await this._expireIfOverdue(attempt))) {
+            if (answers.length > 0) {
+                await this._applyAnswers(attempt, answers);
+            }
+
+            await attempt.submit();
+        }
+
+        const quiz = await Quiz.findById(attempt.quizId);
+
+        // Finished quizzes count towards curriculum progress
+        await this._updateStudentProgress(studentId, quiz.internshipId);
+
+        return this._buildResult(quiz, attempt);
+    },
+
+    /**
+     * Get attempt details (student sees own, trainer sees attempts on own quizzes)
+     */
+    async getAttemptById(attemptId, userId, userRole) {
+        const attempt = await QuizAttempt.findById(attemptId)
+            .populate('studentId', 'name email')
+            .populate('evaluatedBy', 'name');
+
+        if (!attempt) {
+            throw new AppError('Attempt not found', 404);
+        }
+
+        await this._expireIfOverdue(attempt);
+
+        if (userRole === 'student') {
+            if (attempt.studentId._id.toString() !== userId.toString()) {
+                throw new AppError('Access denied', 403);
+            }
+
+            const quiz = await Quiz.findById(attempt.quizId);
+
+            if (attempt.status === 'in_progress') {
+                return this._buildAttemptPayload(quiz, attempt);
+            }
+
+            return this._buildResult(quiz, attempt);
+        }
+
+        if (userRole === 'trainer') {
+            await this._getOwnedQuiz(attempt.quizId, userId);
+        }
+
+        return attempt.populate('answers.questionId');
+    },
+
+    /**
+     * Per-question review of a submitted attempt once results are released
+     */
+    async getAttemptReview(attemptId, studentId) {
+        const attempt = await this._getOwnAttempt(attemptId, studentId);
+
+        await this._expireIfOverdue(attempt);
+
+        if (attempt.status === 'in_progress') {
+            throw new AppError('Attempt has not been submitted yet', 400);
+        }
+
+        const quiz = await Quiz.findById(attempt.quizId);
+        const result = this._buildResult(quiz, attempt);
+
+        if (!quiz || !quiz.resultsReleased) {
+            return { result, questions: null };
+        }
+
+        const questions = await this._getServedQuestions(attempt);
+        const optionOrder = new Map(
+            (attempt.optionOrder || []).map((o) => [o.questionId.toString(), o.optionIds])
+        );
+        const answers = new Map(attempt.answers.map((a) => [a.questionId.toString(), a]));
+
+        return {
+            result,
+            questions: questions.map((question) => {
+                const answer = answers.get(question._id.toString());
+                const review = {
+                    question: question.getSafeQuestion(optionOrder.get(question._id.toString())),
+                    answer: answer ? answer.answer : null,
+                    isCorrect: answer ? answer.isCorrect : false,
+                    marksAwarded: answer ? answer.marksAwarded : 0,
+                    scoringRule: answer ? answer.scoringRule : null,
+                    comment: answer ? answer.comment : null,
+                };
+
+                if (quiz.showCorrectAnswers) {
+                    review.correct = question.getAnswerKey();
+                    review.explanation = question.explanation || null;
+                }
+
+                return review;
+            }),
+        };
+    },
+
+    // ==========================================
+    // BACKGROUND JOBS
+    // ==========================================
+
+    /**
+     * Auto-submit in-progress attempts whose deadline has passed
+     */
+    async expireOverdueAttempts(batchSize = 100) {
+        const cutoff = new Date(Date.now() - ATTEMPT_GRACE_PERIOD_SECONDS * 1000);
+
+        const overdue = await QuizAttempt.find({
+            status: 'in_progress',
+            expiresAt: { $ne: null, $lte: cutoff },
+        })
+            .sort({ expiresAt: 1 })
+            .limit(batchSize);
+
+        let expired = 0;
+        for (const attempt of overdue) {
+            try {
+                await attempt.expire();
+                expired++;
+            } catch (error) {
+                logger.error({
+                    message: 'Failed to expire quiz attempt',
+                    attemptId: attempt._id.toString(),
+                    error: error.message,
+                });
+            }
+        }
+
+        return expired;
+    },
+
+    // ==========================================
+    // HELPER METHODS
+    // ==========================================
+
+    /**
+     * Load a quiz and verify the trainer created it
+     */
+    async _getOwnedQuiz(quizId, trainerId, select = null) {
+        const query = Quiz.findById(quizId);
+        if (select) query.select(select);
+
+        const quiz = await query;
+
+        if (!quiz) {
+            throw new AppError('Quiz not found', 404);
+        }
+
+        if (quiz.createdBy.toString() !== trainerId.toString()) {
+            throw new AppError('Access denied', 403);
+        }
+
+        return quiz;
+    },
+
+    /**
+     * Load an attempt and verify it belongs to the student
+     */
+    async _getOwnAttempt(attemptId, studentId) {
+        const attempt = await QuizAttempt.findById(attemptId);
+
+        if (!attempt) {
+            throw new AppError('Attempt not found', 404);
+        }
+
+        if (attempt.studentId.toString() !== studentId.toString()) {
+            throw new AppError('Access denied', 403);
+        }
+
+        return attempt;
+    },
+
+    /**
+     * Recompute the student's overall and per-module progress
+     */
+    async _updateStudentProgress(studentId, internshipId) {
+        const enrollment = await InternshipEnrollment.findOne({
+            studentId,
+            internshipId,
+        });
+
+        if (enrollment) {
+            await enrollment.updateProgress();
+        }
+    },
+
+    /**
+     * Constant-time access code check; both sides are hashed so lengths always match
+     */
+    _accessCodeMatches(expected, provided) {
+        if (!expected) return false;
+
+        const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+
+        return crypto.timingSafeEqual(digest(expected), digest((provided || '').trim()));
+    },
+
+    /**
+     * Ensure student is actively enrolled in the internship
+     */
+    async _assertEnrolled(internshipId, studentId) {
+        const enrollment = await InternshipEnrollment.findOne({
+            studentId,
+            internshipId,
+            status: 'active',
+        });
+
+        if (!enrollment) {
+            throw new AppError('You are not enrolled in this internship', 403);
+        }
+    },
+
+    /**
+     * Attempt deadline: duration (plus any extra time) from start, never past the student's window end
+     */
+    _computeDeadline(quiz, startedAt, studentId) {
+        const extraMinutes = quiz.getAccommodation(studentId)?.extraTimeMinutes || 0;
+        const deadline = new Date(startedAt.getTime() + (quiz.duration + extraMinutes) * 60 * 1000);
+        const { endDate } = quiz.getWindowFor(studentId);
+
+        if (endDate && endDate < deadline) {
+            return endDate;
+        }
+
+        return deadline;
+    },
+
+    /**
+     * Lazily expire an in-progress attempt past its deadline; true if it was expired
+     */
+    async _expireIfOverdue(attempt) {
+        if (attempt.status !== 'in_progress') return false;
+        if (!attempt.isPastDeadline(ATTEMPT_GRACE_PERIOD_SECONDS)) return false;
+
+        await attempt.expire();
+        return true;
+    },
+
+    /**
+     * Why a new attempt cannot be started right now, or null if it can
+     */
+    _getAttemptBlocker(quiz, attempts, studentId) {
+        const now = new Date();
+        const { startDate, endDate } = quiz.getWindowFor(studentId);
+
+        if (quiz.status !== 'published') {
+            return 'Quiz is not open for attempts';
+        }
+
+        if (attempts.some((a) => a.status === 'in_progress')) return null;
+
+        if (startDate && startDate > now) {
+            return `Quiz opens at ${startDate.toISOString()}`;
+        }
+
+        if (endDate && endDate < now) {
+            return 'Quiz window has closed';
+        }
+
+        const allowed = quiz.allowMultipleAttempts ? quiz.maxAttempts : 1;
+        if (attempts.length >= allowed) {
+            return 'You have used all attempts for this quiz';
+        }
+
+        if (quiz.attemptCooldownMinutes > 0 && attempts.length > 0) {
+            const lastSubmitted = Math.max(
+                ...attempts.map((a) => (a.submittedAt ? new Date(a.submittedAt).getTime() : 0))
+            );
+            const availableAt = new Date(lastSubmitted + quiz.attemptCooldownMinutes * 60 * 1000);
+
+            if (availableAt > now) {
+                return `You can start another attempt at ${availableAt.toISOString()}`;
+            }
+        }
+
+        return null;
+    },
+
+    /**
+     * Student view of a quiz: other students' accommodations removed, own one kept
+     */
+    _toStudentQuiz(quiz, studentId) {
+        const data = quiz.toObject();
+        const accommodation = quiz.getAccommodation(studentId);
+
+        delete data.accommodations;
+        delete data.accessCode;
+
+        return {
+            ...data,
+            window: quiz.getWindowFor(studentId),
+            accommodation: accommodation
+                ? {
+                    extraTimeMinutes: accommodation.extraTimeMinutes,
+                    extendedEndDate: accommodation.extendedEndDate,
+                }
+                : null,
+        };
+    },
+
+    /**
+     * Merge answers into an attempt, replacing earlier answers per question
+     */
+    async _applyAnswers(attempt, answers) {
+        const questionIds = answers.map((a) => a.questionId.toString());
+
+        if (attempt.servedQuestions?.length) {
+            const served = new Set(attempt.servedQuestions.map(String));
+            if (questionIds.some((id) => !served.has(id))) {
+                throw new AppError('One or more questions were not served in this attempt', 400);
+            }
+        } else {
+            const validCount = await QuizQuestion.countDocuments({
+                _id: { $in: questionIds },
+                quizId: attempt.quizId,
+                isActive: true,
+            });
+
+            if (validCount !== new Set(questionIds).size) {
+                throw new AppError('One or more questions do not belong to this quiz', 400);
+            }
+        }
+
+        for (const { questionId, answer, timeTaken } of answers) {
+            const existing = attempt.answers.find(
+                (a) => a.questionId.toString() === questionId.toString()
+            );
+
+            if (existing) {
+                existing.answer = answer;
+                if (timeTaken !== undefined) existing.timeTaken = timeTaken;
+            } else {
+                attempt.answers.push({ questionId, answer, timeTaken });
+            }
+        }
+    },
+
+    /**
+     * Attempt with the questions a student may see
+     */
+    async _buildAttemptPayload(quiz, attempt) {
+        const questions = await this._getServedQuestions(attempt);
+        const optionOrder = new Map(
+            (attempt.optionOrder || []).map((o) => [o.questionId.toString(), o.optionIds])
+        );
+
+        return {
+            attempt: {
+                _id: attempt._id,
+                attemptNumber: attempt.attemptNumber,
+                status: attempt.status,
+                startedAt: attempt.startedAt,
+                expiresAt: attempt.expiresAt,
+                remainingSeconds: attempt.remainingSeconds,
+                lastSavedAt: attempt.lastSavedAt,
+                serverTime: new Date(),
+                totalQuestions: attempt.totalQuestions,
+                answers: attempt.answers.map((a) => ({
+                    questionId: a.questionId,
+                    answer: a.answer,
+                })),
+            },
+            quiz: {
+                _id: quiz._id,
+                title: quiz.title,
+                instructions: quiz.instructions,
+                duration: quiz.duration,
+                totalMarks: quiz.totalMarks,
+            },
+            questions: questions.map((q) => q.getSafeQuestion(optionOrder.get(q._id.toString()))),
+        };
+    },
+
+    /**
+     * Submitted attempt summary; scores stay hidden until results are released
+     */
+    _buildResult(quiz, attempt) {
+        const result = {
+            _id: attempt._id,
+            attemptNumber: attempt.attemptNumber,
+            status: attempt.status,
+            submittedAt: attempt.submittedAt,
+            timeTaken: attempt.timeTaken,
+            autoSubmitted: attempt.autoSubmitted,
+        };
+
+        if (!quiz || !quiz.resultsReleased) {
+            return { ...result, resultsReleased: false };
+        }
+
+        return {
+            ...result,
+            resultsReleased: true,
+            score: attempt.score,
+            percentage: attempt.percentage,
+            isPassed: attempt.isPassed,
+            grade: attempt.grade,
+            correctAnswers: attempt.correctAnswers,
+            incorrectAnswers: attempt.incorrectAnswers,
+            unanswered: attempt.unanswered,
+            sectionScores: attempt.sectionScores,
+            requiresManualEvaluation: attempt.requiresManualEvaluation,
+            feedback: attempt.feedback,
+        };
+    },
+
+    /**
+     * Strip scores from a student's attempt list while results are unreleased
+     */
+    _hideUnreleasedScores(quiz, attempts) {
+        if (quiz.resultsReleased) {
+            return attempts;
+        }
+
+        return attempts.map(({ score, percentage, isPassed, ...attempt }) => attempt);
+    },
+
+    /**
+     * Questions of an attempt in served order; attempts before pools fall back to fixed questions
+     */
+    async _getServedQuestions(attempt) {
+        if (!attempt.servedQuestions?.length) {
+            return QuizQuestion.find({
+                quizId: attempt.quizId,
+                poolId: null,
+                isActive: true,
+            }).sort({ order: 1, createdAt: 1 });
+        }
+
+        const questions = await QuizQuestion.find({ _id: { $in: attempt.servedQuestions } });
+        const byId = new Map(questions.map((q) => [q._id.toString(), q]));
+
+        return attempt.servedQuestions
+            .map((id) => byId.get(id.toString()))
+            .filter(Boolean);
+    },
+
+    /**
+     * Fixed questions plus a fresh random draw from each pool
+     */
+    async _drawQuestions(quiz) {
+        const fixed = await QuizQuestion.find({
+            quizId: quiz._id,
+            poolId: null,
+            isActive: true,
+        })
+            .select('_id bankQuestionId')
+            .sort({ order: 1, createdAt: 1 });
+
+        const served = fixed.map((q) => q._id);
+        const excluded = fixed.map((q) => q.bankQuestionId).filter(Boolean);
+
+        for (const pool of quiz.questionPools) {
+            const drawn = await questionBankService.sampleQuestions(
+                quiz.createdBy,
+                pool,
+                pool.count,
+                excluded
+            );
+
+            if (drawn.length < pool.count) {
+                throw new AppError(
+                    'Not enough questions in the bank to build this quiz. Please contact your trainer',
+                    409
+                );
+            }
+
+            for (const bankQuestion of drawn) {
+                excluded.push(bankQuestion._id);
+                served.push(await this._materializePoolQuestion(quiz, pool, bankQuestion));
+            }
+        }
+
+        return served;
+    },
+
+    /**
+     * Seeded question and option order for a new attempt, honouring the quiz shuffle flags.
+     * Ordering and matching items are always shuffled since their stored order is the answer.
+     */
+    async _buildServedOrder(quiz, questionIds) {
+        const shuffledTypes = ['ordering', 'matching'];
+        if (quiz.shuffleOptions) shuffledTypes.push('mcq_single', 'mcq_multiple');
+
+        const questions = await QuizQuestion.find({
+            _id: { $in: questionIds },
+            questionType: { $in: shuffledTypes },
+        }).select('questionType options pairs');
+
+        if (!quiz.shuffleQuestions && questions.length === 0) {
+            return { shuffleSeed: null, servedQuestions: questionIds, optionOrder: [] };
+        }
+
+        const shuffleSeed = ShuffleUtil.generateSeed();
+
+        const servedQuestions = quiz.shuffleQuestions
+            ? ShuffleUtil.shuffle(questionIds, shuffleSeed)
+            : questionIds;
+
+        const optionOrder = questions.map((question) => {
+            const items = question.questionType === 'matching' ? question.pairs : question.options;
+            return {
+                questionId: question._id,
+                optionIds: ShuffleUtil.shuffle(
+                    items.map((item) => item._id),
+                    ShuffleUtil.deriveSeed(shuffleSeed, question._id)
+                ),
+            };
+        });
+
+        return { shuffleSeed, servedQuestions, optionOrder };
+    },
+
+    /**
+     * Per-quiz snapshot of a drawn bank question, shared by every attempt that draws it
+     */
+    async _materializePoolQuestion(quiz, pool, bankQuestion) {
+        const content = pickQuestionContent(bankQuestion);
+        if (pool.marks) content.marks = pool.marks;
+
+        const question = await QuizQuestion.findOneAndUpdate(
+            { quizId: quiz._id, poolId: pool._id, bankQuestionId: bankQuestion._id },
+            { $setOnInsert: { ...content, order: 0, isActive: true } },
+            { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+        );
+
+        return question._id;
+    },
+
+    /**
+     * Fail early if a pool asks for more questions than the bank can supply
+     */
+    async _assertPoolsSatisfiable(quiz) {
+        if (!quiz.questionPools?.length) return;
+
+        const fixedBankIds = await QuizQuestion.distinct('bankQuestionId', {
+            quizId: quiz._id,
+            poolId: null,
+            isActive: true,
+            bankQuestionId: { $ne: null },
+        });
+
+        for (const [index, pool] of quiz.questionPools.entries()) {
+            const available = await questionBankService.countMatching(
+                quiz.createdBy,
+                pool,
+                fixedBankIds
+            );
+
+            if (available < pool.count) {
+                throw new AppError(
+                    `Pool ${index + 1} needs ${pool.count} questions but only ${available} match in the bank`,
+                    400
+                );
+            }
+        }
+    },
+
+    /**
+     * Questions each attempt is served: active fixed questions plus pool draws
+     */
+    async _countServedQuestions(quiz) {
+        const fixedCount = await QuizQuestion.countDocuments({
+            quizId: quiz._id,
+            poolId: null,
+            isActive: true,
+        });
+
+        return (quiz.questionPools || []).reduce((sum, pool) => sum + pool.count, fixedCount);
+    },
+
+    /**
+     * Keep Quiz.questionCount in line with active questions
+     */
+    async _syncQuestionCount(quiz) {
+        quiz.questionCount = await this._countServedQuestions(quiz);
+        await quiz.save();
+    },
+};
+
+module.exports = quizService;
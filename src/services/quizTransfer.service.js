@@ -0,0 +1,379 @@
+// src/services/quizTransfer.service.js
+// Quiz question import (GIFT, JSON, XLSX) and export (GIFT, JSON)
+//
+// JSON format (what export produces and import accepts):
+// {
+//   "format": "quiz-export",
+//   "version": 1,
+//   "quiz": { "title", "description", "instructions", "totalMarks", "passingMarks",
+//             "duration", ... },                      // informational on import
+//   "questions": [
+//     { "questionText", "questionType", "marks", "negativeMarks", "difficulty",
+//       "section", "explanation", "tags",
+//       "options": [{ "optionText", "isCorrect" }],   // mcq_*, ordering (in order)
+//       "correctAnswer",                              // true_false, numeric
+//       "tolerance",                                  // numeric
+//       "acceptedAnswers", "caseSensitive",           // short_answer
+//       "pairs": [{ "left", "right" }] }              // matching
+//   ]
+// }
+// A bare array of questions is also accepted. Every question is checked with
+// the same rules as POST /quizzes/:id/questions.
+//
+// XLSX import reads the first sheet; row 1 holds headers (any order, case-insensitive):
+// Question, Type, Options, Correct Answer, Tolerance, Accepted Answers, Case Sensitive,
+// Pairs, Marks, Negative Marks, Difficulty, Section, Explanation, Tags.
+// Options are separated by "|" with correct ones prefixed by "*"; accepted answers
+// by "|"; pairs as "left -> right | left -> right"; tags by ",".
+
+const ExcelJS = require('exceljs');
+const QuizQuestion = require('../models/question.model');
+const quizService = require('./quiz.service');
+const quizValidation = require('../validations/quiz.validation');
+const GiftUtil = require('../utils/gift.util');
+const { AppError } = require('../middlewares/error.middleware');
+const { pickQuestionContent } = require('../models/questionContent.schema');
+
+const MAX_IMPORT_QUESTIONS = 500;
+
+const XLSX_HEADERS = {
+    question: 'questionText',
+    questiontext: 'questionText',
+    type: 'questionType',
+    questiontype: 'questionType',
+    options: 'options',
+    correctanswer: 'correctAnswer',
+    tolerance: 'tolerance',
+    acceptedanswers: 'acceptedAnswers',
+    casesensitive: 'caseSensitive',
+    pairs: 'pairs',
+    marks: 'marks',
+    negativemarks: 'negativeMarks',
+    difficulty: 'difficulty',
+    section: 'section',
+    explanation: 'explanation',
+    tags: 'tags',
+};
+
+const quizTransferService = {
+    /**
+     * Import questions into a draft quiz; with dryRun only the validation report is returned
+     */
+    async importQuestions(quizId, trainerId, file, options = {}) {
+        const quiz = await quizService._getOwnedQuiz(quizId, trainerId);
+
+        if (quiz.status !== 'draft') {
+            throw new AppError('Questions can only be imported into draft quizzes', 400);
+        }
+
+        if (!file) {
+            throw new AppError('Import file is required', 400);
+        }
+
+        const format = options.format || this._detectFormat(file.originalname);
+        const rows = await this._parseFile(file.buffer, format);
+
+        if (rows.length === 0) {
+            throw new AppError('No questions found in the file', 400);
+        }
+
+        if (rows.length > MAX_IMPORT_QUESTIONS) {
+            throw new AppError(`A single import is limited to ${MAX_IMPORT_QUESTIONS} questions`, 400);
+        }
+
+        const checked = await Promise.all(rows.map((row) => this._validateRow(row, quizId)));
+        const errors = checked.flatMap((row) => row.errors);
+        const valid = checked.filter((row) => row.errors.length === 0);
+
+        const report = {
+            format,
+            dryRun: Boolean(options.dryRun),
+            total: checked.length,
+            valid: valid.length,
+            invalid: checked.length - valid.length,
+            errors,
+        };
+
+        if (options.dryRun) {
+            return {
+                ...report,
+                questions: valid.map((row) => ({ row: row.row, ...row.value })),
+            };
+        }
+
+        // All-or-nothing: a partially imported quiz is harder to fix than a rejected file
+        if (errors.length > 0) {
+            throw new AppError(
+                `Import rejected: ${report.invalid} of ${report.total} questions are invalid. Nothing was imported`,
+                422,
+                errors
+            );
+        }
+
+        let order = await QuizQuestion.countDocuments({ quizId, poolId: null });
+
+        const questions = await QuizQuestion.insertMany(
+            valid.map((row) => ({
+                ...row.value,
+                quizId,
+                order: order++,
+            }))
+        );
+
+        await quizService._syncQuestionCount(quiz);
+
+        return {
+            ...report,
+            imported: questions.length,
+        };
+    },
+
+    /**
+     * Export a quiz and its fixed questions as GIFT or JSON
+     */
+    async exportQuiz(quizId, trainerId, format = 'json') {
+        const quiz = await quizService._getOwnedQuiz(quizId, trainerId);
+
+        const questions = await QuizQuestion.find({
+            quizId,
+            poolId: null,
+            isActive: true,
+        }).sort({ order: 1, createdAt: 1 });
+
+        const baseName = quiz.title.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase() || 'quiz';
+
+        if (format === 'gift') {
+            return {
+                filename: `${baseName}.gift.txt`,
+                contentType: 'text/plain; charset=utf-8',
+                content: Buffer.from(GiftUtil.serialize(questions)),
+            };
+        }
+
+        const payload = {
+            format: 'quiz-export',
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            quiz: {
+                title: quiz.title,
+                description: quiz.description,
+                instructions: quiz.instructions,
+                totalMarks: quiz.totalMarks,
+                passingMarks: quiz.passingMarks,
+                duration: quiz.duration,
+                allowMultipleAttempts: quiz.allowMultipleAttempts,
+                maxAttempts: quiz.maxAttempts,
+                shuffleQuestions: quiz.shuffleQuestions,
+                shuffleOptions: quiz.shuffleOptions,
+                showCorrectAnswers: quiz.showCorrectAnswers,
+                showResultsImmediately: quiz.showResultsImmediately,
+                scoringPolicy: quiz.toObject().scoringPolicy,
+            },
+            questions: questions.map((question) => this._exportQuestion(question)),
+        };
+
+        return {
+            filename: `${baseName}.json`,
+            contentType: 'application/json',
+            content: Buffer.from(JSON.stringify(payload, null, 2)),
+        };
+    },
+
+    // ==========================================
+    // HELPER METHODS
+    // ==========================================
+
+    _detectFormat(filename = '') {
+        const ext = filename.split('.').pop().toLowerCase();
+        if (ext === 'xlsx') return 'xlsx';
+        if (ext === 'json') return 'json';
+        return 'gift';
+    },
+
+    /**
+     * Parse a file into [{ row, line?, data } | { row, line?, error }]
+     */
+    async _parseFile(buffer, format) {
+        if (format === 'gift') {
+            // GIFT has no marks; questions without a "// marks:" comment are worth 1
+            return GiftUtil.parse(buffer.toString('utf8')).map((row) => (
+                row.data ? { ...row, data: { marks: 1, ...row.data } } : row
+            ));
+        }
+
+        if (format === 'json') {
+            let parsed;
+            try {
+                parsed = JSON.parse(buffer.toString('utf8'));
+            } catch (error) {
+                throw new AppError(`Invalid JSON: ${error.message}`, 400);
+            }
+
+            const questions = Array.isArray(parsed) ? parsed : parsed?.questions;
+            if (!Array.isArray(questions)) {
+                throw new AppError('JSON must be an array of questions or contain a "questions" array', 400);
+            }
+
+            return questions.map((data, index) => ({ row: index + 1, data }));
+        }
+
+        return this._parseWorkbook(buffer);
+    },
+
+    async _parseWorkbook(buffer) {
+        const workbook = new ExcelJS.Workbook();
+        try {
+            await workbook.xlsx.load(buffer);
+        } catch (error) {
+            throw new AppError('Could not read the Excel file', 400);
+        }
+
+        const sheet = workbook.worksheets[0];
+        if (!sheet) {
+            throw new AppError('The Excel file has no worksheets', 400);
+        }
+
+        const columns = {};
+        sheet.getRow(1).eachCell((cell, col) => {
+            const key = XLSX_HEADERS[this._cellText(cell.value).toLowerCase().replace(/[\s_]/g, '')];
+            if (key) columns[col] = key;
+        });
+
+        if (!Object.values(columns).includes('questionText')) {
+            throw new AppError('The first row must contain a "Question" header', 400);
+        }
+
+        const rows = [];
+        sheet.eachRow((row, rowNumber) => {
+            if (rowNumber === 1) return;
+
+            const raw = {};
+            row.eachCell((cell, col) => {
+                const text = this._cellText(cell.value);
+                if (columns[col] && text !== '') raw[columns[col]] = text;
+            });
+
+            if (Object.keys(raw).length === 0) return;
+
+            try {
+                rows.push({ row: rowNumber, data: this._fromSpreadsheetRow(raw) });
+            } catch (error) {
+                rows.push({ row: rowNumber, error: error.message });
+            }
+        });
+
+        return rows;
+    },
+
+    _cellText(value) {
+        if (value === null || value === undefined) return '';
+        if (typeof value === 'object') {
+            if (Array.isArray(value.richText)) return value.richText.map((r) => r.text).join('').trim();
+            if (value.result !== undefined) return String(value.result).trim();
+            if (value.text !== undefined) return String(value.text).trim();
+        }
+        return String(value).trim();
+    },
+
+    /**
+     * Spreadsheet cells (all text) to addQuestion fields
+     */
+    _fromSpreadsheetRow(raw) {
+        const data = { ...raw };
+        const split = (text, separator = '|') => text.split(separator).map((s) => s.trim()).filter(Boolean);
+        const toBoolean = (text) => ['true', 't', 'yes', 'y', '1'].includes(text.toLowerCase());
+
+        if (data.questionType) data.questionType = data.questionType.toLowerCase();
+
+        if (data.options) {
+            data.options = split(data.options).map((text) => ({
+                optionText: text.replace(/^\*/, '').trim(),
+                isCorrect: text.startsWith('*'),
+            }));
+        }
+
+        if (data.correctAnswer !== undefined) {
+            data.correctAnswer = data.questionType === 'true_false'
+                ? toBoolean(data.correctAnswer)
+                : Number(data.correctAnswer);
+        }
+
+        if (data.acceptedAnswers) data.acceptedAnswers = split(data.acceptedAnswers);
+        if (data.caseSensitive !== undefined) data.caseSensitive = toBoolean(data.caseSensitive);
+        if (data.tags) data.tags = split(data.tags, ',');
+
+        if (data.pairs) {
+            data.pairs = split(data.pairs).map((pair) => {
+                const [left, right] = pair.split('->').map((s) => s?.trim());
+                if (!left || !right) {
+                    throw new Error(`Pair "${pair}" must look like "left -> right"`);
+                }
+                return { left, right };
+            });
+        }
+
+        return data;
+    },
+
+    /**
+     * Check one parsed row against the addQuestion rules and the question model
+     */
+    async _validateRow(row, quizId) {
+        const base = { row: row.row };
+        if (row.line) base.line = row.line;
+
+        if (row.error) {
+            return { ...base, errors: [{ ...base, field: null, message: row.error }] };
+        }
+
+        const { error, value } = quizValidation.addQuestion.body.validate(row.data, {
+            abortEarly: false,
+            stripUnknown: true,
+        });
+
+        if (error) {
+            return {
+                ...base,
+                errors: error.details.map((d) => ({
+                    ...base,
+                    field: d.path.join('.'),
+                    message: d.message.replace(/['"]/g, ''),
+                })),
+            };
+        }
+
+        // Runs the type-specific checks in the model's pre-validate hook too
+        try {
+            await new QuizQuestion({ ...value, quizId }).validate();
+        } catch (modelError) {
+            return {
+                ...base,
+                errors: Object.values(modelError.errors || {}).map((e) => ({
+                    ...base,
+                    field: e.path,
+                    message: e.message,
+                })),
+            };
+        }
+
+        return { ...base, value, errors: [] };
+    },
+
+    _exportQuestion(question) {
+        const content = pickQuestionContent(question);
+
+        // Drop fields that do not apply to the question type
+        if (!['mcq_single', 'mcq_multiple', 'ordering'].includes(content.questionType)) delete content.options;
+        if (content.questionType !== 'matching') delete content.pairs;
+        if (content.questionType !== 'short_answer') {
+            delete content.acceptedAnswers;
+            delete content.caseSensitive;
+        }
+        if (content.questionType !== 'numeric') delete content.tolerance;
+        if (!['true_false', 'numeric'].includes(content.questionType)) delete content.correctAnswer;
+
+        return content;
+    },
+};
+
+module.exports = quizTransferService;
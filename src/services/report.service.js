@@ -0,0 +1,351 @@
+// src/services/report.service.js
+// Cross-internship analytics built on the per-model stat helpers
+
+const mongoose = require('mongoose');
+const ExcelJS = require('exceljs');
+const { Parser } = require('json2csv');
+const Internship = require('../models/internship.model');
+const InternshipEnrollment = require('../models/enrollment.model');
+const Attendance = require('../models/attendance.model');
+const Assignment = require('../models/assignment.model');
+const Quiz = require('../models/quiz.model');
+const QuizAttempt = require('../models/attempt.model');
+const { AppError } = require('../middlewares/error.middleware');
+const { ROLES } = require('../constants/roles');
+
+const ENROLLMENT_STATUSES = ['pending', 'waitlisted', 'rejected', 'active', 'completed', 'dropped', 'cancelled'];
+
+const reportService = {
+    /**
+     * Dashboard summary for every internship in the caller's scope
+     */
+    async getOverview(currentUser, filters = {}) {
+        const { page = 1, limit = 10, status, trainerId } = filters;
+        const period = this._resolvePeriod(filters);
+
+        const query = {};
+        if (currentUser.role === ROLES.TRAINER) {
+            query.trainerId = currentUser.userId;
+        } else if (trainerId) {
+            query.trainerId = trainerId;
+        }
+        if (status) query.status = status;
+
+        const skip = (page - 1) * limit;
+
+        const [internships, total] = await Promise.all([
+            Internship.find(query)
+                .populate('trainerId', 'name email')
+                .sort({ startDate: -1 })
+                .skip(skip)
+                .limit(Number(limit))
+                .lean(),
+            Internship.countDocuments(query),
+        ]);
+
+        const summaries = await Promise.all(
+            internships.map(async (internship) => {
+                const dashboard = await this._buildDashboard(internship, period);
+
+                // Per-student and per-item breakdowns only in the detailed report
+                delete dashboard.attendance.students;
+                delete dashboard.assignments.items;
+                delete dashboard.quizzes.items;
+
+                return dashboard;
+            })
+        );
+
+        return {
+            internships: summaries,
+            pagination: {
+                page: Number(page),
+                limit: Number(limit),
+                total,
+            },
+        };
+    },
+
+    /**
+     * Full dashboard for a single internship
+     */
+    async getInternshipReport(internshipId, currentUser, filters = {}) {
+        const internship = await this._getScopedInternship(internshipId, currentUser);
+        const period = this._resolvePeriod(filters);
+
+        return this._buildDashboard(internship, period);
+    },
+
+    /**
+     * Export a single internship dashboard as CSV or Excel
+     */
+    async exportInternshipReport(internshipId, currentUser, filters = {}) {
+        const report = await this.getInternshipReport(internshipId, currentUser, filters);
+
+        const rows = [
+            ...ENROLLMENT_STATUSES.map((key) => ({
+                Section: 'Enrollment',
+                Item: report.internship.title,
+                Metric: key,
+                Value: report.enrollment[key],
+            })),
+            {
+                Section: 'Attendance',
+                Item: `${report.period.month}/${report.period.year}`,
+                Metric: 'averagePercentage',
+                Value: report.attendance.averagePercentage,
+            },
+            ...report.assignments.items.map((a) => ({
+                Section: 'Assignment',
+                Item: a.title,
+                Metric: 'completionRate',
+                Value: a.completionRate,
+            })),
+            ...report.quizzes.items.map((q) => ({
+                Section: 'Quiz',
+                Item: q.title,
+                Metric: 'passRate',
+                Value: q.passRate,
+            })),
+        ];
+
+        if (filters.format === 'csv') {
+            const parser = new Parser();
+            return Buffer.from(parser.parse(rows));
+        }
+
+        const workbook = new ExcelJS.Workbook();
+
+        const summarySheet = workbook.addWorksheet('Summary');
+        summarySheet.columns = [
+            { header: 'Section', key: 'Section', width: 15 },
+            { header: 'Item', key: 'Item', width: 40 },
+            { header: 'Metric', key: 'Metric', width: 20 },
+            { header: 'Value', key: 'Value', width: 12 },
+        ];
+        summarySheet.addRows(rows);
+
+        const attendanceSheet = workbook.addWorksheet('Attendance');
+        attendanceSheet.columns = [
+            { header: 'Student', key: 'studentName', width: 25 },
+            { header: 'Email', key: 'studentEmail', width: 30 },
+            { header: 'Present', key: 'present', width: 10 },
+            { header: 'Absent', key: 'absent', width: 10 },
+            { header: 'Late', key: 'late', width: 10 },
+            { header: 'Excused', key: 'excused', width: 10 },
+            { header: 'Half Day', key: 'halfDay', width: 10 },
+            { header: 'Percentage', key: 'percentage', width: 12 },
+        ];
+        attendanceSheet.addRows(report.attendance.students);
+
+        [summarySheet, attendanceSheet].forEach((sheet) => {
+            sheet.getRow(1).font = { bold: true };
+        });
+
+        return await workbook.xlsx.writeBuffer();
+    },
+
+    // ==========================================
+    // HELPER METHODS
+    // ==========================================
+
+    /**
+     * Load an internship and verify the caller may report on it
+     */
+    async _getScopedInternship(internshipId, currentUser) {
+        const internship = await Internship.findById(internshipId)
+            .populate('trainerId', 'name email')
+            .lean();
+
+        if (!internship) {
+            throw new AppError('Internship not found', 404);
+        }
+
+        if (
+            currentUser.role === ROLES.TRAINER &&
+            internship.trainerId?._id?.toString() !== currentUser.userId.toString()
+        ) {
+            throw new AppError('Not authorized to view reports for this internship', 403);
+        }
+
+        return internship;
+    },
+
+    /**
+     * Default to the current month when no period is requested
+     */
+    _resolvePeriod(filters) {
+        const now = new Date();
+        return {
+            month: Number(filters.month) || now.getMonth() + 1,
+            year: Number(filters.year) || now.getFullYear(),
+        };
+    },
+
+    /**
+     * Percentage rounded to two decimals, 0 when the base is empty
+     */
+    _percentage(part, whole) {
+        if (!whole) return 0;
+        return Number(((part / whole) * 100).toFixed(2));
+    },
+
+    /**
+     * Assemble all dashboard sections for one internship
+     */
+    async _buildDashboard(internship, period) {
+        const [enrollment, attendance, assignments, quizzes] = await Promise.all([
+            this._getEnrollmentFunnel(internship),
+            this._getAttendanceSummary(internship._id, period),
+            this._getAssignmentCompletion(internship._id),
+            this._getQuizPassRates(internship._id),
+        ]);
+
+        return {
+            internship: {
+                id: internship._id,
+                title: internship.title,
+                status: internship.status,
+                startDate: internship.startDate,
+                endDate: internship.endDate,
+                trainer: internship.trainerId,
+            },
+            period,
+            enrollment,
+            attendance,
+            assignments,
+            quizzes,
+        };
+    },
+
+    /**
+     * Enrollment counts per Enrollment status
+     */
+    async _getEnrollmentFunnel(internship) {
+        const grouped = await InternshipEnrollment.aggregate([
+            { $match: { internshipId: new mongoose.Types.ObjectId(internship._id) } },
+            { $group: { _id: '$status', count: { $sum: 1 } } },
+        ]);
+
+        const funnel = Object.fromEntries(ENROLLMENT_STATUSES.map((s) => [s, 0]));
+        grouped.forEach((g) => {
+            funnel[g._id] = g.count;
+        });
+
+        const total = Object.values(funnel).reduce((sum, n) => sum + n, 0);
+        const admitted = funnel.active + funnel.completed + funnel.dropped;
+
+        return {
+            ...funnel,
+            total,
+            totalSeats: internship.totalSeats,
+            seatUtilization: internship.totalSeats
+                ? this._percentage(funnel.active + funnel.completed, internship.totalSeats)
+                : null,
+            completionRate: this._percentage(funnel.completed, admitted),
+            dropRate: this._percentage(funnel.dropped, admitted),
+        };
+    },
+
+    /**
+     * Attendance for the period from Attendance.getInternshipMonthlyReport
+     */
+    async _getAttendanceSummary(internshipId, period) {
+        const students = await Attendance.getInternshipMonthlyReport(
+            internshipId,
+            period.month,
+            period.year
+        );
+
+        const totals = { present: 0, absent: 0, late: 0, excused: 0, halfDay: 0, total: 0 };
+        students.forEach((row) => {
+            Object.keys(totals).forEach((key) => {
+                totals[key] += row[key] || 0;
+            });
+        });
+
+        const averagePercentage = students.length
+            ? Number((students.reduce((sum, row) => sum + row.percentage, 0) / students.length).toFixed(2))
+            : 0;
+
+        return {
+            studentsTracked: students.length,
+            totals,
+            averagePercentage,
+            students,
+        };
+    },
+
+    /**
+     * Completion per published assignment from Assignment.getSubmissionStats
+     */
+    async _getAssignmentCompletion(internshipId) {
+        const assignments = await Assignment.find({
+            internshipId,
+            status: { $in: ['published', 'closed'] },
+        }).sort({ dueDate: 1 });
+
+        const items = await Promise.all(
+            assignments.map(async (assignment) => {
+                const stats = await assignment.getSubmissionStats();
+                return {
+                    id: assignment._id,
+                    title: assignment.title,
+                    dueDate: assignment.dueDate,
+                    status: assignment.status,
+                    ...stats,
+                    completionRate: this._percentage(stats.submitted, stats.totalStudents),
+                };
+            })
+        );
+
+        return {
+            count: items.length,
+            averageCompletion: items.length
+                ? Number((items.reduce((sum, a) => sum + a.completionRate, 0) / items.length).toFixed(2))
+                : 0,
+            items,
+        };
+    },
+
+    /**
+     * Pass rate per published quiz from Quiz.getAttemptStats
+     */
+    async _getQuizPassRates(internshipId) {
+        const quizzes = await Quiz.find({
+            internshipId,
+            status: { $in: ['published', 'closed'] },
+        }).sort({ createdAt: 1 });
+
+        const items = await Promise.all(
+            quizzes.map(async (quiz) => {
+                const stats = await quiz.getAttemptStats();
+
+                // Pass/fail per student follows the quiz's attemptScoring rule
+                const counted = await QuizAttempt.getCountedResults(quiz);
+                const passedBy = [...counted.values()].filter((r) => r.isPassed).length;
+
+                return {
+                    id: quiz._id,
+                    title: quiz.title,
+                    status: quiz.status,
+                    attemptScoring: quiz.attemptScoring,
+                    ...stats,
+                    averageScore: Number(stats.averageScore),
+                    passedBy,
+                    passRate: this._percentage(passedBy, stats.attemptedBy),
+                };
+            })
+        );
+
+        return {
+            count: items.length,
+            averagePassRate: items.length
+                ? Number((items.reduce((sum, q) => sum + q.passRate, 0) / items.length).toFixed(2))
+                : 0,
+            items,
+        };
+    },
+};
+
+module.exports = reportService;
@@ -0,0 +1,303 @@
+// src/utils/gift.util.js
+// Moodle GIFT text format: parse into QuizQuestion fields and serialize back
+//
+// Supported: multiple choice (single and weighted multi-answer), true/false,
+// short answer, numeric (value:tolerance or min..max), matching and essay.
+// GIFT has no marks, so a `// marks: N` comment directly above a question sets
+// them; ordering questions have no GIFT equivalent and are skipped on export.
+
+// Escaped special characters are swapped for placeholders while parsing
+const ESCAPES = {
+  '\\\\': '\u0007',
+  '\\~': '\u0001',
+  '\\=': '\u0002',
+  '\\#': '\u0003',
+  '\\{': '\u0004',
+  '\\}': '\u0005',
+  '\\:': '\u0006',
+};
+
+const PLACEHOLDERS = Object.fromEntries(
+  Object.entries(ESCAPES).map(([escaped, placeholder]) => [placeholder, escaped.slice(1)])
+);
+
+class GiftUtil {
+  /**
+   * Parse GIFT text into [{ row, line, data } | { row, line, error }]
+   */
+  static parse(text) {
+    const lines = String(text).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split('\n');
+    const results = [];
+
+    let block = [];
+    let blockStart = 1;
+
+    const flush = () => {
+      const content = block.filter((l) => !/^\s*\$CATEGORY:/i.test(l));
+      const hasQuestion = content.some((l) => l.trim() && !l.trim().startsWith('//'));
+
+      if (hasQuestion) {
+        const row = results.length + 1;
+        try {
+          results.push({ row, line: blockStart, data: this._parseQuestion(content) });
+        } catch (error) {
+          results.push({ row, line: blockStart, error: error.message });
+        }
+      }
+      block = [];
+    };
+
+    lines.forEach((line, index) => {
+      if (line.trim() === '') {
+        flush();
+        blockStart = index + 2;
+        return;
+      }
+      if (block.length === 0) blockStart = index + 1;
+      block.push(line);
+    });
+    flush();
+
+    return results;
+  }
+
+  /**
+   * Serialize QuizQuestion documents to GIFT text
+   */
+  static serialize(questions) {
+    return questions
+      .map((question, index) => this._serializeQuestion(question, index + 1))
+      .join('\n\n') + '\n';
+  }
+
+  // ==========================================
+  // HELPER METHODS
+  // ==========================================
+
+  static _protect(text) {
+    return Object.entries(ESCAPES).reduce(
+      (result, [escaped, placeholder]) => result.split(escaped).join(placeholder),
+      text
+    );
+  }
+
+  static _restore(text) {
+    return text
+      .replace(/[\u0001-\u0007]/g, (ch) => PLACEHOLDERS[ch])
+      .replace(/\\n/g, '\n')
+      .trim();
+  }
+
+  static _escape(text) {
+    return String(text).replace(/[\\~=#{}:]/g, (ch) => `\\${ch}`).replace(/\n/g, '\\n');
+  }
+
+  static _parseQuestion(lines) {
+    let marks;
+    const body = [];
+
+    lines.forEach((line) => {
+      const trimmed = line.trim();
+      if (!trimmed.startsWith('//')) {
+        body.push(line);
+        return;
+      }
+      const meta = trimmed.match(/^\/\/\s*marks:\s*(\d+(?:\.\d+)?)\s*$/i);
+      if (meta) marks = Number(meta[1]);
+    });
+
+    let text = this._protect(body.join('\n'));
+
+    // Optional ::title::
+    text = text.replace(/^\s*::[\s\S]*?::/, '');
+
+    const open = text.indexOf('{');
+    const close = text.lastIndexOf('}');
+    if (open === -1 || close < open) {
+      throw new Error('Missing answer block {...}');
+    }
+
+    const before = text.slice(0, open).replace(/^\s*\[(html|moodle|plain|markdown)\]/i, '');
+    const after = text.slice(close + 1).trim();
+    const questionText = this._restore(after ? `${before.trim()} _____ ${after}` : before);
+
+    let answerBlock = text.slice(open + 1, close);
+    let explanation;
+
+    const generalFeedback = answerBlock.indexOf('####');
+    if (generalFeedback !== -1) {
+      explanation = this._restore(answerBlock.slice(generalFeedback + 4));
+      answerBlock = answerBlock.slice(0, generalFeedback);
+    }
+
+    const data = {
+      questionText,
+      ...this._parseAnswerBlock(answerBlock.trim()),
+    };
+
+    if (marks !== undefined) data.marks = marks;
+    if (explanation) data.explanation = explanation;
+
+    return data;
+  }
+
+  static _parseAnswerBlock(block) {
+    if (block === '') {
+      return { questionType: 'descriptive' };
+    }
+
+    const trueFalse = block.match(/^(T|TRUE|F|FALSE)\s*(#.*)?$/is);
+    if (trueFalse) {
+      return {
+        questionType: 'true_false',
+        correctAnswer: ['T', 'TRUE'].includes(trueFalse[1].toUpperCase()),
+      };
+    }
+
+    if (block.startsWith('#')) {
+      return this._parseNumeric(block.slice(1));
+    }
+
+    const answers = this._splitAnswers(block);
+    if (answers.length === 0) {
+      throw new Error('Answer block has no answers');
+    }
+
+    const allEquals = answers.every((a) => a.marker === '=');
+
+    if (allEquals && answers.some((a) => a.text.includes('->'))) {
+      return {
+        questionType: 'matching',
+        pairs: answers.map((a) => {
+          const [left, right] = a.text.split('->');
+          if (right === undefined) {
+            throw new Error(`Matching answer "${this._restore(a.text)}" is missing "->"`);
+          }
+          return { left: this._restore(left), right: this._restore(right) };
+        }),
+      };
+    }
+
+    if (allEquals) {
+      return {
+        questionType: 'short_answer',
+        acceptedAnswers: answers.map((a) => this._restore(a.text)),
+      };
+    }
+
+    const options = answers.map((a) => ({
+      optionText: this._restore(a.text),
+      isCorrect: a.marker === '=' || (a.weight !== null && a.weight > 0),
+    }));
+    const weighted = answers.some((a) => a.weight !== null);
+    const correctCount = options.filter((o) => o.isCorrect).length;
+
+    return {
+      questionType: weighted || correctCount > 1 ? 'mcq_multiple' : 'mcq_single',
+      options,
+    };
+  }
+
+  static _splitAnswers(block) {
+    const answers = [];
+    const pattern = /([=~])([^=~]*)/g;
+    let match;
+
+    while ((match = pattern.exec(block)) !== null) {
+      let answerText = match[2];
+
+      // Per-answer feedback is not stored
+      const feedback = answerText.indexOf('#');
+      if (feedback !== -1) answerText = answerText.slice(0, feedback);
+
+      let weight = null;
+      const weightMatch = answerText.match(/^\s*%(-?\d+(?:\.\d+)?)%/);
+      if (weightMatch) {
+        weight = Number(weightMatch[1]);
+        answerText = answerText.slice(weightMatch[0].length);
+      }
+
+      answers.push({ marker: match[1], weight, text: answerText.trim() });
+    }
+
+    return answers;
+  }
+
+  static _parseNumeric(block) {
+    // Only the first (full-credit) answer is used
+    const first = block.replace(/^\s*=\s*(%\d+%)?/, '').split(/[=~#]/)[0].trim();
+
+    const range = first.match(/^(-?[\d.]+)\s*\.\.\s*(-?[\d.]+)$/);
+    if (range) {
+      const min = Number(range[1]);
+      const max = Number(range[2]);
+      if (Number.isNaN(min) || Number.isNaN(max) || max < min) {
+        throw new Error(`Invalid numeric range "${first}"`);
+      }
+      return {
+        questionType: 'numeric',
+        correctAnswer: (min + max) / 2,
+        tolerance: (max - min) / 2,
+      };
+    }
+
+    const [value, tolerance = '0'] = first.replace(/\u0006/g, ':').split(':');
+    if (value.trim() === '' || Number.isNaN(Number(value)) || Number.isNaN(Number(tolerance))) {
+      throw new Error(`Invalid numeric answer "${first}"`);
+    }
+
+    return {
+      questionType: 'numeric',
+      correctAnswer: Number(value),
+      tolerance: Math.abs(Number(tolerance)),
+    };
+  }
+
+  static _serializeQuestion(question, index) {
+    const title = `::Q${index}::`;
+    const text = this._escape(question.questionText);
+    const explanation = question.explanation
+      ? `\n\t####${this._escape(question.explanation)}`
+      : '';
+    const header = `// marks: ${question.marks}\n${title}${text}`;
+
+    switch (question.questionType) {
+      case 'true_false':
+        return `${header} {${question.correctAnswer ? 'TRUE' : 'FALSE'}${explanation}}`;
+
+      case 'mcq_single':
+        return `${header} {\n${question.options
+          .map((o) => `\t${o.isCorrect ? '=' : '~'}${this._escape(o.optionText)}`)
+          .join('\n')}${explanation}\n}`;
+
+      case 'mcq_multiple': {
+        const correctCount = question.options.filter((o) => o.isCorrect).length;
+        const share = Number((100 / correctCount).toFixed(5));
+        return `${header} {\n${question.options
+          .map((o) => `\t~%${o.isCorrect ? share : -100}%${this._escape(o.optionText)}`)
+          .join('\n')}${explanation}\n}`;
+      }
+
+      case 'short_answer':
+        return `${header} {\n${question.acceptedAnswers
+          .map((a) => `\t=${this._escape(a)}`)
+          .join('\n')}${explanation}\n}`;
+
+      case 'numeric':
+        return `${header} {#${question.correctAnswer}:${question.tolerance || 0}${explanation}}`;
+
+      case 'matching':
+        return `${header} {\n${question.pairs
+          .map((p) => `\t=${this._escape(p.left)} -> ${this._escape(p.right)}`)
+          .join('\n')}${explanation}\n}`;
+
+      case 'descriptive':
+        return `${header} {${explanation}}`;
+
+      default:
+        return `// Skipped ${question.questionType} question (not supported by GIFT): ${question.questionText.replace(/\n/g, ' ')}`;
+    }
+  }
+}
+
+module.exports = GiftUtil;
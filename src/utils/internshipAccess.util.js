@@ -0,0 +1,34 @@
+// src/utils/internshipAccess.util.js
+// Shared ownership check for trainer/admin internship management
+
+const Internship = require('../models/internship.model');
+const { AppError } = require('../middlewares/error.middleware');
+const { ROLES } = require('../constants/roles');
+
+/**
+ * Load an internship the user may manage: admins any, trainers only their own.
+ * Every other role is refused, so callers do not depend on the route guards alone.
+ */
+const getManagedInternship = async (internshipId, userId, userRole) => {
+    const internship = await Internship.findById(internshipId);
+    if (!internship) {
+        throw new AppError('Internship not found', 404);
+    }
+
+    if (userRole === ROLES.ADMIN) {
+        return internship;
+    }
+
+    if (
+        userRole !== ROLES.TRAINER ||
+        internship.trainerId?.toString() !== userId.toString()
+    ) {
+        throw new AppError('Access denied to this internship', 403);
+    }
+
+    return internship;
+};
+
+module.exports = {
+    getManagedInternship,
+};
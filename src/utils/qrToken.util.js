@@ -0,0 +1,46 @@
+// src/utils/qrToken.util.js
+// HMAC-signed rotating tokens for QR attendance sessions
+//
+// Format: <sessionId>.<window>.<signature>, where signature is
+// HMAC-SHA256(sessionSecret, "<sessionId>.<window>") in base64url.
+
+const crypto = require('crypto');
+
+class QrTokenUtil {
+  static sign(sessionId, window, secret) {
+    const payload = `${sessionId}.${window}`;
+    return `${payload}.${this._signature(payload, secret)}`;
+  }
+
+  /**
+   * Split a token into its parts without checking the signature (null if malformed)
+   */
+  static parse(token) {
+    const parts = String(token || '').trim().split('.');
+    if (parts.length !== 3) return null;
+
+    const [sessionId, window, signature] = parts;
+    if (!/^[0-9a-fA-F]{24}$/.test(sessionId) || !/^\d+$/.test(window) || !signature) {
+      return null;
+    }
+
+    return { sessionId, window: Number(window), signature };
+  }
+
+  static verify(parsed, secret) {
+    const expected = Buffer.from(this._signature(`${parsed.sessionId}.${parsed.window}`, secret));
+    const actual = Buffer.from(parsed.signature);
+
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  static generateSecret() {
+    return crypto.randomBytes(32).toString('hex');
+  }
+
+  static _signature(payload, secret) {
+    return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+  }
+}
+
+module.exports = QrTokenUtil;
@@ -0,0 +1,53 @@
+// src/utils/shuffle.util.js
+// Deterministic (seeded) shuffling utilities
+
+const crypto = require('crypto');
+
+class ShuffleUtil {
+  /**
+   * Generate a random 32-bit seed
+   */
+  static generateSeed() {
+    return crypto.randomBytes(4).readUInt32BE(0);
+  }
+
+  /**
+   * Mulberry32 PRNG: same seed always yields the same sequence in [0, 1)
+   */
+  static createRandom(seed) {
+    let state = seed >>> 0;
+
+    return () => {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * Derive a sub-seed so each question gets its own option order from one attempt seed
+   */
+  static deriveSeed(seed, key) {
+    const hash = crypto.createHash('sha256').update(`${seed}:${key}`).digest();
+    return hash.readUInt32BE(0);
+  }
+
+  /**
+   * Fisher-Yates shuffle driven by a seed (returns a new array)
+   */
+  static shuffle(items, seed) {
+    const random = this.createRandom(seed);
+    const result = [...items];
+
+    for (let i = result.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [result[i], result[j]] = [result[j], result[i]];
+    }
+
+    return result;
+  }
+}
+
+module.exports = ShuffleUtil;
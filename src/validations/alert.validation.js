@@ -0,0 +1,32 @@
+// src/validations/alert.validation.js
+// Early-warning alert validation schemas
+
+const Joi = require('joi');
+const { commonSchemas } = require('../middlewares/validate.middleware');
+const { ALERT_TYPES } = require('../constants/alertTypes');
+
+const alertValidation = {
+  list: {
+    query: Joi.object({
+      page: commonSchemas.pagination.page,
+      limit: commonSchemas.pagination.limit,
+      unread: Joi.boolean(),
+      type: Joi.string().valid(...Object.values(ALERT_TYPES)),
+      internshipId: commonSchemas.id.optional(),
+    }),
+  },
+
+  markAsRead: {
+    params: Joi.object({
+      id: commonSchemas.id,
+    }),
+  },
+
+  markAllAsRead: {
+    body: Joi.object({
+      internshipId: commonSchemas.id.optional(),
+    }),
+  },
+};
+
+module.exports = alertValidation;
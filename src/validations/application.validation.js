@@ -0,0 +1,60 @@
+// src/validations/application.validation.js
+// Internship application validation schemas
+
+const Joi = require('joi');
+const { commonSchemas } = require('../middlewares/validate.middleware');
+
+const APPLICATION_STATUSES = ['pending', 'waitlisted', 'rejected', 'active', 'cancelled', 'dropped', 'completed'];
+
+const applicationValidation = {
+  openInternships: {
+    query: Joi.object({
+      page: commonSchemas.pagination.page,
+      limit: commonSchemas.pagination.limit,
+      search: Joi.string().trim().max(100).allow(''),
+    }),
+  },
+
+  apply: {
+    body: Joi.object({
+      internshipId: commonSchemas.id,
+      coverNote: Joi.string().trim().max(2000).allow(''),
+    }),
+  },
+
+  myList: {
+    query: Joi.object({
+      status: Joi.string().valid(...APPLICATION_STATUSES),
+    }),
+  },
+
+  withdraw: {
+    params: Joi.object({
+      id: commonSchemas.id,
+    }),
+  },
+
+  list: {
+    params: Joi.object({
+      internshipId: commonSchemas.id,
+    }),
+    query: Joi.object({
+      page: commonSchemas.pagination.page,
+      limit: commonSchemas.pagination.limit,
+      status: Joi.string().valid(...APPLICATION_STATUSES),
+      shortlisted: Joi.boolean(),
+    }),
+  },
+
+  decide: {
+    params: Joi.object({
+      id: commonSchemas.id,
+    }),
+    body: Joi.object({
+      decision: Joi.string().valid('shortlist', 'accept', 'reject').required(),
+      note: Joi.string().trim().max(500).allow('', null),
+    }),
+  },
+};
+
+module.exports = applicationValidation;
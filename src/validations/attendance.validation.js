@@ -136,6 +136,268 @@ const attendanceValidation = {
         }),
     },
 
+    /**
+     * Validation for student self check-in / check-out
+     */
+    selfCheck: {
+        body: Joi.object({
+            internshipId: Joi.string()
+                .required()
+                .regex(/^[0-9a-fA-F]{24}$/)
+                .messages({
+                    'string.pattern.base': 'Invalid internship ID format',
+                    'any.required': 'Internship ID is required',
+                }),
+
+            location: Joi.object({
+                type: Joi.string().valid('Point').default('Point'),
+                coordinates: Joi.array()
+                    .ordered(
+                        Joi.number().min(-180).max(180).required(),
+                        Joi.number().min(-90).max(90).required()
+                    )
+                    .length(2)
+                    .required()
+                    .messages({
+                        'array.length': 'Coordinates must be [longitude, latitude]',
+                    }),
+            })
+                .required()
+                .messages({
+                    'any.required': 'Location is required to check in',
+                }),
+        }),
+    },
+
+    /**
+     * Validation for reviewing a self check-in
+     */
+    reviewAttendance: {
+        params: Joi.object({
+            id: Joi.string()
+                .required()
+                .regex(/^[0-9a-fA-F]{24}$/)
+                .messages({
+                    'string.pattern.base': 'Invalid attendance ID format',
+                    'any.required': 'Attendance ID is required',
+                }),
+        }),
+
+        body: Joi.object({
+            decision: Joi.string()
+                .required()
+                .valid('approved', 'rejected')
+                .messages({
+                    'any.only': 'Decision must be one of: approved, rejected',
+                    'any.required': 'Decision is required',
+                }),
+
+            status: Joi.string()
+                .optional()
+                .valid('present', 'absent', 'late', 'excused', 'half-day')
+                .messages({
+                    'any.only': 'Status must be one of: present, absent, late, excused, half-day',
+                }),
+
+            note: Joi.string()
+                .optional()
+                .allow('', null)
+                .max(500)
+                .messages({
+                    'string.max': 'Note cannot exceed 500 characters',
+                }),
+        }),
+    },
+
+    /**
+     * Validation for opening a QR attendance session
+     */
+    openSession: {
+        body: Joi.object({
+            internshipId: Joi.string()
+                .required()
+                .regex(/^[0-9a-fA-F]{24}$/)
+                .messages({
+                    'string.pattern.base': 'Invalid internship ID format',
+                    'any.required': 'Internship ID is required',
+                }),
+
+            rotationSeconds: Joi.number()
+                .integer()
+                .min(10)
+                .max(300)
+                .default(30)
+                .messages({
+                    'number.min': 'Rotation must be between 10 and 300 seconds',
+                    'number.max': 'Rotation must be between 10 and 300 seconds',
+                }),
+
+            durationMinutes: Joi.number()
+                .integer()
+                .min(1)
+                .max(240)
+                .default(15)
+                .messages({
+                    'number.min': 'Duration must be between 1 and 240 minutes',
+                    'number.max': 'Duration must be between 1 and 240 minutes',
+                }),
+        }),
+    },
+
+    /**
+     * Validation for attendance session routes with :sessionId
+     */
+    sessionById: {
+        params: Joi.object({
+            sessionId: Joi.string()
+                .required()
+                .regex(/^[0-9a-fA-F]{24}$/)
+                .messages({
+                    'string.pattern.base': 'Invalid session ID format',
+                    'any.required': 'Session ID is required',
+                }),
+        }),
+    },
+
+    /**
+     * Validation for redeeming a QR token
+     */
+    redeemToken: {
+        body: Joi.object({
+            token: Joi.string()
+                .required()
+                .max(200)
+                .messages({
+                    'any.required': 'Token is required',
+                }),
+        }),
+    },
+
+    /**
+     * Validation for requesting a correction (multipart; optional evidence file)
+     */
+    createCorrection: {
+        params: Joi.object({
+            id: Joi.string()
+                .required()
+                .regex(/^[0-9a-fA-F]{24}$/)
+                .messages({
+                    'string.pattern.base': 'Invalid attendance ID format',
+                    'any.required': 'Attendance ID is required',
+                }),
+        }),
+
+        body: Joi.object({
+            requestedStatus: Joi.string()
+                .required()
+                .valid('present', 'absent', 'late', 'excused', 'half-day')
+                .messages({
+                    'any.only': 'Requested status must be one of: present, absent, late, excused, half-day',
+                    'any.required': 'Requested status is required',
+                }),
+
+            requestedCheckInTime: Joi.date().optional(),
+
+            requestedCheckOutTime: Joi.date()
+                .optional()
+                .when('requestedCheckInTime', {
+                    is: Joi.exist(),
+                    then: Joi.date().min(Joi.ref('requestedCheckInTime')),
+                })
+                .messages({
+                    'date.min': 'Check-out time must be after check-in time',
+                }),
+
+            reason: Joi.string()
+                .required()
+                .trim()
+                .min(10)
+                .max(1000)
+                .messages({
+                    'string.min': 'Reason must be at least 10 characters',
+                    'string.max': 'Reason cannot exceed 1000 characters',
+                    'any.required': 'Reason is required',
+                }),
+        }),
+    },
+
+    /**
+     * Validation for listing correction requests
+     */
+    getCorrections: {
+        query: Joi.object({
+            status: Joi.string()
+                .optional()
+                .valid('pending', 'approved', 'rejected', 'cancelled'),
+
+            internshipId: Joi.string()
+                .optional()
+                .regex(/^[0-9a-fA-F]{24}$/)
+                .messages({
+                    'string.pattern.base': 'Invalid internship ID format',
+                }),
+
+            studentId: Joi.string()
+                .optional()
+                .regex(/^[0-9a-fA-F]{24}$/)
+                .messages({
+                    'string.pattern.base': 'Invalid student ID format',
+                }),
+
+            page: Joi.number().optional().min(1).default(1),
+
+            limit: Joi.number().optional().min(1).max(100).default(10),
+        }),
+    },
+
+    /**
+     * Validation for cancelling a correction request
+     */
+    correctionById: {
+        params: Joi.object({
+            correctionId: Joi.string()
+                .required()
+                .regex(/^[0-9a-fA-F]{24}$/)
+                .messages({
+                    'string.pattern.base': 'Invalid correction request ID format',
+                    'any.required': 'Correction request ID is required',
+                }),
+        }),
+    },
+
+    /**
+     * Validation for resolving a correction request
+     */
+    resolveCorrection: {
+        params: Joi.object({
+            correctionId: Joi.string()
+                .required()
+                .regex(/^[0-9a-fA-F]{24}$/)
+                .messages({
+                    'string.pattern.base': 'Invalid correction request ID format',
+                    'any.required': 'Correction request ID is required',
+                }),
+        }),
+
+        body: Joi.object({
+            decision: Joi.string()
+                .required()
+                .valid('approved', 'rejected')
+                .messages({
+                    'any.only': 'Decision must be one of: approved, rejected',
+                    'any.required': 'Decision is required',
+                }),
+
+            note: Joi.string()
+                .optional()
+                .allow('', null)
+                .max(500)
+                .messages({
+                    'string.max': 'Note cannot exceed 500 characters',
+                }),
+        }),
+    },
+
     /**
      * Validation for getting attendance with filters
      */
@@ -162,6 +424,10 @@ const attendanceValidation = {
                     'any.only': 'Status must be one of: present, absent, late, excused, half-day',
                 }),
 
+            reviewStatus: Joi.string()
+                .optional()
+                .valid('not_required', 'pending', 'approved', 'rejected'),
+
             startDate: Joi.date().optional(),
 
             endDate: Joi.date()
@@ -361,6 +627,72 @@ const attendanceValidation = {
                     'number.max': 'Year must be between 2000 and 2100',
                     'any.required': 'Year is required',
                 }),
+
+            format: Joi.string()
+                .optional()
+                .valid('json', 'xlsx', 'csv')
+                .default('json')
+                .messages({
+                    'any.only': 'Format must be one of: json, xlsx, csv',
+                }),
+        }),
+    },
+
+    /**
+     * Validation for importing a monthly register (multipart)
+     */
+    importRegister: {
+        params: Joi.object({
+            internshipId: Joi.string()
+                .required()
+                .regex(/^[0-9a-fA-F]{24}$/)
+                .messages({
+                    'string.pattern.base': 'Invalid internship ID format',
+                    'any.required': 'Internship ID is required',
+                }),
+        }),
+
+        body: Joi.object({
+            month: Joi.number()
+                .required()
+                .min(1)
+                .max(12)
+                .messages({
+                    'number.min': 'Month must be between 1 and 12',
+                    'number.max': 'Month must be between 1 and 12',
+                    'any.required': 'Month is required',
+                }),
+
+            year: Joi.number()
+                .required()
+                .min(2000)
+                .max(2100)
+                .messages({
+                    'number.min': 'Year must be between 2000 and 2100',
+                    'number.max': 'Year must be between 2000 and 2100',
+                    'any.required': 'Year is required',
+                }),
+
+            dryRun: Joi.boolean().default(false),
+        }),
+    },
+
+    /**
+     * Validation for the auto-absent dry run
+     */
+    autoAbsentPreview: {
+        params: Joi.object({
+            internshipId: Joi.string()
+                .required()
+                .regex(/^[0-9a-fA-F]{24}$/)
+                .messages({
+                    'string.pattern.base': 'Invalid internship ID format',
+                    'any.required': 'Internship ID is required',
+                }),
+        }),
+
+        query: Joi.object({
+            date: Joi.date().optional(),
         }),
     },
 };
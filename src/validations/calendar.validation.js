@@ -0,0 +1,43 @@
+// src/validations/calendar.validation.js
+// Holiday / working-day calendar validation schemas
+
+const Joi = require('joi');
+const { commonSchemas } = require('../middlewares/validate.middleware');
+
+const calendarValidation = {
+  create: {
+    body: Joi.object({
+      date: Joi.date().iso().required(),
+      endDate: Joi.date().iso().min(Joi.ref('date')).messages({
+        'date.min': 'End date cannot be before date',
+      }),
+      type: Joi.string().valid('holiday', 'working_day').required(),
+      name: Joi.string().max(200).allow(''),
+      internshipId: commonSchemas.id.optional().allow(null),
+    }),
+  },
+
+  list: {
+    query: Joi.object({
+      internshipId: commonSchemas.id.optional(),
+      from: Joi.date().iso(),
+      to: Joi.date().iso().min(Joi.ref('from')),
+    }),
+  },
+
+  workingDays: {
+    query: Joi.object({
+      internshipId: commonSchemas.id,
+      from: Joi.date().iso().required(),
+      to: Joi.date().iso().min(Joi.ref('from')).required(),
+    }),
+  },
+
+  delete: {
+    params: Joi.object({
+      id: commonSchemas.id,
+    }),
+  },
+};
+
+module.exports = calendarValidation;
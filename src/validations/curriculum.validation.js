@@ -0,0 +1,84 @@
+// src/validations/curriculum.validation.js
+// Curriculum module validation schemas
+
+const Joi = require('joi');
+const { commonSchemas } = require('../middlewares/validate.middleware');
+
+const moduleFields = {
+  title: Joi.string().trim().min(3).max(200),
+  description: Joi.string().trim().max(5000).allow('', null),
+  week: Joi.number().integer().min(1).allow(null),
+  objectives: Joi.array().items(Joi.string().trim().max(500)).max(30),
+  startDate: Joi.date().iso().allow(null),
+  endDate: Joi.date().iso().allow(null),
+};
+
+const curriculumValidation = {
+  getCurriculum: {
+    params: Joi.object({
+      internshipId: commonSchemas.id,
+    }),
+  },
+
+  createModule: {
+    params: Joi.object({
+      internshipId: commonSchemas.id,
+    }),
+    body: Joi.object({
+      ...moduleFields,
+      title: moduleFields.title.required(),
+      order: Joi.number().integer().min(1),
+    }),
+  },
+
+  updateModule: {
+    params: Joi.object({
+      id: commonSchemas.id,
+    }),
+    body: Joi.object(moduleFields).min(1),
+  },
+
+  moduleById: {
+    params: Joi.object({
+      id: commonSchemas.id,
+    }),
+  },
+
+  reorderModules: {
+    params: Joi.object({
+      internshipId: commonSchemas.id,
+    }),
+    body: Joi.object({
+      moduleIds: Joi.array().items(commonSchemas.id).min(1).required(),
+    }),
+  },
+
+  setModuleItems: {
+    params: Joi.object({
+      id: commonSchemas.id,
+    }),
+    body: Joi.object({
+      assignmentIds: Joi.array().items(commonSchemas.id).default([]),
+      quizIds: Joi.array().items(commonSchemas.id).default([]),
+    }),
+  },
+
+  addResource: {
+    params: Joi.object({
+      id: commonSchemas.id,
+    }),
+    body: Joi.object({
+      title: Joi.string().trim().min(1).max(200).required(),
+      url: Joi.string().uri({ scheme: ['http', 'https'] }),
+    }),
+  },
+
+  removeResource: {
+    params: Joi.object({
+      id: commonSchemas.id,
+      resourceId: commonSchemas.id,
+    }),
+  },
+};
+
+module.exports = curriculumValidation;
@@ -4,6 +4,13 @@
 const Joi = require('joi');
 const { commonSchemas } = require('../middlewares/validate.middleware');
 
+const TIME_PATTERN = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
 const internshipValidation = {
   create: {
     body: Joi.object({
@@ -67,6 +74,84 @@ const internshipValidation = {
     }),
   },
 
+  setSchedule: {
+    params: Joi.object({
+      id: commonSchemas.id,
+    }),
+    body: Joi.object({
+      slots: Joi.array()
+        .items(
+          Joi.object({
+            dayOfWeek: Joi.number().integer().min(0).max(6).required(),
+            startTime: Joi.string().pattern(TIME_PATTERN).required(),
+            endTime: Joi.string()
+              .pattern(TIME_PATTERN)
+              .required()
+              .custom((value, helpers) => {
+                const { startTime } = helpers.state.ancestors[0];
+                if (startTime && toMinutes(value) <= toMinutes(startTime)) {
+                  return helpers.message('endTime must be after startTime');
+                }
+                return value;
+              }),
+          })
+        )
+        .unique('dayOfWeek')
+        .min(1)
+        .required(),
+      graceMinutes: Joi.number().integer().min(0).max(240).default(10),
+      halfDayThresholdPercent: Joi.number().min(0).max(100).default(50),
+    }),
+  },
+
+  removeSchedule: {
+    params: Joi.object({
+      id: commonSchemas.id,
+    }),
+  },
+
+  setAlertSettings: {
+    params: Joi.object({
+      id: commonSchemas.id,
+    }),
+    body: Joi.object({
+      enabled: Joi.boolean(),
+      attendanceThresholdPercent: Joi.number().min(0).max(100),
+      attendanceWindowDays: Joi.number().integer().min(7).max(90),
+      consecutiveAbsences: Joi.number().integer().min(2).max(30),
+      overdueAssignments: Joi.boolean(),
+      failedQuizzes: Joi.boolean(),
+      repeatAfterDays: Joi.number().integer().min(1).max(60),
+    }).min(1),
+  },
+
+  setGeofence: {
+    params: Joi.object({
+      id: commonSchemas.id,
+    }),
+    body: Joi.object({
+      name: Joi.string().max(200).allow(''),
+      center: Joi.object({
+        type: Joi.string().valid('Point').default('Point'),
+        // GeoJSON order: [longitude, latitude]
+        coordinates: Joi.array()
+          .ordered(
+            Joi.number().min(-180).max(180).required(),
+            Joi.number().min(-90).max(90).required()
+          )
+          .length(2)
+          .required(),
+      }).required(),
+      radiusMeters: Joi.number().min(10).max(50000).required(),
+    }),
+  },
+
+  removeGeofence: {
+    params: Joi.object({
+      id: commonSchemas.id,
+    }),
+  },
+
   getEnrolledStudents: {
     params: Joi.object({
       id: commonSchemas.id,
@@ -77,6 +162,38 @@ const internshipValidation = {
       status: Joi.string().valid('active', 'completed'),
     }),
   },
+
+  clone: {
+    params: Joi.object({
+      id: commonSchemas.id,
+    }),
+    body: Joi.object({
+      title: Joi.string().min(3).max(200),
+      description: Joi.string().min(10).max(2000),
+      startDate: Joi.date().iso().required(),
+      endDate: Joi.date().iso().greater(Joi.ref('startDate')),
+      trainerId: commonSchemas.id.optional(),
+      saveAsTemplate: Joi.boolean().default(false),
+      templateName: Joi.string().trim().min(3).max(200),
+      templateDescription: Joi.string().trim().max(2000).allow(''),
+    }),
+  },
+
+  saveAsTemplate: {
+    params: Joi.object({
+      id: commonSchemas.id,
+    }),
+    body: Joi.object({
+      name: Joi.string().trim().min(3).max(200),
+      description: Joi.string().trim().max(2000).allow(''),
+    }),
+  },
+
+  reconcileSeats: {
+    body: Joi.object({
+      dryRun: Joi.boolean().default(false),
+    }),
+  },
 };
 
 module.exports = internshipValidation;
\ No newline at end of file
@@ -0,0 +1,36 @@
+// src/validations/internshipTemplate.validation.js
+// Internship template validation schemas
+
+const Joi = require('joi');
+const { commonSchemas } = require('../middlewares/validate.middleware');
+
+const internshipTemplateValidation = {
+  list: {
+    query: Joi.object({
+      page: commonSchemas.pagination.page,
+      limit: commonSchemas.pagination.limit,
+      search: Joi.string().trim().max(100).allow(''),
+    }),
+  },
+
+  getById: {
+    params: Joi.object({
+      id: commonSchemas.id,
+    }),
+  },
+
+  instantiate: {
+    params: Joi.object({
+      id: commonSchemas.id,
+    }),
+    body: Joi.object({
+      title: Joi.string().min(3).max(200),
+      description: Joi.string().min(10).max(2000),
+      startDate: Joi.date().iso().required(),
+      endDate: Joi.date().iso().greater(Joi.ref('startDate')),
+      trainerId: commonSchemas.id.optional(),
+    }),
+  },
+};
+
+module.exports = internshipTemplateValidation;
@@ -0,0 +1,63 @@
+// src/validations/leave.validation.js
+// Leave request validation schemas
+
+const Joi = require('joi');
+const { commonSchemas } = require('../middlewares/validate.middleware');
+
+const LEAVE_STATUSES = ['pending', 'approved', 'rejected', 'cancelled'];
+
+const leaveValidation = {
+  create: {
+    body: Joi.object({
+      internshipId: commonSchemas.id,
+      startDate: Joi.date().iso().required(),
+      endDate: Joi.date().iso().min(Joi.ref('startDate')).required().messages({
+        'date.min': 'End date cannot be before start date',
+      }),
+      reason: Joi.string().trim().min(5).max(1000).required(),
+    }),
+  },
+
+  myList: {
+    query: Joi.object({
+      page: commonSchemas.pagination.page,
+      limit: commonSchemas.pagination.limit,
+      status: Joi.string().valid(...LEAVE_STATUSES),
+      internshipId: commonSchemas.id.optional(),
+    }),
+  },
+
+  list: {
+    query: Joi.object({
+      page: commonSchemas.pagination.page,
+      limit: commonSchemas.pagination.limit,
+      status: Joi.string().valid(...LEAVE_STATUSES),
+      internshipId: commonSchemas.id.optional(),
+      studentId: commonSchemas.id.optional(),
+    }),
+  },
+
+  getById: {
+    params: Joi.object({
+      id: commonSchemas.id,
+    }),
+  },
+
+  cancel: {
+    params: Joi.object({
+      id: commonSchemas.id,
+    }),
+  },
+
+  review: {
+    params: Joi.object({
+      id: commonSchemas.id,
+    }),
+    body: Joi.object({
+      decision: Joi.string().valid('approved', 'rejected').required(),
+      note: Joi.string().max(500).allow('', null),
+    }),
+  },
+};
+
+module.exports = leaveValidation;
@@ -0,0 +1,67 @@
+// src/validations/questionBank.validation.js
+// Question bank validation schemas
+
+const Joi = require('joi');
+const { commonSchemas } = require('../middlewares/validate.middleware');
+const { QUESTION_TYPES } = require('../constants/quizTypes');
+const quizValidation = require('./quiz.validation');
+
+const skillsSchema = Joi.array().items(Joi.string().trim().max(100));
+
+const questionBankValidation = {
+  create: {
+    body: quizValidation.addQuestion.body.keys({
+      skills: skillsSchema,
+    }),
+  },
+
+  update: {
+    params: Joi.object({
+      id: commonSchemas.id,
+    }),
+    body: quizValidation.updateQuestion.body.keys({
+      skills: skillsSchema,
+    }),
+  },
+
+  getById: {
+    params: Joi.object({
+      id: commonSchemas.id,
+    }),
+  },
+
+  delete: {
+    params: Joi.object({
+      id: commonSchemas.id,
+    }),
+  },
+
+  list: {
+    query: Joi.object({
+      page: commonSchemas.pagination.page,
+      limit: commonSchemas.pagination.limit,
+      tags: Joi.alternatives().try(
+        Joi.array().items(Joi.string()),
+        Joi.string()
+      ),
+      skill: Joi.string(),
+      difficulty: Joi.string().valid('easy', 'medium', 'hard'),
+      questionType: Joi.string().valid(...Object.values(QUESTION_TYPES)),
+      search: Joi.string().allow(''),
+      isActive: Joi.boolean().default(true),
+    }),
+  },
+
+  importFromQuiz: {
+    params: Joi.object({
+      quizId: commonSchemas.id,
+    }),
+    body: Joi.object({
+      questionIds: Joi.array().items(commonSchemas.id),
+      tags: Joi.array().items(Joi.string().trim().max(50)),
+      skills: skillsSchema,
+    }),
+  },
+};
+
+module.exports = questionBankValidation;
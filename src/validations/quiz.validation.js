@@ -3,7 +3,45 @@
 
 const Joi = require('joi');
 const { commonSchemas } = require('../middlewares/validate.middleware');
-const { QUESTION_TYPES } = require('../constants/quizTypes');
+const {
+  QUESTION_TYPES,
+  MULTI_SELECT_SCORING,
+  NEGATIVE_MARKING,
+  ATTEMPT_SCORING,
+} = require('../constants/quizTypes');
+
+const optionSchema = Joi.object({
+  optionText: Joi.string().trim().min(1).max(500).required(),
+  isCorrect: Joi.boolean().default(false),
+});
+
+const scoringPolicySchema = Joi.object({
+  multiSelect: Joi.string().valid(...Object.values(MULTI_SELECT_SCORING)),
+  negativeMarking: Joi.string().valid(...Object.values(NEGATIVE_MARKING)),
+  sectionFloor: Joi.number().allow(null),
+});
+
+const pairSchema = Joi.object({
+  left: Joi.string().trim().min(1).max(500).required(),
+  right: Joi.string().trim().min(1).max(500).required(),
+});
+
+const acceptedAnswersSchema = Joi.array().items(Joi.string().trim().min(1).max(500)).min(1);
+
+// Option ids (MCQ/ordering), text, boolean, number, or pair id -> text for matching
+const answerValueSchema = Joi.alternatives().try(
+  Joi.string().allow(''),
+  Joi.boolean(),
+  Joi.number(),
+  Joi.array().items(Joi.string()),
+  Joi.object().pattern(/^[0-9a-fA-F]{24}$/, Joi.string().allow(''))
+);
+
+const answerSchema = Joi.object({
+  questionId: commonSchemas.id.required(),
+  answer: answerValueSchema.required(),
+  timeTaken: Joi.number().integer().min(0),
+});
 
 const quizValidation = {
   create: {
@@ -11,11 +49,22 @@ const quizValidation = {
       internshipId: commonSchemas.id.required(),
       title: Joi.string().min(3).max(200).required(),
       description: Joi.string().max(1000),
+      instructions: Joi.string().max(2000).allow('', null),
       totalMarks: Joi.number().integer().min(1).max(1000).default(100),
       duration: Joi.number().integer().min(1).max(300).required(), // minutes
-      passingMarks: Joi.number().integer().min(0),
+      passingMarks: Joi.number().integer().min(0).max(Joi.ref('totalMarks')),
       startDate: Joi.date().iso(),
       endDate: Joi.date().iso().greater(Joi.ref('startDate')),
+      allowMultipleAttempts: Joi.boolean().default(false),
+      maxAttempts: Joi.number().integer().min(1).max(10).default(1),
+      attemptCooldownMinutes: Joi.number().integer().min(0).max(10080).default(0),
+      attemptScoring: Joi.string().valid(...Object.values(ATTEMPT_SCORING)),
+      accessCode: Joi.string().trim().min(4).max(50).allow(null),
+      shuffleQuestions: Joi.boolean().default(false),
+      shuffleOptions: Joi.boolean().default(false),
+      showCorrectAnswers: Joi.boolean().default(true),
+      showResultsImmediately: Joi.boolean().default(true),
+      scoringPolicy: scoringPolicySchema,
     }),
   },
 
@@ -26,12 +75,23 @@ const quizValidation = {
     body: Joi.object({
       title: Joi.string().min(3).max(200),
       description: Joi.string().max(1000),
+      instructions: Joi.string().max(2000).allow('', null),
       totalMarks: Joi.number().integer().min(1).max(1000),
       duration: Joi.number().integer().min(1).max(300),
       passingMarks: Joi.number().integer().min(0),
-      startDate: Joi.date().iso(),
-      endDate: Joi.date().iso(),
-    }),
+      startDate: Joi.date().iso().allow(null),
+      endDate: Joi.date().iso().allow(null),
+      allowMultipleAttempts: Joi.boolean(),
+      maxAttempts: Joi.number().integer().min(1).max(10),
+      attemptCooldownMinutes: Joi.number().integer().min(0).max(10080),
+      attemptScoring: Joi.string().valid(...Object.values(ATTEMPT_SCORING)),
+      accessCode: Joi.string().trim().min(4).max(50).allow(null),
+      shuffleQuestions: Joi.boolean(),
+      shuffleOptions: Joi.boolean(),
+      showCorrectAnswers: Joi.boolean(),
+      showResultsImmediately: Joi.boolean(),
+      scoringPolicy: scoringPolicySchema,
+    }).min(1),
   },
 
   getById: {
@@ -46,12 +106,52 @@ const quizValidation = {
     }),
   },
 
+  publish: {
+    params: Joi.object({
+      id: commonSchemas.id,
+    }),
+  },
+
+  close: {
+    params: Joi.object({
+      id: commonSchemas.id,
+    }),
+  },
+
+  releaseResults: {
+    params: Joi.object({
+      id: commonSchemas.id,
+    }),
+    body: Joi.object({
+      released: Joi.boolean().default(true),
+    }),
+  },
+
   list: {
     query: Joi.object({
       page: commonSchemas.pagination.page,
       limit: commonSchemas.pagination.limit,
       internshipId: commonSchemas.id.optional(),
       status: Joi.string().valid('draft', 'published', 'closed'),
+      search: Joi.string().allow(''),
+    }),
+  },
+
+  studentList: {
+    query: Joi.object({
+      page: commonSchemas.pagination.page,
+      limit: commonSchemas.pagination.limit,
+      internshipId: commonSchemas.id.optional(),
+      status: Joi.string().valid('published', 'closed'),
+    }),
+  },
+
+  getByInternship: {
+    params: Joi.object({
+      internshipId: commonSchemas.id,
+    }),
+    query: Joi.object({
+      status: Joi.string().valid('draft', 'published', 'closed'),
     }),
   },
 
@@ -61,20 +161,51 @@ const quizValidation = {
     }),
     body: Joi.object({
       questionText: Joi.string().min(5).max(1000).required(),
-      type: Joi.string()
+      questionType: Joi.string()
         .valid(...Object.values(QUESTION_TYPES))
         .required(),
-      options: Joi.array().items(Joi.string()).min(2).when('type', {
-        is: Joi.valid('single_choice', 'multiple_choice', 'true_false'),
+      // For ordering questions, options are the items in their correct order
+      options: Joi.array().items(optionSchema).min(2).when('questionType', {
+        is: Joi.valid(QUESTION_TYPES.MCQ_SINGLE, QUESTION_TYPES.MCQ_MULTIPLE, QUESTION_TYPES.ORDERING),
+        then: Joi.required(),
+        otherwise: Joi.forbidden(),
+      }),
+      correctAnswer: Joi.when('questionType', {
+        switch: [
+          { is: QUESTION_TYPES.TRUE_FALSE, then: Joi.boolean().required() },
+          { is: QUESTION_TYPES.NUMERIC, then: Joi.number().required() },
+        ],
+        otherwise: Joi.forbidden(),
+      }),
+      tolerance: Joi.number().min(0).when('questionType', {
+        is: QUESTION_TYPES.NUMERIC,
+        then: Joi.optional(),
+        otherwise: Joi.forbidden(),
+      }),
+      acceptedAnswers: acceptedAnswersSchema.when('questionType', {
+        is: QUESTION_TYPES.SHORT_ANSWER,
         then: Joi.required(),
-        otherwise: Joi.optional(),
+        otherwise: Joi.forbidden(),
       }),
-      correctAnswer: Joi.alternatives().try(
-        Joi.string(),
-        Joi.array().items(Joi.string())
-      ).required(),
+      caseSensitive: Joi.boolean().when('questionType', {
+        is: QUESTION_TYPES.SHORT_ANSWER,
+        then: Joi.optional(),
+        otherwise: Joi.forbidden(),
+      }),
+      pairs: Joi.array().items(pairSchema).min(2).unique((a, b) => a.right.toLowerCase() === b.right.toLowerCase())
+        .when('questionType', {
+          is: QUESTION_TYPES.MATCHING,
+          then: Joi.required(),
+          otherwise: Joi.forbidden(),
+        }),
       marks: Joi.number().min(1).required(),
-      explanation: Joi.string().max(500),
+      negativeMarks: Joi.number().min(0).default(0),
+      explanation: Joi.string().max(1000).allow('', null),
+      difficulty: Joi.string().valid('easy', 'medium', 'hard'),
+      section: Joi.string().trim().max(100).allow(null),
+      imageUrl: Joi.string().uri().allow(null),
+      order: Joi.number().integer().min(0),
+      tags: Joi.array().items(Joi.string().trim().max(50)),
     }),
   },
 
@@ -85,14 +216,22 @@ const quizValidation = {
     }),
     body: Joi.object({
       questionText: Joi.string().min(5).max(1000),
-      options: Joi.array().items(Joi.string()).min(2),
-      correctAnswer: Joi.alternatives().try(
-        Joi.string(),
-        Joi.array().items(Joi.string())
-      ),
+      options: Joi.array().items(optionSchema).min(2),
+      correctAnswer: Joi.alternatives().try(Joi.boolean(), Joi.number()),
+      tolerance: Joi.number().min(0),
+      acceptedAnswers: acceptedAnswersSchema,
+      caseSensitive: Joi.boolean(),
+      pairs: Joi.array().items(pairSchema).min(2),
       marks: Joi.number().min(1),
-      explanation: Joi.string().max(500),
-    }),
+      negativeMarks: Joi.number().min(0),
+      explanation: Joi.string().max(1000).allow('', null),
+      difficulty: Joi.string().valid('easy', 'medium', 'hard'),
+      section: Joi.string().trim().max(100).allow(null),
+      imageUrl: Joi.string().uri().allow(null),
+      order: Joi.number().integer().min(0),
+      tags: Joi.array().items(Joi.string().trim().max(50)),
+      isActive: Joi.boolean(),
+    }).min(1),
   },
 
   deleteQuestion: {
@@ -102,20 +241,149 @@ const quizValidation = {
     }),
   },
 
-  attemptQuiz: {
+  addFromBank: {
+    params: Joi.object({
+      id: commonSchemas.id,
+    }),
+    body: Joi.object({
+      bankQuestionIds: Joi.array().items(commonSchemas.id).min(1).max(100).required(),
+    }),
+  },
+
+  setQuestionPools: {
     params: Joi.object({
       id: commonSchemas.id,
     }),
     body: Joi.object({
-      answers: Joi.array().items(
+      pools: Joi.array().items(
+        Joi.object({
+          tags: Joi.array().items(Joi.string().trim().max(50)).default([]),
+          skills: Joi.array().items(Joi.string().trim().max(100)).default([]),
+          difficulty: Joi.string().valid('easy', 'medium', 'hard').allow(null).default(null),
+          questionType: Joi.string().valid(...Object.values(QUESTION_TYPES)).allow(null).default(null),
+          count: Joi.number().integer().min(1).max(100).required(),
+          marks: Joi.number().min(1).allow(null).default(null),
+        })
+      ).max(20).required(),
+    }),
+  },
+
+  importQuestions: {
+    params: Joi.object({
+      id: commonSchemas.id,
+    }),
+    body: Joi.object({
+      format: Joi.string().valid('gift', 'json', 'xlsx'),
+      dryRun: Joi.boolean().default(false),
+    }),
+  },
+
+  exportQuiz: {
+    params: Joi.object({
+      id: commonSchemas.id,
+    }),
+    query: Joi.object({
+      format: Joi.string().valid('gift', 'json').default('json'),
+    }),
+  },
+
+  setAccommodation: {
+    params: Joi.object({
+      id: commonSchemas.id,
+      studentId: commonSchemas.id,
+    }),
+    body: Joi.object({
+      extraTimeMinutes: Joi.number().integer().min(0).max(600),
+      extendedEndDate: Joi.date().iso().allow(null),
+      note: Joi.string().max(500).allow('', null),
+    }).custom((value, helpers) => {
+      // An accommodation must actually change something for the student
+      if (!(value.extraTimeMinutes > 0) && !value.extendedEndDate) {
+        return helpers.message('Provide extraTimeMinutes greater than 0 or an extendedEndDate');
+      }
+      return value;
+    }),
+  },
+
+  removeAccommodation: {
+    params: Joi.object({
+      id: commonSchemas.id,
+      studentId: commonSchemas.id,
+    }),
+  },
+
+  startAttempt: {
+    params: Joi.object({
+      id: commonSchemas.id,
+    }),
+    body: Joi.object({
+      accessCode: Joi.string().trim().max(50),
+    }),
+  },
+
+  saveAnswers: {
+    params: Joi.object({
+      attemptId: commonSchemas.id,
+    }),
+    body: Joi.object({
+      answers: Joi.array().items(answerSchema).min(1).required(),
+    }),
+  },
+
+  submitAttempt: {
+    params: Joi.object({
+      attemptId: commonSchemas.id,
+    }),
+    body: Joi.object({
+      answers: Joi.array().items(answerSchema),
+    }),
+  },
+
+  getAttempt: {
+    params: Joi.object({
+      attemptId: commonSchemas.id,
+    }),
+  },
+
+  reviewAttempt: {
+    params: Joi.object({
+      attemptId: commonSchemas.id,
+    }),
+  },
+
+  evaluateAttempt: {
+    params: Joi.object({
+      attemptId: commonSchemas.id,
+    }),
+    body: Joi.object({
+      additionalMarks: Joi.number().min(0).default(0),
+      feedback: Joi.string().max(1000).allow('', null),
+    }),
+  },
+
+  gradingQueue: {
+    params: Joi.object({
+      id: commonSchemas.id,
+    }),
+    query: Joi.object({
+      page: commonSchemas.pagination.page,
+      limit: commonSchemas.pagination.limit,
+    }),
+  },
+
+  gradeAnswers: {
+    params: Joi.object({
+      attemptId: commonSchemas.id,
+    }),
+    body: Joi.object({
+      grades: Joi.array().items(
         Joi.object({
           questionId: commonSchemas.id.required(),
-          answer: Joi.alternatives().try(
-            Joi.string(),
-            Joi.array().items(Joi.string())
-          ).required(),
+          marks: Joi.number().min(0).required(),
+          comment: Joi.string().max(1000).allow('', null),
         })
-      ).required(),
+      ).min(1).unique('questionId').required(),
+      feedback: Joi.string().max(1000).allow('', null),
     }),
   },
 
@@ -127,8 +395,21 @@ const quizValidation = {
       page: commonSchemas.pagination.page,
       limit: commonSchemas.pagination.limit,
       studentId: commonSchemas.id.optional(),
+      status: Joi.string().valid('in_progress', 'submitted', 'evaluated', 'expired'),
+    }),
+  },
+
+  itemAnalysis: {
+    params: Joi.object({
+      id: commonSchemas.id,
+    }),
+  },
+
+  getStats: {
+    params: Joi.object({
+      id: commonSchemas.id,
     }),
   },
 };
 
-module.exports = quizValidation;
\ No newline at end of file
+module.exports = quizValidation;
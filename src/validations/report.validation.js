@@ -0,0 +1,41 @@
+// src/validations/report.validation.js
+// Report validation schemas
+
+const Joi = require('joi');
+const { commonSchemas } = require('../middlewares/validate.middleware');
+
+const periodQuery = {
+  month: Joi.number().integer().min(1).max(12),
+  year: Joi.number().integer().min(2000).max(2100),
+};
+
+const reportValidation = {
+  overview: {
+    query: Joi.object({
+      page: commonSchemas.pagination.page,
+      limit: commonSchemas.pagination.limit,
+      status: Joi.string().valid('draft', 'active', 'ongoing', 'completed', 'cancelled'),
+      trainerId: commonSchemas.id.optional(),
+      ...periodQuery,
+    }),
+  },
+
+  internship: {
+    params: Joi.object({
+      internshipId: commonSchemas.id,
+    }),
+    query: Joi.object(periodQuery),
+  },
+
+  exportInternship: {
+    params: Joi.object({
+      internshipId: commonSchemas.id,
+    }),
+    query: Joi.object({
+      format: Joi.string().valid('csv', 'xlsx').default('xlsx'),
+      ...periodQuery,
+    }),
+  },
+};
+
+module.exports = reportValidation;
@@ -0,0 +1,113 @@
+// test/application.test.js
+// Accepting applications into free seats, the waitlist, and promotion when a seat frees up
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const InternshipEnrollment = require('../src/models/enrollment.model');
+const applicationService = require('../src/services/application.service');
+const { query } = require('./helpers/query');
+const { seatStore } = require('./helpers/seatStore');
+
+const { ObjectId } = mongoose.Types;
+
+const admin = { userId: new ObjectId(), role: 'admin' };
+
+const internshipRow = (totalSeats, enrolledCount = 0) => ({
+    _id: new ObjectId(),
+    title: 'Backend internship',
+    status: 'active',
+    trainerId: new ObjectId(),
+    totalSeats,
+    enrolledCount,
+    seatHolds: [],
+    seatVersion: 0,
+});
+
+const enrollmentRow = (internship, status, waitlistedAt = null) => ({
+    _id: new ObjectId(),
+    internshipId: internship._id,
+    studentId: new ObjectId(),
+    status,
+    waitlistedAt,
+    application: { coverNote: '', appliedAt: new Date(2026, 8, 1) },
+});
+
+test('accepting takes a free seat, and waitlists the student once the internship is full', async (t) => {
+    const internship = internshipRow(1);
+    const first = enrollmentRow(internship, 'pending');
+    const second = enrollmentRow(internship, 'pending');
+    seatStore(t, { internships: [internship], enrollments: [first, second] });
+
+    const accepted = await applicationService.decide(first._id, { decision: 'accept' }, admin);
+    const waitlisted = await applicationService.decide(second._id, { decision: 'accept' }, admin);
+
+    assert.strictEqual(accepted.status, 'active');
+    assert.strictEqual(waitlisted.status, 'waitlisted');
+    assert.strictEqual(waitlisted.waitlistPosition, 1);
+    assert.strictEqual(internship.enrolledCount, 1);
+    assert.deepStrictEqual(internship.seatHolds, []);
+});
+
+test('withdrawing an active student hands the seat to the head of the waitlist', async (t) => {
+    const internship = internshipRow(1, 1);
+    const leaving = enrollmentRow(internship, 'active');
+    const head = enrollmentRow(internship, 'waitlisted', new Date(2026, 8, 2));
+    const behind = enrollmentRow(internship, 'waitlisted', new Date(2026, 8, 3));
+
+    // Stored out of order, so promotion has to follow waitlistedAt
+    seatStore(t, { internships: [internship], enrollments: [leaving, behind, head] });
+
+    await applicationService.withdraw(leaving._id, leaving.studentId);
+
+    assert.strictEqual(leaving.status, 'dropped');
+    assert.strictEqual(head.status, 'active');
+    assert.strictEqual(behind.status, 'waitlisted');
+    assert.strictEqual(internship.enrolledCount, 1);
+    assert.deepStrictEqual(internship.seatHolds, []);
+});
+
+test('withdrawing a waitlisted application keeps every seat as it was', async (t) => {
+    const internship = internshipRow(1, 1);
+    const waiting = enrollmentRow(internship, 'waitlisted', new Date(2026, 8, 2));
+    seatStore(t, { internships: [internship], enrollments: [waiting] });
+
+    await applicationService.withdraw(waiting._id, waiting.studentId);
+
+    assert.strictEqual(waiting.status, 'cancelled');
+    assert.strictEqual(internship.enrolledCount, 1);
+    assert.strictEqual(internship.seatVersion, 0);
+});
+
+test('a seat reserved for an application withdrawn meanwhile is handed back', async (t) => {
+    const internship = internshipRow(2);
+    const application = enrollmentRow(internship, 'pending');
+    seatStore(t, { internships: [internship], enrollments: [application] });
+
+    // The trainer's request loaded the application before the student withdrew it
+    const loaded = InternshipEnrollment.hydrate({ ...application });
+    t.mock.method(InternshipEnrollment, 'findById', () => query(loaded));
+    application.status = 'cancelled';
+
+    await assert.rejects(
+        applicationService.decide(application._id, { decision: 'accept' }, admin),
+        { statusCode: 409 }
+    );
+
+    assert.strictEqual(application.status, 'cancelled');
+    assert.strictEqual(internship.enrolledCount, 0);
+    assert.deepStrictEqual(internship.seatHolds, []);
+});
+
+test('a student is refused when the application is not theirs', async (t) => {
+    const internship = internshipRow(1);
+    const application = enrollmentRow(internship, 'pending');
+    seatStore(t, { internships: [internship], enrollments: [application] });
+
+    await assert.rejects(
+        applicationService.withdraw(application._id, new ObjectId()),
+        { statusCode: 403 }
+    );
+
+    assert.strictEqual(application.status, 'pending');
+});
@@ -0,0 +1,54 @@
+// test/attendanceRevision.test.js
+// Revisions for bulk-inserted attendance when part of the batch is rejected
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const Attendance = require('../src/models/attendance.model');
+const AttendanceRevision = require('../src/models/attendanceRevision.model');
+const CalendarDay = require('../src/models/calendarDay.model');
+const Enrollment = require('../src/models/enrollment.model');
+const Internship = require('../src/models/internship.model');
+const attendanceAutoAbsentService = require('../src/services/attendanceAutoAbsent.service');
+const { query } = require('./helpers/query');
+
+test('a duplicate in the auto-absent batch still leaves revisions for the other rows', async (t) => {
+    // Monday 5 October, after the default 20:00 cutoff; the internship starts that day
+    const now = new Date(2026, 9, 5, 21, 0);
+    const internship = new Internship({
+        title: 'Backend internship',
+        status: 'active',
+        startDate: new Date(2026, 9, 5),
+        endDate: new Date(2026, 11, 18),
+    });
+    const studentIds = [1, 2, 3].map(() => new mongoose.Types.ObjectId());
+
+    t.mock.method(Internship, 'find', () => query([internship]));
+    t.mock.method(CalendarDay, 'find', () => query([]));
+    t.mock.method(Enrollment, 'find', () => query(studentIds.map((studentId) => ({ studentId }))));
+    t.mock.method(Attendance, 'distinct', async () => []);
+
+    const revisions = [];
+    t.mock.method(AttendanceRevision, 'insertMany', async (docs) => {
+        revisions.push(...docs);
+        return docs;
+    });
+
+    // The second student was marked by a trainer meanwhile; the driver inserts the rest (ordered: false)
+    t.mock.method(Attendance.collection, 'insertMany', async () => {
+        const error = new Error('E11000 duplicate key error');
+        error.code = 11000;
+        error.writeErrors = [{ index: 1, code: 11000, errmsg: 'E11000 duplicate key error' }];
+        throw error;
+    });
+
+    const marked = await attendanceAutoAbsentService.markUnmarkedAbsent(now);
+
+    assert.strictEqual(marked, 2);
+    assert.strictEqual(revisions.length, 2);
+    assert.deepStrictEqual(
+        revisions.map((revision) => revision.studentId.toString()),
+        [studentIds[0], studentIds[2]].map(String)
+    );
+    assert.ok(revisions.every((revision) => revision.action === 'create'));
+});
@@ -0,0 +1,143 @@
+// test/attendanceSession.test.js
+// Which rotating QR tokens a student can still redeem
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const Attendance = require('../src/models/attendance.model');
+const AttendanceSession = require('../src/models/attendanceSession.model');
+const Enrollment = require('../src/models/enrollment.model');
+const Internship = require('../src/models/internship.model');
+const attendanceSessionService = require('../src/services/attendanceSession.service');
+const QrTokenUtil = require('../src/utils/qrToken.util');
+const { query } = require('./helpers/query');
+
+const { ObjectId } = mongoose.Types;
+
+const ROTATION_SECONDS = 30;
+const admin = { userId: new ObjectId(), role: 'admin' };
+
+/**
+ * An open session in its fourth rotation window, with one enrolled student who has
+ * not checked in yet; returns the session and the attendance records saved
+ */
+const openSession = (t) => {
+    const now = Date.now();
+    const internship = new Internship({
+        title: 'Backend internship',
+        status: 'active',
+        startDate: new Date(now - 7 * 24 * 60 * 60 * 1000),
+        endDate: new Date(now + 60 * 24 * 60 * 60 * 1000),
+    });
+
+    const today = new Date(now);
+    today.setHours(0, 0, 0, 0);
+
+    const session = new AttendanceSession({
+        internshipId: internship._id,
+        openedBy: admin.userId,
+        date: today,
+        openedAt: new Date(now - (3 * ROTATION_SECONDS + 5) * 1000),
+        rotationSeconds: ROTATION_SECONDS,
+        expiresAt: new Date(now + 10 * 60 * 1000),
+        secret: QrTokenUtil.generateSecret(),
+    });
+
+    t.mock.method(AttendanceSession, 'findById', () => query(session));
+    t.mock.method(AttendanceSession, 'updateOne', () => query({ modifiedCount: 1 }));
+    t.mock.method(Internship, 'findById', () => query(internship));
+    t.mock.method(Enrollment, 'findOne', () => query({ _id: new ObjectId(), status: 'active' }));
+    t.mock.method(Attendance, 'findOne', () => query(null));
+
+    const saved = [];
+    t.mock.method(Attendance.prototype, 'save', async function () {
+        saved.push(this);
+        return this;
+    });
+    t.mock.method(Attendance.prototype, 'populate', async function () {
+        return this;
+    });
+
+    return { session, saved };
+};
+
+// Let the session run on by the given number of rotations
+const rotate = (session, windows) => {
+    session.openedAt = new Date(session.openedAt.getTime() - windows * ROTATION_SECONDS * 1000);
+};
+
+const displayedToken = async (session) => {
+    const { token } = await attendanceSessionService.getCurrentToken(session._id, admin.userId, admin.role);
+    return token;
+};
+
+test('the token on display checks the student in', async (t) => {
+    const { session, saved } = openSession(t);
+    const studentId = new ObjectId();
+
+    const attendance = await attendanceSessionService.redeemToken({ token: await displayedToken(session) }, studentId);
+
+    assert.strictEqual(saved.length, 1);
+    assert.strictEqual(attendance.status, 'present');
+    assert.strictEqual(attendance.studentId.toString(), studentId.toString());
+    assert.strictEqual(attendance.sessionId.toString(), session._id.toString());
+});
+
+test('a token from the previous rotation is still accepted', async (t) => {
+    const { session, saved } = openSession(t);
+    const token = await displayedToken(session);
+
+    rotate(session, 1);
+    await attendanceSessionService.redeemToken({ token }, new ObjectId());
+
+    assert.strictEqual(saved.length, 1);
+});
+
+test('a token two rotations old has expired', async (t) => {
+    const { session, saved } = openSession(t);
+    const token = await displayedToken(session);
+
+    rotate(session, 2);
+
+    await assert.rejects(
+        attendanceSessionService.redeemToken({ token }, new ObjectId()),
+        { statusCode: 400, message: /expired/ }
+    );
+    assert.strictEqual(saved.length, 0);
+});
+
+test('a token for a window not displayed yet is refused', async (t) => {
+    const { session, saved } = openSession(t);
+    const token = QrTokenUtil.sign(session._id.toString(), session.getWindow() + 1, session.secret);
+
+    await assert.rejects(
+        attendanceSessionService.redeemToken({ token }, new ObjectId()),
+        { statusCode: 400, message: /expired/ }
+    );
+    assert.strictEqual(saved.length, 0);
+});
+
+test('a token signed with another secret is invalid', async (t) => {
+    const { session, saved } = openSession(t);
+    const token = QrTokenUtil.sign(session._id.toString(), session.getWindow(), QrTokenUtil.generateSecret());
+
+    await assert.rejects(
+        attendanceSessionService.redeemToken({ token }, new ObjectId()),
+        { statusCode: 400, message: 'Invalid QR code' }
+    );
+    assert.strictEqual(saved.length, 0);
+});
+
+test('nothing is accepted or displayed once the session has expired', async (t) => {
+    const { session, saved } = openSession(t);
+    const token = await displayedToken(session);
+
+    session.expiresAt = new Date(Date.now() - 1000);
+
+    await assert.rejects(
+        attendanceSessionService.redeemToken({ token }, new ObjectId()),
+        { statusCode: 400, message: 'Attendance session has ended' }
+    );
+    await assert.rejects(displayedToken(session), { statusCode: 400 });
+    assert.strictEqual(saved.length, 0);
+});
@@ -0,0 +1,142 @@
+// test/calendar.test.js
+// Working days from the holiday calendar and timetable, and attendance percentages over them
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const Attendance = require('../src/models/attendance.model');
+const CalendarDay = require('../src/models/calendarDay.model');
+const Enrollment = require('../src/models/enrollment.model');
+const Internship = require('../src/models/internship.model');
+const attendanceService = require('../src/services/attendance.service');
+const calendarService = require('../src/services/calendar.service');
+const { query } = require('./helpers/query');
+
+const { ObjectId } = mongoose.Types;
+
+const september = (day) => new Date(2026, 8, day);
+
+const internshipFor = (t, fields = {}) => {
+    const internship = new Internship({
+        title: 'Backend internship',
+        status: 'active',
+        trainerId: new ObjectId(),
+        startDate: september(1),
+        endDate: new Date(2026, 11, 18),
+        ...fields,
+    });
+
+    t.mock.method(Internship, 'findById', () => query(internship));
+    return internship;
+};
+
+const calendar = (t, entries) => {
+    t.mock.method(CalendarDay, 'find', () => query(entries));
+};
+
+test('weekdays are working days unless the calendar says otherwise', async (t) => {
+    const internship = internshipFor(t);
+    calendar(t, [
+        { internshipId: null, date: september(2), type: 'holiday' },
+        { internshipId: internship._id, date: september(5), type: 'working_day' },
+        // The internship's own entry wins over the organization's
+        { internshipId: internship._id, date: september(12), type: 'holiday' },
+        { internshipId: null, date: september(12), type: 'working_day' },
+    ]);
+
+    const { days, total } = await calendarService.getWorkingDays(internship._id, september(1), september(13));
+
+    assert.deepStrictEqual(days, [
+        '2026-09-01', '2026-09-03', '2026-09-04', '2026-09-05',
+        '2026-09-07', '2026-09-08', '2026-09-09', '2026-09-10', '2026-09-11',
+    ]);
+    assert.strictEqual(total, 9);
+});
+
+test('with a timetable only its session days are working days', async (t) => {
+    const internship = internshipFor(t, {
+        schedule: {
+            slots: [
+                { dayOfWeek: 1, startTime: '09:00', endTime: '13:00' },
+                { dayOfWeek: 3, startTime: '14:00', endTime: '17:00' },
+            ],
+        },
+    });
+    calendar(t, [{ internshipId: null, date: september(9), type: 'holiday' }]);
+
+    const { days } = await calendarService.getWorkingDays(internship._id, september(1), september(13));
+
+    assert.deepStrictEqual(days, ['2026-09-02', '2026-09-07']);
+});
+
+test('working days are limited to the internship period', async (t) => {
+    const internship = internshipFor(t, { startDate: september(3), endDate: september(8) });
+    calendar(t, []);
+
+    const { days } = await calendarService.getWorkingDays(internship._id, september(1), september(30));
+
+    assert.deepStrictEqual(days, ['2026-09-03', '2026-09-04', '2026-09-07', '2026-09-08']);
+});
+
+test('monthly stats and the internship report agree on percentages over the calendar', async (t) => {
+    const internship = internshipFor(t);
+    const studentId = new ObjectId();
+    const absentee = new ObjectId();
+
+    // September 2026 has 22 weekdays; the 2nd is a holiday
+    calendar(t, [{ internshipId: null, date: september(2), type: 'holiday' }]);
+
+    const record = (day, status, leaveRequestId = null) => ({
+        _id: new ObjectId(),
+        studentId,
+        date: september(day),
+        status,
+        leaveRequestId,
+    });
+    const records = [
+        record(1, 'present'),
+        record(3, 'late'),
+        record(4, 'half-day'),
+        record(7, 'excused', new ObjectId()),
+        record(8, 'absent'),
+    ];
+    const counts = { total: 5, present: 1, absent: 1, late: 1, excused: 0, onLeave: 1, halfDay: 1 };
+
+    t.mock.method(Attendance, 'find', (filter) =>
+        query(records.filter((r) => !filter.studentId || r.studentId.toString() === filter.studentId.toString())));
+    t.mock.method(Attendance, 'aggregate', async (pipeline) => {
+        const groupBy = pipeline[1].$group._id;
+        if (groupBy === null) return [{ ...counts, totalDuration: 0 }];
+        if (groupBy === '$studentId') return [{ ...counts, studentId, studentName: 'Asha' }];
+        return [];
+    });
+    t.mock.method(Enrollment, 'find', () => query([
+        { studentId: { _id: studentId, name: 'Asha' } },
+        { studentId: { _id: absentee, name: 'Ravi' } },
+    ]));
+
+    const { stats, missingDates } = await attendanceService.getMonthlyStats(
+        internship._id, studentId, 9, 2026, studentId, 'student'
+    );
+
+    // 2.5 days attended of 21 working days, one of them on approved leave
+    assert.strictEqual(stats.expectedDays, 21);
+    assert.strictEqual(stats.attended, 2.5);
+    assert.strictEqual(stats.percentage, 12.5);
+    assert.strictEqual(stats.missing, 16);
+    assert.strictEqual(missingDates[0], '2026-09-09');
+
+    const { report } = await attendanceService.getInternshipMonthlyData(
+        internship._id, 9, 2026, new ObjectId(), 'admin'
+    );
+    const [asha, ravi] = report.studentReports;
+
+    assert.strictEqual(report.expectedDays, 21);
+    assert.strictEqual(asha.percentage, stats.percentage);
+    assert.strictEqual(asha.missing, stats.missing);
+
+    // Enrolled without a single record: every working day is missing
+    assert.strictEqual(ravi.studentId, absentee);
+    assert.strictEqual(ravi.percentage, 0);
+    assert.strictEqual(ravi.missing, 21);
+});
@@ -0,0 +1,18 @@
+// test/helpers/query.js
+// Stand-in for a Mongoose query in service tests: chainable, and resolves to a fixed result
+const CHAINED = ['select', 'populate', 'sort', 'skip', 'limit', 'lean', 'session'];
+
+const query = (result) => {
+    const chain = {
+        exec: () => Promise.resolve(result),
+        then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+    };
+
+    CHAINED.forEach((method) => {
+        chain[method] = () => chain;
+    });
+
+    return chain;
+};
+
+module.exports = { query };
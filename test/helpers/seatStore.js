@@ -0,0 +1,116 @@
+// test/helpers/seatStore.js
+// In-memory internships and enrollments behind the Internship and InternshipEnrollment
+// models, so the seat and waitlist flows run against real counters without MongoDB
+const Internship = require('../../src/models/internship.model');
+const InternshipEnrollment = require('../../src/models/enrollment.model');
+const User = require('../../src/models/user.model');
+const { query } = require('./query');
+
+const isPlain = (value) => Boolean(value) && Object.getPrototypeOf(value) === Object.prototype;
+const sameId = (a, b) => String(a) === String(b);
+
+// Enough of the query language for the filters the seat and waitlist flows send
+const matches = (row, filter) => Object.entries(filter).every(([key, condition]) => {
+    if (key === '$or') {
+        return condition.some((branch) => matches(row, branch));
+    }
+
+    if (key === '$expr') {
+        const [left, right] = condition.$lt.map((field) => row[field.slice(1)]);
+        return left < right;
+    }
+
+    const value = row[key];
+
+    if (isPlain(condition)) {
+        if ('$in' in condition) return condition.$in.some((item) => sameId(item, value));
+        if ('$gt' in condition) return value > condition.$gt;
+        if ('$lt' in condition) return value < condition.$lt;
+    }
+
+    if (condition === null) {
+        return value === null || value === undefined;
+    }
+
+    return sameId(value, condition);
+});
+
+const apply = (row, update) => {
+    Object.entries(update.$set || {}).forEach(([path, value]) => {
+        const keys = path.split('.');
+        const last = keys.pop();
+        const target = keys.reduce((node, key) => {
+            node[key] = node[key] || {};
+            return node[key];
+        }, row);
+        target[last] = value;
+    });
+
+    Object.entries(update.$inc || {}).forEach(([field, by]) => {
+        row[field] = (row[field] || 0) + by;
+    });
+
+    Object.entries(update.$push || {}).forEach(([field, item]) => {
+        row[field] = [...(row[field] || []), item];
+    });
+
+    Object.entries(update.$pull || {}).forEach(([field, item]) => {
+        row[field] = (row[field] || []).filter((existing) => !sameId(existing._id, item._id));
+    });
+};
+
+// Copies handed to the services, so only updates change the stored rows
+const copy = (row) => Object.fromEntries(
+    Object.entries(row).map(([key, value]) => [
+        key,
+        Array.isArray(value) ? [...value] : isPlain(value) ? { ...value } : value,
+    ])
+);
+
+const hydrate = (Model, row) => (row ? Model.hydrate(copy(row)) : null);
+
+/**
+ * Mock the models onto in-memory rows; the rows are updated in place, so a test
+ * can inspect them (or change them to simulate a concurrent request) at any point
+ */
+const seatStore = (t, { internships = [], enrollments = [] } = {}) => {
+    const byWaitlistOrder = (a, b) => (a.waitlistedAt || 0) - (b.waitlistedAt || 0);
+    const findRow = (rows, filter) => rows.filter((row) => matches(row, filter)).sort(byWaitlistOrder)[0];
+
+    const updateRow = (rows, filter, update) => {
+        const row = findRow(rows, filter);
+        if (row) apply(row, update);
+        return row;
+    };
+
+    t.mock.method(Internship, 'findById', (id) => query(hydrate(Internship, findRow(internships, { _id: id }))));
+    t.mock.method(Internship, 'find', () => query(internships.map(copy)));
+    t.mock.method(Internship, 'findOneAndUpdate', (filter, update) =>
+        query(hydrate(Internship, updateRow(internships, filter, update))));
+    t.mock.method(Internship, 'updateOne', (filter, update) =>
+        query({ modifiedCount: updateRow(internships, filter, update) ? 1 : 0 }));
+
+    t.mock.method(InternshipEnrollment, 'findById', (id) =>
+        query(hydrate(InternshipEnrollment, findRow(enrollments, { _id: id }))));
+    t.mock.method(InternshipEnrollment, 'findOne', (filter) =>
+        query(hydrate(InternshipEnrollment, findRow(enrollments, filter))));
+    t.mock.method(InternshipEnrollment, 'findOneAndUpdate', (filter, update) =>
+        query(hydrate(InternshipEnrollment, updateRow(enrollments, filter, update))));
+    t.mock.method(InternshipEnrollment, 'countDocuments', (filter) =>
+        query(enrollments.filter((row) => matches(row, filter)).length));
+    t.mock.method(InternshipEnrollment, 'aggregate', async () => {
+        const counts = new Map();
+        enrollments
+            .filter((row) => row.status === 'active')
+            .forEach((row) => counts.set(String(row.internshipId), (counts.get(String(row.internshipId)) || 0) + 1));
+
+        return [...counts].map(([internshipId, count]) => ({ _id: internshipId, count }));
+    });
+
+    // No notification emails
+    t.mock.method(User, 'findById', () => query(null));
+
+    return { internships, enrollments };
+};
+
+module.exports = { seatStore };
@@ -0,0 +1,146 @@
+// test/leave.test.js
+// Approving a leave request excuses the student's working days in the leave period
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const Attendance = require('../src/models/attendance.model');
+const CalendarDay = require('../src/models/calendarDay.model');
+const Internship = require('../src/models/internship.model');
+const LeaveRequest = require('../src/models/leaveRequest.model');
+const leaveService = require('../src/services/leave.service');
+const DateUtil = require('../src/utils/date.util');
+const { query } = require('./helpers/query');
+
+const { ObjectId } = mongoose.Types;
+
+/**
+ * A pending leave from Thursday 3 to Tuesday 8 September 2026, where Monday 7 is an
+ * organization holiday, Thursday is already marked absent and Friday present
+ */
+const pendingLeave = (t) => {
+    const trainerId = new ObjectId();
+    const internship = new Internship({
+        title: 'Backend internship',
+        status: 'active',
+        trainerId,
+        startDate: new Date(2026, 8, 1),
+        endDate: new Date(2026, 11, 18),
+    });
+
+    const request = new LeaveRequest({
+        internshipId: internship._id,
+        studentId: new ObjectId(),
+        startDate: new Date(2026, 8, 3),
+        endDate: new Date(2026, 8, 8),
+        reason: 'Family wedding',
+    });
+
+    const marked = (date, status) => new Attendance({
+        internshipId: internship._id,
+        studentId: request.studentId,
+        date,
+        month: date.getMonth() + 1,
+        year: date.getFullYear(),
+        status,
+    });
+
+    const existing = new Map([
+        ['2026-09-03', marked(new Date(2026, 8, 3), 'absent')],
+        ['2026-09-04', marked(new Date(2026, 8, 4), 'present')],
+    ]);
+
+    t.mock.method(LeaveRequest, 'findById', () => query(request));
+    t.mock.method(LeaveRequest.prototype, 'save', async function () {
+        return this;
+    });
+    t.mock.method(LeaveRequest.prototype, 'populate', async function () {
+        return this;
+    });
+    t.mock.method(Internship, 'findById', () => query(internship));
+    t.mock.method(CalendarDay, 'find', () =>
+        query([{ internshipId: null, date: new Date(2026, 8, 7), type: 'holiday', name: 'Founders day' }]));
+    t.mock.method(Attendance, 'findOne', (filter) =>
+        query(existing.get(DateUtil.formatDate(filter.date.$gte)) || null));
+
+    const saved = [];
+    t.mock.method(Attendance.prototype, 'save', async function () {
+        saved.push(this);
+        return this;
+    });
+
+    const created = [];
+    t.mock.method(Attendance, 'create', async (data) => {
+        created.push(data);
+        return data;
+    });
+
+    return { request, trainerId, existing, saved, created };
+};
+
+test('approving leave excuses its working days and turns absences into leave', async (t) => {
+    const { request, trainerId, existing, saved, created } = pendingLeave(t);
+
+    const reviewed = await leaveService.reviewLeaveRequest(
+        request._id,
+        { decision: 'approved', note: 'Enjoy' },
+        trainerId,
+        'trainer'
+    );
+
+    assert.strictEqual(reviewed.status, 'approved');
+
+    // Thursday's absence and Tuesday; Friday keeps its attendance, the weekend and holiday are skipped
+    assert.strictEqual(reviewed.excusedDays, 2);
+
+    const absence = existing.get('2026-09-03');
+    assert.deepStrictEqual(saved, [absence]);
+    assert.strictEqual(absence.status, 'excused');
+    assert.strictEqual(absence.leaveRequestId.toString(), request._id.toString());
+    assert.strictEqual(existing.get('2026-09-04').status, 'present');
+
+    assert.deepStrictEqual(created.map((record) => DateUtil.formatDate(record.date)), ['2026-09-08']);
+    assert.strictEqual(created[0].status, 'excused');
+    assert.strictEqual(created[0].leaveRequestId, request._id);
+});
+
+test('rejecting leave leaves attendance alone', async (t) => {
+    const { request, trainerId, existing, saved, created } = pendingLeave(t);
+
+    const reviewed = await leaveService.reviewLeaveRequest(
+        request._id,
+        { decision: 'rejected' },
+        trainerId,
+        'trainer'
+    );
+
+    assert.strictEqual(reviewed.status, 'rejected');
+    assert.strictEqual(existing.get('2026-09-03').status, 'absent');
+    assert.deepStrictEqual(saved, []);
+    assert.deepStrictEqual(created, []);
+});
+
+test('only the internship trainer or an admin can decide', async (t) => {
+    const { request, saved, created } = pendingLeave(t);
+
+    for (const role of ['trainer', 'student']) {
+        await assert.rejects(
+            leaveService.reviewLeaveRequest(request._id, { decision: 'approved' }, new ObjectId(), role),
+            { statusCode: 403 }
+        );
+    }
+
+    assert.strictEqual(request.status, 'pending');
+    assert.deepStrictEqual(saved, []);
+    assert.deepStrictEqual(created, []);
+});
+
+test('a decided request cannot be decided again', async (t) => {
+    const { request, trainerId } = pendingLeave(t);
+    request.status = 'rejected';
+
+    await assert.rejects(
+        leaveService.reviewLeaveRequest(request._id, { decision: 'approved' }, trainerId, 'trainer'),
+        { statusCode: 400 }
+    );
+});
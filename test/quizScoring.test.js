@@ -0,0 +1,261 @@
+// test/quizScoring.test.js
+// Scoring of a submitted attempt: question types, the quiz's scoring policy and percentages
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const InternshipEnrollment = require('../src/models/enrollment.model');
+const Quiz = require('../src/models/quiz.model');
+const QuizAttempt = require('../src/models/attempt.model');
+const QuizQuestion = require('../src/models/question.model');
+const quizService = require('../src/services/quiz.service');
+const { MULTI_SELECT_SCORING, NEGATIVE_MARKING } = require('../src/constants/quizTypes');
+const { query } = require('./helpers/query');
+
+const { ObjectId } = mongoose.Types;
+
+const option = (optionText, isCorrect = false) => ({ optionText, isCorrect });
+
+/**
+ * Submit one attempt at a quiz made of `questions`, each { answer, ...question fields };
+ * an answer may be a function of the saved question (for option and pair ids), and
+ * questions without one are left unanswered
+ */
+const submit = async (t, { questions, scoringPolicy = {}, totalMarks = null }) => {
+    const docs = questions.map(({ answer, ...fields }) => new QuizQuestion({ questionText: 'Question', ...fields }));
+
+    const quiz = new Quiz({
+        title: 'Week 1 check',
+        internshipId: new ObjectId(),
+        totalMarks: totalMarks ?? docs.reduce((sum, question) => sum + question.marks, 0),
+        passingMarks: 1,
+        scoringPolicy,
+        showResultsImmediately: true,
+    });
+
+    const studentId = new ObjectId();
+    const attempt = new QuizAttempt({
+        quizId: quiz._id,
+        studentId,
+        attemptNumber: 1,
+        servedQuestions: docs.map((question) => question._id),
+        totalQuestions: docs.length,
+        startedAt: new Date(Date.now() - 60 * 1000),
+        expiresAt: new Date(Date.now() + 10 * 60 * 1000),
+        status: 'in_progress',
+    });
+
+    const byId = new Map(docs.map((question) => [question._id.toString(), question]));
+
+    t.mock.method(QuizAttempt, 'findById', () => query(attempt));
+    t.mock.method(QuizAttempt.prototype, 'save', async function () {
+        return this;
+    });
+    t.mock.method(Quiz, 'findById', () => query(quiz));
+    t.mock.method(QuizQuestion, 'findById', (id) => query(byId.get(id.toString()) || null));
+    t.mock.method(QuizQuestion, 'find', () =>
+        query(docs.map((question) => ({ _id: question._id, marks: question.marks }))));
+    t.mock.method(InternshipEnrollment, 'findOne', () => query(null));
+
+    const answers = questions
+        .map(({ answer }, index) => ({
+            questionId: docs[index]._id,
+            answer: typeof answer === 'function' ? answer(docs[index]) : answer,
+        }))
+        .filter(({ answer }) => answer !== undefined);
+
+    return quizService.submitAttempt(attempt._id, studentId, answers);
+};
+
+test('every question type is scored against its answer key', async (t) => {
+    const result = await submit(t, {
+        questions: [
+            {
+                questionType: 'mcq_single',
+                options: [option('Stack'), option('Queue', true)],
+                answer: (question) => question.options[1]._id,
+            },
+            { questionType: 'true_false', correctAnswer: true, answer: true },
+            { questionType: 'numeric', correctAnswer: 3.14, tolerance: 0.01, answer: '3.145' },
+            {
+                questionType: 'short_answer',
+                acceptedAnswers: ['Event loop'],
+                answer: '  event   LOOP ',
+            },
+            {
+                questionType: 'matching',
+                pairs: [{ left: 'GET', right: 'Read' }, { left: 'POST', right: 'Create' }],
+                answer: (question) => ({
+                    [question.pairs[0]._id]: 'read',
+                    [question.pairs[1]._id]: 'Create',
+                }),
+            },
+            {
+                questionType: 'ordering',
+                options: [option('Install'), option('Build'), option('Deploy')],
+                answer: (question) => question.options.map((item) => item._id),
+            },
+        ],
+    });
+
+    assert.strictEqual(result.correctAnswers, 6);
+    assert.strictEqual(result.incorrectAnswers, 0);
+    assert.strictEqual(result.score, 6);
+    assert.strictEqual(result.percentage, 100);
+});
+
+test('wrong answers of each type are not credited', async (t) => {
+    const result = await submit(t, {
+        scoringPolicy: { negativeMarking: NEGATIVE_MARKING.NONE },
+        questions: [
+            { questionType: 'numeric', correctAnswer: 3.14, tolerance: 0.01, answer: '3.2' },
+            { questionType: 'short_answer', acceptedAnswers: ['Event loop'], answer: 'Call stack' },
+            {
+                questionType: 'ordering',
+                options: [option('Install'), option('Build'), option('Deploy')],
+                answer: (question) => [...question.options].reverse().map((item) => item._id),
+            },
+        ],
+    });
+
+    assert.strictEqual(result.correctAnswers, 0);
+    assert.strictEqual(result.incorrectAnswers, 3);
+    assert.strictEqual(result.score, 0);
+});
+
+test('multi-select answers are scored by the quiz policy', async (t) => {
+    // Two of four options are correct, for 2 marks
+    const multiSelect = (answer) => ({
+        questionType: 'mcq_multiple',
+        marks: 2,
+        options: [option('A', true), option('B', true), option('C'), option('D')],
+        answer: (question) => answer.map((text) => question.findOption(text)._id),
+    });
+
+    const cases = [
+        [MULTI_SELECT_SCORING.ALL_OR_NOTHING, ['A'], 0],
+        [MULTI_SELECT_SCORING.PROPORTIONAL, ['A'], 1],
+        [MULTI_SELECT_SCORING.ZERO_ON_WRONG, ['A'], 1],
+        [MULTI_SELECT_SCORING.ALL_OR_NOTHING, ['A', 'B', 'C'], 0],
+        [MULTI_SELECT_SCORING.PROPORTIONAL, ['A', 'B', 'C'], 1],
+        [MULTI_SELECT_SCORING.ZERO_ON_WRONG, ['A', 'B', 'C'], 0],
+        [MULTI_SELECT_SCORING.ZERO_ON_WRONG, ['A', 'B'], 2],
+    ];
+
+    for (const [policy, answer, expected] of cases) {
+        await t.test(`${policy} with ${answer.join(', ')}`, async (t) => {
+            const result = await submit(t, {
+                scoringPolicy: { multiSelect: policy, negativeMarking: NEGATIVE_MARKING.NONE },
+                questions: [multiSelect(answer)],
+            });
+
+            assert.strictEqual(result.score, expected);
+        });
+    }
+});
+
+test('negative marks follow the quiz policy for wrong and blank answers', async (t) => {
+    // 4 marks earned, one wrong answer and one blank, each worth -1
+    const questions = [
+        {
+            questionType: 'mcq_single',
+            marks: 4,
+            options: [option('Stack'), option('Queue', true)],
+            answer: (question) => question.options[1]._id,
+        },
+        {
+            questionType: 'mcq_single',
+            marks: 2,
+            negativeMarks: 1,
+            options: [option('Stack'), option('Queue', true)],
+            answer: (question) => question.options[0]._id,
+        },
+        { questionType: 'numeric', marks: 2, negativeMarks: 1, correctAnswer: 0, answer: '' },
+    ];
+
+    const cases = [
+        [NEGATIVE_MARKING.ALL_INCORRECT, 2, 0],
+        [NEGATIVE_MARKING.WRONG_ONLY, 3, 1],
+        [NEGATIVE_MARKING.NONE, 4, 1],
+    ];
+
+    for (const [negativeMarking, score, unanswered] of cases) {
+        await t.test(negativeMarking, async (t) => {
+            const result = await submit(t, { scoringPolicy: { negativeMarking }, questions });
+
+            assert.strictEqual(result.score, score);
+            assert.strictEqual(result.unanswered, unanswered);
+        });
+    }
+});
+
+test('a blank numeric answer is not read as zero', async (t) => {
+    // Skipped when blanks go unpenalized, otherwise scored as wrong; never correct
+    const cases = [
+        [NEGATIVE_MARKING.WRONG_ONLY, 1],
+        [NEGATIVE_MARKING.ALL_INCORRECT, 0],
+    ];
+
+    for (const [negativeMarking, unanswered] of cases) {
+        for (const answer of ['', '   ', null]) {
+            await t.test(`${JSON.stringify(answer)} with ${negativeMarking}`, async (t) => {
+                const result = await submit(t, {
+                    scoringPolicy: { negativeMarking },
+                    questions: [{ questionType: 'numeric', correctAnswer: 0, answer }],
+                });
+
+                assert.strictEqual(result.correctAnswers, 0);
+                assert.strictEqual(result.unanswered, unanswered);
+                assert.strictEqual(result.score, 0);
+            });
+        }
+    }
+
+    await t.test('"0"', async (t) => {
+        const result = await submit(t, {
+            questions: [{ questionType: 'numeric', correctAnswer: 0, answer: '0' }],
+        });
+
+        assert.strictEqual(result.correctAnswers, 1);
+    });
+});
+
+test('a section floor keeps one section from losing marks earned in another', async (t) => {
+    const result = await submit(t, {
+        scoringPolicy: { sectionFloor: 0 },
+        questions: [
+            { questionType: 'true_false', section: 'Basics', marks: 4, correctAnswer: true, answer: true },
+            { questionType: 'true_false', section: 'Advanced', negativeMarks: 2, correctAnswer: true, answer: false },
+        ],
+    });
+
+    assert.strictEqual(result.score, 4);
+    assert.deepStrictEqual(
+        result.sectionScores.map(({ section, rawScore, score }) => ({ section, rawScore, score })),
+        [
+            { section: 'Basics', rawScore: 4, score: 4 },
+            { section: 'Advanced', rawScore: -2, score: 0 },
+        ]
+    );
+});
+
+test('the percentage is taken over the marks of the questions served', async (t) => {
+    // Pool draws can serve more marks than the quiz total
+    const questions = [
+        { questionType: 'true_false', marks: 5, correctAnswer: true, answer: true },
+        { questionType: 'true_false', marks: 5, correctAnswer: true, answer: false },
+    ];
+
+    const half = await submit(t, {
+        scoringPolicy: { negativeMarking: NEGATIVE_MARKING.NONE },
+        totalMarks: 5,
+        questions,
+    });
+    assert.strictEqual(half.percentage, 50);
+
+    const full = await submit(t, {
+        totalMarks: 5,
+        questions: questions.map((question) => ({ ...question, answer: true })),
+    });
+    assert.strictEqual(full.percentage, 100);
+});
@@ -0,0 +1,115 @@
+// test/seatReconcile.test.js
+// Seat counter reconciliation alongside enrollments that are still being written
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const InternshipEnrollment = require('../src/models/enrollment.model');
+const applicationService = require('../src/services/application.service');
+const internshipService = require('../src/services/internship.service');
+const { seatStore } = require('./helpers/seatStore');
+
+const { ObjectId } = mongoose.Types;
+
+const admin = { userId: new ObjectId(), role: 'admin' };
+
+const internshipRow = (totalSeats, enrolledCount, seatHolds = []) => ({
+    _id: new ObjectId(),
+    title: 'Backend internship',
+    status: 'active',
+    trainerId: new ObjectId(),
+    totalSeats,
+    enrolledCount,
+    seatHolds,
+    seatVersion: 0,
+});
+
+const enrollmentRow = (internship, status, waitlistedAt = null) => ({
+    _id: new ObjectId(),
+    internshipId: internship._id,
+    studentId: new ObjectId(),
+    status,
+    waitlistedAt,
+    application: { coverNote: '', appliedAt: new Date(2026, 8, 1) },
+});
+
+// Run `concurrently` right after reconcileSeats has counted the active enrollments
+const afterCounting = (t, concurrently) => {
+    const countActive = InternshipEnrollment.aggregate;
+    t.mock.method(InternshipEnrollment, 'aggregate', async (pipeline) => {
+        const counts = await countActive.call(InternshipEnrollment, pipeline);
+        await concurrently();
+        return counts;
+    });
+};
+
+test('an over-counted internship is lowered and the freed seat goes to the waitlist', async (t) => {
+    const internship = internshipRow(2, 2);
+    const active = enrollmentRow(internship, 'active');
+    const waiting = enrollmentRow(internship, 'waitlisted', new Date(2026, 8, 2));
+    seatStore(t, { internships: [internship], enrollments: [active, waiting] });
+
+    const result = await internshipService.reconcileSeats();
+
+    assert.deepStrictEqual(result.fixed.map(String), [String(internship._id)]);
+    assert.deepStrictEqual(result.skipped, []);
+    assert.strictEqual(waiting.status, 'active');
+    assert.strictEqual(internship.enrolledCount, 2);
+});
+
+test('a dry run reports drift without touching the counter', async (t) => {
+    const internship = internshipRow(2, 2);
+    seatStore(t, { internships: [internship], enrollments: [enrollmentRow(internship, 'active')] });
+
+    const result = await internshipService.reconcileSeats({ dryRun: true });
+
+    assert.strictEqual(result.driftedCount, 1);
+    assert.strictEqual(result.drifted[0].difference, 1);
+    assert.deepStrictEqual(result.fixed, []);
+    assert.strictEqual(internship.enrolledCount, 2);
+});
+
+test('an internship with a seat change in progress is left for the next run', async (t) => {
+    // Seat reserved, enrollment not written yet
+    const internship = internshipRow(2, 1, [{ _id: new ObjectId() }]);
+    seatStore(t, { internships: [internship], enrollments: [] });
+
+    const result = await internshipService.reconcileSeats();
+
+    assert.deepStrictEqual(result.skipped.map(String), [String(internship._id)]);
+    assert.deepStrictEqual(result.fixed, []);
+    assert.strictEqual(internship.enrolledCount, 1);
+});
+
+test('an acceptance landing after the count is not overwritten', async (t) => {
+    const internship = internshipRow(3, 2);
+    const active = enrollmentRow(internship, 'active');
+    const applicant = enrollmentRow(internship, 'pending');
+    seatStore(t, { internships: [internship], enrollments: [active, applicant] });
+
+    afterCounting(t, () => applicationService.decide(applicant._id, { decision: 'accept' }, admin));
+
+    const result = await internshipService.reconcileSeats();
+
+    assert.deepStrictEqual(result.skipped.map(String), [String(internship._id)]);
+    assert.strictEqual(applicant.status, 'active');
+    assert.strictEqual(internship.enrolledCount, 3);
+});
+
+test('seat changes that net out after the count still stop the fix', async (t) => {
+    const internship = internshipRow(3, 2);
+    const leaving = enrollmentRow(internship, 'active');
+    const applicant = enrollmentRow(internship, 'pending');
+    seatStore(t, { internships: [internship], enrollments: [leaving, applicant] });
+
+    // The counter ends where it started, but the active enrollments have changed
+    afterCounting(t, async () => {
+        await applicationService.withdraw(leaving._id, leaving.studentId);
+        await applicationService.decide(applicant._id, { decision: 'accept' }, admin);
+    });
+
+    const result = await internshipService.reconcileSeats();
+
+    assert.deepStrictEqual(result.skipped.map(String), [String(internship._id)]);
+    assert.strictEqual(internship.enrolledCount, 2);
+});